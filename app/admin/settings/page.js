@@ -0,0 +1,587 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import Link from "next/link"
+import { ArrowLeft, Loader2, Save, ShieldAlert, SlidersHorizontal } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { Switch } from "@/components/ui/switch"
+import { Badge } from "@/components/ui/badge"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useAdminSettings } from "@/hooks/use-admin-settings"
+import { useSession } from "@/hooks/use-session"
+import { UserMenu } from "@/components/auth/user-menu"
+import { PROVIDER_IDS } from "@/lib/models"
+import { SECRET_FIELDS } from "@/lib/settings"
+import { GUARDRAIL_ACTIONS, PII_KINDS, PROFILE_IDS } from "@/lib/guardrails"
+
+// Lists are edited one entry per line
+const toLines = (list) => list.join("\n")
+const fromLines = (text) => text.split("\n").map((line) => line.trim()).filter(Boolean)
+
+const PII_LABELS = {
+  secret: "Keys and tokens",
+  email: "Email addresses",
+  card: "Card numbers",
+  phone: "Phone numbers",
+  ip: "IP addresses",
+}
+
+/**
+ * @param {Object} guardrails
+ * @param {(profile: Object) => Object} convert - Applied to each profile
+ * @returns {Object}
+ */
+const mapProfiles = (guardrails, convert) => ({
+  providerProfiles: guardrails.providerProfiles,
+  profiles: Object.fromEntries(PROFILE_IDS.map((id) => [id, convert(guardrails.profiles[id])])),
+})
+
+/**
+ * Editable copy of the masked settings: lists as text, secrets empty until an administrator types a new one
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function toDraft(settings) {
+  const { ollama, cloudflare, openai, transcription } = settings.providers
+  return {
+    ...settings,
+    ollamaBaseUrl: ollama.baseUrl,
+    cloudflareApiUrl: cloudflare.apiUrl,
+    cloudflareAccountId: cloudflare.accountId,
+    cloudflareModels: toLines(cloudflare.models),
+    openaiBaseUrl: openai.baseUrl,
+    transcriptionBaseUrl: transcription.baseUrl,
+    transcriptionModel: transcription.model,
+    modelAllowList: toLines(settings.modelAllowList),
+    modelDenyList: toLines(settings.modelDenyList),
+    guardrails: mapProfiles(settings.guardrails, (profile) => ({
+      ...profile,
+      terms: toLines(profile.terms),
+      blockedTopics: toLines(profile.blockedTopics),
+    })),
+    // "<provider>.<field>" of SECRET_FIELDS: undefined keeps the stored secret, "" clears it
+    secrets: {},
+  }
+}
+
+/**
+ * Settings to save from a draft, see validateSettings in lib/settings.js
+ * @param {Object} draft
+ * @returns {Object}
+ */
+function fromDraft(draft) {
+  const providers = {
+    ollama: { baseUrl: draft.ollamaBaseUrl },
+    cloudflare: {
+      apiUrl: draft.cloudflareApiUrl,
+      accountId: draft.cloudflareAccountId,
+      models: fromLines(draft.cloudflareModels),
+    },
+    openai: { baseUrl: draft.openaiBaseUrl },
+    transcription: { baseUrl: draft.transcriptionBaseUrl, model: draft.transcriptionModel },
+  }
+  for (const [provider, field] of SECRET_FIELDS) {
+    const value = draft.secrets[`${provider}.${field}`]
+    if (value !== undefined) providers[provider][field] = value
+  }
+  return {
+    enabledProviders: draft.enabledProviders,
+    defaultProvider: draft.defaultProvider,
+    providers,
+    modelAllowList: fromLines(draft.modelAllowList),
+    modelDenyList: fromLines(draft.modelDenyList),
+    defaultModel: draft.defaultModel,
+    defaultSystemPrompt: draft.defaultSystemPrompt,
+    contextInjection: draft.contextInjection,
+    guardrails: mapProfiles(draft.guardrails, (profile) => ({
+      ...profile,
+      terms: fromLines(profile.terms),
+      blockedTopics: fromLines(profile.blockedTopics),
+      maxInputLength: Number(profile.maxInputLength) || 0,
+      maxOutputLength: Number(profile.maxOutputLength) || 0,
+    })),
+  }
+}
+
+function Field({ label, hint, children }) {
+  return (
+    <div className="space-y-1">
+      <label className="block text-sm font-medium text-gray-700">{label}</label>
+      {children}
+      {hint && <p className="text-xs text-gray-500">{hint}</p>}
+    </div>
+  )
+}
+
+/**
+ * Password input for a stored secret; the value is never sent to the browser, only whether it is set
+ * @param {Object} props
+ * @param {Object} props.draft
+ * @param {(changes: Object) => void} props.update - Applies changes to the draft
+ * @param {string} props.provider
+ * @param {string} props.field - e.g. "apiKey"
+ * @param {boolean} props.isSet - Whether a value is stored
+ * @param {boolean} props.urlChanged - Whether the URL it is sent to was edited; the stored value is then cleared
+ */
+function SecretInput({ draft, update, provider, field, isSet, urlChanged }) {
+  const key = `${provider}.${field}`
+  const value = draft.secrets[key]
+  const setSecret = (secret) => update({ secrets: { ...draft.secrets, [key]: secret } })
+  const placeholder =
+    value === ""
+      ? "Cleared when saved"
+      : isSet && urlChanged
+        ? "The URL changed, enter it again"
+        : isSet
+          ? "Saved, type to replace"
+          : "Not set"
+
+  return (
+    <div className="flex items-center gap-2">
+      <Input
+        type="password"
+        autoComplete="off"
+        value={value ?? ""}
+        placeholder={placeholder}
+        onChange={(e) => setSecret(e.target.value || undefined)}
+      />
+      {isSet && value !== "" && (
+        <Button type="button" variant="ghost" size="sm" onClick={() => setSecret("")}>
+          Clear
+        </Button>
+      )}
+    </div>
+  )
+}
+
+function ActionSelect({ value, onChange }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="w-28">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {GUARDRAIL_ACTIONS.map((action) => (
+          <SelectItem key={action} value={action}>
+            {action}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
+
+/**
+ * Fields of one guardrail profile, see lib/guardrails.js
+ * @param {Object} props
+ * @param {string} props.id - Profile id
+ * @param {Object} props.profile - Draft of the profile, lists as text
+ * @param {(changes: Object) => void} props.onChange - Applies changes to the profile
+ */
+function GuardrailProfile({ id, profile, onChange }) {
+  return (
+    <div className="space-y-4 rounded-md border border-gray-200 p-4">
+      <h3 className="text-sm font-semibold capitalize text-gray-900">{id}</h3>
+      <div className="grid gap-2 sm:grid-cols-2">
+        {PII_KINDS.map((kind) => (
+          <div key={kind} className="flex items-center justify-between gap-2 text-sm">
+            <span className="text-gray-700">{PII_LABELS[kind] ?? kind}</span>
+            <ActionSelect
+              value={profile.pii[kind]}
+              onChange={(action) => onChange({ pii: { ...profile.pii, [kind]: action } })}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="grid gap-4 sm:grid-cols-2">
+        <Field label="Dictionary" hint="Names, codenames, ... one per line, matched as whole words">
+          <Textarea
+            rows={4}
+            className="font-mono text-xs"
+            value={profile.terms}
+            onChange={(e) => onChange({ terms: e.target.value })}
+          />
+          <div className="flex items-center gap-2 pt-1 text-sm text-gray-700">
+            Action
+            <ActionSelect value={profile.termAction} onChange={(termAction) => onChange({ termAction })} />
+          </div>
+        </Field>
+        <Field label="Blocked Topics" hint="Phrases, one per line; a message or answer mentioning one is stopped">
+          <Textarea
+            rows={4}
+            className="font-mono text-xs"
+            value={profile.blockedTopics}
+            onChange={(e) => onChange({ blockedTopics: e.target.value })}
+          />
+        </Field>
+      </div>
+      <div className="grid gap-4 sm:grid-cols-2">
+        <Field label="Maximum Message Length" hint="Characters of the latest message, 0 for no limit">
+          <Input
+            type="number"
+            min={0}
+            value={profile.maxInputLength}
+            onChange={(e) => onChange({ maxInputLength: e.target.value })}
+          />
+        </Field>
+        <Field label="Maximum Answer Length" hint="Characters; longer answers are stopped, 0 for no limit">
+          <Input
+            type="number"
+            min={0}
+            value={profile.maxOutputLength}
+            onChange={(e) => onChange({ maxOutputLength: e.target.value })}
+          />
+        </Field>
+      </div>
+      <div className="flex items-center gap-3">
+        <Switch checked={profile.checkOutput} onCheckedChange={(checkOutput) => onChange({ checkOutput })} />
+        <label className="text-sm font-medium text-gray-700">Check answers too</label>
+      </div>
+    </div>
+  )
+}
+
+export default function Settings() {
+  const { settings, providers, editable, loading, error, save } = useAdminSettings()
+  const sessionState = useSession()
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [saveError, setSaveError] = useState(null)
+  const [saved, setSaved] = useState(false)
+
+  useEffect(() => {
+    if (settings) setDraft(toDraft(settings))
+  }, [settings])
+
+  const update = (changes) => {
+    setDraft((current) => ({ ...current, ...changes }))
+    setSaved(false)
+  }
+
+  const updateGuardrails = (changes) => update({ guardrails: { ...draft.guardrails, ...changes } })
+  const updateProfile = (id, changes) =>
+    updateGuardrails({
+      profiles: { ...draft.guardrails.profiles, [id]: { ...draft.guardrails.profiles[id], ...changes } },
+    })
+
+  const toggleProvider = (id, enabled) =>
+    update({
+      enabledProviders: enabled
+        ? PROVIDER_IDS.filter((provider) => provider === id || draft.enabledProviders.includes(provider))
+        : draft.enabledProviders.filter((provider) => provider !== id),
+    })
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setSaveError(null)
+    try {
+      await save(fromDraft(draft))
+      setSaved(true)
+    } catch (error) {
+      setSaveError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const masked = settings?.providers
+
+  return (
+    <div className="fixed inset-0 flex flex-col overflow-hidden bg-white">
+      <div className="flex-shrink-0 h-20 px-4 border-b border-gray-200 flex items-center gap-3 p-2">
+        <Link href="/" className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+          <ArrowLeft className="h-4 w-4" />
+          Chat
+        </Link>
+        <SlidersHorizontal className="h-5 w-5 text-gray-500" />
+        <h2 className="text-lg font-semibold text-gray-900">Settings</h2>
+        <div className="ml-auto flex items-center gap-2">
+          <UserMenu sessionState={sessionState} />
+        </div>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-auto p-4">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {loading && <Loader2 className="mx-auto h-5 w-5 animate-spin text-gray-400" />}
+
+        {draft && (
+          <form onSubmit={handleSave} className="max-w-3xl space-y-4">
+            <Card>
+              <CardHeader className="p-4">
+                <CardTitle className="text-base">Providers</CardTitle>
+              </CardHeader>
+              <CardContent className="p-4 pt-0 space-y-4">
+                <div className="space-y-2">
+                  {providers.map((provider) => (
+                    <div key={provider.id} className="flex items-center gap-3 text-sm">
+                      <Switch
+                        checked={draft.enabledProviders.includes(provider.id)}
+                        onCheckedChange={(enabled) => toggleProvider(provider.id, enabled)}
+                      />
+                      <span className="font-medium text-gray-900">{provider.label}</span>
+                      {provider.enabled && <Badge>Serving</Badge>}
+                      {!provider.configured && <span className="text-gray-500">Not configured</span>}
+                    </div>
+                  ))}
+                  <p className="text-xs text-gray-500">
+                    With none selected, every provider that has its URL and credentials set is served.
+                  </p>
+                </div>
+
+                <Field label="Default Provider" hint="For model ids without a provider prefix">
+                  <Select value={draft.defaultProvider} onValueChange={(value) => update({ defaultProvider: value })}>
+                    <SelectTrigger className="w-56">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {providers.map((provider) => (
+                        <SelectItem key={provider.id} value={provider.id}>
+                          {provider.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </Field>
+
+                <Field label="Ollama URL">
+                  <Input
+                    value={draft.ollamaBaseUrl}
+                    placeholder="http://localhost:11434"
+                    onChange={(e) => update({ ollamaBaseUrl: e.target.value })}
+                  />
+                </Field>
+
+                <div className="grid gap-4 sm:grid-cols-2">
+                  <Field label="Cloudflare Gateway URL">
+                    <Input
+                      value={draft.cloudflareApiUrl}
+                      placeholder="https://gateway.ai.cloudflare.com/v1"
+                      onChange={(e) => update({ cloudflareApiUrl: e.target.value })}
+                    />
+                  </Field>
+                  <Field label="Cloudflare Account ID">
+                    <Input
+                      value={draft.cloudflareAccountId}
+                      onChange={(e) => update({ cloudflareAccountId: e.target.value })}
+                    />
+                  </Field>
+                </div>
+                <Field label="Cloudflare API Token">
+                  <SecretInput
+                    draft={draft}
+                    update={update}
+                    provider="cloudflare"
+                    field="apiToken"
+                    isSet={masked.cloudflare.apiTokenSet}
+                    urlChanged={draft.cloudflareApiUrl !== masked.cloudflare.apiUrl}
+                  />
+                </Field>
+                <Field label="Cloudflare Models" hint="Workers AI has no model list endpoint; one model per line">
+                  <Textarea
+                    rows={4}
+                    className="font-mono text-xs"
+                    value={draft.cloudflareModels}
+                    onChange={(e) => update({ cloudflareModels: e.target.value })}
+                  />
+                </Field>
+
+                <div className="grid gap-4 sm:grid-cols-2">
+                  <Field label="OpenAI-compatible URL">
+                    <Input
+                      value={draft.openaiBaseUrl}
+                      placeholder="https://api.openai.com/v1"
+                      onChange={(e) => update({ openaiBaseUrl: e.target.value })}
+                    />
+                  </Field>
+                  <Field label="OpenAI-compatible API Key">
+                    <SecretInput
+                      draft={draft}
+                      update={update}
+                      provider="openai"
+                      field="apiKey"
+                      isSet={masked.openai.apiKeySet}
+                      urlChanged={draft.openaiBaseUrl !== masked.openai.baseUrl}
+                    />
+                  </Field>
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader className="p-4">
+                <CardTitle className="text-base">Models</CardTitle>
+              </CardHeader>
+              <CardContent className="p-4 pt-0 space-y-4">
+                <div className="grid gap-4 sm:grid-cols-2">
+                  <Field label="Allowed Models" hint="Qualified ids, one per line, * matches anything. Empty allows all.">
+                    <Textarea
+                      rows={5}
+                      className="font-mono text-xs"
+                      placeholder="ollama/*"
+                      value={draft.modelAllowList}
+                      onChange={(e) => update({ modelAllowList: e.target.value })}
+                    />
+                  </Field>
+                  <Field label="Blocked Models" hint="Applied after the allowed models">
+                    <Textarea
+                      rows={5}
+                      className="font-mono text-xs"
+                      placeholder="ollama/*:70b*"
+                      value={draft.modelDenyList}
+                      onChange={(e) => update({ modelDenyList: e.target.value })}
+                    />
+                  </Field>
+                </div>
+                <Field label="Default Model" hint="Qualified id selected in new chats; empty selects the first model">
+                  <Input
+                    value={draft.defaultModel}
+                    placeholder="ollama/llama3.2:latest"
+                    onChange={(e) => update({ defaultModel: e.target.value })}
+                  />
+                </Field>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader className="p-4">
+                <CardTitle className="text-base">Chat Defaults</CardTitle>
+              </CardHeader>
+              <CardContent className="p-4 pt-0 space-y-4">
+                <Field
+                  label="Default System Prompt"
+                  hint="Used by users who have not changed their system prompt, and by API requests without one"
+                >
+                  <Textarea
+                    rows={4}
+                    value={draft.defaultSystemPrompt}
+                    onChange={(e) => update({ defaultSystemPrompt: e.target.value })}
+                  />
+                </Field>
+                <div className="flex items-center gap-3">
+                  <Switch
+                    checked={draft.contextInjection}
+                    onCheckedChange={(contextInjection) => update({ contextInjection })}
+                  />
+                  <label className="text-sm font-medium text-gray-700">Use the knowledge base by default</label>
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader className="p-4">
+                <CardTitle className="text-base">Voice Input</CardTitle>
+              </CardHeader>
+              <CardContent className="p-4 pt-0 space-y-4">
+                <p className="text-xs text-gray-500">
+                  A Whisper-compatible server that dictation can use instead of the browser&apos;s speech recognition.
+                  Leave the URL empty to only offer the browser&apos;s.
+                </p>
+                <div className="grid gap-4 sm:grid-cols-2">
+                  <Field label="Transcription URL" hint="Base URL of /audio/transcriptions">
+                    <Input
+                      value={draft.transcriptionBaseUrl}
+                      placeholder="http://localhost:8000/v1"
+                      onChange={(e) => update({ transcriptionBaseUrl: e.target.value })}
+                    />
+                  </Field>
+                  <Field label="Transcription Model">
+                    <Input
+                      value={draft.transcriptionModel}
+                      placeholder="whisper-1"
+                      onChange={(e) => update({ transcriptionModel: e.target.value })}
+                    />
+                  </Field>
+                </div>
+                <Field label="Transcription API Key">
+                  <SecretInput
+                    draft={draft}
+                    update={update}
+                    provider="transcription"
+                    field="apiKey"
+                    isSet={masked.transcription.apiKeySet}
+                    urlChanged={draft.transcriptionBaseUrl !== masked.transcription.baseUrl}
+                  />
+                </Field>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader className="p-4">
+                <CardTitle className="flex items-center gap-2 text-base">
+                  <ShieldAlert className="h-4 w-4" />
+                  Guardrails
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="p-4 pt-0 space-y-4">
+                <p className="text-xs text-gray-500">
+                  Checked before a prompt, including retrieved documents, is sent to a provider and while the answer
+                  streams. warn shows a notice on the message, redact masks the match, block stops the request or
+                  answer.
+                </p>
+                <div className="space-y-2">
+                  {providers.map((provider) => (
+                    <div key={provider.id} className="flex items-center justify-between gap-3 text-sm sm:w-96">
+                      <span className="font-medium text-gray-900">{provider.label}</span>
+                      <Select
+                        value={draft.guardrails.providerProfiles[provider.id] ?? "off"}
+                        onValueChange={(profile) =>
+                          updateGuardrails({
+                            providerProfiles: { ...draft.guardrails.providerProfiles, [provider.id]: profile },
+                          })
+                        }
+                      >
+                        <SelectTrigger className="w-40">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="off">off</SelectItem>
+                          {PROFILE_IDS.map((id) => (
+                            <SelectItem key={id} value={id}>
+                              {id}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  ))}
+                </div>
+                {PROFILE_IDS.map((id) => (
+                  <GuardrailProfile
+                    key={id}
+                    id={id}
+                    profile={draft.guardrails.profiles[id]}
+                    onChange={(changes) => updateProfile(id, changes)}
+                  />
+                ))}
+              </CardContent>
+            </Card>
+
+            <div className="flex items-center gap-3">
+              <Button type="submit" disabled={saving || !editable}>
+                {saving ? <Loader2 className="animate-spin" /> : <Save />}
+                Save
+              </Button>
+              {!editable && (
+                <span className="text-sm text-gray-500">
+                  Turn on authentication, or set ALLOW_ANONYMOUS_SETTINGS=true, to change the settings.
+                </span>
+              )}
+              {saveError && <span className="text-sm text-red-600">{saveError}</span>}
+              {saved && <span className="text-sm text-green-600">Saved, the changes apply to the next request.</span>}
+              {!saved && settings.updatedAt && (
+                <span className="text-sm text-gray-500">
+                  Last saved {new Date(settings.updatedAt).toLocaleString()}
+                  {settings.updatedBy ? ` by ${settings.updatedBy}` : ""}
+                </span>
+              )}
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
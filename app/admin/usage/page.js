@@ -0,0 +1,237 @@
+"use client"
+
+import { useState } from "react"
+import Link from "next/link"
+import { ArrowLeft, BarChart3, Loader2, RefreshCw } from "lucide-react"
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from "recharts"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import {
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+} from "@/components/ui/chart"
+import { useSession } from "@/hooks/use-session"
+import { useUsageReport } from "@/hooks/use-usage-report"
+import { UserMenu } from "@/components/auth/user-menu"
+
+const RANGES = [7, 30, 90]
+
+const requestsChart = {
+  succeeded: { label: "Succeeded", color: "#2563eb" },
+  errors: { label: "Errors", color: "#dc2626" },
+  aborted: { label: "Stopped", color: "#9ca3af" },
+}
+
+const tokensChart = {
+  promptTokens: { label: "Prompt", color: "#0d9488" },
+  completionTokens: { label: "Completion", color: "#f59e0b" },
+}
+
+const formatPercent = (rate) => `${(rate * 100).toFixed(rate > 0 && rate < 0.1 ? 1 : 0)}%`
+const formatMs = (ms) => (ms === null ? "–" : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`)
+// "2025-01-31" as "Jan 31", read as UTC like the log's days
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" })
+
+function Total({ label, value, detail }) {
+  return (
+    <Card>
+      <CardHeader className="p-4 pb-1">
+        <CardTitle className="text-sm font-medium text-gray-500">{label}</CardTitle>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        <p className="text-2xl font-semibold text-gray-900">{value}</p>
+        {detail && <p className="text-xs text-gray-500">{detail}</p>}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default function Usage() {
+  const [days, setDays] = useState(7)
+  const { report, loading, error, refresh } = useUsageReport(days)
+  const sessionState = useSession()
+
+  const totals = report?.totals
+  const dailyRequests = (report?.days ?? []).map((day) => ({
+    ...day,
+    succeeded: day.requests - day.errors - day.aborted,
+  }))
+
+  return (
+    <div className="fixed inset-0 flex flex-col overflow-hidden bg-white">
+      <div className="flex-shrink-0 h-20 px-4 border-b border-gray-200 flex items-center gap-3 p-2">
+        <Link href="/" className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+          <ArrowLeft className="h-4 w-4" />
+          Chat
+        </Link>
+        <BarChart3 className="h-5 w-5 text-gray-500" />
+        <h2 className="text-lg font-semibold text-gray-900">Usage</h2>
+        <div className="ml-auto flex items-center gap-2">
+          <Select value={String(days)} onValueChange={(value) => setDays(Number(value))}>
+            <SelectTrigger className="w-36">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RANGES.map((range) => (
+                <SelectItem key={range} value={String(range)}>
+                  Last {range} days
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="ghost" size="sm" onClick={refresh}>
+            <RefreshCw />
+            Refresh
+          </Button>
+          <UserMenu sessionState={sessionState} />
+        </div>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-auto p-4 space-y-4">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {report && !report.logging && (
+          <p className="text-sm text-amber-600">Logging is off (REQUEST_LOG=off), new requests are not recorded.</p>
+        )}
+        {loading && !report && <Loader2 className="mx-auto h-5 w-5 animate-spin text-gray-400" />}
+
+        {report && (
+          <>
+            <div className="grid grid-cols-2 gap-4 lg:grid-cols-5">
+              <Total label="Requests" value={totals.requests.toLocaleString()} detail={`${totals.aborted} stopped`} />
+              <Total label="Error Rate" value={formatPercent(totals.errorRate)} detail={`${totals.errors} failed`} />
+              <Total label="Prompt Tokens" value={totals.promptTokens.toLocaleString()} />
+              <Total label="Completion Tokens" value={totals.completionTokens.toLocaleString()} />
+              <Total
+                label="Avg Latency"
+                value={formatMs(totals.avgLatencyMs)}
+                detail={`${formatMs(totals.avgTimeToFirstTokenMs)} to first token`}
+              />
+            </div>
+
+            <div className="grid gap-4 lg:grid-cols-2">
+              <Card>
+                <CardHeader className="p-4">
+                  <CardTitle className="text-base">Requests per Day</CardTitle>
+                </CardHeader>
+                <CardContent className="p-4 pt-0">
+                  <ChartContainer config={requestsChart} className="h-64 w-full">
+                    <BarChart data={dailyRequests}>
+                      <CartesianGrid vertical={false} />
+                      <XAxis dataKey="day" tickFormatter={formatDay} tickLine={false} axisLine={false} />
+                      <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                      <ChartTooltip content={<ChartTooltipContent labelFormatter={formatDay} />} />
+                      <ChartLegend content={<ChartLegendContent />} />
+                      <Bar dataKey="succeeded" stackId="requests" fill="var(--color-succeeded)" />
+                      <Bar dataKey="errors" stackId="requests" fill="var(--color-errors)" />
+                      <Bar dataKey="aborted" stackId="requests" fill="var(--color-aborted)" radius={[4, 4, 0, 0]} />
+                    </BarChart>
+                  </ChartContainer>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardHeader className="p-4">
+                  <CardTitle className="text-base">Tokens per Day</CardTitle>
+                </CardHeader>
+                <CardContent className="p-4 pt-0">
+                  <ChartContainer config={tokensChart} className="h-64 w-full">
+                    <BarChart data={report.days}>
+                      <CartesianGrid vertical={false} />
+                      <XAxis dataKey="day" tickFormatter={formatDay} tickLine={false} axisLine={false} />
+                      <YAxis tickLine={false} axisLine={false} width={48} />
+                      <ChartTooltip content={<ChartTooltipContent labelFormatter={formatDay} />} />
+                      <ChartLegend content={<ChartLegendContent />} />
+                      <Bar dataKey="promptTokens" stackId="tokens" fill="var(--color-promptTokens)" />
+                      <Bar
+                        dataKey="completionTokens"
+                        stackId="tokens"
+                        fill="var(--color-completionTokens)"
+                        radius={[4, 4, 0, 0]}
+                      />
+                    </BarChart>
+                  </ChartContainer>
+                </CardContent>
+              </Card>
+            </div>
+
+            <div>
+              <h3 className="mb-2 text-sm font-semibold text-gray-900">Per Model</h3>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Model</TableHead>
+                    <TableHead className="text-right">Requests</TableHead>
+                    <TableHead className="text-right">Errors</TableHead>
+                    <TableHead className="text-right">Error Rate</TableHead>
+                    <TableHead className="text-right">Prompt Tokens</TableHead>
+                    <TableHead className="text-right">Completion Tokens</TableHead>
+                    <TableHead className="text-right">Avg Latency</TableHead>
+                    <TableHead className="text-right">Avg First Token</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.models.map((model) => (
+                    <TableRow key={model.model}>
+                      <TableCell className="font-medium">{model.model}</TableCell>
+                      <TableCell className="text-right">{model.requests.toLocaleString()}</TableCell>
+                      <TableCell className="text-right">{model.errors.toLocaleString()}</TableCell>
+                      <TableCell className={`text-right ${model.errorRate > 0 ? "text-red-600" : ""}`}>
+                        {formatPercent(model.errorRate)}
+                      </TableCell>
+                      <TableCell className="text-right">{model.promptTokens.toLocaleString()}</TableCell>
+                      <TableCell className="text-right">{model.completionTokens.toLocaleString()}</TableCell>
+                      <TableCell className="text-right">{formatMs(model.avgLatencyMs)}</TableCell>
+                      <TableCell className="text-right">{formatMs(model.avgTimeToFirstTokenMs)}</TableCell>
+                    </TableRow>
+                  ))}
+                  {report.models.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={8} className="text-center text-gray-500">
+                        No requests in the last {report.days.length} days.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+
+            {report.recentErrors.length > 0 && (
+              <div>
+                <h3 className="mb-2 text-sm font-semibold text-gray-900">Recent Errors</h3>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Time</TableHead>
+                      <TableHead>User</TableHead>
+                      <TableHead>Model</TableHead>
+                      <TableHead>Route</TableHead>
+                      <TableHead>Error</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {report.recentErrors.map((entry) => (
+                      <TableRow key={entry.id}>
+                        <TableCell className="whitespace-nowrap">
+                          {new Date(entry.timestamp).toLocaleString()}
+                        </TableCell>
+                        <TableCell>{entry.user}</TableCell>
+                        <TableCell>{entry.model}</TableCell>
+                        <TableCell>{entry.route}</TableCell>
+                        <TableCell className="text-red-600">{entry.error}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
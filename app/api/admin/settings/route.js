@@ -0,0 +1,63 @@
+/**
+ * @file route.js
+ * @description Read and change the runtime settings (lib/settings.js), for administrators. Secrets
+ * are answered masked, see maskSecrets; changes apply to the next request without a restart. While
+ * authentication is off they can only be changed with CONFIG.ALLOW_ANONYMOUS_SETTINGS.
+ */
+
+import { NextResponse } from "next/server"
+import { CONFIG } from "@/config/constants"
+import { AccessError, accessDenied, authorizeAdmin } from "@/lib/auth"
+import { isAuthEnabled } from "@/lib/auth/users"
+import { getEnabledProviders, getProvider } from "@/lib/providers"
+import { PROVIDER_IDS } from "@/lib/models"
+import { maskSecrets, SettingsError } from "@/lib/settings"
+import { getSettings, saveSettings } from "@/lib/storage/settings-file"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+/**
+ * { settings, providers, editable }; providers lists { id, label, configured, enabled } of every provider
+ * as the settings leave them, editable is whether PUT is allowed
+ */
+function settingsResponse(settings) {
+  const enabled = getEnabledProviders().map((provider) => provider.id)
+  const providers = PROVIDER_IDS.map((id) => {
+    const provider = getProvider(id)
+    return { id, label: provider.label, configured: provider.isConfigured(), enabled: enabled.includes(id) }
+  })
+  const editable = isAuthEnabled() || CONFIG.ALLOW_ANONYMOUS_SETTINGS
+  return NextResponse.json({ settings: maskSecrets(settings), providers, editable })
+}
+
+export async function GET(req) {
+  try {
+    authorizeAdmin(req)
+    return settingsResponse(getSettings())
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error reading settings:", error)
+    return NextResponse.json({ error: error.message || "Failed to read settings" }, { status: 500 })
+  }
+}
+
+/**
+ * Replace the settings; secrets left out of the body keep their stored values while their provider's
+ * URL stays the same, an empty string clears one
+ */
+export async function PUT(req) {
+  try {
+    const user = authorizeAdmin(req)
+    if (!isAuthEnabled() && !CONFIG.ALLOW_ANONYMOUS_SETTINGS) {
+      throw new AccessError("Turn on authentication, or set ALLOW_ANONYMOUS_SETTINGS=true, to change the settings", 403)
+    }
+    const input = await req.json().catch(() => null)
+    return settingsResponse(await saveSettings(input, user.name))
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof SettingsError) return NextResponse.json({ error: error.message }, { status: 400 })
+    console.error("Error saving settings:", error)
+    return NextResponse.json({ error: error.message || "Failed to save settings" }, { status: 500 })
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * @file route.js
+ * @description Usage and error rates per day and per model from the completion log, for administrators
+ */
+
+import { NextResponse } from "next/server"
+import { CONFIG } from "@/config/constants"
+import { AccessError, accessDenied, authorizeAdmin } from "@/lib/auth"
+import { readCompletionLog } from "@/lib/logging/completion-log"
+import { summarizeUsage } from "@/lib/logging/usage-report"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+const DEFAULT_DAYS = 7
+const MAX_DAYS = 366
+
+/**
+ * Summary of the last days, see summarizeUsage; days in the query defaults to 7
+ */
+export async function GET(req) {
+  try {
+    authorizeAdmin(req)
+    const requested = Math.round(Number(new URL(req.url).searchParams.get("days")) || DEFAULT_DAYS)
+    const days = Math.min(Math.max(requested, 1), MAX_DAYS)
+    const entries = await readCompletionLog(days)
+    return NextResponse.json({
+      days,
+      logging: CONFIG.REQUEST_LOG !== "off",
+      retentionDays: CONFIG.REQUEST_LOG_RETENTION_DAYS,
+      ...summarizeUsage(entries, days),
+    })
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error reading usage:", error)
+    return NextResponse.json({ error: error.message || "Failed to read usage" }, { status: 500 })
+  }
+}
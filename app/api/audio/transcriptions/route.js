@@ -0,0 +1,88 @@
+/**
+ * @file route.js
+ * @description Speech to text for voice input: forwards a recording to the Whisper-compatible
+ * server of the runtime settings (providers.transcription, see lib/settings.js), so its URL and
+ * key stay on the server. POST multipart form data with the recording in "file" and optionally an
+ * ISO-639-1 "language"; answers { text }. Requests are rate limited per user and client IP
+ * (CONFIG.TRANSCRIPTION_RATE_LIMIT_PER_MINUTE), and bodies over the size limit are refused unread.
+ */
+
+import { NextResponse } from "next/server"
+import { CONFIG } from "@/config/constants"
+import { AccessError, accessDenied, authenticate, enforceClientRateLimit } from "@/lib/auth"
+import { getSettings } from "@/lib/storage/settings-file"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+// Whisper on a CPU takes a while for a long recording
+const TRANSCRIPTION_TIMEOUT_MS = 120000
+// Room for the multipart boundaries and the other fields next to the recording
+const FORM_OVERHEAD_BYTES = 64 * 1024
+const LANGUAGE = /^[a-z]{2}$/
+
+const tooLarge = () =>
+  NextResponse.json({ error: `Recordings are limited to ${CONFIG.MAX_AUDIO_BYTES / 1024 / 1024} MB` }, { status: 413 })
+
+export async function POST(req) {
+  try {
+    const user = authenticate(req)
+    const { baseUrl, model, apiKey } = getSettings().providers.transcription
+    if (!baseUrl) {
+      return NextResponse.json({ error: "No transcription server is configured" }, { status: 503 })
+    }
+    enforceClientRateLimit(req, user, CONFIG.TRANSCRIPTION_RATE_LIMIT_PER_MINUTE, "transcription")
+
+    // The form is buffered whole when parsed, so its size is checked before
+    const length = req.headers.get("content-length")
+    if (!length) return NextResponse.json({ error: "Send the recording with a Content-Length" }, { status: 411 })
+    if (Number(length) > CONFIG.MAX_AUDIO_BYTES + FORM_OVERHEAD_BYTES) return tooLarge()
+
+    const form = await req.formData()
+    const file = form.get("file")
+    if (!file || typeof file === "string") {
+      return NextResponse.json({ error: 'No recording uploaded, send it in the "file" field' }, { status: 400 })
+    }
+    if (file.size > CONFIG.MAX_AUDIO_BYTES) return tooLarge()
+
+    const upstreamForm = new FormData()
+    upstreamForm.append("file", file, file.name || "recording.webm")
+    upstreamForm.append("model", model || CONFIG.TRANSCRIPTION_MODEL)
+    upstreamForm.append("response_format", "json")
+    const language = form.get("language")
+    if (typeof language === "string" && LANGUAGE.test(language)) upstreamForm.append("language", language)
+
+    const signal = AbortSignal.timeout(TRANSCRIPTION_TIMEOUT_MS)
+    let response
+    try {
+      response = await fetch(`${baseUrl}/audio/transcriptions`, {
+        method: "POST",
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: upstreamForm,
+        signal: req.signal ? AbortSignal.any([req.signal, signal]) : signal,
+      })
+    } catch (error) {
+      if (error.name === "TimeoutError" || error.name === "AbortError") throw error
+      console.error("Transcription server unreachable:", error)
+      return NextResponse.json({ error: `Could not reach the transcription server: ${error.message}` }, { status: 502 })
+    }
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => "")).slice(0, 500)
+      console.error("Transcription server error:", response.status, detail)
+      return NextResponse.json(
+        { error: `The transcription server answered ${response.status}${detail ? `: ${detail}` : ""}` },
+        { status: 502 },
+      )
+    }
+    const { text } = await response.json()
+    return NextResponse.json({ text: typeof text === "string" ? text.trim() : "" })
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error.name === "TimeoutError") {
+      return NextResponse.json({ error: "The transcription server did not answer in time" }, { status: 504 })
+    }
+    if (error.name === "AbortError") return new Response(null, { status: 499 })
+    console.error("Transcription error:", error)
+    return NextResponse.json({ error: error.message || "Transcription failed" }, { status: 500 })
+  }
+}
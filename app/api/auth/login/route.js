@@ -0,0 +1,53 @@
+/**
+ * @file route.js
+ * @description Sign in with a username and password or with an API key, setting the session cookie
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, clientIp, enforceRateLimit } from "@/lib/auth"
+import { isAuthEnabled, userForApiKey, verifyPassword } from "@/lib/auth/users"
+import { createSession, SESSION_COOKIE } from "@/lib/auth/session"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+// Failed and successful attempts alike, to slow down password guessing: per client IP, and per
+// username so that changing addresses does not help either. Tokens have no username, so all token
+// attempts share one key; without TRUST_PROXY that is the only limit on them.
+const LOGIN_ATTEMPTS_PER_MINUTE = 10
+const LOGIN_ATTEMPTS_PER_USERNAME_PER_MINUTE = 5
+const TOKEN_LOGIN_ATTEMPTS_PER_MINUTE = 5
+
+/**
+ * Body is { username, password } or { token }
+ */
+export async function POST(req) {
+  try {
+    if (!isAuthEnabled()) {
+      return NextResponse.json({ error: "Authentication is not enabled on this server" }, { status: 400 })
+    }
+    const ip = clientIp(req)
+    if (ip) enforceRateLimit(`login:${ip}`, LOGIN_ATTEMPTS_PER_MINUTE)
+
+    const { username, password, token } = (await req.json().catch(() => null)) ?? {}
+    if (token) enforceRateLimit("login-token", TOKEN_LOGIN_ATTEMPTS_PER_MINUTE)
+    else enforceRateLimit(`login-user:${String(username || "")}`, LOGIN_ATTEMPTS_PER_USERNAME_PER_MINUTE)
+    const user = token ? userForApiKey(token) : verifyPassword(String(username || ""), String(password || ""))
+    if (!user) throw new AccessError(token ? "Invalid token" : "Invalid username or password", 401)
+
+    const session = createSession(user.name)
+    const response = NextResponse.json({ user: user.name })
+    response.cookies.set(SESSION_COOKIE, session.value, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.nextUrl.protocol === "https:",
+      path: "/",
+      expires: session.expires,
+    })
+    return response
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error signing in:", error)
+    return NextResponse.json({ error: error.message || "Failed to sign in" }, { status: 500 })
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * @file route.js
+ * @description Sign out by clearing the session cookie
+ */
+
+import { NextResponse } from "next/server"
+import { SESSION_COOKIE } from "@/lib/auth/session"
+
+export const runtime = "nodejs"
+
+export async function POST() {
+  const response = NextResponse.json({ user: null })
+  response.cookies.delete(SESSION_COOKIE)
+  return response
+}
@@ -0,0 +1,32 @@
+/**
+ * @file route.js
+ * @description Who is signed in, with today's usage against their quotas
+ */
+
+import { NextResponse } from "next/server"
+import { currentUser } from "@/lib/auth"
+import { isAdmin, isAuthEnabled } from "@/lib/auth/users"
+import { getUsage, quotaLimits } from "@/lib/auth/quotas"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+/**
+ * Returns { authEnabled, user, admin?, usage?, limits? }; user is null when signed out
+ */
+export async function GET(req) {
+  try {
+    const user = currentUser(req)
+    if (!user) return NextResponse.json({ authEnabled: true, user: null })
+    return NextResponse.json({
+      authEnabled: isAuthEnabled(),
+      user: user.name,
+      admin: isAdmin(user),
+      usage: await getUsage(user.name),
+      limits: quotaLimits(user.name),
+    })
+  } catch (error) {
+    console.error("Error reading session:", error)
+    return NextResponse.json({ error: error.message || "Failed to read session" }, { status: 500 })
+  }
+}
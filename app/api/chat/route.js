@@ -1,6 +1,6 @@
 /**
  * @file route.js
- * @description API route handler for chat completions with support for Ollama and Cloudflare AI
+ * @description API route handler for chat completions, routed through the provider registry (lib/providers)
  *
  * Streaming Fixes for AI Chat Application
  *
@@ -19,228 +19,295 @@
  * - Increases resilience to different response formats and partial data
  * - Improves overall stability and performance of streaming functionality
  *
+ * The parsers themselves live in lib/providers/stream.js, the tool calling loop in lib/chat/completion.js.
+ * Every request is recorded in the completion log, see lib/logging/completion-log.js.
+ * Responses use the "ai" data stream protocol so useChat can read them: text parts carry the
+ * answer, every other event is a typed message annotation on the answer:
+ *
+ *   { type: "metadata", model, provider }                at the start; later { responseModel } from upstream.
+ *       model is the model that answered; after a fallback (lib/chat/fallback.js) it also has
+ *       requestedModel and fallbacks: [{ model, error }], the models that failed first
+ *   { type: "reasoning", text } / { type: "reasoning_end", durationMs }   see lib/reasoning.js
+ *   { type: "tool_call", ... } / { type: "tool_result", ... }            see lib/chat/completion.js
+ *   { type: "guardrail", stage, action, rule, ... }       a guardrail rule fired, see lib/guardrails.js
+ *   { type: "usage", promptTokens, completionTokens, totalTokens, estimated }
+ *   { type: "finish", reason, timeToFirstTokenMs, durationMs }          reason is null if the upstream ended early,
+ *       "content_filter" when a guardrail stopped the answer
+ *   { type: "error", message }                            the stream failed after it started
+ * A prompt refused by the provider's guardrails is answered with 400 and { error, guardrail }, the notice.
+ * When the guardrails check answers, the text is streamed a little behind the provider so that
+ * matches can be masked before they reach the client.
  * For full details on the streaming improvements, refer to the project documentation.
  */
 
-import { StreamingTextResponse } from "ai"
+import { COMPLEX_HEADER, StreamingTextResponse } from "ai"
 import { NextResponse } from "next/server"
 import { CONFIG } from "@/config/constants"
+import { estimateTokens } from "@/lib/context-window"
+import { getToolDefinitions } from "@/lib/tools"
+import { runChatCompletion, UpstreamError } from "@/lib/chat/completion"
+import { openChatWithFallback } from "@/lib/chat/fallback"
+import { ModelUnavailableError, resolveChatModel } from "@/lib/providers"
+import { createOutputGuard, GuardrailError } from "@/lib/guardrails"
+import { encodeStreamPart } from "@/lib/chat/data-stream"
+import { AccessError, accessDenied, authenticate, authorizeChat } from "@/lib/auth"
+import { recordTokens } from "@/lib/auth/quotas"
+import { createCompletionLog } from "@/lib/logging/completion-log"
 
 export const runtime = "nodejs"
 
-function createParser(textDecoder, controller) {
-  let buffer = ""
-
-  return function parse(chunk) {
-    buffer += textDecoder.decode(chunk, { stream: true })
-    const lines = buffer.split("\n")
+// Response header carrying the retrieved sources (URI encoded JSON) for the client to cite
+const SOURCES_HEADER = "X-Chat-Sources"
+// Response header reporting how the prompt was fitted into the model's context window
+const CONTEXT_USAGE_HEADER = "X-Context-Usage"
+// Reasoning arrives token by token; fragments are batched so the message gets a few annotations, not thousands
+const REASONING_FLUSH_MS = 250
 
-    // Keep the last partial line in the buffer
-    buffer = lines.pop() || ""
-
-    for (const line of lines) {
-      const trimmedLine = line.trim()
-      if (!trimmedLine) continue
-      if (trimmedLine === "data: [DONE]") return
+/**
+ * Forward reasoning to the client as batched "reasoning" annotations, closing each
+ * thinking phase with a "reasoning_end" annotation carrying the total time spent thinking
+ * @param {(annotation: Object) => void} sendAnnotation
+ * @param {boolean} timed - Whether the reasoning streams; non-streamed reasoning arrives at once and has no duration
+ * @param {{push: (text: string) => string, end: () => string} | null} guard - Passes reasoning through the
+ *   guardrails, returning the text they released; end() releases the rest at the end of a phase
+ * @returns {{add: (text: string) => void, end: (options?: {discard?: boolean}) => void}} - end with discard
+ *   drops what the guard holds back, once the answer was stopped
+ */
+function createReasoningWriter(sendAnnotation, timed, guard) {
+  let pending = ""
+  let lastFlush = 0
+  let phaseStartedAt = null
+  let durationMs = 0
 
-      if (trimmedLine.startsWith("data: ")) {
-        try {
-          const data = JSON.parse(trimmedLine.slice(6))
-          // Handle both Cloudflare and Ollama response formats
-          const content = data.choices?.[0]?.delta?.content || data.message?.content || data.response || ""
-          if (content) {
-            controller.enqueue(new TextEncoder().encode(content))
-          }
-        } catch (error) {
-          console.error("Error parsing SSE message:", trimmedLine)
-          console.error("Parse error:", error)
-        }
-      }
-    }
+  const flush = () => {
+    if (pending) sendAnnotation({ type: "reasoning", text: pending })
+    pending = ""
+    lastFlush = Date.now()
   }
-}
 
-/**
- * Transform Cloudflare's SSE stream into a format compatible with AI SDK
- * @param {ReadableStream} stream - The original response stream
- * @returns {ReadableStream} - Transformed stream with properly formatted content
- */
-function transformCloudflareStream(stream) {
-  const textDecoder = new TextDecoder()
-  const textEncoder = new TextEncoder()
-
-  return new ReadableStream({
-    async start(controller) {
-      const reader = stream.getReader()
-      try {
-        while (true) {
-          const { done, value } = await reader.read()
-          if (done) break
-
-          // Decode the stream chunk
-          const chunk = textDecoder.decode(value, { stream: true })
-          // Split into lines and process each SSE event
-          const lines = chunk.split("\n").filter((line) => line.trim())
-
-          for (const line of lines) {
-            if (line.startsWith("data: ")) {
-              const data = line.slice(6) // Remove 'data: ' prefix
-              if (data === "[DONE]") continue
-
-              try {
-                const parsed = JSON.parse(data)
-                const content = parsed.choices?.[0]?.delta?.content || ""
-                if (content) {
-                  // Encode and enqueue just the content
-                  controller.enqueue(textEncoder.encode(content))
-                }
-              } catch (error) {
-                console.error("Error parsing SSE data:", error)
-                continue
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.error("Error processing stream:", error)
-        controller.error(error)
-      } finally {
-        controller.close()
-      }
+  return {
+    add(text) {
+      phaseStartedAt ??= Date.now()
+      pending += guard ? guard.push(text) : text
+      if (Date.now() - lastFlush >= REASONING_FLUSH_MS) flush()
+    },
+    end({ discard = false } = {}) {
+      if (phaseStartedAt === null) return
+      if (guard && !discard) pending += guard.end()
+      flush()
+      durationMs += Date.now() - phaseStartedAt
+      phaseStartedAt = null
+      sendAnnotation({ type: "reasoning_end", durationMs: timed ? durationMs : null })
     },
-  })
+  }
 }
 
-/**
- * Perform semantic search to get relevant context
- * @param {string} query - The user's input query
- * @returns {Promise<string>} - The relevant context found from semantic search
- */
-async function performSemanticSearch(query) {
+export async function POST(req) {
+  let log = null
   try {
-    const response = await fetch(CONFIG.SEMANTIC_SEARCH_API, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ query }),
+    // Rate limits and quotas are checked before any work, see lib/auth, but after the request is
+    // validated so that rejected requests do not count
+    authenticate(req)
+    const body = await req.json().catch(() => null)
+    if (typeof body?.model !== "string" || !Array.isArray(body.messages) || body.messages.length === 0) {
+      return NextResponse.json({ error: "model and messages are required" }, { status: 400 })
+    }
+    if (body.messages.some((message) => !message || typeof message !== "object")) {
+      return NextResponse.json({ error: "Every message must be an object" }, { status: 400 })
+    }
+    resolveChatModel(body.model)
+    const user = await authorizeChat(req)
+    const { model, temperature, systemPrompt, stream, useRetrieval, summarizeHistory, useTools, keepReasoning } = body
+    log = createCompletionLog({ route: "/api/chat", user: user.name, model, stream, messages: body.messages })
+    // contextWindow is what older clients called the output limit
+    const maxTokens = body.maxTokens ?? body.contextWindow ?? CONFIG.DEFAULT_MAX_TOKENS
+
+    // Abort the provider request when the client disconnects or stops the generation
+    const upstream = new AbortController()
+    req.signal?.addEventListener("abort", () => upstream.abort())
+    // Aborts it when a guardrail stops the answer, while the client is still listening
+    const stopped = new AbortController()
+
+    // The first request is made up front so provider errors still answer with a JSON error
+    const startedAt = Date.now()
+    const opened = await openChatWithFallback({
+      model,
+      allowFallback: body.allowFallback,
+      prompt: { messages: body.messages, systemPrompt, maxTokens, useRetrieval, summarizeHistory, keepReasoning },
+      request: {
+        stream,
+        temperature,
+        maxTokens,
+        tools: useTools ? getToolDefinitions() : undefined,
+        // topP, seed, stop, ... see lib/sampling.js; unsupported ones are dropped per provider
+        parameters: body.parameters,
+        signal: AbortSignal.any([upstream.signal, stopped.signal]),
+      },
     })
+    const { provider, request, contextUsage, sources, failures } = opened
+    log.opened(opened)
 
-    if (!response.ok) {
-      throw new Error("Semantic search failed")
-    }
+    const responseHeaders = { [COMPLEX_HEADER]: "true", [CONTEXT_USAGE_HEADER]: JSON.stringify(contextUsage) }
+    if (sources.length > 0) responseHeaders[SOURCES_HEADER] = encodeURIComponent(JSON.stringify(sources))
 
-    const data = await response.json()
-    return data.context || ""
-  } catch (error) {
-    console.error("Semantic search error:", error)
-    return ""
-  }
-}
+    // stream only selects the upstream mode; the client always reads a data stream
+    const output = new ReadableStream({
+      async start(controller) {
+        // Once aborted the client has gone away and the controller may already be closed
+        const send = (type, value) => {
+          if (!upstream.signal.aborted) controller.enqueue(encodeStreamPart(type, value))
+        }
 
-export async function POST(req) {
-  try {
-    const { messages, model, temperature, contextWindow, systemPrompt, stream } = await req.json()
-    const provider = process.env.NEXT_PUBLIC_DEFAULT_PROVIDER || "ollama"
-
-    // Perform semantic search if context injection is enabled
-    let additionalContext = ""
-    if (CONFIG.CONTEXT_INJECTION) {
-      const lastUserMessage = messages[messages.length - 1].content
-      additionalContext = await performSemanticSearch(lastUserMessage)
-    }
+        const sendAnnotation = (annotation) => send("message_annotations", [annotation])
+        let firstTokenAt = null
+        let outputText = ""
+        let usage = null
+        let estimated = true
+        let finishReason = null
+        let failure = null
+        let blocked = false
+        const outputGuard = createOutputGuard(opened.guardrails.policy)
+        // Reasoning has its own guard, without the answer's length limit
+        const reasoningGuard = createOutputGuard(opened.guardrails.policy, { maxLength: 0 })
+        const outputNotices = []
 
-    // Prepare the messages array with additional context if available
-    const contextEnhancedMessages = additionalContext
-      ? [
-          ...messages.slice(0, -1),
-          { role: "system", content: `Additional context: ${additionalContext}` },
-          messages[messages.length - 1],
-        ]
-      : messages
-
-    // Add system prompt to messages if provided
-    const finalMessages = systemPrompt
-      ? [{ role: "system", content: systemPrompt }, ...contextEnhancedMessages]
-      : contextEnhancedMessages
-
-    if (provider === "ollama") {
-      const response = await fetch(`${CONFIG.API_BASE_URL}/v1/chat/completions`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model,
-          messages: finalMessages,
+        // Send the notices of released text and return the text; stops the answer when a rule blocked it
+        const releaseGuarded = ({ text, notices, blocked: notice }) => {
+          for (const annotation of notice ? [...notices, notice] : notices) {
+            outputNotices.push(annotation)
+            sendAnnotation(annotation)
+          }
+          if (notice) {
+            stopped.abort()
+            throw new GuardrailError(notice)
+          }
+          return text
+        }
+        const sendGuarded = (released) => {
+          const text = releaseGuarded(released)
+          if (text) send("text", text)
+        }
+        const reasoning = createReasoningWriter(
+          sendAnnotation,
           stream,
-          temperature,
-          max_tokens: contextWindow,
-        }),
-      })
-
-      if (!response.ok) {
-        const errorData = await response.text()
-        throw new Error(`Ollama API error: ${errorData}`)
-      }
-
-      // Handle streaming response
-      if (stream) {
-        const transformStream = new TransformStream({
-          start(controller) {
-            this.parser = createParser(new TextDecoder(), controller)
+          reasoningGuard && {
+            push: (text) => releaseGuarded(reasoningGuard.push(text)),
+            end: () => releaseGuarded(reasoningGuard.end()),
           },
-          transform(chunk, controller) {
-            this.parser(chunk)
-          },
-        })
+        )
 
-        return new StreamingTextResponse(response.body.pipeThrough(transformStream))
-      }
-
-      // Handle regular response
-      const data = await response.json()
-      return NextResponse.json({ content: data.message.content })
-    } else {
-      const cf_url = `https://gateway.ai.cloudflare.com/v1/${process.env.CLOUDFLARE_ACCOUNT_ID}/openai-compatability/workers-ai/v1/chat/completions`
-      const cloudflareUrl = `https://gateway.ai.cloudflare.com/v1/1db381e9de1cb51102053d378890beb6/openai-compatability/workers-ai/v1/chat/completions`
-      //const cloudflareUrl = `https://gateway.ai.cloudflare.com/v1/1db381e9de1cb51102053d378890beb6/openai-compatability/workers-ai/v1/chat/completions`
-      console.log(`Dynamic CF URL = [${cf_url}]`)
-      const response = await fetch(cf_url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${process.env.CLOUDFLARE_BEARER_TOKEN}`,
-        },
-        body: JSON.stringify({
-          model,
-          messages: finalMessages,
-          stream,
-          temperature,
-          max_tokens: contextWindow,
-        }),
-      })
-
-      if (!response.ok) {
-        const errorData = await response.text()
-        throw new Error(`Cloudflare API error: ${errorData}`)
-      }
-
-      // Handle streaming response
-      if (stream) {
-        const transformStream = new TransformStream({
-          start(controller) {
-            this.parser = createParser(new TextDecoder(), controller)
-          },
-          transform(chunk, controller) {
-            this.parser(chunk)
-          },
+        // An empty text part creates the assistant message, so annotations show before any answer text
+        send("text", "")
+        sendAnnotation({
+          type: "metadata",
+          model: opened.model,
+          provider: provider.id,
+          ...(failures.length > 0 && { requestedModel: model, fallbacks: failures }),
         })
+        for (const notice of opened.guardrails.notices) sendAnnotation(notice)
+        try {
+          const result = await runChatCompletion({
+            ...request,
+            events: opened.events,
+            onEvent(event) {
+              if (event.type === "text" || event.type === "reasoning") {
+                firstTokenAt ??= Date.now()
+                log.firstToken()
+                outputText += event.text
+              }
+              if (event.type === "reasoning") {
+                reasoning.add(event.text)
+                return
+              }
+              if (event.type !== "metadata") reasoning.end()
+              // Notices of the guardrails on tool calls and results
+              if (event.type === "guardrail") outputNotices.push(event)
+              if (event.type !== "text") sendAnnotation(event)
+              else if (outputGuard) sendGuarded(outputGuard.push(event.text))
+              else send("text", event.text)
+            },
+          })
+          reasoning.end()
+          if (outputGuard) sendGuarded(outputGuard.end())
 
-        return new StreamingTextResponse(response.body.pipeThrough(transformStream))
-      }
+          // Not every server reports usage; fall back to the estimates used for the context window
+          const completionTokens = estimateTokens(outputText)
+          usage = result.usage ?? {
+            promptTokens: contextUsage.promptTokens,
+            completionTokens,
+            totalTokens: contextUsage.promptTokens + completionTokens,
+          }
+          estimated = !result.usage
+          finishReason = result.finishReason
+          sendAnnotation({ type: "usage", ...usage, estimated })
+          sendAnnotation({
+            type: "finish",
+            reason: result.finishReason,
+            timeToFirstTokenMs: firstTokenAt ? firstTokenAt - startedAt : null,
+            durationMs: Date.now() - startedAt,
+          })
+        } catch (error) {
+          if (error instanceof GuardrailError) {
+            blocked = true
+            finishReason = "content_filter"
+            reasoning.end({ discard: true })
+            sendAnnotation({
+              type: "finish",
+              reason: finishReason,
+              timeToFirstTokenMs: firstTokenAt ? firstTokenAt - startedAt : null,
+              durationMs: Date.now() - startedAt,
+            })
+          } else if (!upstream.signal.aborted) {
+            console.error("Chat stream error:", error)
+            failure = error.message || String(error)
+            sendAnnotation({ type: "error", message: failure })
+          }
+        }
+        if (!upstream.signal.aborted) controller.close()
 
-      // Handle regular response
-      const data = await response.json()
-      return NextResponse.json({ content: data.choices[0].message.content })
-    }
+        // Stopped and failed answers count what was generated until then
+        const status = usage ? "ok" : failure ? "error" : blocked ? "blocked" : "aborted"
+        const completionTokens = estimateTokens(outputText)
+        usage ??= {
+          promptTokens: contextUsage.promptTokens,
+          completionTokens,
+          totalTokens: contextUsage.promptTokens + completionTokens,
+        }
+        recordTokens(user.name, usage.totalTokens).catch((error) =>
+          console.error("Error recording token usage:", error),
+        )
+        log.write({
+          status,
+          error: failure,
+          usage,
+          estimated,
+          finishReason,
+          output: outputText,
+          guardrails: outputNotices,
+        })
+      },
+      cancel() {
+        upstream.abort()
+      },
+    })
+
+    return new StreamingTextResponse(output, { headers: responseHeaders })
   } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof GuardrailError) {
+      log?.write({ status: "blocked", error: error.message, guardrails: [error.notice] })
+      return NextResponse.json({ error: error.message, guardrail: error.notice }, { status: 400 })
+    }
+    log?.write({ status: error.name === "AbortError" ? "aborted" : "error", error: error.message || String(error) })
+    if (error instanceof ModelUnavailableError) return NextResponse.json({ error: error.message }, { status: error.status })
+    if (error instanceof UpstreamError) {
+      console.error("Chat upstream error:", error.message)
+      return NextResponse.json({ error: error.message }, { status: 502 })
+    }
+    if (error.name === "AbortError") {
+      // Client went away before the provider answered, nobody is listening for a response
+      return new Response(null, { status: 499 })
+    }
     console.error("Chat API Error:", error)
     return NextResponse.json(
       {
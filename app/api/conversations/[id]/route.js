@@ -0,0 +1,74 @@
+/**
+ * @file route.js
+ * @description Read, replace, rename and delete a single server side conversation of the signed in
+ * user; other users' conversations answer 404
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { ConversationError, toStoredConversation } from "@/lib/storage/conversations"
+import { fileConversationStore } from "@/lib/storage/conversations-file"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+function notFound(id) {
+  return NextResponse.json({ error: `Conversation "${id}" not found` }, { status: 404 })
+}
+
+function failed(action, error) {
+  console.error(`Error ${action} conversation:`, error)
+  return NextResponse.json({ error: error.message || `Failed ${action} conversation` }, { status: 500 })
+}
+
+export async function GET(req, { params }) {
+  try {
+    const user = authenticate(req)
+    const conversation = await fileConversationStore.get(user.name, params.id)
+    return conversation ? NextResponse.json(conversation) : notFound(params.id)
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    return failed("reading", error)
+  }
+}
+
+export async function PUT(req, { params }) {
+  try {
+    const user = authenticate(req)
+    const conversation = toStoredConversation(await req.json().catch(() => null), params.id)
+    const saved = await fileConversationStore.save(user.name, conversation)
+    return saved ? NextResponse.json(saved) : notFound(params.id)
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof ConversationError) return NextResponse.json({ error: error.message }, { status: 400 })
+    return failed("saving", error)
+  }
+}
+
+export async function PATCH(req, { params }) {
+  try {
+    const user = authenticate(req)
+    const body = await req.json().catch(() => null)
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new ConversationError("The changes must be a JSON object")
+    }
+    const { id, messages, ...changes } = body
+    const conversation = await fileConversationStore.update(user.name, params.id, changes)
+    return conversation ? NextResponse.json(conversation) : notFound(params.id)
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof ConversationError) return NextResponse.json({ error: error.message }, { status: 400 })
+    return failed("updating", error)
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    const user = authenticate(req)
+    const removed = await fileConversationStore.remove(user.name, params.id)
+    return removed ? NextResponse.json({ id: params.id, deleted: true }) : notFound(params.id)
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    return failed("deleting", error)
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * @file route.js
+ * @description List and create the signed in user's server side conversations
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { ConversationError, toStoredConversation } from "@/lib/storage/conversations"
+import { fileConversationStore } from "@/lib/storage/conversations-file"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function GET(req) {
+  try {
+    const user = authenticate(req)
+    const query = new URL(req.url).searchParams.get("q") || ""
+    return NextResponse.json(await fileConversationStore.list(user.name, query))
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error listing conversations:", error)
+    return NextResponse.json({ error: error.message || "Failed to list conversations" }, { status: 500 })
+  }
+}
+
+export async function POST(req) {
+  try {
+    const user = authenticate(req)
+    const body = await req.json().catch(() => null)
+    const conversation = toStoredConversation(body, body?.id || crypto.randomUUID())
+    const saved = await fileConversationStore.save(user.name, conversation)
+    if (!saved) return NextResponse.json({ error: `Conversation "${conversation.id}" already exists` }, { status: 409 })
+    return NextResponse.json(saved, { status: 201 })
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof ConversationError) return NextResponse.json({ error: error.message }, { status: 400 })
+    console.error("Error creating conversation:", error)
+    return NextResponse.json({ error: error.message || "Failed to create conversation" }, { status: 500 })
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * @file route.js
+ * @description Remove a document from the local retrieval index
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { removeDocument } from "@/lib/rag/vector-index"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function DELETE(req, { params }) {
+  try {
+    authenticate(req)
+    const removed = await removeDocument(params.id)
+    if (!removed) {
+      return NextResponse.json({ error: `Document "${params.id}" not found` }, { status: 404 })
+    }
+    return NextResponse.json({ id: params.id, deleted: true })
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error deleting document:", error)
+    return NextResponse.json({ error: error.message || "Failed to delete document" }, { status: 500 })
+  }
+}
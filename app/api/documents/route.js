@@ -0,0 +1,50 @@
+/**
+ * @file route.js
+ * @description List and upload documents for the local retrieval index
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { ingestFile, IngestError } from "@/lib/rag/ingest"
+import { listDocuments } from "@/lib/rag/vector-index"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function GET(req) {
+  try {
+    authenticate(req)
+    return NextResponse.json(await listDocuments())
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error listing documents:", error)
+    return NextResponse.json({ error: error.message || "Failed to list documents" }, { status: 500 })
+  }
+}
+
+/**
+ * Upload one or more files as multipart form data under the "files" field
+ */
+export async function POST(req) {
+  try {
+    authenticate(req)
+    const form = await req.formData()
+    const files = form.getAll("files").filter((file) => typeof file !== "string")
+    if (files.length === 0) {
+      return NextResponse.json({ error: 'No files uploaded, send them in the "files" field' }, { status: 400 })
+    }
+
+    const documents = []
+    for (const file of files) {
+      documents.push(await ingestFile(file))
+    }
+    return NextResponse.json(documents, { status: 201 })
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof IngestError) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error("Error ingesting documents:", error)
+    return NextResponse.json({ error: error.message || "Failed to ingest documents" }, { status: 500 })
+  }
+}
@@ -1,25 +1,28 @@
 import { NextResponse } from "next/server"
-import { CONFIG } from "@/config/constants"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { listAllModels } from "@/lib/providers"
 
-export async function GET() {
-  const provider = process.env.NEXT_PUBLIC_DEFAULT_PROVIDER || "ollama"
-  console.log(`Provider=[${provider}]`)
+// Model lists change at runtime (e.g. `ollama pull`), never prerender them
+export const dynamic = "force-dynamic"
+
+// Response header listing the providers that failed (URI encoded JSON) when others answered
+const PROVIDER_ERRORS_HEADER = "X-Provider-Errors"
+
+export async function GET(req) {
   try {
-    if (provider === "ollama") {
-      const response = await fetch(`${CONFIG.API_BASE_URL}/api/tags`)
-      if (!response.ok) throw new Error("Failed to fetch models from Ollama")
-      const data = await response.json()
-      const models = data.models.map((model) => model.name)
-      console.log(JSON.stringify(models))
-      return NextResponse.json(models)
-    } else {
-      // For Cloudflare, return the default models since they don't have a list models endpoint
-      return NextResponse.json(CONFIG.DEFAULT_MODELS)
+    authenticate(req)
+    const { models, errors } = await listAllModels()
+    // An outage is reported as one, not papered over with CONFIG.DEFAULT_MODELS
+    if (models.length === 0) {
+      const summary = errors.map(({ provider, error }) => `${provider}: ${error}`).join("; ")
+      const error = summary ? `No provider is reachable. ${summary}` : "No provider returned any models"
+      return NextResponse.json({ error, providers: errors }, { status: 502 })
     }
+    const headers = errors.length > 0 ? { [PROVIDER_ERRORS_HEADER]: encodeURIComponent(JSON.stringify(errors)) } : {}
+    return NextResponse.json(models, { headers })
   } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
     console.error("Error fetching models:", error)
-    // Return default models if API call fails
-    return NextResponse.json(CONFIG.DEFAULT_MODELS)
+    return NextResponse.json({ error: error.message || "Failed to fetch models" }, { status: 500 })
   }
 }
-
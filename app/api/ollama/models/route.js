@@ -0,0 +1,91 @@
+/**
+ * @file route.js
+ * @description Manage the models of the Ollama server: list them with their metadata and load
+ * status, pull a model with streamed progress and delete one. Pulling and deleting are admin only.
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate, authorizeAdmin } from "@/lib/auth"
+import { isProviderEnabled } from "@/lib/providers"
+import { deleteModel, listLocalModels, listRunningModels, OllamaError, pullModel } from "@/lib/providers/ollama-models"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+/**
+ * @returns {NextResponse | null} - 404 when the Ollama provider is not enabled
+ */
+function ollamaDisabled() {
+  return isProviderEnabled("ollama") ? null : NextResponse.json({ error: "Ollama is not enabled" }, { status: 404 })
+}
+
+/**
+ * @param {Error} error
+ * @param {string} action - For the log, e.g. "listing Ollama models"
+ * @returns {NextResponse}
+ */
+function errorResponse(error, action) {
+  if (error instanceof AccessError) return accessDenied(error)
+  if (error instanceof OllamaError) return NextResponse.json({ error: error.message }, { status: error.status })
+  console.error(`Error ${action}:`, error)
+  return NextResponse.json({ error: error.message || `Failed ${action}` }, { status: 500 })
+}
+
+/**
+ * Returns { models }: the installed models (see listLocalModels) with loaded set to the
+ * /api/ps entry of the models in memory, null for the others
+ */
+export async function GET(req) {
+  try {
+    authenticate(req)
+    const disabled = ollamaDisabled()
+    if (disabled) return disabled
+
+    const [models, running] = await Promise.all([listLocalModels(), listRunningModels()])
+    return NextResponse.json({
+      models: models.map((model) => ({ ...model, loaded: running.find((r) => r.name === model.name) ?? null })),
+    })
+  } catch (error) {
+    return errorResponse(error, "listing Ollama models")
+  }
+}
+
+/**
+ * Pull { name }; answers with Ollama's NDJSON progress lines until the download ends.
+ * Closing the request stops the download.
+ */
+export async function POST(req) {
+  try {
+    authorizeAdmin(req)
+    const disabled = ollamaDisabled()
+    if (disabled) return disabled
+
+    const { name } = await req.json().catch(() => ({}))
+    if (typeof name !== "string" || !name.trim()) {
+      return NextResponse.json({ error: "name is required" }, { status: 400 })
+    }
+    const progress = await pullModel(name.trim(), req.signal)
+    return new Response(progress, { headers: { "Content-Type": "application/x-ndjson", "Cache-Control": "no-cache" } })
+  } catch (error) {
+    if (error.name === "AbortError") return new Response(null, { status: 499 })
+    return errorResponse(error, "pulling Ollama model")
+  }
+}
+
+/**
+ * Delete the model in the name query parameter
+ */
+export async function DELETE(req) {
+  try {
+    authorizeAdmin(req)
+    const disabled = ollamaDisabled()
+    if (disabled) return disabled
+
+    const name = new URL(req.url).searchParams.get("name")
+    if (!name) return NextResponse.json({ error: "name is required" }, { status: 400 })
+    await deleteModel(name)
+    return new Response(null, { status: 204 })
+  } catch (error) {
+    return errorResponse(error, "deleting Ollama model")
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * @file route.js
+ * @description Modelfile, template, parameters and details of one Ollama model (/api/show)
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { isProviderEnabled } from "@/lib/providers"
+import { OllamaError, showModel } from "@/lib/providers/ollama-models"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+/**
+ * Model in the name query parameter
+ */
+export async function GET(req) {
+  try {
+    authenticate(req)
+    if (!isProviderEnabled("ollama")) return NextResponse.json({ error: "Ollama is not enabled" }, { status: 404 })
+
+    const name = new URL(req.url).searchParams.get("name")
+    if (!name) return NextResponse.json({ error: "name is required" }, { status: 400 })
+    return NextResponse.json(await showModel(name))
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof OllamaError) return NextResponse.json({ error: error.message }, { status: error.status })
+    console.error("Error showing Ollama model:", error)
+    return NextResponse.json({ error: error.message || "Failed to show model" }, { status: 500 })
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * @file route.js
+ * @description Chat defaults from the runtime settings (lib/settings.js) for the browser; the rest,
+ * credentials included, is only served to administrators by /api/admin/settings
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { publicSettings } from "@/lib/settings"
+import { getSettings } from "@/lib/storage/settings-file"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+/**
+ * Returns { defaultModel, defaultSystemPrompt, contextInjection, transcription }
+ */
+export async function GET(req) {
+  try {
+    authenticate(req)
+    return NextResponse.json(publicSettings(getSettings()))
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error reading settings:", error)
+    return NextResponse.json({ error: error.message || "Failed to read settings" }, { status: 500 })
+  }
+}
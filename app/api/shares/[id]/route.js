@@ -0,0 +1,52 @@
+/**
+ * @file route.js
+ * @description Read a shared conversation snapshot, or revoke its link
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { isAdmin } from "@/lib/auth/users"
+import { fileShareStore } from "@/lib/storage/shares-file"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+// Revoked and unknown links look the same, so ids cannot be probed
+function notFound() {
+  return NextResponse.json({ error: "This link was revoked or never existed" }, { status: 404 })
+}
+
+/**
+ * The full snapshot, for anybody signed in who has the link
+ */
+export async function GET(req, { params }) {
+  try {
+    authenticate(req)
+    const share = await fileShareStore.get(params.id)
+    return share ? NextResponse.json(share) : notFound()
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error reading share:", error)
+    return NextResponse.json({ error: error.message || "Failed to read share" }, { status: 500 })
+  }
+}
+
+/**
+ * Revoke the link; only its creator and administrators may
+ */
+export async function DELETE(req, { params }) {
+  try {
+    const user = authenticate(req)
+    const share = await fileShareStore.get(params.id)
+    if (!share) return notFound()
+    if (share.createdBy !== user.name && !isAdmin(user)) {
+      throw new AccessError("Only the creator of a link and administrators can revoke it", 403)
+    }
+    await fileShareStore.remove(params.id)
+    return NextResponse.json({ id: params.id, deleted: true })
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error revoking share:", error)
+    return NextResponse.json({ error: error.message || "Failed to revoke share" }, { status: 500 })
+  }
+}
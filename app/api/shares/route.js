@@ -0,0 +1,65 @@
+/**
+ * @file route.js
+ * @description Share a conversation as a read-only snapshot (lib/shares.js) and list the links a user created
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { isAdmin } from "@/lib/auth/users"
+import { MAX_SHARE_BYTES, ShareError, toShareSnapshot, toShareSummary } from "@/lib/shares"
+import { fileShareStore } from "@/lib/storage/shares-file"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+/**
+ * Share summaries, newest first; ?conversationId= limits them to one conversation. Administrators
+ * see every user's shares with ?all=true.
+ */
+export async function GET(req) {
+  try {
+    const user = authenticate(req)
+    const params = new URL(req.url).searchParams
+    const all = params.get("all") === "true" && isAdmin(user)
+    const shares = await fileShareStore.list({
+      createdBy: all ? undefined : user.name,
+      conversationId: params.get("conversationId") ?? undefined,
+    })
+    return NextResponse.json(shares)
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error listing shares:", error)
+    return NextResponse.json({ error: error.message || "Failed to list shares" }, { status: 500 })
+  }
+}
+
+/**
+ * Snapshot { conversation, includeSystemPrompt }; answers with the share summary
+ */
+export async function POST(req) {
+  try {
+    const user = authenticate(req)
+    const tooLarge = () => NextResponse.json({ error: "The conversation is too large to share" }, { status: 413 })
+    // Checked before the body is read when the client declares its size, and again in bytes after
+    if (Number(req.headers.get("content-length")) > MAX_SHARE_BYTES) return tooLarge()
+    const text = await req.text()
+    if (Buffer.byteLength(text) > MAX_SHARE_BYTES) return tooLarge()
+    const body = JSON.parse(text || "{}")
+    if (!body || typeof body !== "object") throw new ShareError("The body must be a JSON object")
+    const { conversation, includeSystemPrompt } = body
+    const share = {
+      id: crypto.randomUUID(),
+      ...toShareSnapshot(conversation, { includeSystemPrompt: Boolean(includeSystemPrompt) }),
+      createdBy: user.name,
+      createdAt: new Date().toISOString(),
+    }
+    return NextResponse.json(toShareSummary(await fileShareStore.save(share)), { status: 201 })
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof ShareError || error instanceof SyntaxError) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error("Error sharing conversation:", error)
+    return NextResponse.json({ error: error.message || "Failed to share conversation" }, { status: 500 })
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * @file route.js
+ * @description Read, replace and delete a single saved workflow pipeline of the signed in user;
+ * other users' workflows answer 404
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { parsePipeline, PipelineError } from "@/lib/workflows/pipeline"
+import { fileWorkflowStore } from "@/lib/storage/workflows-file"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+function notFound(id) {
+  return NextResponse.json({ error: `Workflow "${id}" not found` }, { status: 404 })
+}
+
+function failed(action, error) {
+  console.error(`Error ${action} workflow:`, error)
+  return NextResponse.json({ error: error.message || `Failed ${action} workflow` }, { status: 500 })
+}
+
+export async function GET(req, { params }) {
+  try {
+    const user = authenticate(req)
+    const workflow = await fileWorkflowStore.get(user.name, params.id)
+    return workflow ? NextResponse.json(workflow) : notFound(params.id)
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    return failed("reading", error)
+  }
+}
+
+/**
+ * Replace the definition with { source }
+ */
+export async function PUT(req, { params }) {
+  try {
+    const user = authenticate(req)
+    // A body without a source fails as an empty definition
+    const { source } = (await req.json().catch(() => null)) ?? {}
+    const pipeline = parsePipeline(source)
+    const existing = await fileWorkflowStore.get(user.name, params.id)
+    if (!existing) return notFound(params.id)
+    const workflow = { ...existing, name: pipeline.name, source, updatedAt: new Date().toISOString() }
+    const saved = await fileWorkflowStore.save(user.name, workflow)
+    return saved ? NextResponse.json(saved) : notFound(params.id)
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof PipelineError) return NextResponse.json({ error: error.message }, { status: 400 })
+    return failed("saving", error)
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    const user = authenticate(req)
+    const removed = await fileWorkflowStore.remove(user.name, params.id)
+    return removed ? NextResponse.json({ id: params.id, deleted: true }) : notFound(params.id)
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    return failed("deleting", error)
+  }
+}
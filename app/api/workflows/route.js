@@ -0,0 +1,43 @@
+/**
+ * @file route.js
+ * @description List and create the signed in user's saved workflow pipelines
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate } from "@/lib/auth"
+import { parsePipeline, PipelineError } from "@/lib/workflows/pipeline"
+import { fileWorkflowStore } from "@/lib/storage/workflows-file"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function GET(req) {
+  try {
+    const user = authenticate(req)
+    return NextResponse.json(await fileWorkflowStore.list(user.name))
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    console.error("Error listing workflows:", error)
+    return NextResponse.json({ error: error.message || "Failed to list workflows" }, { status: 500 })
+  }
+}
+
+/**
+ * Create a workflow from { source }, the YAML or JSON definition; it is named after the pipeline
+ */
+export async function POST(req) {
+  try {
+    const user = authenticate(req)
+    // A body without a source fails as an empty definition
+    const { source } = (await req.json().catch(() => null)) ?? {}
+    const pipeline = parsePipeline(source)
+    const now = new Date().toISOString()
+    const workflow = { id: crypto.randomUUID(), name: pipeline.name, source, createdAt: now, updatedAt: now }
+    return NextResponse.json(await fileWorkflowStore.save(user.name, workflow), { status: 201 })
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof PipelineError) return NextResponse.json({ error: error.message }, { status: 400 })
+    console.error("Error creating workflow:", error)
+    return NextResponse.json({ error: error.message || "Failed to create workflow" }, { status: 500 })
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * @file route.js
+ * @description Run a workflow pipeline. POST { id } for a saved workflow or { source } for an
+ * unsaved definition, with { input }. The answer streams newline delimited JSON, one run event
+ * per line (see lib/workflows/run.js) plus { type: "start", name, steps } first and
+ * { type: "error", step, message } when a step fails. With stream: false the answer is the
+ * finished run as JSON. Closing the request stops the run.
+ */
+
+import { NextResponse } from "next/server"
+import { AccessError, accessDenied, authenticate, authorizeChat } from "@/lib/auth"
+import { recordTokens } from "@/lib/auth/quotas"
+import { UpstreamError } from "@/lib/chat/completion"
+import { ModelUnavailableError } from "@/lib/providers"
+import { GuardrailError } from "@/lib/guardrails"
+import { fileWorkflowStore } from "@/lib/storage/workflows-file"
+import { parsePipeline, PipelineError } from "@/lib/workflows/pipeline"
+import { runPipeline } from "@/lib/workflows/run"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+const encoder = new TextEncoder()
+
+/**
+ * Count every model call of a run as one chat request against the rate limits and the daily quota,
+ * and its tokens against the token quota before the next call is checked. The first call is
+ * authorized with the request, so a run that may not start is answered with the error status.
+ * @param {Request} req
+ * @param {{name: string}} user
+ * @returns {{beforeCall: () => Promise<void>, afterCall: (usage: Object) => Promise<void>}}
+ */
+function chargePerCall(req, user) {
+  let calls = 0
+  return {
+    async beforeCall() {
+      if (calls++ > 0) await authorizeChat(req)
+    },
+    async afterCall(usage) {
+      if (usage.totalTokens <= 0) return
+      await recordTokens(user.name, usage.totalTokens).catch((error) =>
+        console.error("Error recording token usage:", error),
+      )
+    },
+  }
+}
+
+export async function POST(req) {
+  try {
+    // Counted against the rate limits and quotas once the workflow is found and parses, see chargePerCall
+    const { name } = authenticate(req)
+    const body = await req.json().catch(() => null)
+    if (!body || typeof body !== "object") {
+      return NextResponse.json({ error: "The body must be a JSON object" }, { status: 400 })
+    }
+    let source = body.source
+    if (body.id) {
+      const workflow = await fileWorkflowStore.get(name, body.id)
+      if (!workflow) return NextResponse.json({ error: `Workflow "${body.id}" not found` }, { status: 404 })
+      source = workflow.source
+    }
+    const pipeline = parsePipeline(source)
+    const input = typeof body.input === "string" ? body.input : ""
+    const user = await authorizeChat(req)
+
+    const upstream = new AbortController()
+    req.signal?.addEventListener("abort", () => upstream.abort())
+
+    if (body.stream === false) {
+      const result = await runPipeline({
+        pipeline,
+        input,
+        user: user.name,
+        signal: upstream.signal,
+        ...chargePerCall(req, user),
+      })
+      return NextResponse.json({ name: pipeline.name, ...result })
+    }
+
+    const output = new ReadableStream({
+      async start(controller) {
+        const send = (event) => {
+          if (!upstream.signal.aborted) controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`))
+        }
+        let currentStep = null
+
+        const steps = pipeline.steps.map(({ id, model, map }) => ({ id, model, map }))
+        send({ type: "start", name: pipeline.name, steps })
+        try {
+          await runPipeline({
+            pipeline,
+            input,
+            user: user.name,
+            signal: upstream.signal,
+            onEvent(event) {
+              if (event.type === "step_start") currentStep = event.step
+              send(event)
+            },
+            ...chargePerCall(req, user),
+          })
+        } catch (error) {
+          if (!upstream.signal.aborted) {
+            if (!(error instanceof AccessError)) console.error("Workflow run error:", error)
+            send({ type: "error", step: currentStep, message: error.message || String(error) })
+          }
+        }
+        if (!upstream.signal.aborted) controller.close()
+      },
+      cancel() {
+        upstream.abort()
+      },
+    })
+
+    return new Response(output, { headers: { "Content-Type": "application/x-ndjson", "Cache-Control": "no-cache" } })
+  } catch (error) {
+    if (error instanceof AccessError) return accessDenied(error)
+    if (error instanceof PipelineError) return NextResponse.json({ error: error.message }, { status: 400 })
+    if (error instanceof GuardrailError) {
+      return NextResponse.json({ error: error.message, guardrail: error.notice }, { status: 400 })
+    }
+    if (error instanceof ModelUnavailableError) return NextResponse.json({ error: error.message }, { status: error.status })
+    if (error instanceof UpstreamError) {
+      console.error("Workflow upstream error:", error.message)
+      return NextResponse.json({ error: error.message }, { status: 502 })
+    }
+    if (error.name === "AbortError") return new Response(null, { status: 499 })
+    console.error("Workflow API Error:", error)
+    return NextResponse.json({ error: error.message || "Failed to run workflow" }, { status: 500 })
+  }
+}
@@ -0,0 +1,245 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import Link from "next/link"
+import { CONFIG } from "@/config/constants"
+import { Button } from "@/components/ui/button"
+import { Slider } from "@/components/ui/slider"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import { ArrowLeft, Columns3, Download, Plus, Square, Trash2, X } from "lucide-react"
+import { useModels } from "@/hooks/use-models"
+import { useSettings } from "@/hooks/use-settings"
+import { useCompare } from "@/hooks/use-compare"
+import { useVotes } from "@/hooks/use-votes"
+import { ModelSelect } from "@/components/chat/model-select"
+import { CompareColumn } from "@/components/compare/compare-column"
+import { downloadFile } from "@/lib/download"
+import { useSession } from "@/hooks/use-session"
+import { UserMenu } from "@/components/auth/user-menu"
+
+const MIN_MODELS = 2
+const MAX_MODELS = 4
+
+const GRID_COLUMNS = { 2: "md:grid-cols-2", 3: "md:grid-cols-3", 4: "md:grid-cols-2 xl:grid-cols-4" }
+
+export default function Compare() {
+  const { models } = useModels()
+  const { settings } = useSettings()
+  const [selected, setSelected] = useState([])
+  const [temperature, setTemperature] = useState(CONFIG.DEFAULT_TEMPERATURE)
+  const [input, setInput] = useState("")
+  // Prompt and settings of the answers on screen, recorded with the vote
+  const [round, setRound] = useState(null)
+  const [roundWinner, setRoundWinner] = useState(null)
+  const [confirmClear, setConfirmClear] = useState(false)
+  const { runs, isRunning, run, stop } = useCompare()
+  const votes = useVotes()
+  const sessionState = useSession()
+
+  // Start with the first two models once they are loaded
+  useEffect(() => {
+    if (models.length > 0 && selected.length === 0) {
+      setSelected(models.slice(0, MIN_MODELS).map((m) => m.id))
+    }
+  }, [models, selected.length])
+
+  const setSelectedAt = (index, id) => setSelected((current) => current.map((value, i) => (i === index ? id : value)))
+
+  const addModel = () => {
+    const unused = models.find((m) => !selected.includes(m.id))
+    setSelected((current) => [...current, unused?.id ?? models[0]?.id ?? ""])
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const prompt = input.trim()
+    if (!prompt || isRunning || selected.some((id) => !id)) return
+    const systemPrompt = settings.defaultSystemPrompt
+    setRound({ prompt, systemPrompt, temperature })
+    setRoundWinner(null)
+    run({
+      models: selected,
+      messages: [{ role: "user", content: prompt }],
+      settings: { temperature, systemPrompt, maxTokens: CONFIG.DEFAULT_MAX_TOKENS },
+    })
+  }
+
+  /**
+   * Record a vote for the answers on screen
+   * @param {string} winner - Model id, "tie" or "all_bad"
+   */
+  const castVote = async (winner) => {
+    try {
+      await votes.save({
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        ...round,
+        winner,
+        responses: runs.map(({ model, content, status, error, stats }) => ({ model, content, status, error, stats })),
+      })
+      setRoundWinner(winner)
+    } catch (error) {
+      console.error("Error saving vote:", error)
+    }
+  }
+
+  const exportVotes = () => {
+    const exportedAt = new Date().toISOString()
+    downloadFile(
+      `compare-votes-${exportedAt.slice(0, 10)}.json`,
+      JSON.stringify({ exportedAt, votes: votes.votes }, null, 2),
+    )
+  }
+
+  const canVote = runs.length > 0 && !isRunning && !roundWinner && runs.some((r) => r.status === "done")
+
+  return (
+    <div className="fixed inset-0 flex flex-col overflow-hidden bg-white">
+      <div className="flex-shrink-0 h-20 px-4 border-b border-gray-200 flex items-center gap-3 p-2">
+        <Link href="/" className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+          <ArrowLeft className="h-4 w-4" />
+          Chat
+        </Link>
+        <Columns3 className="h-5 w-5 text-gray-500" />
+        <h2 className="text-lg font-semibold text-gray-900">Compare Models</h2>
+        <div className="ml-auto flex items-center gap-2">
+          <span className="text-sm text-gray-500">
+            {votes.votes.length} {votes.votes.length === 1 ? "vote" : "votes"}
+          </span>
+          <Button variant="outline" size="sm" onClick={exportVotes} disabled={votes.votes.length === 0}>
+            <Download />
+            Export JSON
+          </Button>
+          <Button variant="ghost" size="sm" onClick={() => setConfirmClear(true)} disabled={votes.votes.length === 0}>
+            <Trash2 />
+            Clear
+          </Button>
+          <UserMenu sessionState={sessionState} />
+        </div>
+      </div>
+
+      {/* Models and settings */}
+      <div className="flex-shrink-0 flex flex-wrap items-end gap-3 border-b border-gray-200 p-4">
+        {selected.map((id, index) => (
+          <div key={index} className="flex items-center gap-1">
+            <ModelSelect
+              models={models}
+              value={id}
+              onValueChange={(value) => setSelectedAt(index, value)}
+              className="w-64"
+            />
+            {selected.length > MIN_MODELS && (
+              <Button
+                variant="ghost"
+                size="icon"
+                title="Remove model"
+                onClick={() => setSelected((current) => current.filter((_, i) => i !== index))}
+                disabled={isRunning}
+              >
+                <X />
+              </Button>
+            )}
+          </div>
+        ))}
+        {selected.length < MAX_MODELS && (
+          <Button variant="outline" onClick={addModel} disabled={isRunning || models.length === 0}>
+            <Plus />
+            Add model
+          </Button>
+        )}
+        <div className="w-48">
+          <label className="block text-sm font-medium text-gray-700">Temperature {temperature}</label>
+          <Slider value={[temperature]} onValueChange={([value]) => setTemperature(value)} max={2} step={0.1} />
+        </div>
+      </div>
+
+      {/* Answers */}
+      <div className="flex-1 min-h-0 overflow-auto p-4">
+        {round && <p className="mb-3 whitespace-pre-wrap text-sm text-gray-700">{round.prompt}</p>}
+        {runs.length > 0 ? (
+          <div className={`grid grid-cols-1 gap-4 ${GRID_COLUMNS[runs.length] ?? ""}`}>
+            {runs.map((r, index) => (
+              <CompareColumn
+                key={index}
+                run={r}
+                isWinner={roundWinner === r.model}
+                onVote={canVote ? () => castVote(r.model) : undefined}
+              />
+            ))}
+          </div>
+        ) : (
+          <p className="text-center text-sm text-gray-500">
+            Pick {MIN_MODELS} to {MAX_MODELS} models and send a prompt to compare their answers side by side.
+          </p>
+        )}
+        {runs.length > 0 && (
+          <div className="mt-4 flex justify-center gap-2">
+            <Button
+              variant={roundWinner === "tie" ? "default" : "outline"}
+              onClick={() => castVote("tie")}
+              disabled={!canVote}
+            >
+              Tie
+            </Button>
+            <Button
+              variant={roundWinner === "all_bad" ? "default" : "outline"}
+              onClick={() => castVote("all_bad")}
+              disabled={!canVote}
+            >
+              All bad
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {/* Prompt */}
+      <form onSubmit={handleSubmit} className="flex-shrink-0 border-t border-gray-200 p-4 flex items-end gap-2">
+        <Textarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && !e.shiftKey) handleSubmit(e)
+          }}
+          placeholder="Prompt to send to every model..."
+          rows={2}
+          className="flex-1 resize-none"
+        />
+        {isRunning ? (
+          <Button type="button" variant="outline" onClick={stop}>
+            <Square className="h-4 w-4 mr-1" />
+            Stop
+          </Button>
+        ) : (
+          <Button type="submit" disabled={!input.trim()}>
+            Send
+          </Button>
+        )}
+      </form>
+
+      <AlertDialog open={confirmClear} onOpenChange={setConfirmClear}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Clear votes?</AlertDialogTitle>
+            <AlertDialogDescription>
+              All {votes.votes.length} recorded votes will be deleted. Export them first to keep a copy.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={() => votes.clear()}>Clear</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  )
+}
@@ -0,0 +1,115 @@
+"use client"
+
+import { Suspense, useState } from "react"
+import { useSearchParams } from "next/navigation"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Card, CardContent } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { AlertCircle, LogIn } from "lucide-react"
+import { responseError } from "@/lib/http"
+
+const METHODS = { password: "Password", token: "Access token" }
+
+function LoginForm() {
+  const searchParams = useSearchParams()
+  const [method, setMethod] = useState("password")
+  const [username, setUsername] = useState("")
+  const [password, setPassword] = useState("")
+  const [token, setToken] = useState("")
+  const [error, setError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Only paths on this site, so the page cannot be used to redirect elsewhere
+  const next = searchParams.get("next")
+  const target = next?.startsWith("/") && !next.startsWith("//") ? next : "/"
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setError(null)
+    try {
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(method === "token" ? { token } : { username, password }),
+      })
+      if (!response.ok) throw await responseError(response)
+      window.location.assign(target)
+    } catch (error) {
+      setError(error.message)
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Card className="w-full max-w-sm shadow-sm">
+      <CardContent className="p-6">
+        <h1 className="mb-4 flex items-center gap-2 text-lg font-semibold text-gray-900">
+          <LogIn className="h-5 w-5 text-gray-500" />
+          Sign in
+        </h1>
+        <div className="mb-4 grid grid-cols-2 gap-1">
+          {Object.entries(METHODS).map(([value, label]) => (
+            <Button
+              key={value}
+              variant={method === value ? "default" : "outline"}
+              size="sm"
+              onClick={() => setMethod(value)}
+            >
+              {label}
+            </Button>
+          ))}
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {method === "password" ? (
+            <>
+              <Input
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username"
+                autoComplete="username"
+                autoFocus
+              />
+              <Input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                autoComplete="current-password"
+              />
+            </>
+          ) : (
+            <Input
+              type="password"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              placeholder="API key"
+              autoFocus
+            />
+          )}
+          {error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          <Button type="submit" className="w-full" disabled={isSubmitting}>
+            Sign in
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default function Login() {
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-gray-50 p-4">
+      {/* useSearchParams needs a Suspense boundary for the page to prerender */}
+      <Suspense>
+        <LoginForm />
+      </Suspense>
+    </div>
+  )
+}
@@ -0,0 +1,189 @@
+"use client"
+
+import { useState } from "react"
+import Link from "next/link"
+import { ArrowLeft, Download, HardDrive, Info, Loader2, RefreshCw, Trash2, X } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Badge } from "@/components/ui/badge"
+import { Progress } from "@/components/ui/progress"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import { useOllamaModels } from "@/hooks/use-ollama-models"
+import { useSession } from "@/hooks/use-session"
+import { UserMenu } from "@/components/auth/user-menu"
+import { ModelDetailsDialog } from "@/components/models/model-details-dialog"
+import { formatBytes } from "@/lib/models"
+
+/**
+ * Load status of a model, e.g. "4.1 GB in VRAM until 14:32"
+ * @param {Object} loaded - /api/ps entry
+ * @returns {string}
+ */
+function describeLoaded(loaded) {
+  const memory = loaded.sizeVram > 0 ? `${formatBytes(loaded.sizeVram)} in VRAM` : `${formatBytes(loaded.size)} in RAM`
+  const until = loaded.expiresAt ? ` until ${new Date(loaded.expiresAt).toLocaleTimeString()}` : ""
+  return `${memory}${until}`
+}
+
+export default function Models() {
+  const { models, loading, error, refresh, pull, pullModel, cancelPull, removeModel, showModel } = useOllamaModels()
+  const sessionState = useSession()
+  const canManage = Boolean(sessionState.session?.admin)
+  const [name, setName] = useState("")
+  const [inspecting, setInspecting] = useState(null)
+  const [confirmDelete, setConfirmDelete] = useState(null)
+
+  const handlePull = (e) => {
+    e.preventDefault()
+    if (!name.trim() || (pull && !pull.error)) return
+    pullModel(name.trim())
+    setName("")
+  }
+
+  const pullPercent = pull?.total ? Math.round(((pull.completed ?? 0) / pull.total) * 100) : null
+
+  return (
+    <div className="fixed inset-0 flex flex-col overflow-hidden bg-white">
+      <div className="flex-shrink-0 h-20 px-4 border-b border-gray-200 flex items-center gap-3 p-2">
+        <Link href="/" className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+          <ArrowLeft className="h-4 w-4" />
+          Chat
+        </Link>
+        <HardDrive className="h-5 w-5 text-gray-500" />
+        <h2 className="text-lg font-semibold text-gray-900">Ollama Models</h2>
+        <div className="ml-auto flex items-center gap-2">
+          <Button variant="ghost" size="sm" onClick={refresh}>
+            <RefreshCw />
+            Refresh
+          </Button>
+          <UserMenu sessionState={sessionState} />
+        </div>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-auto p-4 space-y-4">
+        {canManage && (
+          <div className="max-w-xl space-y-2">
+            <form onSubmit={handlePull} className="flex items-center gap-2">
+              <Input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Model to pull, e.g. llama3.2 or qwen2.5:7b"
+              />
+              <Button type="submit" disabled={!name.trim() || (pull && !pull.error)}>
+                <Download />
+                Pull
+              </Button>
+            </form>
+            {pull && (
+              <div className="space-y-1 text-sm">
+                <div className="flex items-center gap-2">
+                  {!pull.error && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+                  <span className="font-medium text-gray-900">{pull.name}</span>
+                  <span className={pull.error ? "text-red-600" : "text-gray-500"}>{pull.error || pull.status}</span>
+                  {pullPercent !== null && !pull.error && (
+                    <span className="text-gray-500">
+                      {formatBytes(pull.completed ?? 0)} / {formatBytes(pull.total)}
+                    </span>
+                  )}
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="ml-auto"
+                    title={pull.error ? "Dismiss" : "Cancel download"}
+                    onClick={cancelPull}
+                  >
+                    <X />
+                  </Button>
+                </div>
+                {pullPercent !== null && !pull.error && <Progress value={pullPercent} />}
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {loading ? (
+          <Loader2 className="mx-auto h-5 w-5 animate-spin text-gray-400" />
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Family</TableHead>
+                <TableHead>Parameters</TableHead>
+                <TableHead>Quantisation</TableHead>
+                <TableHead className="text-right">Size</TableHead>
+                <TableHead>Modified</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {models.map((model) => (
+                <TableRow key={model.name}>
+                  <TableCell className="font-medium">{model.name}</TableCell>
+                  <TableCell>{model.family || "–"}</TableCell>
+                  <TableCell>{model.parameterSize || "–"}</TableCell>
+                  <TableCell>{model.quantization || "–"}</TableCell>
+                  <TableCell className="text-right">{formatBytes(model.size)}</TableCell>
+                  <TableCell>{model.modifiedAt ? new Date(model.modifiedAt).toLocaleDateString() : "–"}</TableCell>
+                  <TableCell>
+                    {model.loaded ? (
+                      <Badge title={describeLoaded(model.loaded)}>Loaded</Badge>
+                    ) : (
+                      <span className="text-gray-400">Idle</span>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button variant="ghost" size="icon" title="Details" onClick={() => setInspecting(model.name)}>
+                      <Info />
+                    </Button>
+                    {canManage && (
+                      <Button variant="ghost" size="icon" title="Delete" onClick={() => setConfirmDelete(model.name)}>
+                        <Trash2 />
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {models.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-center text-gray-500">
+                    No models installed{canManage ? ", pull one above" : ""}.
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+
+      <ModelDetailsDialog name={inspecting} showModel={showModel} onClose={() => setInspecting(null)} />
+
+      <AlertDialog open={Boolean(confirmDelete)} onOpenChange={(open) => !open && setConfirmDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete {confirmDelete}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The model is removed from the Ollama server and has to be pulled again to be used.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={() => removeModel(confirmDelete)}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  )
+}
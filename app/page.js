@@ -2,124 +2,162 @@
 
 import { useState, useEffect, useRef } from "react"
 import { useChat } from "ai/react"
+import Link from "next/link"
 import { CONFIG } from "@/config/constants"
 import { Button } from "@/components/ui/button"
-import { Input } from "@/components/ui/input"
 import { Slider } from "@/components/ui/slider"
-import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Switch } from "@/components/ui/switch"
 import { Textarea } from "@/components/ui/textarea"
 import { Card, CardContent } from "@/components/ui/card"
-import { Settings, AlertCircle, User, Bot } from "lucide-react"
+import {
+  Settings,
+  AlertCircle,
+  Square,
+  Paperclip,
+  Columns3,
+  HardDrive,
+  BarChart3,
+  Workflow,
+  SlidersHorizontal,
+} from "lucide-react"
 import { Alert, AlertDescription } from "@/components/ui/alert"
-import ReactMarkdown from "react-markdown"
-import remarkGfm from "remark-gfm"
-
-const Message = ({ role, content }) => {
-  const isUser = role === "user"
-  return (
-    <div className={`flex items-start gap-3 ${isUser ? "flex-row-reverse" : ""}`}>
-      <div
-        className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center ${isUser ? "bg-blue-100" : "bg-green-100"
-          }`}
-      >
-        {isUser ? <User className="h-5 w-5 text-blue-600" /> : <Bot className="h-5 w-5 text-green-600" />}
-      </div>
-      <div className={`flex-1 ${isUser ? "text-right" : "text-left"}`}>
-        <p className="font-semibold mb-1 text-sm text-gray-600">{isUser ? "You" : "Assistant"}</p>
-        <div className={`prose prose-sm max-w-none ${isUser ? "ml-auto" : "mr-auto"}`}>
-          <ReactMarkdown
-            remarkPlugins={[remarkGfm]}
-            components={{
-              code({ node, inline, className, children, ...props }) {
-                const match = /language-(\w+)/.exec(className || "")
-                const language = match ? match[1] : ""
-                if (inline) {
-                  return (
-                    <code className="px-1 py-0.5 rounded-md bg-gray-100 dark:bg-gray-800 text-sm" {...props}>
-                      {children}
-                    </code>
-                  )
-                }
-                return (
-                  <div className="relative">
-                    {language && <div className="absolute right-2 top-2 text-xs text-gray-400">{language}</div>}
-                    <pre className="!mt-0 !mb-4 overflow-x-auto rounded-lg bg-gray-100 dark:bg-gray-800 p-4">
-                      <code className="text-sm" {...props}>
-                        {children}
-                      </code>
-                    </pre>
-                  </div>
-                )
-              },
-            }}
-          >
-            {content}
-          </ReactMarkdown>
-        </div>
-      </div>
-    </div>
-  )
-}
+import { parseModelId, supportsVision } from "@/lib/models"
+import { sanitizeParameters } from "@/lib/sampling"
+import { titleFromMessages } from "@/lib/storage/conversations"
+import { useConversations } from "@/hooks/use-conversations"
+import { useModels } from "@/hooks/use-models"
+import { useSettings } from "@/hooks/use-settings"
+import { ConversationSidebar } from "@/components/chat/conversation-sidebar"
+import { MessageActions, MessageEditor } from "@/components/chat/message-actions"
+import { createBranchTree, getSiblings, switchBranch, syncBranchTree } from "@/lib/branches"
+import { KnowledgeBase } from "@/components/chat/knowledge-base"
+import { ContextMeter } from "@/components/chat/context-meter"
+import { estimateMessagesTokens, getContextLimit, getPromptBudget } from "@/lib/context-window"
+import { imageAttachments, readAttachment } from "@/lib/attachments"
+import { AttachmentList } from "@/components/chat/attachments"
+import { Message } from "@/components/chat/message"
+import { splitThinkTags } from "@/lib/reasoning"
+import { errorGuardrail, messageGuardrails } from "@/lib/guardrails"
+import { ModelSelect } from "@/components/chat/model-select"
+import { PromptLibrary, SystemPromptSettings } from "@/components/chat/prompt-library"
+import { GenerationProfiles, SamplingSettings } from "@/components/chat/generation-settings"
+import { SlashPalette } from "@/components/chat/slash-palette"
+import { TemplateVariablesDialog } from "@/components/chat/template-variables-dialog"
+import { usePromptLibrary } from "@/hooks/use-prompt-library"
+import { useGenerationProfiles } from "@/hooks/use-generation-profiles"
+import { useSlashPalette } from "@/hooks/use-slash-palette"
+import { useLocalStorage } from "@/hooks/use-local-storage"
+import { useVoiceChat } from "@/hooks/use-voice-chat"
+import { DictationButton, VoiceSettings, VoiceStatus } from "@/components/chat/voice-controls"
+import { extractVariables, fillTemplate } from "@/lib/prompts"
+import { ExportMenu } from "@/components/chat/export-menu"
+import { ShareDialog } from "@/components/chat/share-dialog"
+import { downloadFile } from "@/lib/download"
+import {
+  conversationToMarkdown,
+  conversationsToJson,
+  conversationsToJsonl,
+  exportFileName,
+  parseConversationExport,
+} from "@/lib/conversation-export"
+import { useSession } from "@/hooks/use-session"
+import { UserMenu } from "@/components/auth/user-menu"
+import { errorMessage, redirectToLogin } from "@/lib/http"
 
 export default function Home() {
   //const [models, setModels] = useState(CONFIG.DEFAULT_MODELS)
   //const [model, setModel] = useState(CONFIG.DEFAULT_MODELS[0])
-  const [models, setModels] = useState([])
+  const { models, error: modelsError, providerErrors } = useModels()
+  // Defaults an administrator set at /admin/settings
+  const { settings, loaded: settingsLoaded } = useSettings()
   const [model, setModel] = useState("")
-  const [modelsLoading, setModelsLoading] = useState(true)
-  const [modelsError, setModelsError] = useState(null)
   const [temperature, setTemperature] = useState(CONFIG.DEFAULT_TEMPERATURE)
-  const [contextWindow, setContextWindow] = useState(CONFIG.DEFAULT_CONTEXT_WINDOW)
+  const [maxTokens, setMaxTokens] = useState(CONFIG.DEFAULT_MAX_TOKENS)
+  // Advanced sampling parameters, see lib/sampling.js, and the generation profile picked for each model
+  const [parameters, setParameters] = useLocalStorage("chat.parameters", {})
+  const [activeProfiles, setActiveProfiles] = useLocalStorage("chat.activeProfiles", {})
+  const generationProfiles = useGenerationProfiles()
+  const [summarizeHistory, setSummarizeHistory] = useState(false)
+  // How the server fitted the previous request into the context window
+  const [contextUsage, setContextUsage] = useState(null)
   const [isStreaming, setIsStreaming] = useState(true)
-  const [systemPrompt, setSystemPrompt] = useState(CONFIG.DEFAULT_SYSTEM_PROMPT)
+  // null until the user edits it, so the administrator's default applies
+  const [storedSystemPrompt, setSystemPrompt] = useLocalStorage("chat.systemPrompt", null)
+  const systemPrompt = storedSystemPrompt ?? settings.defaultSystemPrompt
+  // Preset the system prompt came from and values for its {{variables}}, see lib/prompts.js
+  const [activePresetId, setActivePresetId] = useLocalStorage("chat.activePresetId", null)
+  const [promptVariables, setPromptVariables] = useLocalStorage("chat.promptVariables", {})
+  // Variables asked for before sending, with the message waiting for them
+  const [pendingSend, setPendingSend] = useState(null)
+  const promptLibrary = usePromptLibrary()
   const chatContainerRef = useRef(null)
+  // Id, title and creation time of the open conversation; null until the first exchange is saved
+  const [conversation, setConversation] = useState(null)
+  // Serialized messages last written to the store, so loading a chat does not re-save it
+  const savedMessagesRef = useRef("")
+  // Every edited prompt and regenerated answer of the open conversation, see lib/branches.js
+  const [branchTree, setBranchTree] = useState(createBranchTree)
+  const [editingId, setEditingId] = useState(null)
+  // Per-message extras keyed by message id, e.g. { sources } of an assistant answer
+  const [messageMeta, setMessageMeta] = useState({})
+  const pendingSourcesRef = useRef([])
+  // null follows the contextInjection setting until the user switches it
+  const [retrievalChoice, setUseRetrieval] = useState(null)
+  const useRetrieval = retrievalChoice ?? settings.contextInjection
+  const [useTools, setUseTools] = useState(false)
+  const [keepReasoning, setKeepReasoning] = useState(false)
+  // Files waiting to be sent with the next message, see lib/attachments.js
+  const [attachments, setAttachments] = useState([])
+  const [attachmentError, setAttachmentError] = useState(null)
+  const fileInputRef = useRef(null)
+  const history = useConversations()
+  const sessionState = useSession()
 
+  // Select the default model, or the first one, once models and settings are loaded and no model is selected
   useEffect(() => {
-    const fetchModels = async () => {
-      try {
-        const response = await fetch("/api/models")
-        if (!response.ok) {
-          throw new Error("Failed to fetch models")
-        }
-        const availableModels = await response.json()
-        setModels(availableModels)
-        // Set the first model as default if we have models and no model is selected
-        if (availableModels.length > 0 && !model) {
-          setModel(availableModels[0])
-        }
-        setModelsLoading(false)
-      } catch (error) {
-        console.error("Error fetching models:", error)
-        setModelsError(error.message)
-        setModelsLoading(false)
-        // Fallback to default models if API fails
-        setModels(CONFIG.DEFAULT_MODELS)
-        if (!model) {
-          setModel(CONFIG.DEFAULT_MODELS[0])
-        }
-      }
-    }
+    if (!settingsLoaded || models.length === 0 || model) return
+    setModel(models.find((entry) => entry.id === settings.defaultModel)?.id ?? models[0].id)
+  }, [models, model, settings, settingsLoaded])
 
-    fetchModels()
-  }, [model]) // Include model in dependencies to prevent unnecessary re-fetches when it changes
+  // Only what the selected model's provider supports; Ollama's context length replaces the model's default
+  const requestParameters = sanitizeParameters(parameters, parseModelId(model).provider)
+  const contextLimit = requestParameters.numCtx ?? getContextLimit(model)
 
-  const { messages, input, handleInputChange, handleSubmit, isLoading, error } = useChat({
+  const { messages, setMessages, append, reload, stop, input, setInput, handleInputChange, isLoading, error } = useChat({
     api: "/api/chat",
     initialMessages: [],
+    // Send attachments along with each message; the route keeps only what the provider understands
+    sendExtraMessageFields: true,
     body: {
       model,
       temperature,
-      contextWindow,
-      systemPrompt,
+      maxTokens,
+      parameters: requestParameters,
+      summarizeHistory,
+      systemPrompt: fillTemplate(systemPrompt, promptVariables),
       stream: isStreaming,
+      useRetrieval,
+      useTools,
+      keepReasoning,
     },
     onResponse: (response) => {
+      // The session expired or was revoked; 429s are shown as errors by useChat
+      if (response.status === 401) redirectToLogin()
+      const sources = response.headers.get("X-Chat-Sources")
+      pendingSourcesRef.current = sources ? JSON.parse(decodeURIComponent(sources)) : []
+      const usage = response.headers.get("X-Context-Usage")
+      if (usage) setContextUsage(JSON.parse(usage))
       if (chatContainerRef.current) {
         chatContainerRef.current.scrollTop = chatContainerRef.current.scrollHeight
       }
     },
-    onFinish: () => {
+    onFinish: (message) => {
+      // Today's quota usage in the header
+      sessionState.refresh()
+      const sources = pendingSourcesRef.current
+      if (sources.length > 0) {
+        setMessageMeta((current) => ({ ...current, [message.id]: { ...current[message.id], sources } }))
+      }
       if (chatContainerRef.current) {
         chatContainerRef.current.scrollTop = chatContainerRef.current.scrollHeight
       }
@@ -132,13 +170,258 @@ export default function Home() {
     }
   }, [chatContainerRef])
 
+  // Persist the conversation whenever a response completes
+  useEffect(() => {
+    if (isLoading || messages.length === 0) return
+    const serialized = JSON.stringify([messages, messageMeta])
+    if (serialized === savedMessagesRef.current) return
+    savedMessagesRef.current = serialized
+
+    const tree = syncBranchTree(branchTree, messages)
+    setBranchTree(tree)
+
+    const now = new Date().toISOString()
+    const meta = conversation ?? { id: crypto.randomUUID(), title: titleFromMessages(messages), createdAt: now }
+    if (!conversation) setConversation(meta)
+    history
+      .save({ ...meta, model, temperature, systemPrompt, messages, messageMeta, branches: tree, updatedAt: now })
+      .catch((error) => console.error("Error saving conversation:", error))
+  }, [messages, messageMeta, isLoading]) // Settings are saved along with the next exchange, not on every change
+
+  const startNewConversation = () => {
+    savedMessagesRef.current = ""
+    setConversation(null)
+    setBranchTree(createBranchTree())
+    setMessageMeta({})
+    setEditingId(null)
+    setMessages([])
+  }
+
+  const openConversation = async (id) => {
+    try {
+      const saved = await history.load(id)
+      if (!saved) return
+      savedMessagesRef.current = JSON.stringify([saved.messages, saved.messageMeta ?? {}])
+      setConversation({ id: saved.id, title: saved.title, createdAt: saved.createdAt })
+      setBranchTree(saved.branches ?? syncBranchTree(createBranchTree(), saved.messages))
+      setMessageMeta(saved.messageMeta ?? {})
+      setEditingId(null)
+      setMessages(saved.messages)
+      if (saved.model) setModel(saved.model)
+      if (saved.temperature !== undefined) setTemperature(saved.temperature)
+      if (saved.systemPrompt !== undefined) setSystemPrompt(saved.systemPrompt)
+    } catch (error) {
+      console.error("Error loading conversation:", error)
+    }
+  }
+
+  // /?conversation=<id> opens a saved chat, e.g. one forked from a shared link
+  useEffect(() => {
+    const id = new URLSearchParams(window.location.search).get("conversation")
+    if (!id) return
+    window.history.replaceState(null, "", window.location.pathname)
+    openConversation(id)
+  }, []) // Only the address the page was opened with
+
+  /**
+   * Download conversations in one file
+   * @param {Object[]} conversations - Full conversations
+   * @param {"markdown" | "json" | "jsonl"} format
+   * @param {string} name - Used for the file name
+   */
+  const downloadConversations = (conversations, format, name) => {
+    if (format === "markdown") {
+      const markdown = conversations.map(conversationToMarkdown).join("\n---\n\n")
+      downloadFile(exportFileName(name, "md"), markdown, "text/markdown")
+    } else if (format === "jsonl") {
+      downloadFile(exportFileName(name, "jsonl"), conversationsToJsonl(conversations), "application/jsonl")
+    } else {
+      downloadFile(exportFileName(name, "json"), conversationsToJson(conversations))
+    }
+  }
+
+  // The open chat as it would be saved, including settings changed since the last exchange
+  const currentConversation = () => {
+    const now = new Date().toISOString()
+    return {
+      ...(conversation ?? { id: crypto.randomUUID(), title: titleFromMessages(messages), createdAt: now }),
+      model,
+      temperature,
+      systemPrompt,
+      messages,
+      messageMeta,
+      branches: syncBranchTree(branchTree, messages),
+      updatedAt: now,
+    }
+  }
+
+  const exportConversation = (format) => {
+    const current = currentConversation()
+    downloadConversations([current], format, current.title)
+  }
+
+  const exportAllConversations = async (format) => {
+    const conversations = await history.loadAll()
+    if (conversations.length === 0) throw new Error("There are no saved chats to export")
+    downloadConversations(conversations, format, `chats-${new Date().toISOString().slice(0, 10)}`)
+  }
+
+  const importConversations = async (file) => {
+    const imported = parseConversationExport(await file.text())
+    await history.importConversations(imported)
+    // A single chat is opened so it can be continued
+    if (imported.length === 1) await openConversation(imported[0].id)
+  }
+
+  const renameConversation = async (id, title) => {
+    if (conversation?.id === id) setConversation({ ...conversation, title })
+    await history.rename(id, title)
+  }
+
+  const deleteConversation = async (id) => {
+    if (conversation?.id === id) startNewConversation()
+    await history.remove(id)
+  }
+
+  // Replace a prompt with an edited copy; the original stays in the tree as a sibling branch
+  const resendEditedMessage = (index, content) => {
+    setEditingId(null)
+    const { attachments } = messages[index]
+    setMessages(messages.slice(0, index))
+    append({ role: "user", content, ...(attachments?.length > 0 && { attachments }) })
+  }
+
+  const showSiblingBranch = (id, offset) => {
+    const siblings = getSiblings(branchTree, id)
+    const target = siblings[siblings.indexOf(id) + offset]
+    if (!target) return
+    const { tree, messages: path } = switchBranch(branchTree, target)
+    setBranchTree(tree)
+    setMessages(path)
+  }
+
+  const addAttachments = async (files) => {
+    setAttachmentError(null)
+    for (const file of files) {
+      try {
+        const attachment = await readAttachment(file)
+        setAttachments((current) => [...current, attachment])
+      } catch (error) {
+        setAttachmentError(error.message)
+      }
+    }
+  }
+
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData.files)
+    if (files.length > 0) {
+      e.preventDefault()
+      addAttachments(files)
+    }
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    if (!isLoading) addAttachments(Array.from(e.dataTransfer.files))
+  }
+
+  const applyPreset = (preset) => {
+    setActivePresetId(preset?.id ?? null)
+    if (!preset) return
+    setSystemPrompt(preset.systemPrompt)
+    if (preset.model) setModel(preset.model)
+    if (typeof preset.temperature === "number") setTemperature(preset.temperature)
+  }
+
+  const loadProfile = (profile) => {
+    setTemperature(profile.temperature)
+    setMaxTokens(profile.maxTokens)
+    setParameters(profile.parameters ?? {})
+  }
+
+  /**
+   * Use a generation profile's settings and remember it for the selected model
+   * @param {Object | null} profile - null to keep the current settings as custom ones
+   */
+  const applyProfile = (profile) => {
+    setActiveProfiles({ ...activeProfiles, [model]: profile?.id ?? null })
+    if (profile) loadProfile(profile)
+  }
+
+  // Switching models brings back the profile last used with the new one
+  const selectModel = (id) => {
+    setModel(id)
+    const profile = generationProfiles.profiles.find((profile) => profile.id === activeProfiles[id])
+    if (profile) loadProfile(profile)
+  }
+
+  const slashPalette = useSlashPalette({
+    input,
+    snippets: promptLibrary.snippets,
+    onInsert: (snippet) => setInput(snippet.content),
+  })
+
+  // Values override the stored system prompt variables; the hook body has not re-rendered with them yet
+  const sendMessage = (content, values) => {
+    append(
+      { role: "user", content: fillTemplate(content, values), ...(attachments.length > 0 && { attachments }) },
+      { options: { body: { systemPrompt: fillTemplate(systemPrompt, values) } } },
+    )
+    setInput("")
+    setAttachments([])
+    setAttachmentError(null)
+  }
+
   const handleFormSubmit = (e) => {
     e.preventDefault()
-    handleSubmit(e)
+    if (!input.trim() && attachments.length === 0) return
+    // System prompt variables without a value and every variable of the message are asked for first
+    const missing = [
+      ...extractVariables(systemPrompt).filter((name) => !promptVariables[name]),
+      ...extractVariables(input),
+    ]
+    if (missing.length > 0) {
+      setPendingSend({ names: [...new Set(missing)], content: input })
+      return
+    }
+    sendMessage(input, promptVariables)
+  }
+
+  const submitVariables = (values) => {
+    const systemNames = extractVariables(systemPrompt)
+    const systemValues = Object.fromEntries(Object.entries(values).filter(([name]) => systemNames.includes(name)))
+    setPromptVariables((current) => ({ ...current, ...systemValues }))
+    sendMessage(pendingSend.content, { ...promptVariables, ...values })
+    setPendingSend(null)
   }
 
+  const voiceChat = useVoiceChat({
+    messages,
+    isLoading,
+    transcriptionAvailable: settings.transcription,
+    // Hands-free messages are sent as spoken; dictation otherwise goes into the composer
+    onTranscript: (text, { send }) => {
+      if (send) sendMessage(text, promptVariables)
+      else setInput((current) => (current.trim() ? `${current.trimEnd()} ${text}` : text))
+    },
+  })
+
   return (
     <div className="fixed inset-0 flex overflow-hidden">
+      {/* Saved chats */}
+      <ConversationSidebar
+        conversations={history.conversations}
+        activeId={conversation?.id}
+        query={history.query}
+        onQueryChange={history.setQuery}
+        onNew={startNewConversation}
+        onSelect={openConversation}
+        onRename={renameConversation}
+        onDelete={deleteConversation}
+        onImport={importConversations}
+        onExportAll={exportAllConversations}
+      />
+
       {/* Sidebar */}
       <div className="w-84 flex flex-col flex-shrink-0 border-r border-gray-200 bg-white">
         <div className="flex-shrink-0 h-20 px-4 border-b border-gray-200 flex items-center p-2">
@@ -149,18 +432,13 @@ export default function Home() {
         <div className="flex-1 overflow-y-auto p-4 space-y-4">
           <div>
             <label className="block text-sm font-medium text-gray-700">Model</label>
-            <Select value={model} onValueChange={setModel}>
-              <SelectTrigger className="w-full">
-                <SelectValue placeholder="Select a model" />
-              </SelectTrigger>
-              <SelectContent>
-                {models.map((m) => (
-                  <SelectItem key={m} value={m}>
-                    {m}
-                  </SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
+            <ModelSelect models={models} value={model} onValueChange={selectModel} />
+            {modelsError && <p className="mt-1 text-xs text-red-600">{modelsError}</p>}
+            {providerErrors.map(({ provider, error }) => (
+              <p key={provider} className="mt-1 text-xs text-amber-600">
+                {provider} is unavailable: {error}
+              </p>
+            ))}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700">Temperature</label>
@@ -168,29 +446,69 @@ export default function Home() {
             <span className="text-sm text-gray-500">{temperature}</span>
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700">Context Window</label>
+            <label className="block text-sm font-medium text-gray-700">Max Output Tokens</label>
             <Slider
-              value={[contextWindow]}
-              onValueChange={([value]) => setContextWindow(value)}
+              value={[maxTokens]}
+              onValueChange={([value]) => setMaxTokens(value)}
               max={8192}
-              step={512}
-              min={512}
+              step={256}
+              min={256}
             />
-            <span className="text-sm text-gray-500">{contextWindow}</span>
+            <span className="text-sm text-gray-500">
+              {maxTokens} of {contextLimit.toLocaleString()} context
+            </span>
+          </div>
+          <GenerationProfiles
+            profiles={generationProfiles}
+            model={model}
+            activeProfileId={activeProfiles[model] ?? null}
+            onProfileChange={applyProfile}
+            settings={{ temperature, maxTokens, parameters: requestParameters }}
+          />
+          <SamplingSettings
+            providerId={parseModelId(model).provider}
+            parameters={parameters}
+            onChange={setParameters}
+            resetKey={`${model}:${activeProfiles[model] ?? ""}`}
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Summarise Trimmed History</label>
+            <Switch checked={summarizeHistory} onCheckedChange={setSummarizeHistory} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700">Stream Responses</label>
             <Switch checked={isStreaming} onCheckedChange={setIsStreaming} />
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700">System Prompt</label>
-            <Textarea value={systemPrompt} onChange={(e) => setSystemPrompt(e.target.value)} rows={3} />
+            <label className="block text-sm font-medium text-gray-700">Use Tools</label>
+            <Switch checked={useTools} onCheckedChange={setUseTools} />
           </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Keep Reasoning in History</label>
+            <Switch checked={keepReasoning} onCheckedChange={setKeepReasoning} />
+          </div>
+          <SystemPromptSettings
+            library={promptLibrary}
+            activePresetId={activePresetId}
+            systemPrompt={systemPrompt}
+            variables={promptVariables}
+            onSystemPromptChange={setSystemPrompt}
+            onVariablesChange={setPromptVariables}
+            onPresetChange={applyPreset}
+            settings={{ model, temperature }}
+          />
+          <PromptLibrary library={promptLibrary} />
+          <KnowledgeBase enabled={useRetrieval} onEnabledChange={setUseRetrieval} />
+          <VoiceSettings voiceChat={voiceChat} transcriptionAvailable={settings.transcription} />
         </div>
       </div>
 
       {/* Main content */}
-      <div className="flex-1 flex flex-col min-w-0 overflow-hidden">
+      <div
+        className="flex-1 flex flex-col min-w-0 overflow-hidden"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleDrop}
+      >
         {/* This wrapper is key for proper scrolling */}
         <div className="flex-1 relative z-0 flex overflow-hidden">
           <main className="flex-1 flex overflow-hidden">
@@ -201,44 +519,193 @@ export default function Home() {
 
               <div className="flex-shrink-0 h-20 px-4 border-b border-gray-200 flex items-center p-2">
                 
-                <h2 className="text-lg font-semibold text-gray-900">GenAI Chat Assistant</h2>
+                <h2 className="text-lg font-semibold text-gray-900 truncate">
+                  {conversation?.title || "GenAI Chat Assistant"}
+                </h2>
+                <div className="ml-auto flex flex-shrink-0 items-center gap-3">
+                  <ShareDialog
+                    conversationId={conversation?.id ?? null}
+                    getConversation={currentConversation}
+                    disabled={messages.length === 0 || isLoading}
+                  />
+                  <ExportMenu onExport={exportConversation} disabled={messages.length === 0 || isLoading} />
+                  <Link href="/compare" className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+                    <Columns3 className="h-4 w-4" />
+                    Compare models
+                  </Link>
+                  <Link href="/models" className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+                    <HardDrive className="h-4 w-4" />
+                    Models
+                  </Link>
+                  <Link href="/workflows" className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+                    <Workflow className="h-4 w-4" />
+                    Workflows
+                  </Link>
+                  {sessionState.session?.admin && (
+                    <Link
+                      href="/admin/usage"
+                      className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900"
+                    >
+                      <BarChart3 className="h-4 w-4" />
+                      Usage
+                    </Link>
+                  )}
+                  {sessionState.session?.admin && (
+                    <Link
+                      href="/admin/settings"
+                      className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900"
+                    >
+                      <SlidersHorizontal className="h-4 w-4" />
+                      Settings
+                    </Link>
+                  )}
+                  <UserMenu sessionState={sessionState} />
+                </div>
               </div>
 
               {/* Scrollable messages area */}
-              <div className="relative mb-[62px] max-h-[calc(100vh-120px)] overflow-auto">
+              <div className="relative flex-1 min-h-0 overflow-auto">
                 {error && (
                   <Alert variant="destructive" className="m-4">
                     <AlertCircle className="h-4 w-4" />
-                    <AlertDescription>{error.message}</AlertDescription>
+                    <AlertDescription>{errorMessage(error.message)}</AlertDescription>
                   </Alert>
                 )}
 
                 <div ref={chatContainerRef} className="p-4 space-y-4">
-                  {messages.map((message, index) => (
-                    <Card key={index} className="shadow-sm">
-                      <CardContent className="p-4">
-                        <Message role={message.role} content={message.content} />
-                      </CardContent>
-                    </Card>
-                  ))}
+                  {messages.map((message, index) => {
+                    const siblings = getSiblings(branchTree, message.id)
+                    const isLast = index === messages.length - 1
+                    // Guardrail notices of a prompt arrive on its answer, or as the error when it was refused
+                    const refused = isLast && error ? errorGuardrail(error.message) : null
+                    const guardrails = refused ? [refused] : messageGuardrails(messages[index + 1]?.annotations, "input")
+                    return (
+                      <Card key={message.id ?? index} className="shadow-sm">
+                        <CardContent className="p-4">
+                          {editingId === message.id ? (
+                            <MessageEditor
+                              content={message.content}
+                              onSubmit={(content) => resendEditedMessage(index, content)}
+                              onCancel={() => setEditingId(null)}
+                            />
+                          ) : (
+                            <Message
+                              role={message.role}
+                              content={message.content}
+                              attachments={message.attachments}
+                              annotations={message.annotations}
+                              guardrails={guardrails}
+                              streaming={isLoading && isLast}
+                              footer={
+                                <MessageActions
+                                  isUser={message.role === "user"}
+                                  branchIndex={Math.max(siblings.indexOf(message.id), 0)}
+                                  branchCount={siblings.length}
+                                  onSwitchBranch={(offset) => showSiblingBranch(message.id, offset)}
+                                  onEdit={message.role === "user" ? () => setEditingId(message.id) : undefined}
+                                  onRegenerate={message.role === "assistant" && isLast ? () => reload() : undefined}
+                                  onSpeak={
+                                    message.role === "assistant" && voiceChat.speech.supported
+                                      ? () => voiceChat.speech.speak(splitThinkTags(message.content).content)
+                                      : undefined
+                                  }
+                                  copyText={
+                                    message.role === "assistant"
+                                      ? splitThinkTags(message.content).content
+                                      : message.content
+                                  }
+                                  disabled={isLoading}
+                                />
+                              }
+                              sources={messageMeta[message.id]?.sources}
+                            />
+                          )}
+                        </CardContent>
+                      </Card>
+                    )
+                  })}
                 </div>
               </div>
 
               {/* Fixed Input at bottom */}
-              <div className="absolute bottom-0 left-0 right-0 bg-white border-t border-gray-200">
-                <div className="px-4 py-3">
-                  <form onSubmit={handleFormSubmit} className="flex items-center gap-2">
-                    <Input
-                      type="text"
+              <div className="relative flex-shrink-0 bg-white border-t border-gray-200">
+                <SlashPalette palette={slashPalette} />
+                <div className="px-4 py-3 space-y-2">
+                  <AttachmentList
+                    attachments={attachments}
+                    onRemove={(id) => setAttachments((current) => current.filter((attachment) => attachment.id !== id))}
+                  />
+                  {attachmentError && <p className="text-xs text-red-600">{attachmentError}</p>}
+                  <VoiceStatus
+                    dictation={voiceChat.dictation}
+                    speech={voiceChat.speech}
+                    handsFree={voiceChat.handsFree}
+                    onEndHandsFree={() => voiceChat.setHandsFree(false)}
+                  />
+                  {imageAttachments(attachments).length > 0 && !supportsVision(model) && (
+                    <p className="text-xs text-amber-600">
+                      The selected model has no vision support, images will be omitted.
+                    </p>
+                  )}
+                  <form onSubmit={handleFormSubmit} className="flex items-end gap-2">
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      multiple
+                      className="hidden"
+                      onChange={(e) => {
+                        addAttachments(Array.from(e.target.files))
+                        e.target.value = ""
+                      }}
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      title="Attach images or text files"
+                      disabled={isLoading}
+                      onClick={() => fileInputRef.current?.click()}
+                    >
+                      <Paperclip className="h-4 w-4" />
+                    </Button>
+                    <DictationButton dictation={voiceChat.dictation} disabled={isLoading || voiceChat.handsFree} />
+                    <Textarea
                       value={input}
                       onChange={handleInputChange}
-                      placeholder={isLoading ? "Waiting for response..." : "Type your message..."}
+                      onPaste={handlePaste}
+                      onKeyDown={(e) => {
+                        if (slashPalette.onKeyDown(e)) return
+                        // Enter sends, Shift+Enter adds a line
+                        if (e.key === "Enter" && !e.shiftKey && !e.nativeEvent.isComposing) {
+                          e.preventDefault()
+                          e.currentTarget.form.requestSubmit()
+                        }
+                      }}
+                      placeholder={
+                        isLoading ? "Waiting for response..." : "Type a message or / for snippets, drop files..."
+                      }
                       disabled={isLoading}
-                      className="flex-1"
+                      rows={1}
+                      className="flex-1 min-h-[40px] max-h-40 resize-none"
                     />
-                    <Button type="submit" disabled={isLoading}>
-                      Send
-                    </Button>
+                    <ContextMeter
+                      used={estimateMessagesTokens([
+                        { content: fillTemplate(systemPrompt, promptVariables) },
+                        ...messages,
+                        { content: input, attachments },
+                      ])}
+                      available={getPromptBudget(contextLimit, maxTokens)}
+                      lastUsage={contextUsage}
+                      summarize={summarizeHistory}
+                    />
+                    {isLoading ? (
+                      <Button type="button" variant="outline" onClick={stop}>
+                        <Square className="h-4 w-4" />
+                        Stop
+                      </Button>
+                    ) : (
+                      <Button type="submit">Send</Button>
+                    )}
                   </form>
                 </div>
               </div>
@@ -246,6 +713,13 @@ export default function Home() {
           </main>
         </div>
       </div>
+
+      <TemplateVariablesDialog
+        names={pendingSend?.names ?? null}
+        initialValues={promptVariables}
+        onSubmit={submitVariables}
+        onCancel={() => setPendingSend(null)}
+      />
     </div>
   )
 
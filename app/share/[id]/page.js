@@ -0,0 +1,106 @@
+"use client"
+
+import { useState } from "react"
+import Link from "next/link"
+import { useRouter } from "next/navigation"
+import { ArrowLeft, GitFork, Loader2, Share2, Trash2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { Message } from "@/components/chat/message"
+import { UserMenu } from "@/components/auth/user-menu"
+import { useConversations } from "@/hooks/use-conversations"
+import { useSession } from "@/hooks/use-session"
+import { useShare } from "@/hooks/use-share"
+import { forkConversation } from "@/lib/shares"
+import { messageGuardrails } from "@/lib/guardrails"
+
+export default function SharedConversation({ params }) {
+  const { share, loading, error, revoke } = useShare(params.id)
+  const history = useConversations()
+  const sessionState = useSession()
+  const router = useRouter()
+  const [forking, setForking] = useState(false)
+  const [forkError, setForkError] = useState(null)
+
+  const { session } = sessionState
+  const canRevoke = Boolean(share && session && (session.user === share.createdBy || session.admin))
+
+  // The copy goes to the viewer's own history and opens in the chat
+  const fork = async () => {
+    setForking(true)
+    setForkError(null)
+    try {
+      const conversation = forkConversation(share)
+      await history.importConversations([conversation])
+      router.push(`/?conversation=${conversation.id}`)
+    } catch (error) {
+      setForkError(error.message)
+      setForking(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 flex flex-col overflow-hidden bg-white">
+      <div className="flex-shrink-0 h-20 px-4 border-b border-gray-200 flex items-center gap-3 p-2">
+        <Link href="/" className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+          <ArrowLeft className="h-4 w-4" />
+          Chat
+        </Link>
+        <Share2 className="h-5 w-5 text-gray-500" />
+        <h2 className="text-lg font-semibold text-gray-900 truncate">{share?.title ?? "Shared chat"}</h2>
+        <div className="ml-auto flex flex-shrink-0 items-center gap-2">
+          {share && (
+            <Button size="sm" onClick={fork} disabled={forking}>
+              {forking ? <Loader2 className="animate-spin" /> : <GitFork />}
+              Continue in a new chat
+            </Button>
+          )}
+          {canRevoke && (
+            <Button variant="ghost" size="sm" onClick={revoke}>
+              <Trash2 />
+              Revoke link
+            </Button>
+          )}
+          <UserMenu sessionState={sessionState} />
+        </div>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-auto">
+        {loading && <Loader2 className="mx-auto mt-4 h-5 w-5 animate-spin text-gray-400" />}
+        {error && <p className="p-4 text-sm text-red-600">{error}</p>}
+        {forkError && <p className="p-4 text-sm text-red-600">{forkError}</p>}
+
+        {share && (
+          <div className="p-4 space-y-4">
+            <p className="text-xs text-gray-500">
+              Shared by {share.createdBy} on {new Date(share.createdAt).toLocaleString()}
+              {share.model ? ` · ${share.model}` : ""} · read-only
+            </p>
+            {share.systemPrompt && (
+              <Card className="shadow-sm bg-gray-50">
+                <CardContent className="p-4">
+                  <p className="font-semibold mb-1 text-sm text-gray-600">System</p>
+                  <p className="whitespace-pre-wrap text-sm text-gray-700">{share.systemPrompt}</p>
+                </CardContent>
+              </Card>
+            )}
+            {share.messages.map((message, index) => (
+              <Card key={message.id} className="shadow-sm">
+                <CardContent className="p-4">
+                  <Message
+                    role={message.role}
+                    content={message.content}
+                    attachments={message.attachments}
+                    annotations={message.annotations}
+                    guardrails={messageGuardrails(share.messages[index + 1]?.annotations, "input")}
+                    sources={share.messageMeta[message.id]?.sources}
+                  />
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
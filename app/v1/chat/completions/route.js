@@ -0,0 +1,294 @@
+/**
+ * @file route.js
+ * @description OpenAI-compatible chat completions, so OpenAI clients (curl scripts, editor plugins,
+ * LangChain) can use the app as a gateway. Requests go through the same provider routing, context
+ * injection, system prompt default, auth, rate limits and quotas as /api/chat.
+ *
+ * Accepts the standard request body (model, messages, stream, stream_options, temperature,
+ * max_tokens / max_completion_tokens, top_p, frequency_penalty, presence_penalty, seed, stop,
+ * response_format) plus the optional extensions top_k, repeat_penalty, num_ctx, use_retrieval,
+ * summarize_history and allow_fallback. Sampling fields the provider does not support are dropped.
+ * model is a qualified id from /v1/models. Tools are not forwarded.
+ *
+ * Answers with a chat.completion object, or with chat.completion.chunk SSE events ending in
+ * "data: [DONE]" when stream is true. Reasoning is returned as reasoning_content. model in the
+ * answer is the model that answered, a CONFIG.FALLBACK_MODELS entry when the requested model
+ * failed (see lib/chat/fallback.js); send allow_fallback: false to turn that off. Every request is
+ * recorded in the completion log, see lib/logging/completion-log.js.
+ *
+ * The provider's guardrails (lib/guardrails.js) apply as in /api/chat: a refused prompt is a 400
+ * with code "content_policy_violation", an answer a guardrail stopped ends with finish_reason
+ * "content_filter". Reasoning is checked as well, without the answer's length limit. Masked text
+ * is returned masked; the notices themselves are not returned.
+ */
+
+import { NextResponse } from "next/server"
+import { CONFIG } from "@/config/constants"
+import { estimateTokens } from "@/lib/context-window"
+import { runChatCompletion, UpstreamError } from "@/lib/chat/completion"
+import { openChatWithFallback } from "@/lib/chat/fallback"
+import { ModelUnavailableError, resolveChatModel } from "@/lib/providers"
+import { createOutputGuard, GuardrailError } from "@/lib/guardrails"
+import { fromOpenAIParameters } from "@/lib/sampling"
+import {
+  encodeSseEvent,
+  fromOpenAIMessages,
+  openAIError,
+  OpenAIRequestError,
+  toOpenAIUsage,
+} from "@/lib/chat/openai-api"
+import { AccessError, authenticate, authorizeChat } from "@/lib/auth"
+import { recordTokens } from "@/lib/auth/quotas"
+import { createCompletionLog } from "@/lib/logging/completion-log"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function POST(req) {
+  let log = null
+  try {
+    // Requests are validated before they count against the rate limits and the daily quota
+    authenticate(req)
+    const body = await req.json().catch(() => null)
+    if (typeof body?.model !== "string" || !Array.isArray(body.messages)) {
+      throw new OpenAIRequestError("model and messages are required")
+    }
+    const { systemPrompt, messages } = fromOpenAIMessages(body.messages)
+    resolveChatModel(body.model)
+    const user = await authorizeChat(req)
+
+    const maxTokens = body.max_completion_tokens ?? body.max_tokens ?? CONFIG.DEFAULT_MAX_TOKENS
+    const stream = Boolean(body.stream)
+    log = createCompletionLog({ route: "/v1/chat/completions", user: user.name, model: body.model, stream, messages })
+
+    // Abort the provider request when the client disconnects
+    const upstream = new AbortController()
+    req.signal?.addEventListener("abort", () => upstream.abort())
+    // Aborts it when a guardrail stops the answer
+    const stopped = new AbortController()
+
+    const opened = await openChatWithFallback({
+      model: body.model,
+      allowFallback: body.allow_fallback,
+      prompt: {
+        messages,
+        systemPrompt,
+        maxTokens,
+        useRetrieval: body.use_retrieval,
+        summarizeHistory: body.summarize_history,
+      },
+      request: {
+        stream,
+        temperature: body.temperature ?? CONFIG.DEFAULT_TEMPERATURE,
+        maxTokens,
+        parameters: fromOpenAIParameters(body),
+        signal: AbortSignal.any([upstream.signal, stopped.signal]),
+      },
+    })
+    const { request, contextUsage } = opened
+    log.opened(opened)
+
+    const id = `chatcmpl-${crypto.randomUUID()}`
+    const created = Math.floor(Date.now() / 1000)
+    // Answer and reasoning text, for estimating the completion tokens
+    let outputText = ""
+    // Not every server reports usage; fall back to the estimates used for the context window
+    const finalUsage = (usage) => {
+      const completionTokens = estimateTokens(outputText)
+      return (
+        usage ?? {
+          promptTokens: contextUsage.promptTokens,
+          completionTokens,
+          totalTokens: contextUsage.promptTokens + completionTokens,
+        }
+      )
+    }
+    const record = (usage) =>
+      recordTokens(user.name, usage.totalTokens).catch((error) => console.error("Error recording token usage:", error))
+
+    const outputGuard = createOutputGuard(opened.guardrails.policy)
+    const reasoningGuard = createOutputGuard(opened.guardrails.policy, { maxLength: 0 })
+    const outputNotices = []
+    // Pass the text the guardrails released to emit; stops the answer when a rule blocked it
+    const guardOutput = ({ text, notices, blocked }, emit) => {
+      if (text) emit(text)
+      outputNotices.push(...notices)
+      if (blocked) {
+        outputNotices.push(blocked)
+        stopped.abort()
+        throw new GuardrailError(blocked)
+      }
+    }
+
+    if (!stream) {
+      let content = ""
+      let reasoning = ""
+      const emit = (text) => {
+        content += text
+      }
+      const emitReasoning = (text) => {
+        reasoning += text
+      }
+      let result = { finishReason: null, usage: null }
+      let blocked = false
+      try {
+        result = await runChatCompletion({
+          ...request,
+          events: opened.events,
+          onEvent(event) {
+            if (event.type === "text") {
+              outputText += event.text
+              if (outputGuard) guardOutput(outputGuard.push(event.text), emit)
+              else emit(event.text)
+            } else if (event.type === "reasoning") {
+              outputText += event.text
+              if (reasoningGuard) guardOutput(reasoningGuard.push(event.text), emitReasoning)
+              else emitReasoning(event.text)
+            }
+          },
+        })
+        if (reasoningGuard) guardOutput(reasoningGuard.end(), emitReasoning)
+        if (outputGuard) guardOutput(outputGuard.end(), emit)
+      } catch (error) {
+        if (!(error instanceof GuardrailError)) throw error
+        blocked = true
+        result = { ...result, finishReason: "content_filter" }
+      }
+      const usage = finalUsage(result.usage)
+      record(usage)
+      log.write({
+        status: blocked ? "blocked" : "ok",
+        usage,
+        estimated: !result.usage,
+        finishReason: result.finishReason,
+        output: outputText,
+        guardrails: outputNotices,
+      })
+      return NextResponse.json({
+        id,
+        object: "chat.completion",
+        created,
+        model: opened.model,
+        choices: [
+          {
+            index: 0,
+            message: { role: "assistant", content, ...(reasoning && { reasoning_content: reasoning }) },
+            finish_reason: result.finishReason ?? "stop",
+          },
+        ],
+        usage: toOpenAIUsage(usage),
+      })
+    }
+
+    const output = new ReadableStream({
+      async start(controller) {
+        // Once aborted the client has gone away and the controller may already be closed
+        const send = (data) => {
+          if (!upstream.signal.aborted) controller.enqueue(encodeSseEvent(data))
+        }
+        const chunk = (fields) => ({ id, object: "chat.completion.chunk", created, model: opened.model, ...fields })
+        const sendChunk = (delta, finishReason = null) =>
+          send(chunk({ choices: [{ index: 0, delta, finish_reason: finishReason }] }))
+
+        let usage = null
+        let estimated = true
+        let finishReason = null
+        let failure = null
+        let blocked = false
+        const emit = (text) => sendChunk({ content: text })
+        const emitReasoning = (text) => sendChunk({ reasoning_content: text })
+        // Reasoning the guard holds back is released when the answer starts
+        const endReasoning = () => {
+          if (reasoningGuard) guardOutput(reasoningGuard.end(), emitReasoning)
+        }
+        sendChunk({ role: "assistant", content: "" })
+        try {
+          const result = await runChatCompletion({
+            ...request,
+            events: opened.events,
+            onEvent(event) {
+              if (event.type === "text") {
+                log.firstToken()
+                outputText += event.text
+                endReasoning()
+                if (outputGuard) guardOutput(outputGuard.push(event.text), emit)
+                else emit(event.text)
+              } else if (event.type === "reasoning") {
+                log.firstToken()
+                outputText += event.text
+                if (reasoningGuard) guardOutput(reasoningGuard.push(event.text), emitReasoning)
+                else emitReasoning(event.text)
+              }
+            },
+          })
+          endReasoning()
+          if (outputGuard) guardOutput(outputGuard.end(), emit)
+          usage = finalUsage(result.usage)
+          estimated = !result.usage
+          finishReason = result.finishReason
+          sendChunk({}, result.finishReason ?? "stop")
+          if (body.stream_options?.include_usage) {
+            send(chunk({ choices: [], usage: toOpenAIUsage(usage) }))
+          }
+        } catch (error) {
+          if (error instanceof GuardrailError) {
+            blocked = true
+            finishReason = "content_filter"
+            sendChunk({}, finishReason)
+          } else if (!upstream.signal.aborted) {
+            console.error("Chat completions stream error:", error)
+            failure = error.message || String(error)
+            send({ error: { message: failure, type: "server_error", code: null } })
+          }
+        }
+        send("[DONE]")
+        if (!upstream.signal.aborted) controller.close()
+        // Stopped and failed answers count what was generated until then
+        const status = usage ? "ok" : failure ? "error" : blocked ? "blocked" : "aborted"
+        usage ??= finalUsage(null)
+        record(usage)
+        log.write({
+          status,
+          error: failure,
+          usage,
+          estimated,
+          finishReason,
+          output: outputText,
+          guardrails: outputNotices,
+        })
+      },
+      cancel() {
+        upstream.abort()
+      },
+    })
+
+    return new Response(output, {
+      headers: { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" },
+    })
+  } catch (error) {
+    if (error instanceof AccessError) {
+      const headers = error.retryAfterSeconds ? { "Retry-After": String(error.retryAfterSeconds) } : undefined
+      const code = error.status === 401 ? "invalid_api_key" : "rate_limit_exceeded"
+      return openAIError(error.message, error.status, { type: code, code, headers })
+    }
+    if (error instanceof OpenAIRequestError) return openAIError(error.message, error.status, { type: error.type })
+    if (error instanceof GuardrailError) {
+      log?.write({ status: "blocked", error: error.message, guardrails: [error.notice] })
+      return openAIError(error.message, 400, { type: "invalid_request_error", code: "content_policy_violation" })
+    }
+    log?.write({ status: error.name === "AbortError" ? "aborted" : "error", error: error.message || String(error) })
+    if (error instanceof ModelUnavailableError) {
+      return openAIError(error.message, error.status, { type: "invalid_request_error", code: "model_not_found" })
+    }
+    if (error instanceof UpstreamError) {
+      console.error("Chat completions upstream error:", error.message)
+      return openAIError(error.message, 502, { type: "upstream_error" })
+    }
+    if (error.name === "AbortError") {
+      // Client went away before the provider answered, nobody is listening for a response
+      return new Response(null, { status: 499 })
+    }
+    console.error("Chat completions error:", error)
+    return openAIError(error.message || "An unexpected error occurred", 500, { type: "server_error" })
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * @file route.js
+ * @description OpenAI-compatible model list; ids are the qualified ids /v1/chat/completions accepts
+ */
+
+import { NextResponse } from "next/server"
+import { listAllModels } from "@/lib/providers"
+import { AccessError, authenticate } from "@/lib/auth"
+import { openAIError } from "@/lib/chat/openai-api"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function GET(req) {
+  try {
+    authenticate(req)
+    const { models, errors } = await listAllModels()
+    if (models.length === 0 && errors.length > 0) {
+      const summary = errors.map(({ provider, error }) => `${provider}: ${error}`).join("; ")
+      return openAIError(`No provider is reachable. ${summary}`, 502, { type: "upstream_error" })
+    }
+
+    return NextResponse.json({
+      object: "list",
+      data: models.map((model) => ({ id: model.id, object: "model", created: 0, owned_by: model.provider })),
+    })
+  } catch (error) {
+    if (error instanceof AccessError) {
+      return openAIError(error.message, error.status, { type: "invalid_api_key", code: "invalid_api_key" })
+    }
+    console.error("Error listing models:", error)
+    return openAIError(error.message || "Failed to list models", 500, { type: "server_error" })
+  }
+}
@@ -0,0 +1,250 @@
+"use client"
+
+import { useEffect, useMemo, useRef, useState } from "react"
+import Link from "next/link"
+import { AlertCircle, ArrowLeft, Check, Copy, Play, Save, Square, Trash2, Workflow } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import { Markdown } from "@/components/chat/markdown"
+import { StepCard } from "@/components/workflows/step-card"
+import { UserMenu } from "@/components/auth/user-menu"
+import { useModels } from "@/hooks/use-models"
+import { useSession } from "@/hooks/use-session"
+import { useWorkflows } from "@/hooks/use-workflows"
+import { useWorkflowRun } from "@/hooks/use-workflow-run"
+import { useCopyToClipboard } from "@/hooks/use-copy-to-clipboard"
+import { parsePipeline } from "@/lib/workflows/pipeline"
+import { exampleSource, PIPELINE_EXAMPLES } from "@/lib/workflows/examples"
+
+export default function Workflows() {
+  const { models } = useModels()
+  const { workflows, error: listError, save, remove } = useWorkflows()
+  const { run, isRunning, start, stop } = useWorkflowRun()
+  const { copied, copy } = useCopyToClipboard()
+  const sessionState = useSession()
+  // null while editing a workflow that has not been saved yet
+  const [selectedId, setSelectedId] = useState(null)
+  const [source, setSource] = useState("")
+  const [savedSource, setSavedSource] = useState(null)
+  const [input, setInput] = useState("")
+  const [saveError, setSaveError] = useState(null)
+  const [confirmDelete, setConfirmDelete] = useState(false)
+
+  const startedRef = useRef(false)
+
+  const modelIds = useMemo(() => models.map((m) => m.id), [models])
+
+  // Start from the first example once the models are known
+  useEffect(() => {
+    if (modelIds.length === 0 || startedRef.current) return
+    startedRef.current = true
+    setSource((current) => current || exampleSource(PIPELINE_EXAMPLES[0].id, modelIds))
+  }, [modelIds])
+
+  const parsed = useMemo(() => {
+    try {
+      return { pipeline: parsePipeline(source), error: null }
+    } catch (error) {
+      return { pipeline: null, error: error.message }
+    }
+  }, [source])
+
+  const dirty = source !== savedSource
+
+  const openWorkflow = (workflow) => {
+    setSelectedId(workflow.id)
+    setSource(workflow.source)
+    setSavedSource(workflow.source)
+    setSaveError(null)
+  }
+
+  const newFromExample = (id) => {
+    setSelectedId(null)
+    setSource(exampleSource(id, modelIds))
+    setSavedSource(null)
+    setSaveError(null)
+  }
+
+  const handleSave = async () => {
+    try {
+      const saved = await save(selectedId, source)
+      openWorkflow(saved)
+    } catch (error) {
+      setSaveError(error.message)
+    }
+  }
+
+  const handleDelete = async () => {
+    await remove(selectedId)
+    newFromExample(PIPELINE_EXAMPLES[0].id)
+  }
+
+  // Unsaved edits run as they are
+  const handleRun = () => start(selectedId && !dirty ? { id: selectedId, input } : { source, input })
+
+  return (
+    <div className="fixed inset-0 flex flex-col overflow-hidden bg-white">
+      <div className="flex-shrink-0 h-20 px-4 border-b border-gray-200 flex items-center gap-3 p-2">
+        <Link href="/" className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+          <ArrowLeft className="h-4 w-4" />
+          Chat
+        </Link>
+        <Workflow className="h-5 w-5 text-gray-500" />
+        <h2 className="text-lg font-semibold text-gray-900">Workflows</h2>
+        <div className="ml-auto flex items-center gap-2">
+          <Select value="" onValueChange={newFromExample}>
+            <SelectTrigger className="w-48">
+              <SelectValue placeholder="New from example" />
+            </SelectTrigger>
+            <SelectContent>
+              {PIPELINE_EXAMPLES.map((example) => (
+                <SelectItem key={example.id} value={example.id}>
+                  {example.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <UserMenu sessionState={sessionState} />
+        </div>
+      </div>
+
+      <div className="flex flex-1 min-h-0">
+        <div className="w-56 flex-shrink-0 overflow-auto border-r border-gray-200 p-2">
+          <p className="px-2 py-1 text-xs font-semibold uppercase text-gray-400">Saved</p>
+          {listError && <p className="px-2 text-xs text-red-600">{listError}</p>}
+          {workflows.map((workflow) => (
+            <button
+              key={workflow.id}
+              type="button"
+              onClick={() => openWorkflow(workflow)}
+              className={`w-full truncate rounded px-2 py-1.5 text-left text-sm hover:bg-gray-100 ${
+                workflow.id === selectedId ? "bg-gray-100 font-medium text-gray-900" : "text-gray-700"
+              }`}
+            >
+              {workflow.name}
+            </button>
+          ))}
+          {workflows.length === 0 && <p className="px-2 text-xs text-gray-500">No saved workflows yet.</p>}
+        </div>
+
+        <div className="grid flex-1 min-w-0 grid-cols-1 lg:grid-cols-2">
+          <div className="flex min-h-0 flex-col gap-3 overflow-auto border-r border-gray-200 p-4">
+            <div className="flex items-center gap-2">
+              <p className="truncate text-sm font-semibold text-gray-900">
+                {parsed.pipeline?.name || "Untitled"}
+                {dirty && <span className="ml-2 text-xs font-normal text-gray-400">unsaved</span>}
+              </p>
+              <div className="ml-auto flex items-center gap-2">
+                {selectedId && (
+                  <Button variant="ghost" size="sm" onClick={() => setConfirmDelete(true)}>
+                    <Trash2 />
+                    Delete
+                  </Button>
+                )}
+                <Button variant="outline" size="sm" onClick={handleSave} disabled={!parsed.pipeline || !dirty}>
+                  <Save />
+                  Save
+                </Button>
+              </div>
+            </div>
+            {parsed.pipeline?.description && <p className="text-xs text-gray-500">{parsed.pipeline.description}</p>}
+            <Textarea
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              spellCheck={false}
+              className="min-h-[320px] flex-1 font-mono text-xs"
+              aria-label="Pipeline definition (YAML or JSON)"
+            />
+            {(parsed.error || saveError) && (
+              <p className="flex items-start gap-1 text-sm text-red-600">
+                <AlertCircle className="mt-0.5 h-4 w-4 flex-shrink-0" />
+                {parsed.error || saveError}
+              </p>
+            )}
+            <Textarea
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="Input, available to the steps as {{input}}"
+              className="min-h-[120px]"
+            />
+            <div className="flex justify-end">
+              {isRunning ? (
+                <Button variant="outline" onClick={stop}>
+                  <Square />
+                  Stop
+                </Button>
+              ) : (
+                <Button onClick={handleRun} disabled={!parsed.pipeline || !input.trim()}>
+                  <Play />
+                  Run
+                </Button>
+              )}
+            </div>
+          </div>
+
+          <div className="min-h-0 space-y-3 overflow-auto bg-gray-50 p-4">
+            {!run && (
+              <p className="text-sm text-gray-500">
+                Each step sends its prompt to its model in order; later steps use earlier answers as {"{{step id}}"}.
+              </p>
+            )}
+            {run?.steps.map((step, index) => (
+              <StepCard key={step.id} step={step} index={index} />
+            ))}
+            {run?.status === "error" && (
+              <p className="flex items-start gap-1 text-sm text-red-600">
+                <AlertCircle className="mt-0.5 h-4 w-4 flex-shrink-0" />
+                {run.error}
+              </p>
+            )}
+            {run?.status === "stopped" && <p className="text-sm text-gray-500">Stopped.</p>}
+            {run?.status === "done" && (
+              <Card className="border-green-200 shadow-sm">
+                <CardHeader className="flex-row items-center gap-2 space-y-0 p-3">
+                  <CardTitle className="text-sm">Result</CardTitle>
+                  <span className="text-xs text-gray-500">
+                    {run.usage.totalTokens.toLocaleString()} tokens · {(run.durationMs / 1000).toFixed(1)} s
+                  </span>
+                  <Button variant="ghost" size="sm" className="ml-auto" onClick={() => copy(run.output)}>
+                    {copied ? <Check /> : <Copy />}
+                    {copied ? "Copied" : "Copy"}
+                  </Button>
+                </CardHeader>
+                <CardContent className="p-3 pt-0">
+                  <div className="prose prose-sm max-w-none">
+                    <Markdown content={run.output} />
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <AlertDialog open={confirmDelete} onOpenChange={setConfirmDelete}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete {parsed.pipeline?.name || "this workflow"}?</AlertDialogTitle>
+            <AlertDialogDescription>The saved definition is removed for everyone.</AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  )
+}
@@ -0,0 +1,34 @@
+"use client"
+
+import { LogOut, UserRound } from "lucide-react"
+import { Button } from "@/components/ui/button"
+
+const formatUsage = (used, limit, unit) =>
+  limit ? `${used.toLocaleString()} / ${limit.toLocaleString()} ${unit}` : null
+
+/**
+ * Signed in user with today's quota usage and a sign out button; renders nothing while
+ * authentication is off
+ * @param {Object} props
+ * @param {Object} props.sessionState - useSession()
+ */
+export function UserMenu({ sessionState }) {
+  const { session, signOut } = sessionState
+  if (!session?.authEnabled || !session.user) return null
+
+  const { usage, limits } = session
+  const quota = [
+    formatUsage(usage.requests, limits.dailyRequests, "requests"),
+    formatUsage(usage.tokens, limits.dailyTokens, "tokens"),
+  ].filter(Boolean)
+
+  return (
+    <div className="flex items-center gap-1 text-sm text-gray-500">
+      <UserRound className="h-4 w-4" />
+      <span title={quota.length > 0 ? `Used today: ${quota.join(", ")}` : undefined}>{session.user}</span>
+      <Button variant="ghost" size="icon" title="Sign out" onClick={signOut}>
+        <LogOut />
+      </Button>
+    </div>
+  )
+}
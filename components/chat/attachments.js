@@ -0,0 +1,61 @@
+"use client"
+
+import { FileText, X } from "lucide-react"
+
+const AttachmentChip = ({ attachment, onRemove, large }) => {
+  if (attachment.kind === "image") {
+    return (
+      <div className="relative">
+        <img
+          src={attachment.dataUrl}
+          alt={attachment.name}
+          title={attachment.name}
+          className={`rounded-md border border-gray-200 object-cover ${large ? "max-h-48 max-w-xs" : "h-14 w-14"}`}
+        />
+        {onRemove && (
+          <button
+            type="button"
+            title="Remove"
+            onClick={() => onRemove(attachment.id)}
+            className="absolute -top-1.5 -right-1.5 rounded-full bg-gray-700 p-0.5 text-white hover:bg-gray-900"
+          >
+            <X className="h-3 w-3" />
+          </button>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-center gap-1 rounded-md border border-gray-200 bg-gray-50 px-2 py-1 text-xs text-gray-600">
+      <FileText className="h-3.5 w-3.5" />
+      <span className="max-w-[10rem] truncate" title={attachment.name}>
+        {attachment.name}
+      </span>
+      {onRemove && (
+        <button type="button" title="Remove" onClick={() => onRemove(attachment.id)} className="hover:text-gray-900">
+          <X className="h-3 w-3" />
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Thumbnails and file chips for attachments; removable when onRemove is given (composer)
+ * @param {Object} props
+ * @param {Object[]} props.attachments
+ * @param {(id: string) => void} [props.onRemove]
+ * @param {boolean} [props.isUser] - Right-align inside a user message
+ */
+export function AttachmentList({ attachments, onRemove, isUser }) {
+  if (!attachments?.length) return null
+
+  return (
+    <div className={`flex flex-wrap items-end gap-2 ${isUser ? "justify-end" : ""} ${onRemove ? "" : "mb-2"}`}>
+      {attachments.map((attachment) => (
+        <AttachmentChip key={attachment.id} attachment={attachment} onRemove={onRemove} large={!onRemove} />
+      ))}
+    </div>
+  )
+}
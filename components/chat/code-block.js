@@ -0,0 +1,95 @@
+"use client"
+
+import { useMemo, useState } from "react"
+import hljs from "highlight.js/lib/common"
+import { Check, Code, Copy, Eye } from "lucide-react"
+import { useCopyToClipboard } from "@/hooks/use-copy-to-clipboard"
+import { MermaidDiagram } from "@/components/chat/mermaid-diagram"
+
+const HeaderButton = ({ title, onClick, children }) => (
+  <button
+    type="button"
+    title={title}
+    onClick={onClick}
+    className="flex items-center gap-1 rounded px-1.5 py-0.5 text-gray-500 hover:bg-gray-200 hover:text-gray-800"
+  >
+    {children}
+  </button>
+)
+
+/**
+ * @param {string} language
+ * @param {string} code
+ * @returns {"html" | "svg" | "mermaid" | null} - How the block can be shown other than as code
+ */
+function renderKind(language, code) {
+  if (language === "mermaid") return "mermaid"
+  if (language === "html") return "html"
+  if (language === "svg" || (language === "xml" && /^\s*<svg[\s>]/.test(code))) return "svg"
+  return null
+}
+
+/**
+ * HTML or SVG in an iframe without access to the app: scripts run, but in an opaque origin
+ * that cannot read the page, its cookies or its storage
+ * @param {Object} props
+ * @param {string} props.code
+ */
+function SandboxedPreview({ code }) {
+  return (
+    <div className="h-80 resize-y overflow-hidden bg-white">
+      <iframe title="Preview" sandbox="allow-scripts" srcDoc={code} className="h-full w-full border-0" />
+    </div>
+  )
+}
+
+/**
+ * Fenced code block with highlighting, a copy button and, for HTML, SVG and Mermaid, a rendered view
+ * @param {Object} props
+ * @param {string} props.language - From the fence, may be empty
+ * @param {string} props.code
+ * @param {boolean} props.complete - False while the block is still streaming; it is only rendered once complete
+ */
+export function CodeBlock({ language, code, complete }) {
+  const { copied, copy } = useCopyToClipboard()
+  const kind = renderKind(language, code)
+  // Diagrams are shown rendered unless toggled, previews only when toggled. The language may still
+  // be streaming on the first render, so the default is not kept in the state.
+  const [toggled, setToggled] = useState(false)
+  const showRendered = Boolean(kind) && complete && (kind === "mermaid") !== toggled
+
+  const highlighted = useMemo(() => {
+    if (!language || !hljs.getLanguage(language)) return null
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value
+  }, [language, code])
+
+  return (
+    <div className="not-prose my-4 overflow-hidden rounded-lg border border-gray-200 text-left">
+      <div className="flex items-center gap-1 border-b border-gray-200 bg-gray-50 px-2 py-1 text-xs">
+        <span className="mr-auto text-gray-500">{language || "text"}</span>
+        {kind && complete && (
+          <HeaderButton title={showRendered ? "Show code" : "Show preview"} onClick={() => setToggled(!toggled)}>
+            {showRendered ? <Code className="h-3.5 w-3.5" /> : <Eye className="h-3.5 w-3.5" />}
+            {showRendered ? "Code" : kind === "mermaid" ? "Diagram" : "Preview"}
+          </HeaderButton>
+        )}
+        <HeaderButton title="Copy code" onClick={() => copy(code)}>
+          {copied ? <Check className="h-3.5 w-3.5" /> : <Copy className="h-3.5 w-3.5" />}
+          {copied ? "Copied" : "Copy"}
+        </HeaderButton>
+      </div>
+      {showRendered && kind === "mermaid" && <MermaidDiagram code={code} />}
+      {showRendered && kind !== "mermaid" && <SandboxedPreview code={code} />}
+      {!showRendered && (
+        <pre className="overflow-x-auto bg-gray-50/50 p-3 text-sm leading-relaxed text-gray-800">
+          {highlighted !== null ? (
+            // highlight.js escapes the code, the markup is only its own token spans
+            <code dangerouslySetInnerHTML={{ __html: highlighted }} />
+          ) : (
+            <code>{code}</code>
+          )}
+        </pre>
+      )}
+    </div>
+  )
+}
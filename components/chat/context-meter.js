@@ -0,0 +1,34 @@
+"use client"
+
+/**
+ * Live "tokens used / available" indicator shown next to the chat input
+ * @param {Object} props
+ * @param {number} props.used - Estimated prompt tokens for the next request
+ * @param {number} props.available - Context limit minus the output reservation
+ * @param {Object} [props.lastUsage] - X-Context-Usage reported for the previous request
+ * @param {boolean} props.summarize - Whether trimmed turns are summarised instead of dropped
+ */
+export function ContextMeter({ used, available, lastUsage, summarize }) {
+  const ratio = available > 0 ? Math.min(used / available, 1) : 1
+  const overflow = used > available
+  const barColor = overflow ? "bg-red-500" : ratio > 0.8 ? "bg-amber-500" : "bg-green-500"
+
+  let title = `About ${used.toLocaleString()} of ${available.toLocaleString()} prompt tokens`
+  if (overflow) {
+    title += summarize ? ". Older turns will be summarised." : ". Older turns will be dropped."
+  }
+  if (lastUsage?.dropped > 0) {
+    title += ` Last request ${lastUsage.summarized ? "summarised" : "dropped"} ${lastUsage.dropped} earlier message(s).`
+  }
+
+  return (
+    <div className="flex-shrink-0 w-28 text-right" title={title}>
+      <div className={`text-xs tabular-nums ${overflow ? "text-red-600" : "text-gray-500"}`}>
+        {used.toLocaleString()} / {available.toLocaleString()}
+      </div>
+      <div className="mt-1 h-1 w-full rounded bg-gray-200">
+        <div className={`h-1 rounded ${barColor}`} style={{ width: `${ratio * 100}%` }} />
+      </div>
+    </div>
+  )
+}
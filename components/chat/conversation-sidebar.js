@@ -0,0 +1,206 @@
+"use client"
+
+import { useRef, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import { MessageSquare, Pencil, Plus, Search, Trash2, Upload } from "lucide-react"
+import { ExportMenu } from "@/components/chat/export-menu"
+
+const ConversationItem = ({ conversation, isActive, onSelect, onRename, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false)
+  const [title, setTitle] = useState(conversation.title)
+
+  const submitRename = () => {
+    setIsEditing(false)
+    const trimmed = title.trim()
+    if (trimmed && trimmed !== conversation.title) {
+      onRename(conversation.id, trimmed)
+    } else {
+      setTitle(conversation.title)
+    }
+  }
+
+  if (isEditing) {
+    return (
+      <Input
+        autoFocus
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        onBlur={submitRename}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") submitRename()
+          if (e.key === "Escape") {
+            setTitle(conversation.title)
+            setIsEditing(false)
+          }
+        }}
+        className="h-9"
+      />
+    )
+  }
+
+  return (
+    <div
+      className={`group flex items-center gap-2 rounded-md px-2 py-2 text-sm cursor-pointer ${
+        isActive ? "bg-gray-100 text-gray-900" : "text-gray-700 hover:bg-gray-50"
+      }`}
+      onClick={() => onSelect(conversation.id)}
+    >
+      <MessageSquare className="h-4 w-4 flex-shrink-0 text-gray-400" />
+      <div className="flex-1 min-w-0">
+        <p className="truncate">{conversation.title}</p>
+        <p className="text-xs text-gray-400">{new Date(conversation.updatedAt).toLocaleString()}</p>
+      </div>
+      <div className="hidden group-hover:flex items-center">
+        <button
+          type="button"
+          title="Rename"
+          className="p-1 text-gray-400 hover:text-gray-700"
+          onClick={(e) => {
+            e.stopPropagation()
+            setIsEditing(true)
+          }}
+        >
+          <Pencil className="h-3.5 w-3.5" />
+        </button>
+        <button
+          type="button"
+          title="Delete"
+          className="p-1 text-gray-400 hover:text-red-600"
+          onClick={(e) => {
+            e.stopPropagation()
+            onDelete(conversation)
+          }}
+        >
+          <Trash2 className="h-3.5 w-3.5" />
+        </button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Left panel listing saved chats with new, rename, delete and search, plus import
+ * of JSON exports and export of every chat
+ */
+export function ConversationSidebar({
+  conversations,
+  activeId,
+  query,
+  onQueryChange,
+  onNew,
+  onSelect,
+  onRename,
+  onDelete,
+  onImport,
+  onExportAll,
+}) {
+  const [pendingDelete, setPendingDelete] = useState(null)
+  const [transferError, setTransferError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  // onImport and onExportAll are async; their errors are shown under the buttons
+  const transfer = async (action) => {
+    try {
+      setTransferError(null)
+      await action()
+    } catch (error) {
+      console.error("Error transferring conversations:", error)
+      setTransferError(error.message)
+    }
+  }
+
+  return (
+    <div className="w-64 flex flex-col flex-shrink-0 border-r border-gray-200 bg-gray-50">
+      <div className="flex-shrink-0 h-20 px-4 border-b border-gray-200 flex items-center justify-between p-2">
+        <h2 className="text-lg font-semibold text-gray-900">Chats</h2>
+        <Button size="sm" variant="outline" onClick={onNew}>
+          <Plus className="h-4 w-4" />
+          New
+        </Button>
+      </div>
+
+      <div className="p-3 border-b border-gray-200">
+        <div className="relative">
+          <Search className="absolute left-2.5 top-2.5 h-4 w-4 text-gray-400" />
+          <Input
+            value={query}
+            onChange={(e) => onQueryChange(e.target.value)}
+            placeholder="Search chats..."
+            className="pl-8 h-9 bg-white"
+          />
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {conversations.length === 0 && (
+          <p className="px-2 py-4 text-sm text-gray-500">{query ? "No matching chats" : "No saved chats yet"}</p>
+        )}
+        {conversations.map((conversation) => (
+          <ConversationItem
+            key={conversation.id}
+            conversation={conversation}
+            isActive={conversation.id === activeId}
+            onSelect={onSelect}
+            onRename={onRename}
+            onDelete={setPendingDelete}
+          />
+        ))}
+      </div>
+
+      <div className="flex-shrink-0 border-t border-gray-200 p-3 space-y-2">
+        <div className="flex gap-2">
+          <Button size="sm" variant="outline" onClick={() => fileInputRef.current?.click()}>
+            <Upload />
+            Import
+          </Button>
+          <ExportMenu label="Export all" onExport={(format) => transfer(() => onExportAll(format))} />
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files[0]
+            if (file) transfer(() => onImport(file))
+            e.target.value = ""
+          }}
+        />
+        {transferError && <p className="text-xs text-red-600">{transferError}</p>}
+      </div>
+
+      <AlertDialog open={Boolean(pendingDelete)} onOpenChange={(open) => !open && setPendingDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete chat?</AlertDialogTitle>
+            <AlertDialogDescription>
+              &quot;{pendingDelete?.title}&quot; will be permanently deleted.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => {
+                onDelete(pendingDelete.id)
+                setPendingDelete(null)
+              }}
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+"use client"
+
+import { Download } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+
+export const EXPORT_FORMATS = {
+  markdown: "Markdown",
+  json: "JSON (can be imported)",
+  jsonl: "Fine-tune JSONL",
+}
+
+/**
+ * Download button with a menu of export formats
+ * @param {Object} props
+ * @param {(format: "markdown" | "json" | "jsonl") => void} props.onExport
+ * @param {string} [props.label]
+ * @param {boolean} [props.disabled]
+ */
+export function ExportMenu({ onExport, label = "Export", disabled }) {
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" disabled={disabled}>
+          <Download />
+          {label}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {Object.entries(EXPORT_FORMATS).map(([format, name]) => (
+          <DropdownMenuItem key={format} onSelect={() => onExport(format)}>
+            {name}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
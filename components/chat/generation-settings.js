@@ -0,0 +1,248 @@
+"use client"
+
+import { useState } from "react"
+import { Plus, Save, Trash2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { supportedParameters } from "@/lib/sampling"
+
+// Select value for settings that are not a saved profile
+const CUSTOM = "custom"
+
+// Output format choices; a schema is edited as JSON text
+const FORMATS = { text: "Text", json: "JSON", schema: "JSON schema" }
+
+function ProfileNameForm({ onSave, onClose }) {
+  const [name, setName] = useState("")
+
+  return (
+    <form
+      className="space-y-3"
+      onSubmit={(e) => {
+        e.preventDefault()
+        if (name.trim()) onSave(name.trim())
+      }}
+    >
+      <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Name" autoFocus />
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onClose}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={!name.trim()}>
+          Save
+        </Button>
+      </DialogFooter>
+    </form>
+  )
+}
+
+/**
+ * Named generation profiles of the selected model: temperature, max tokens and sampling parameters
+ * @param {Object} props
+ * @param {Object} props.profiles - useGenerationProfiles()
+ * @param {string} props.model - Qualified id of the selected model
+ * @param {string | null} props.activeProfileId
+ * @param {(profile: Object | null) => void} props.onProfileChange - Apply a profile, null for custom settings
+ * @param {{temperature: number, maxTokens: number, parameters: Object}} props.settings - Saved into the profile
+ */
+export function GenerationProfiles({ profiles, model, activeProfileId, onProfileChange, settings }) {
+  const [naming, setNaming] = useState(false)
+  const modelProfiles = profiles.forModel(model)
+  const activeProfile = modelProfiles.find((profile) => profile.id === activeProfileId)
+
+  const saveProfile = async (profile) => {
+    const saved = await profiles.save({ ...profile, model, ...settings })
+    setNaming(false)
+    onProfileChange(saved)
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">Generation Profile</label>
+      <div className="flex items-center gap-1">
+        <Select
+          value={activeProfile ? activeProfile.id : CUSTOM}
+          onValueChange={(id) => onProfileChange(modelProfiles.find((profile) => profile.id === id) ?? null)}
+          disabled={!model}
+        >
+          <SelectTrigger className="flex-1 min-w-0">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={CUSTOM}>Custom</SelectItem>
+            {modelProfiles.map((profile) => (
+              <SelectItem key={profile.id} value={profile.id}>
+                {profile.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          variant="ghost"
+          size="icon"
+          title={activeProfile ? `Update "${activeProfile.name}"` : "Save as profile"}
+          disabled={!model}
+          onClick={() => (activeProfile ? saveProfile(activeProfile) : setNaming(true))}
+        >
+          <Save />
+        </Button>
+        {activeProfile && (
+          <>
+            <Button variant="ghost" size="icon" title="Save as new profile" onClick={() => setNaming(true)}>
+              <Plus />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              title="Delete profile"
+              onClick={async () => {
+                await profiles.remove(activeProfile.id)
+                onProfileChange(null)
+              }}
+            >
+              <Trash2 />
+            </Button>
+          </>
+        )}
+      </div>
+      {profiles.error && <p className="text-xs text-red-600">{profiles.error}</p>}
+      <Dialog open={naming} onOpenChange={setNaming}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Save profile for {model}</DialogTitle>
+          </DialogHeader>
+          {naming && <ProfileNameForm onSave={(name) => saveProfile({ name })} onClose={() => setNaming(false)} />}
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
+
+/**
+ * Output format select, with a JSON schema editor for structured output
+ * @param {Object} props
+ * @param {"json" | Object | undefined} props.value
+ * @param {(value: "json" | Object | undefined) => void} props.onChange
+ */
+function OutputFormat({ value, onChange }) {
+  const [mode, setMode] = useState(value === "json" ? "json" : value ? "schema" : "text")
+  const [schemaText, setSchemaText] = useState(value && value !== "json" ? JSON.stringify(value, null, 2) : "")
+  const [schemaError, setSchemaError] = useState(null)
+
+  const changeSchema = (text) => {
+    setSchemaText(text)
+    try {
+      const schema = JSON.parse(text)
+      if (typeof schema !== "object" || Array.isArray(schema) || schema === null) throw new Error("not an object")
+      setSchemaError(null)
+      onChange(schema)
+    } catch {
+      setSchemaError("The schema must be a JSON object")
+      onChange(undefined)
+    }
+  }
+
+  return (
+    <div className="space-y-1">
+      <Select
+        value={mode}
+        onValueChange={(next) => {
+          setMode(next)
+          if (next === "schema") changeSchema(schemaText || '{\n  "type": "object",\n  "properties": {}\n}')
+          else onChange(next === "json" ? "json" : undefined)
+        }}
+      >
+        <SelectTrigger className="h-8">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {Object.entries(FORMATS).map(([id, label]) => (
+            <SelectItem key={id} value={id}>
+              {label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {mode === "schema" && (
+        <Textarea
+          value={schemaText}
+          onChange={(e) => changeSchema(e.target.value)}
+          rows={5}
+          className="font-mono text-xs"
+        />
+      )}
+      {mode === "schema" && schemaError && <p className="text-xs text-red-600">{schemaError}</p>}
+    </div>
+  )
+}
+
+/**
+ * Advanced sampling parameters the provider of the selected model supports; empty fields use
+ * the provider's defaults
+ * @param {Object} props
+ * @param {string} props.providerId
+ * @param {Object} props.parameters - See lib/sampling.js
+ * @param {(parameters: Object) => void} props.onChange
+ * @param {string} props.resetKey - Changes when the parameters are replaced, e.g. by loading a profile
+ */
+export function SamplingSettings({ providerId, parameters, onChange, resetKey }) {
+  const supported = supportedParameters(providerId)
+  const setParameter = (key, value) => {
+    const { [key]: previous, ...rest } = parameters
+    onChange(value === undefined ? rest : { ...rest, [key]: value })
+  }
+  const setCount = Object.keys(parameters).filter((key) => supported.some((parameter) => parameter.key === key)).length
+
+  return (
+    <details className="rounded-md border border-gray-200 text-sm">
+      <summary className="cursor-pointer px-2 py-1.5 font-medium text-gray-700">
+        Advanced Sampling{setCount > 0 ? ` (${setCount} set)` : ""}
+      </summary>
+      <div className="space-y-2 border-t border-gray-200 p-2">
+        {supported.map((parameter) => (
+          <div key={parameter.key}>
+            <label className="block text-xs font-medium text-gray-600">{parameter.label}</label>
+            {parameter.type === "number" && (
+              <Input
+                type="number"
+                className="h-8"
+                min={parameter.min}
+                max={parameter.max}
+                step={parameter.step}
+                placeholder="Default"
+                value={parameters[parameter.key] ?? ""}
+                onChange={(e) => {
+                  const value = e.target.value
+                  setParameter(parameter.key, value === "" ? undefined : Number(value))
+                }}
+              />
+            )}
+            {parameter.type === "stop" && (
+              <Textarea
+                rows={2}
+                placeholder="One per line"
+                value={(parameters.stop ?? []).join("\n")}
+                onChange={(e) => {
+                  const sequences = e.target.value.split("\n")
+                  setParameter("stop", sequences.some(Boolean) ? sequences : undefined)
+                }}
+              />
+            )}
+            {parameter.type === "format" && (
+              <OutputFormat
+                // The editor keeps its own text, start over when the settings are replaced
+                key={resetKey}
+                value={parameters.responseFormat}
+                onChange={(value) => setParameter("responseFormat", value)}
+              />
+            )}
+          </div>
+        ))}
+        {supported.length === 0 && <p className="text-xs text-gray-500">This provider has no other parameters.</p>}
+      </div>
+    </details>
+  )
+}
@@ -0,0 +1,30 @@
+"use client"
+
+import { ShieldAlert } from "lucide-react"
+import { describeNotice } from "@/lib/guardrails"
+
+/**
+ * Notices of the guardrail rules that fired on a message, see lib/guardrails.js
+ * @param {Object} props
+ * @param {Object[]} [props.notices] - Guardrail annotations
+ */
+export function GuardrailNotices({ notices }) {
+  if (!notices?.length) return null
+
+  return (
+    <ul className="mt-2 space-y-1">
+      {notices.map((notice) => (
+        <li
+          key={`${notice.stage}:${notice.rule}:${notice.action}`}
+          className={`flex items-start gap-1 rounded-md border px-2 py-1 text-left text-xs ${notice.action === "block"
+            ? "border-red-200 bg-red-50 text-red-700"
+            : "border-amber-200 bg-amber-50 text-amber-800"
+            }`}
+        >
+          <ShieldAlert className="mt-0.5 h-3.5 w-3.5 flex-shrink-0" />
+          <span>{describeNotice(notice)}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
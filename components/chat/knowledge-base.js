@@ -0,0 +1,118 @@
+"use client"
+
+import { useState, useEffect, useRef } from "react"
+import { Button } from "@/components/ui/button"
+import { Switch } from "@/components/ui/switch"
+import { FileText, Trash2, Upload } from "lucide-react"
+
+const ACCEPTED_FILES = ".md,.markdown,.mdx,.txt,.text,.csv,.json,.log,.pdf"
+
+/**
+ * Settings panel section for uploading documents to the local retrieval index
+ * @param {Object} props
+ * @param {boolean} props.enabled - Whether retrieved context is injected into requests
+ * @param {(enabled: boolean) => void} props.onEnabledChange
+ */
+export function KnowledgeBase({ enabled, onEnabledChange }) {
+  const [documents, setDocuments] = useState([])
+  const [isUploading, setIsUploading] = useState(false)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const fetchDocuments = async () => {
+    try {
+      const response = await fetch("/api/documents")
+      if (!response.ok) throw new Error("Failed to fetch documents")
+      setDocuments(await response.json())
+    } catch (error) {
+      console.error("Error fetching documents:", error)
+      setError(error.message)
+    }
+  }
+
+  useEffect(() => {
+    fetchDocuments()
+  }, [])
+
+  const uploadFiles = async (files) => {
+    if (!files?.length) return
+    setIsUploading(true)
+    setError(null)
+    try {
+      const form = new FormData()
+      for (const file of files) form.append("files", file)
+      const response = await fetch("/api/documents", { method: "POST", body: form })
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || "Upload failed")
+      }
+      await fetchDocuments()
+    } catch (error) {
+      console.error("Error uploading documents:", error)
+      setError(error.message)
+    } finally {
+      setIsUploading(false)
+      if (fileInputRef.current) fileInputRef.current.value = ""
+    }
+  }
+
+  const deleteDocument = async (id) => {
+    try {
+      const response = await fetch(`/api/documents/${encodeURIComponent(id)}`, { method: "DELETE" })
+      if (!response.ok) throw new Error("Failed to delete document")
+      setDocuments((current) => current.filter((document) => document.id !== id))
+    } catch (error) {
+      console.error("Error deleting document:", error)
+      setError(error.message)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <label className="block text-sm font-medium text-gray-700">Use Knowledge Base</label>
+        <Switch checked={enabled} onCheckedChange={onEnabledChange} />
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept={ACCEPTED_FILES}
+        className="hidden"
+        onChange={(e) => uploadFiles(e.target.files)}
+      />
+      <Button
+        variant="outline"
+        size="sm"
+        className="w-full"
+        disabled={isUploading}
+        onClick={() => fileInputRef.current?.click()}
+      >
+        <Upload className="h-4 w-4" />
+        {isUploading ? "Indexing..." : "Upload documents"}
+      </Button>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <ul className="space-y-1">
+        {documents.map((document) => (
+          <li key={document.id} className="group flex items-center gap-2 text-sm text-gray-700">
+            <FileText className="h-4 w-4 flex-shrink-0 text-gray-400" />
+            <span className="flex-1 truncate" title={document.name}>
+              {document.name}
+            </span>
+            <span className="text-xs text-gray-400">{document.chunkCount} chunks</span>
+            <button
+              type="button"
+              title="Remove"
+              className="hidden group-hover:block p-1 text-gray-400 hover:text-red-600"
+              onClick={() => deleteDocument(document.id)}
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,70 @@
+"use client"
+
+import { createContext, memo, useContext, useMemo } from "react"
+import ReactMarkdown from "react-markdown"
+import remarkGfm from "remark-gfm"
+import remarkMath from "remark-math"
+import rehypeKatex from "rehype-katex"
+import { CodeBlock } from "@/components/chat/code-block"
+import { splitMarkdownBlocks } from "@/lib/markdown"
+import "katex/dist/katex.min.css"
+import "highlight.js/styles/github.css"
+
+// False while the block is still streaming, so diagrams and previews wait for the full source
+const BlockCompleteContext = createContext(true)
+
+/**
+ * @param {Object} node - hast node
+ * @returns {string} - Its text content
+ */
+function nodeText(node) {
+  if (node.type === "text") return node.value
+  return (node.children ?? []).map(nodeText).join("")
+}
+
+function FencedCode({ node }) {
+  const complete = useContext(BlockCompleteContext)
+  const codeNode = node.children.find((child) => child.tagName === "code") ?? node
+  const className = [codeNode.properties?.className ?? []].flat().join(" ")
+  const language = /language-([\w+#-]+)/.exec(className)?.[1].toLowerCase() ?? ""
+  return <CodeBlock language={language} code={nodeText(codeNode).replace(/\n$/, "")} complete={complete} />
+}
+
+const components = {
+  pre: FencedCode,
+  // Only inline code gets here, fenced code is rendered by FencedCode
+  code({ node, className, children, ...props }) {
+    return (
+      <code className="px-1 py-0.5 rounded-md bg-gray-100 dark:bg-gray-800 text-sm" {...props}>
+        {children}
+      </code>
+    )
+  },
+}
+
+const remarkPlugins = [remarkGfm, remarkMath]
+const rehypePlugins = [[rehypeKatex, { throwOnError: false, strict: false }]]
+
+const MarkdownBlock = memo(function MarkdownBlock({ content, complete }) {
+  return (
+    <BlockCompleteContext.Provider value={complete}>
+      <ReactMarkdown remarkPlugins={remarkPlugins} rehypePlugins={rehypePlugins} components={components}>
+        {content}
+      </ReactMarkdown>
+    </BlockCompleteContext.Provider>
+  )
+})
+
+/**
+ * Markdown body of a chat message (GitHub flavoured, with $math$ and highlighted code). Each
+ * top-level block is rendered on its own, so a streaming answer only re-renders its last block.
+ * @param {Object} props
+ * @param {string} props.content
+ * @param {boolean} [props.streaming] - True while content is still growing
+ */
+export function Markdown({ content, streaming = false }) {
+  const blocks = useMemo(() => splitMarkdownBlocks(content), [content])
+  return blocks.map((block, index) => (
+    <MarkdownBlock key={index} content={block} complete={!streaming || index < blocks.length - 1} />
+  ))
+}
@@ -0,0 +1,51 @@
+"use client"
+
+import { useEffect, useId, useState } from "react"
+import { Loader2 } from "lucide-react"
+
+let mermaidPromise = null
+
+// Mermaid is large, so it is only loaded once a message contains a diagram
+function loadMermaid() {
+  mermaidPromise ??= import("mermaid").then(({ default: mermaid }) => {
+    mermaid.initialize({ startOnLoad: false, securityLevel: "strict" })
+    return mermaid
+  })
+  return mermaidPromise
+}
+
+/**
+ * Mermaid diagram rendered to SVG; rendering errors are shown instead of the diagram
+ * @param {Object} props
+ * @param {string} props.code - Diagram source, complete
+ */
+export function MermaidDiagram({ code }) {
+  // Mermaid uses the id in CSS selectors, which do not allow the colons of React ids
+  const id = `mermaid-${useId().replace(/:/g, "")}`
+  const [svg, setSvg] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setError(null)
+    loadMermaid()
+      .then(async (mermaid) => {
+        // parse throws on invalid diagrams, where render would leave an error graphic in the page
+        await mermaid.parse(code)
+        return mermaid.render(id, code)
+      })
+      .then(({ svg }) => !cancelled && setSvg(svg))
+      .catch((error) => {
+        console.error("Error rendering Mermaid diagram:", error)
+        if (!cancelled) setError(error.message || String(error))
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [id, code])
+
+  if (error) return <p className="p-3 text-xs text-red-600">Diagram error: {error}</p>
+  if (!svg) return <Loader2 className="m-3 h-4 w-4 animate-spin text-gray-400" />
+  // Mermaid sanitizes the diagram's labels with securityLevel "strict"
+  return <div className="flex justify-center overflow-x-auto p-3" dangerouslySetInnerHTML={{ __html: svg }} />
+}
@@ -0,0 +1,113 @@
+"use client"
+
+import { useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Textarea } from "@/components/ui/textarea"
+import { Check, ChevronLeft, ChevronRight, Copy, Pencil, RefreshCw, Volume2 } from "lucide-react"
+import { useCopyToClipboard } from "@/hooks/use-copy-to-clipboard"
+
+const ActionButton = ({ title, onClick, disabled, children }) => (
+  <button
+    type="button"
+    title={title}
+    onClick={onClick}
+    disabled={disabled}
+    className="p-1 rounded text-gray-400 hover:text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:pointer-events-none"
+  >
+    {children}
+  </button>
+)
+
+/**
+ * Branch navigation plus copy / read aloud / edit / regenerate buttons shown under a message
+ * @param {Object} props
+ * @param {boolean} props.isUser - Aligns the actions with the message
+ * @param {number} props.branchIndex - Position of this message among its alternatives
+ * @param {number} props.branchCount - Number of alternatives at this position
+ * @param {(offset: number) => void} props.onSwitchBranch - Show the previous (-1) or next (+1) alternative
+ * @param {Function} [props.onEdit] - Start editing, only passed for user messages
+ * @param {Function} [props.onRegenerate] - Re-roll the answer, only passed for the last assistant message
+ * @param {Function} [props.onSpeak] - Read the answer aloud, only passed for assistant messages
+ * @param {string} props.copyText - Markdown the copy button copies
+ * @param {boolean} props.disabled - True while a response is streaming
+ */
+export function MessageActions({
+  isUser,
+  branchIndex,
+  branchCount,
+  onSwitchBranch,
+  onEdit,
+  onRegenerate,
+  onSpeak,
+  copyText,
+  disabled,
+}) {
+  const { copied, copy } = useCopyToClipboard()
+
+  return (
+    <div className={`flex items-center gap-1 mt-2 text-xs text-gray-500 ${isUser ? "justify-end" : "justify-start"}`}>
+      {branchCount > 1 && (
+        <div className="flex items-center">
+          <ActionButton title="Previous version" onClick={() => onSwitchBranch(-1)} disabled={disabled || branchIndex === 0}>
+            <ChevronLeft className="h-3.5 w-3.5" />
+          </ActionButton>
+          <span className="tabular-nums">
+            {branchIndex + 1} / {branchCount}
+          </span>
+          <ActionButton
+            title="Next version"
+            onClick={() => onSwitchBranch(1)}
+            disabled={disabled || branchIndex === branchCount - 1}
+          >
+            <ChevronRight className="h-3.5 w-3.5" />
+          </ActionButton>
+        </div>
+      )}
+      <ActionButton title={copied ? "Copied" : "Copy message"} onClick={() => copy(copyText)}>
+        {copied ? <Check className="h-3.5 w-3.5" /> : <Copy className="h-3.5 w-3.5" />}
+      </ActionButton>
+      {onSpeak && (
+        <ActionButton title="Read aloud" onClick={onSpeak}>
+          <Volume2 className="h-3.5 w-3.5" />
+        </ActionButton>
+      )}
+      {onEdit && (
+        <ActionButton title="Edit and resend" onClick={onEdit} disabled={disabled}>
+          <Pencil className="h-3.5 w-3.5" />
+        </ActionButton>
+      )}
+      {onRegenerate && (
+        <ActionButton title="Regenerate" onClick={onRegenerate} disabled={disabled}>
+          <RefreshCw className="h-3.5 w-3.5" />
+        </ActionButton>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Inline editor for a user prompt; submitting starts a new branch from that point
+ */
+export function MessageEditor({ content, onSubmit, onCancel }) {
+  const [value, setValue] = useState(content)
+
+  return (
+    <form
+      className="space-y-2"
+      onSubmit={(e) => {
+        e.preventDefault()
+        if (value.trim()) onSubmit(value)
+      }}
+    >
+      <Textarea autoFocus value={value} onChange={(e) => setValue(e.target.value)} rows={3} />
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={!value.trim()}>
+          Save &amp; Submit
+        </Button>
+      </div>
+    </form>
+  )
+}
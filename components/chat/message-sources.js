@@ -0,0 +1,34 @@
+"use client"
+
+import { BookOpen } from "lucide-react"
+
+/**
+ * Retrieved sources an assistant answer was grounded on, cited in the text as [n]
+ * @param {Object} props
+ * @param {Array<{index: number, title: string, snippet: string, score?: number}>} props.sources
+ */
+export function MessageSources({ sources }) {
+  if (!sources?.length) return null
+
+  return (
+    <div className="mt-3 border-t border-gray-100 pt-2 text-left">
+      <p className="flex items-center gap-1 text-xs font-semibold text-gray-500 mb-1">
+        <BookOpen className="h-3.5 w-3.5" />
+        Sources
+      </p>
+      <ol className="space-y-1">
+        {sources.map((source) => (
+          <li key={source.id ?? source.index} className="text-xs text-gray-600">
+            <details>
+              <summary className="cursor-pointer">
+                <span className="font-medium">[{source.index}]</span> {source.title}
+                {source.score !== undefined && <span className="ml-1 text-gray-400">({source.score})</span>}
+              </summary>
+              <p className="mt-1 ml-4 whitespace-pre-wrap text-gray-500">{source.snippet}</p>
+            </details>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+"use client"
+
+import { AlertCircle } from "lucide-react"
+
+// Finish reasons worth explaining; "stop" is the normal end of an answer
+const FINISH_LABELS = {
+  stop: "stop",
+  length: "max tokens reached",
+  tool_calls: "tool step limit",
+  content_filter: "content filter",
+}
+
+/**
+ * Token, speed and stop reason line under an answer
+ * @param {Object} props
+ * @param {Object} props.stats - From messageStats
+ * @param {boolean} props.streaming - The answer is still being generated
+ */
+export function MessageStats({ stats, streaming }) {
+  if (streaming) return null
+  const { metadata, usage, finish, tokensPerSecond } = stats
+  if (!usage && !finish && !metadata.model) return null
+
+  const parts = []
+  if (metadata.responseModel || metadata.model) parts.push(metadata.responseModel || metadata.model)
+  if (metadata.requestedModel) parts.push(`fallback for ${metadata.requestedModel}`)
+  if (usage) parts.push(`${usage.estimated ? "~" : ""}${usage.completionTokens.toLocaleString()} tokens`)
+  if (tokensPerSecond) parts.push(`${tokensPerSecond.toFixed(1)} tok/s`)
+  if (finish?.durationMs) parts.push(`${(finish.durationMs / 1000).toFixed(1)} s`)
+  if (finish) parts.push(finish.reason ? (FINISH_LABELS[finish.reason] ?? finish.reason) : "incomplete")
+  else if (!stats.error) parts.push("stopped")
+
+  const details = [
+    usage &&
+      `Prompt ${usage.promptTokens} + completion ${usage.completionTokens} = ${usage.totalTokens} tokens` +
+        (usage.estimated ? " (estimated)" : ""),
+    finish?.timeToFirstTokenMs !== null && finish?.timeToFirstTokenMs !== undefined
+      ? `First token after ${finish.timeToFirstTokenMs} ms`
+      : null,
+    metadata.provider && `Provider: ${metadata.provider}`,
+    ...(metadata.fallbacks ?? []).map(({ model, error }) => `${model} failed: ${error}`),
+  ].filter(Boolean)
+
+  return (
+    <p className="mt-2 text-xs text-gray-400" title={details.join("\n")}>
+      {parts.join(" · ")}
+    </p>
+  )
+}
+
+/**
+ * Inline notice for an answer whose stream failed part way
+ * @param {Object} props
+ * @param {string | null} props.error
+ */
+export function MessageError({ error }) {
+  if (!error) return null
+
+  return (
+    <p className="mt-2 flex items-start gap-1 rounded-md border border-red-200 bg-red-50 px-2 py-1 text-left text-xs text-red-700">
+      <AlertCircle className="mt-0.5 h-3.5 w-3.5 flex-shrink-0" />
+      <span>The response was interrupted: {error}</span>
+    </p>
+  )
+}
@@ -0,0 +1,58 @@
+"use client"
+
+import { Bot, User } from "lucide-react"
+import { AttachmentList } from "@/components/chat/attachments"
+import { GuardrailNotices } from "@/components/chat/guardrail-notices"
+import { Markdown } from "@/components/chat/markdown"
+import { MessageSources } from "@/components/chat/message-sources"
+import { MessageError, MessageStats } from "@/components/chat/message-stats"
+import { ReasoningPanel } from "@/components/chat/reasoning-panel"
+import { ToolRuns } from "@/components/chat/tool-runs"
+import { messageStats } from "@/lib/chat/message-stats"
+import { messageGuardrails } from "@/lib/guardrails"
+import { messageReasoning, splitThinkTags } from "@/lib/reasoning"
+
+/**
+ * A chat message with its attachments, reasoning, tool runs, sources and stats. Shared by the
+ * chat and the read-only shared conversation page.
+ * @param {Object} props
+ * @param {"user" | "assistant"} props.role
+ * @param {string} props.content
+ * @param {Object[]} [props.attachments]
+ * @param {Object[]} [props.annotations] - Stream annotations, see app/api/chat/route.js
+ * @param {Object[]} [props.sources] - Retrieved sources to cite
+ * @param {Object[]} [props.guardrails] - Guardrail notices of a user message; they arrive on the answer
+ * @param {React.ReactNode} [props.footer] - e.g. the message actions
+ * @param {boolean} [props.streaming]
+ */
+export function Message({ role, content, attachments, annotations, sources, guardrails, footer, streaming }) {
+  const isUser = role === "user"
+  // Answers saved before reasoning was split out may still carry <think> blocks
+  const reasoning = isUser ? null : messageReasoning({ content, annotations })
+  const answer = isUser ? content : splitThinkTags(content).content
+  const stats = isUser ? null : messageStats(annotations)
+  return (
+    <div className={`flex items-start gap-3 ${isUser ? "flex-row-reverse" : ""}`}>
+      <div
+        className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center ${isUser ? "bg-blue-100" : "bg-green-100"
+          }`}
+      >
+        {isUser ? <User className="h-5 w-5 text-blue-600" /> : <Bot className="h-5 w-5 text-green-600" />}
+      </div>
+      <div className={`flex-1 ${isUser ? "text-right" : "text-left"}`}>
+        <p className="font-semibold mb-1 text-sm text-gray-600">{isUser ? "You" : "Assistant"}</p>
+        <AttachmentList attachments={attachments} isUser={isUser} />
+        <ReasoningPanel reasoning={reasoning} streaming={streaming} />
+        <ToolRuns annotations={annotations} />
+        <div className={`prose prose-sm max-w-none ${isUser ? "ml-auto" : "mr-auto"}`}>
+          <Markdown content={answer} streaming={streaming} />
+        </div>
+        <GuardrailNotices notices={isUser ? guardrails : messageGuardrails(annotations, "output")} />
+        {stats && <MessageError error={stats.error} />}
+        <MessageSources sources={sources} />
+        {stats && <MessageStats stats={stats} streaming={streaming} />}
+        {footer}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+"use client"
+
+import {
+  Select,
+  SelectContent,
+  SelectGroup,
+  SelectItem,
+  SelectLabel,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { groupModelsByProvider, modelSummary } from "@/lib/models"
+
+/**
+ * Model picker grouped by provider, with size and quantisation where the provider reports them
+ * @param {Object} props
+ * @param {Object[]} props.models - Entries from /api/models
+ * @param {string} props.value - Qualified model id
+ * @param {(id: string) => void} props.onValueChange
+ * @param {string} [props.className]
+ */
+export function ModelSelect({ models, value, onValueChange, className = "w-full" }) {
+  return (
+    <Select value={value} onValueChange={onValueChange}>
+      <SelectTrigger className={className}>
+        <SelectValue placeholder="Select a model" />
+      </SelectTrigger>
+      <SelectContent>
+        {groupModelsByProvider(models).map((group) => (
+          <SelectGroup key={group.provider}>
+            <SelectLabel>{group.provider}</SelectLabel>
+            {group.models.map((m) => (
+              <SelectItem key={m.id} value={m.id}>
+                {m.provider} / {m.name}
+                {modelSummary(m) && <span className="ml-2 text-xs text-gray-400">{modelSummary(m)}</span>}
+              </SelectItem>
+            ))}
+          </SelectGroup>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
@@ -0,0 +1,271 @@
+"use client"
+
+import { useRef, useState } from "react"
+import { Download, Pencil, Plus, Save, Trash2, Upload } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { exportPromptLibrary, extractVariables, parsePromptLibrary } from "@/lib/prompts"
+import { downloadFile } from "@/lib/download"
+
+// Select value for a system prompt that is not a saved preset
+const CUSTOM = "custom"
+
+function PromptItemForm({ item, withContent, onSave, onClose }) {
+  const [name, setName] = useState(item.name || "")
+  const [content, setContent] = useState(item.content || "")
+
+  return (
+    <form
+      className="space-y-3"
+      onSubmit={(e) => {
+        e.preventDefault()
+        if (!name.trim()) return
+        onSave({ ...item, name: name.trim(), ...(withContent && { content }) })
+      }}
+    >
+      <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Name" autoFocus />
+      {withContent && (
+        <Textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          placeholder="Prompt text, may use {{variables}}"
+          rows={6}
+        />
+      )}
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onClose}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={!name.trim()}>
+          Save
+        </Button>
+      </DialogFooter>
+    </form>
+  )
+}
+
+/**
+ * Dialog editing a library item's name and, for snippets, its content
+ * @param {Object} props
+ * @param {Object | null} props.item - Item being edited, null when closed
+ * @param {string} props.title
+ * @param {boolean} [props.withContent] - Show the content field (snippets)
+ * @param {(item: Object) => void} props.onSave
+ * @param {() => void} props.onClose
+ */
+function PromptItemDialog({ item, title, withContent, onSave, onClose }) {
+  return (
+    <Dialog open={Boolean(item)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+        </DialogHeader>
+        {/* The content unmounts while closed, so the form starts from the item every time */}
+        {item && <PromptItemForm item={item} withContent={withContent} onSave={onSave} onClose={onClose} />}
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+/**
+ * System prompt editor with saved presets and inputs for its {{variables}}
+ * @param {Object} props
+ * @param {Object} props.library - usePromptLibrary()
+ * @param {string | null} props.activePresetId
+ * @param {string} props.systemPrompt
+ * @param {Object<string, string>} props.variables - Values for the system prompt's variables
+ * @param {(systemPrompt: string) => void} props.onSystemPromptChange
+ * @param {(variables: Object<string, string>) => void} props.onVariablesChange
+ * @param {(preset: Object | null) => void} props.onPresetChange - Apply a preset, null for a custom prompt
+ * @param {{model: string, temperature: number}} props.settings - Saved along with the system prompt
+ */
+export function SystemPromptSettings({
+  library,
+  activePresetId,
+  systemPrompt,
+  variables,
+  onSystemPromptChange,
+  onVariablesChange,
+  onPresetChange,
+  settings,
+}) {
+  const [editing, setEditing] = useState(null)
+  const activePreset = library.presets.find((preset) => preset.id === activePresetId)
+  const names = extractVariables(systemPrompt)
+
+  const savePreset = async (preset) => {
+    const saved = await library.save({ ...preset, kind: "preset", systemPrompt, ...settings })
+    setEditing(null)
+    onPresetChange(saved)
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">System Prompt</label>
+      <div className="flex items-center gap-1">
+        <Select
+          value={activePreset ? activePreset.id : CUSTOM}
+          onValueChange={(id) => onPresetChange(library.presets.find((preset) => preset.id === id) ?? null)}
+        >
+          <SelectTrigger className="flex-1 min-w-0">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={CUSTOM}>Custom</SelectItem>
+            {library.presets.map((preset) => (
+              <SelectItem key={preset.id} value={preset.id}>
+                {preset.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          variant="ghost"
+          size="icon"
+          title={activePreset ? `Update "${activePreset.name}"` : "Save as preset"}
+          onClick={() => (activePreset ? savePreset(activePreset) : setEditing({ name: "" }))}
+        >
+          <Save />
+        </Button>
+        {activePreset && (
+          <>
+            <Button variant="ghost" size="icon" title="Save as new preset" onClick={() => setEditing({ name: "" })}>
+              <Plus />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              title="Delete preset"
+              onClick={async () => {
+                await library.remove(activePreset.id)
+                onPresetChange(null)
+              }}
+            >
+              <Trash2 />
+            </Button>
+          </>
+        )}
+      </div>
+      <Textarea value={systemPrompt} onChange={(e) => onSystemPromptChange(e.target.value)} rows={3} />
+      {names.length > 0 && (
+        <div className="space-y-1">
+          {names.map((name) => (
+            <div key={name} className="flex items-center gap-2">
+              <span className="w-24 truncate font-mono text-xs text-gray-500" title={name}>
+                {name}
+              </span>
+              <Input
+                value={variables[name] ?? ""}
+                onChange={(e) => onVariablesChange({ ...variables, [name]: e.target.value })}
+                placeholder="Asked when sending"
+                className="h-8"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+      <PromptItemDialog
+        item={editing}
+        title="Save preset"
+        onSave={({ name }) => savePreset({ name })}
+        onClose={() => setEditing(null)}
+      />
+    </div>
+  )
+}
+
+/**
+ * Snippets for the "/" palette, plus import and export of the whole library as JSON
+ * @param {Object} props
+ * @param {Object} props.library - usePromptLibrary()
+ */
+export function PromptLibrary({ library }) {
+  const [editing, setEditing] = useState(null)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const importFile = async (file) => {
+    try {
+      await library.importItems(parsePromptLibrary(await file.text()))
+      setError(null)
+    } catch (error) {
+      console.error("Error importing prompt library:", error)
+      setError(error.message)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">Prompt Snippets</label>
+      <p className="text-xs text-gray-500">Type / in the message box to insert one.</p>
+      <ul className="space-y-1">
+        {library.snippets.map((snippet) => (
+          <li key={snippet.id} className="group flex items-center gap-1 text-sm text-gray-700">
+            <span className="flex-1 truncate" title={snippet.content}>
+              {snippet.name}
+            </span>
+            <button title="Edit" onClick={() => setEditing(snippet)} className="text-gray-400 hover:text-gray-700">
+              <Pencil className="h-3.5 w-3.5" />
+            </button>
+            <button
+              title="Delete"
+              onClick={() => library.remove(snippet.id)}
+              className="text-gray-400 hover:text-red-600"
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-1">
+        <Button variant="outline" size="sm" onClick={() => setEditing({ name: "", content: "" })}>
+          <Plus />
+          Snippet
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          title="Import presets and snippets"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          <Upload />
+          Import
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          title="Export presets and snippets"
+          disabled={library.items.length === 0}
+          onClick={() => downloadFile("prompt-library.json", exportPromptLibrary(library.items))}
+        >
+          <Download />
+          Export
+        </Button>
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files[0]) importFile(e.target.files[0])
+          e.target.value = ""
+        }}
+      />
+      {(error || library.error) && <p className="text-xs text-red-600">{error || library.error}</p>}
+      <PromptItemDialog
+        item={editing}
+        title={editing?.id ? "Edit snippet" : "New snippet"}
+        withContent
+        onSave={async (snippet) => {
+          await library.save({ ...snippet, kind: "snippet" })
+          setEditing(null)
+        }}
+        onClose={() => setEditing(null)}
+      />
+    </div>
+  )
+}
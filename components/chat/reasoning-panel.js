@@ -0,0 +1,35 @@
+"use client"
+
+import { Brain, Loader2 } from "lucide-react"
+
+function formatDuration(ms) {
+  const seconds = ms / 1000
+  return seconds < 10 ? `${seconds.toFixed(1)} s` : `${Math.round(seconds)} s`
+}
+
+/**
+ * Collapsible reasoning of a thinking model, shown above its answer
+ * @param {Object} props
+ * @param {{text: string, durationMs: number | null, done: boolean}} props.reasoning - From messageReasoning
+ * @param {boolean} props.streaming - The answer is still being generated
+ */
+export function ReasoningPanel({ reasoning, streaming }) {
+  if (!reasoning?.text) return null
+
+  const thinking = streaming && !reasoning.done
+  let label = "Thoughts"
+  if (thinking) label = "Thinking…"
+  else if (reasoning.durationMs !== null) label = `Thought for ${formatDuration(reasoning.durationMs)}`
+
+  return (
+    <details className="mb-2 rounded-md border border-gray-200 bg-gray-50 text-left text-xs text-gray-600" open={thinking}>
+      <summary className="flex cursor-pointer items-center gap-1.5 px-2 py-1">
+        {thinking ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Brain className="h-3.5 w-3.5" />}
+        <span className="font-medium">{label}</span>
+      </summary>
+      <p className="max-h-80 overflow-auto whitespace-pre-wrap border-t border-gray-200 px-2 py-2 text-gray-500">
+        {reasoning.text}
+      </p>
+    </details>
+  )
+}
@@ -0,0 +1,139 @@
+"use client"
+
+import { useState } from "react"
+import { Check, Copy, Link2, Loader2, Share2, Trash2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Switch } from "@/components/ui/switch"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog"
+import { useShares } from "@/hooks/use-shares"
+import { useCopyToClipboard } from "@/hooks/use-copy-to-clipboard"
+import { sharePath } from "@/lib/shares"
+
+const shareUrl = (id) => `${window.location.origin}${sharePath(id)}`
+
+function ShareLink({ share, onRevoke }) {
+  const { copied, copy } = useCopyToClipboard()
+  return (
+    <li className="flex items-center gap-2 text-sm">
+      <Link2 className="h-4 w-4 flex-shrink-0 text-gray-400" />
+      <a href={sharePath(share.id)} target="_blank" rel="noreferrer" className="truncate text-blue-600 hover:underline">
+        {new Date(share.createdAt).toLocaleString()}
+      </a>
+      <span className="text-xs text-gray-500">
+        {share.messageCount} messages{share.includesSystemPrompt ? "" : ", system prompt hidden"}
+      </span>
+      <div className="ml-auto flex items-center">
+        <Button variant="ghost" size="icon" title="Copy link" onClick={() => copy(shareUrl(share.id))}>
+          {copied ? <Check /> : <Copy />}
+        </Button>
+        <Button variant="ghost" size="icon" title="Revoke link" onClick={() => onRevoke(share.id)}>
+          <Trash2 />
+        </Button>
+      </div>
+    </li>
+  )
+}
+
+/**
+ * Share button with a dialog that snapshots the open chat into a read-only link and lists the
+ * chat's links for copying and revoking
+ * @param {Object} props
+ * @param {string | null} props.conversationId - Id of the open chat, null while it is not saved
+ * @param {() => Object} props.getConversation - The open chat as it would be saved
+ * @param {boolean} [props.disabled]
+ */
+export function ShareDialog({ conversationId, getConversation, disabled }) {
+  const [open, setOpen] = useState(false)
+  const [hideSystemPrompt, setHideSystemPrompt] = useState(false)
+  const [creating, setCreating] = useState(false)
+  const [createError, setCreateError] = useState(null)
+  const [created, setCreated] = useState(null)
+  const { shares, error, create, revoke } = useShares(conversationId, open)
+  const { copied, copy } = useCopyToClipboard()
+
+  const handleCreate = async () => {
+    setCreating(true)
+    setCreateError(null)
+    try {
+      const share = await create(getConversation(), !hideSystemPrompt)
+      setCreated(share)
+      copy(shareUrl(share.id))
+    } catch (error) {
+      setCreateError(error.message)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const handleOpenChange = (next) => {
+    setOpen(next)
+    if (!next) {
+      setCreated(null)
+      setCreateError(null)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm" disabled={disabled}>
+          <Share2 />
+          Share
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Share this chat</DialogTitle>
+          <DialogDescription>
+            Anyone who can sign in and has the link sees the chat as it is now, read-only, and can continue it in
+            a chat of their own. Later messages are not shared.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex items-center gap-3">
+            <Switch checked={hideSystemPrompt} onCheckedChange={setHideSystemPrompt} />
+            <label className="text-sm font-medium text-gray-700">Hide the system prompt</label>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <Button onClick={handleCreate} disabled={creating}>
+              {creating ? <Loader2 className="animate-spin" /> : <Link2 />}
+              Create link
+            </Button>
+            {createError && <span className="text-sm text-red-600">{createError}</span>}
+          </div>
+
+          {created && (
+            <div className="flex items-center gap-2">
+              <Input readOnly value={shareUrl(created.id)} onFocus={(e) => e.target.select()} />
+              <Button variant="outline" size="icon" title="Copy link" onClick={() => copy(shareUrl(created.id))}>
+                {copied ? <Check /> : <Copy />}
+              </Button>
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {shares.length > 0 && (
+            <div>
+              <h3 className="mb-1 text-sm font-semibold text-gray-900">Links to this chat</h3>
+              <ul className="space-y-1">
+                {shares.map((share) => (
+                  <ShareLink key={share.id} share={share} onRevoke={revoke} />
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
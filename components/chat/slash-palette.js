@@ -0,0 +1,31 @@
+"use client"
+
+import { Command, CommandEmpty, CommandGroup, CommandItem, CommandList } from "@/components/ui/command"
+
+/**
+ * Snippet list shown above the message input while it starts with "/"
+ * @param {Object} props
+ * @param {Object} props.palette - useSlashPalette()
+ */
+export function SlashPalette({ palette }) {
+  if (!palette.open) return null
+
+  return (
+    <div className="absolute bottom-full left-4 right-4 mb-2 rounded-md border border-gray-200 bg-white shadow-md">
+      {/* Filtering and keyboard handling live in the hook, the input keeps focus */}
+      <Command shouldFilter={false} value={palette.selectedId} onValueChange={palette.setSelectedId}>
+        <CommandList>
+          <CommandEmpty>No matching snippets</CommandEmpty>
+          <CommandGroup heading="Snippets">
+            {palette.matches.map((snippet) => (
+              <CommandItem key={snippet.id} value={snippet.id} onSelect={() => palette.insert(snippet)}>
+                <span className="font-medium">{snippet.name}</span>
+                <span className="truncate text-xs text-gray-500">{snippet.content}</span>
+              </CommandItem>
+            ))}
+          </CommandGroup>
+        </CommandList>
+      </Command>
+    </div>
+  )
+}
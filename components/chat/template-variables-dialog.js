@@ -0,0 +1,66 @@
+"use client"
+
+import { useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+
+function VariablesForm({ names, initialValues, onSubmit, onCancel }) {
+  const [values, setValues] = useState(() => Object.fromEntries(names.map((name) => [name, initialValues[name] ?? ""])))
+
+  return (
+    <form
+      className="space-y-3"
+      onSubmit={(e) => {
+        e.preventDefault()
+        onSubmit(values)
+      }}
+    >
+      {names.map((name, index) => (
+        <div key={name}>
+          <label className="block font-mono text-xs text-gray-600">{name}</label>
+          <Input
+            value={values[name]}
+            onChange={(e) => setValues((current) => ({ ...current, [name]: e.target.value }))}
+            autoFocus={index === 0}
+          />
+        </div>
+      ))}
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit">Send</Button>
+      </DialogFooter>
+    </form>
+  )
+}
+
+/**
+ * Asks for {{variables}} of the system prompt and message that have no value yet
+ * @param {Object} props
+ * @param {string[] | null} props.names - Variables to ask for, null when closed
+ * @param {Object<string, string>} [props.initialValues]
+ * @param {(values: Object<string, string>) => void} props.onSubmit
+ * @param {() => void} props.onCancel
+ */
+export function TemplateVariablesDialog({ names, initialValues = {}, onSubmit, onCancel }) {
+  return (
+    <Dialog open={Boolean(names)} onOpenChange={(open) => !open && onCancel()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Fill in variables</DialogTitle>
+          <DialogDescription>Values for the system prompt are kept for the next messages.</DialogDescription>
+        </DialogHeader>
+        {names && <VariablesForm names={names} initialValues={initialValues} onSubmit={onSubmit} onCancel={onCancel} />}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,67 @@
+"use client"
+
+import { Loader2, Wrench } from "lucide-react"
+
+function formatJson(value) {
+  if (typeof value !== "string") return JSON.stringify(value, null, 2)
+  try {
+    return JSON.stringify(JSON.parse(value), null, 2)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Pair the tool_call and tool_result annotations the chat route streams with an answer
+ * @param {Object[]} [annotations] - message.annotations from useChat
+ * @returns {Array<{id: string, name: string, arguments: string, result?: Object, error?: string, done: boolean}>}
+ */
+function toolRunsFrom(annotations = []) {
+  const runs = new Map()
+  for (const annotation of annotations) {
+    if (annotation?.type === "tool_call") {
+      runs.set(annotation.id, { ...annotation, done: false })
+    } else if (annotation?.type === "tool_result" && runs.has(annotation.id)) {
+      runs.set(annotation.id, { ...runs.get(annotation.id), ...annotation, done: true })
+    }
+  }
+  return [...runs.values()]
+}
+
+/**
+ * Collapsible blocks for the tools the model called while answering
+ * @param {Object} props
+ * @param {Object[]} [props.annotations]
+ */
+export function ToolRuns({ annotations }) {
+  const runs = toolRunsFrom(annotations)
+  if (runs.length === 0) return null
+
+  return (
+    <div className="mb-2 space-y-1 text-left">
+      {runs.map((run) => (
+        <details key={run.id} className="rounded-md border border-gray-200 bg-gray-50 text-xs text-gray-600">
+          <summary className="flex cursor-pointer items-center gap-1.5 px-2 py-1">
+            {run.done ? <Wrench className="h-3.5 w-3.5" /> : <Loader2 className="h-3.5 w-3.5 animate-spin" />}
+            <span className="font-mono font-medium">{run.name}</span>
+            {run.error && <span className="text-red-600">failed</span>}
+          </summary>
+          <div className="space-y-2 border-t border-gray-200 px-2 py-2">
+            <div>
+              <p className="font-semibold text-gray-500">Arguments</p>
+              <pre className="mt-1 overflow-x-auto whitespace-pre-wrap">{formatJson(run.arguments || "{}")}</pre>
+            </div>
+            {run.done && (
+              <div>
+                <p className="font-semibold text-gray-500">{run.error ? "Error" : "Result"}</p>
+                <pre className={`mt-1 max-h-64 overflow-auto whitespace-pre-wrap ${run.error ? "text-red-600" : ""}`}>
+                  {run.error ?? formatJson(run.result)}
+                </pre>
+              </div>
+            )}
+          </div>
+        </details>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,181 @@
+"use client"
+
+import { Loader2, Mic, Square } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Slider } from "@/components/ui/slider"
+import { Switch } from "@/components/ui/switch"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+
+// Select value for the browser's default voice
+const DEFAULT_VOICE_NAME = "default"
+
+/**
+ * Push-to-talk microphone button for the composer: dictation runs while the button (or Space /
+ * Enter on it) is held down
+ * @param {Object} props
+ * @param {Object} props.dictation - useDictation()
+ * @param {boolean} props.disabled
+ */
+export function DictationButton({ dictation, disabled }) {
+  if (!dictation.supported) return null
+  const { status, start, stop } = dictation
+  const held = (e) => !e.repeat && (e.key === " " || e.key === "Enter")
+
+  return (
+    <Button
+      type="button"
+      variant="ghost"
+      size="icon"
+      title="Hold to dictate"
+      disabled={disabled || status === "transcribing"}
+      className={status === "listening" ? "text-red-600 animate-pulse" : undefined}
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId)
+        start()
+      }}
+      onPointerUp={stop}
+      onPointerCancel={stop}
+      onKeyDown={(e) => {
+        if (!held(e)) return
+        e.preventDefault()
+        start()
+      }}
+      onKeyUp={(e) => {
+        if (e.key === " " || e.key === "Enter") stop()
+      }}
+    >
+      {status === "transcribing" ? <Loader2 className="h-4 w-4 animate-spin" /> : <Mic className="h-4 w-4" />}
+    </Button>
+  )
+}
+
+/**
+ * One line above the composer with what voice input and output are doing
+ * @param {Object} props
+ * @param {Object} props.dictation - useDictation()
+ * @param {Object} props.speech - useSpeechOutput()
+ * @param {boolean} props.handsFree
+ * @param {() => void} props.onEndHandsFree
+ */
+export function VoiceStatus({ dictation, speech, handsFree, onEndHandsFree }) {
+  const { status, interim, error } = dictation
+  if (!handsFree && !speech.speaking && status === "idle" && !error) return null
+
+  let text = null
+  if (status === "listening") text = interim ? `Listening: ${interim}` : "Listening..."
+  else if (status === "transcribing") text = "Transcribing..."
+  else if (speech.speaking) text = "Reading the answer aloud"
+  else if (handsFree) text = "Hands-free conversation"
+
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      {error ? (
+        <span className="flex-1 min-w-0 truncate text-red-600">{error}</span>
+      ) : (
+        <span className="flex-1 min-w-0 truncate text-gray-500">{text}</span>
+      )}
+      {speech.speaking && (
+        <Button type="button" variant="outline" size="sm" className="h-6 px-2 text-xs" onClick={speech.stop}>
+          <Square className="h-3 w-3" />
+          Stop reading
+        </Button>
+      )}
+      {handsFree && (
+        <Button type="button" variant="outline" size="sm" className="h-6 px-2 text-xs" onClick={onEndHandsFree}>
+          End hands-free
+        </Button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Sidebar settings for dictation and reading answers aloud
+ * @param {Object} props
+ * @param {Object} props.voiceChat - useVoiceChat()
+ * @param {boolean} props.transcriptionAvailable - An administrator configured a transcription server
+ */
+export function VoiceSettings({ voiceChat, transcriptionAvailable }) {
+  const { voice, setVoice, handsFree, setHandsFree, engine, dictation, speech } = voiceChat
+  const update = (changes) => setVoice((current) => ({ ...current, ...changes }))
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Dictation</label>
+        <Select value={engine} onValueChange={(value) => update({ engine: value })}>
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="browser">Browser speech recognition</SelectItem>
+            <SelectItem value="server" disabled={!transcriptionAvailable}>
+              Transcription server
+            </SelectItem>
+          </SelectContent>
+        </Select>
+        <Input
+          className="mt-1"
+          value={voice.language}
+          onChange={(e) => update({ language: e.target.value.trim() })}
+          placeholder="Language, e.g. en-US (browser default)"
+        />
+        {!dictation.supported && (
+          <p className="mt-1 text-xs text-amber-600">
+            {engine === "server"
+              ? "This browser cannot record audio."
+              : "This browser has no speech recognition; use the transcription server if one is configured."}
+          </p>
+        )}
+      </div>
+      {speech.supported && (
+        <>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Read Answers Aloud</label>
+            <Switch checked={voice.readAloud} onCheckedChange={(readAloud) => update({ readAloud })} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Voice</label>
+            <Select
+              value={voice.voiceName || DEFAULT_VOICE_NAME}
+              onValueChange={(value) => update({ voiceName: value === DEFAULT_VOICE_NAME ? "" : value })}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={DEFAULT_VOICE_NAME}>Browser default</SelectItem>
+                {speech.voices.map((entry) => (
+                  <SelectItem key={entry.name} value={entry.name}>
+                    {entry.name} ({entry.lang})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Speaking Rate</label>
+            <Slider
+              value={[voice.rate]}
+              onValueChange={([rate]) => update({ rate })}
+              min={0.5}
+              max={2}
+              step={0.1}
+            />
+            <span className="text-sm text-gray-500">{voice.rate}x</span>
+          </div>
+        </>
+      )}
+      {dictation.supported && speech.supported && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Hands-free Conversation</label>
+          <Switch checked={handsFree} onCheckedChange={setHandsFree} />
+          <p className="mt-1 text-xs text-gray-500">
+            Sends what you say after a pause, reads the answer aloud, then listens again.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
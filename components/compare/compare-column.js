@@ -0,0 +1,79 @@
+"use client"
+
+import { AlertCircle, Loader2, ThumbsUp } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader } from "@/components/ui/card"
+import { Markdown } from "@/components/chat/markdown"
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return "–"
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`
+}
+
+const Stat = ({ label, value }) => (
+  <div>
+    <dt className="text-gray-400">{label}</dt>
+    <dd className="font-medium text-gray-700">{value}</dd>
+  </div>
+)
+
+/**
+ * One model's answer in compare mode, with timing stats and a vote button
+ * @param {Object} props
+ * @param {Object} props.run - Run from useCompare
+ * @param {boolean} props.isWinner - This column got the vote for the current prompt
+ * @param {(() => void) | undefined} props.onVote - Undefined while voting is not possible
+ */
+export function CompareColumn({ run, isWinner, onVote }) {
+  const { stats } = run
+
+  return (
+    <Card className={`flex min-w-0 flex-col shadow-sm ${isWinner ? "ring-2 ring-green-500" : ""}`}>
+      <CardHeader className="space-y-2 border-b border-gray-100 p-3">
+        <div className="flex items-center gap-2">
+          <p className="truncate text-sm font-semibold text-gray-900" title={run.model}>
+            {run.model}
+          </p>
+          {run.status === "streaming" && <Loader2 className="h-4 w-4 flex-shrink-0 animate-spin text-gray-400" />}
+          {run.status === "stopped" && <span className="text-xs text-gray-400">stopped</span>}
+        </div>
+        <dl className="grid grid-cols-3 gap-2 text-xs">
+          <Stat label="First token" value={formatMs(stats?.timeToFirstTokenMs)} />
+          <Stat label="Latency" value={run.status === "streaming" ? "…" : formatMs(stats?.latencyMs)} />
+          <Stat
+            label="Length"
+            value={
+              stats
+                ? `${stats.outputChars.toLocaleString()} ch · ${stats.tokensEstimated ? "~" : ""}${stats.outputTokens.toLocaleString()} tok`
+                : "–"
+            }
+          />
+        </dl>
+      </CardHeader>
+      <CardContent className="flex-1 overflow-auto p-3">
+        {run.error ? (
+          <p className="flex items-start gap-1 text-sm text-red-600">
+            <AlertCircle className="mt-0.5 h-4 w-4 flex-shrink-0" />
+            {run.error}
+          </p>
+        ) : (
+          <div className="prose prose-sm max-w-none">
+            <Markdown content={run.content} streaming={run.status === "streaming"} />
+          </div>
+        )}
+      </CardContent>
+      <div className="border-t border-gray-100 p-2">
+        <Button
+          variant={isWinner ? "default" : "outline"}
+          size="sm"
+          className="w-full"
+          onClick={onVote}
+          disabled={!onVote}
+        >
+          <ThumbsUp />
+          {isWinner ? "Voted best" : "This one is better"}
+        </Button>
+      </div>
+    </Card>
+  )
+}
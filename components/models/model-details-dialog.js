@@ -0,0 +1,74 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Loader2 } from "lucide-react"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+
+const Section = ({ title, text }) =>
+  text ? (
+    <section className="space-y-1">
+      <h3 className="text-sm font-medium text-gray-700">{title}</h3>
+      <pre className="max-h-64 overflow-auto whitespace-pre-wrap rounded-md bg-gray-50 p-2 font-mono text-xs">
+        {text}
+      </pre>
+    </section>
+  ) : null
+
+function ModelDetails({ name, showModel }) {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    showModel(name)
+      .then((result) => !cancelled && setData(result))
+      .catch((error) => !cancelled && setError(error.message))
+    return () => {
+      cancelled = true
+    }
+  }, [name, showModel])
+
+  if (error) return <p className="text-sm text-red-600">{error}</p>
+  if (!data) return <Loader2 className="mx-auto h-5 w-5 animate-spin text-gray-400" />
+
+  const { details, capabilities } = data
+  const facts = [
+    details.family && `Family: ${details.family}`,
+    details.parameter_size && `Parameters: ${details.parameter_size}`,
+    details.quantization_level && `Quantisation: ${details.quantization_level}`,
+    details.format && `Format: ${details.format}`,
+    capabilities.length > 0 && `Capabilities: ${capabilities.join(", ")}`,
+  ].filter(Boolean)
+
+  return (
+    <div className="space-y-3">
+      {facts.length > 0 && <p className="text-xs text-gray-500">{facts.join(" · ")}</p>}
+      <Section title="Parameters" text={data.parameters} />
+      <Section title="System prompt" text={data.system} />
+      <Section title="Template" text={data.template} />
+      <Section title="Modelfile" text={data.modelfile} />
+    </div>
+  )
+}
+
+/**
+ * Modelfile, template and parameters of an Ollama model
+ * @param {Object} props
+ * @param {string | null} props.name - Model to show, null when closed
+ * @param {(name: string) => Promise<Object>} props.showModel - From useOllamaModels
+ * @param {() => void} props.onClose
+ */
+export function ModelDetailsDialog({ name, showModel, onClose }) {
+  return (
+    <Dialog open={Boolean(name)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-h-[90vh] max-w-3xl overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{name}</DialogTitle>
+          <DialogDescription>Model details from the Ollama server</DialogDescription>
+        </DialogHeader>
+        {/* The content unmounts while closed, so each model is loaded when it is opened */}
+        {name && <ModelDetails name={name} showModel={showModel} />}
+      </DialogContent>
+    </Dialog>
+  )
+}
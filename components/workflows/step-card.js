@@ -0,0 +1,63 @@
+"use client"
+
+import { AlertCircle, Check, Loader2 } from "lucide-react"
+import { Card, CardContent, CardHeader } from "@/components/ui/card"
+import { Markdown } from "@/components/chat/markdown"
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return "–"
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`
+}
+
+/**
+ * One step of a workflow run with its streamed answer; map steps show the answer per chunk
+ * @param {Object} props
+ * @param {Object} props.step - Step from useWorkflowRun
+ * @param {number} props.index - Position in the pipeline, from 0
+ */
+export function StepCard({ step, index }) {
+  const streaming = step.status === "running"
+  // A fallback model may have answered instead of the requested one
+  const models = step.models?.length ? step.models.join(", ") : step.model
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader className="flex-row items-center gap-2 space-y-0 border-b border-gray-100 p-3">
+        <span className="text-xs text-gray-400">{index + 1}</span>
+        <p className="text-sm font-semibold text-gray-900">{step.id}</p>
+        <p className="truncate text-xs text-gray-500" title={models}>
+          {models}
+          {step.map && ` · map over ${step.map}`}
+        </p>
+        <div className="ml-auto flex flex-shrink-0 items-center gap-2 text-xs text-gray-500">
+          {step.status === "done" && (
+            <>
+              <span>{step.usage.totalTokens.toLocaleString()} tok</span>
+              <span>{formatMs(step.durationMs)}</span>
+              <Check className="h-4 w-4 text-green-600" />
+            </>
+          )}
+          {streaming && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+          {step.status === "pending" && <span className="text-gray-400">waiting</span>}
+          {step.status === "error" && <AlertCircle className="h-4 w-4 text-red-600" />}
+        </div>
+      </CardHeader>
+      {step.chunks.length > 0 && (
+        <CardContent className="space-y-3 p-3">
+          {step.chunks.map((text, chunk) => (
+            <div key={chunk}>
+              {step.chunks.length > 1 && (
+                <p className="mb-1 text-xs font-medium text-gray-400">
+                  Part {chunk + 1} of {step.chunks.length}
+                </p>
+              )}
+              <div className="prose prose-sm max-w-none">
+                <Markdown content={text} streaming={streaming} />
+              </div>
+            </div>
+          ))}
+        </CardContent>
+      )}
+    </Card>
+  )
+}
@@ -3,17 +3,94 @@
  * @description Configuration constants for the GenAI Chat application
  */
 
+/**
+ * Parse a JSON object from an environment variable. A malformed value is logged and ignored rather
+ * than thrown, which would fail every module that imports CONFIG.
+ * @param {string} name - Variable name, for the log
+ * @param {string} [value] - Passed in, since Next.js only inlines literal process.env.NEXT_PUBLIC_ reads
+ * @returns {Object}
+ */
+function parseJsonObject(name, value) {
+  if (!value) return {}
+  try {
+    const parsed = JSON.parse(value)
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed
+    console.error(`Ignoring ${name}: expected a JSON object`)
+  } catch (error) {
+    console.error(`Ignoring ${name}: ${error.message}`)
+  }
+  return {}
+}
+
 export const CONFIG = {
   // API Configuration
-  API_BASE_URL: process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:11434",
-  CLOUDFLARE_API_URL: process.env.NEXT_PUBLIC_CLOUDFLARE_API_URL || "https://gateway.ai.cloudflare.com/v1",
+  // Providers, credentials, model lists and chat defaults are runtime settings (lib/settings.js) that
+  // administrators change at /admin/settings. The variables below only seed them until the first save.
+  // They are server side; the NEXT_PUBLIC_ names are still read for existing deployments.
+  API_BASE_URL: process.env.OLLAMA_BASE_URL || process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:11434",
+  CLOUDFLARE_API_URL:
+    process.env.CLOUDFLARE_API_URL || process.env.NEXT_PUBLIC_CLOUDFLARE_API_URL || "https://gateway.ai.cloudflare.com/v1",
   CLOUDFLARE_ACCOUNT_ID: process.env.CLOUDFLARE_ACCOUNT_ID,
   CLOUDFLARE_BEARER_TOKEN: process.env.CLOUDFLARE_BEARER_TOKEN,
 
+  // Generic OpenAI-compatible endpoint (vLLM, LM Studio, OpenRouter, OpenAI, ...)
+  OPENAI_COMPATIBLE_BASE_URL: process.env.OPENAI_COMPATIBLE_BASE_URL || "",
+  OPENAI_COMPATIBLE_API_KEY: process.env.OPENAI_COMPATIBLE_API_KEY,
+
+  // Whisper-compatible speech to text (faster-whisper-server, whisper.cpp server, OpenAI, ...) for voice
+  // input; the base URL is the one /audio/transcriptions is under, e.g. http://localhost:8000/v1
+  TRANSCRIPTION_BASE_URL: process.env.TRANSCRIPTION_BASE_URL || "",
+  TRANSCRIPTION_MODEL: process.env.TRANSCRIPTION_MODEL || "whisper-1",
+  TRANSCRIPTION_API_KEY: process.env.TRANSCRIPTION_API_KEY,
+  // Largest recording accepted by /api/audio/transcriptions, OpenAI's limit
+  MAX_AUDIO_BYTES: 25 * 1024 * 1024,
+  // Recordings per minute, per user and per client IP; 0 turns the limit off
+  TRANSCRIPTION_RATE_LIMIT_PER_MINUTE: Number(process.env.TRANSCRIPTION_RATE_LIMIT_PER_MINUTE ?? 20),
+
+  // Comma separated provider ids to serve, e.g. "ollama,cloudflare,openai".
+  // When empty every provider with credentials configured is enabled.
+  ENABLED_PROVIDERS: (process.env.ENABLED_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean),
+
+  // Upstream failures, see lib/chat/completion.js and lib/chat/fallback.js
+  // Time until the provider answers with response headers. Non-streaming answers arrive with their
+  // headers, so those requests also get UPSTREAM_FIRST_TOKEN_TIMEOUT_MS.
+  UPSTREAM_CONNECT_TIMEOUT_MS: Number(process.env.UPSTREAM_CONNECT_TIMEOUT_MS) || 15000,
+  // Time from the headers to the first streamed event; loading a large model can take a while
+  UPSTREAM_FIRST_TOKEN_TIMEOUT_MS: Number(process.env.UPSTREAM_FIRST_TOKEN_TIMEOUT_MS) || 120000,
+  // Retries of 429, 5xx, network errors and timeouts, waiting UPSTREAM_RETRY_DELAY_MS, then twice as long, ...
+  UPSTREAM_MAX_RETRIES: Number(process.env.UPSTREAM_MAX_RETRIES ?? 2),
+  UPSTREAM_RETRY_DELAY_MS: Number(process.env.UPSTREAM_RETRY_DELAY_MS) || 500,
+  // Qualified model ids tried in order when the requested model fails before answering,
+  // e.g. "ollama/llama3.2:latest,cloudflare/@cf/meta/llama-3.3-70b-instruct-fp8-fast"
+  FALLBACK_MODELS: (process.env.FALLBACK_MODELS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean),
+
   // Semantic Search Configuration
-  CONTEXT_INJECTION: process.env.NEXT_PUBLIC_CONTEXT_INJECTION === "true",
+  CONTEXT_INJECTION: (process.env.CONTEXT_INJECTION ?? process.env.NEXT_PUBLIC_CONTEXT_INJECTION) === "true",
   SEMANTIC_SEARCH_API: process.env.NEXT_PUBLIC_SEMANTIC_SEARCH_API || "http://localhost:8000/search",
 
+  // Retrieval (RAG)
+  // "local" searches documents uploaded through /api/documents, "external" posts to SEMANTIC_SEARCH_API
+  RETRIEVER: process.env.RETRIEVER || (process.env.NEXT_PUBLIC_SEMANTIC_SEARCH_API ? "external" : "local"),
+  // Qualified id of the embedding model, its provider must implement embed()
+  RAG_EMBEDDING_MODEL: process.env.RAG_EMBEDDING_MODEL || "ollama/nomic-embed-text",
+  RAG_CHUNK_SIZE: Number(process.env.RAG_CHUNK_SIZE) || 1200, // characters
+  RAG_CHUNK_OVERLAP: Number(process.env.RAG_CHUNK_OVERLAP) || 200, // characters
+  RAG_TOP_K: Number(process.env.RAG_TOP_K) || 4,
+  RAG_MIN_SCORE: Number(process.env.RAG_MIN_SCORE ?? 0.3), // cosine similarity
+  RAG_MAX_UPLOAD_BYTES: Number(process.env.RAG_MAX_UPLOAD_BYTES) || 10 * 1024 * 1024,
+
+  // Conversation History
+  // "indexeddb" keeps chats in the browser, "server" stores them through /api/conversations
+  CONVERSATION_STORE: process.env.NEXT_PUBLIC_CONVERSATION_STORE || "indexeddb",
+  // Directory for server side JSON stores
+  DATA_DIR: process.env.DATA_DIR || ".data",
+
   // Default Models
   DEFAULT_MODELS: [
     "@cf/deepseek-ai/deepseek-r1-distill-qwen-32b",
@@ -24,12 +101,114 @@ export const CONFIG = {
     "mistral:latest",
   ],
 
+  // Initial default model of new chats (qualified id) and the model lists; "*" matches anything,
+  // e.g. MODEL_DENY_LIST="ollama/*:70b*,cloudflare/@cf/meta/llama-2-*"
+  DEFAULT_MODEL: process.env.DEFAULT_MODEL || "",
+  MODEL_ALLOW_LIST: (process.env.MODEL_ALLOW_LIST || "")
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean),
+  MODEL_DENY_LIST: (process.env.MODEL_DENY_LIST || "")
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean),
+
+  // Cloudflare Workers AI has no list models endpoint, so its catalogue is static
+  CLOUDFLARE_MODELS: [
+    "@cf/deepseek-ai/deepseek-r1-distill-qwen-32b",
+    "@cf/meta/llama-2-7b-chat-int8",
+    "@cf/mistral/mistral-7b-instruct-v0.1",
+    "@cf/meta/llama-3.3-70b-instruct-fp8-fast",
+  ],
+
+  // Context window sizes in tokens, matched as substrings of the model name (first match wins).
+  // Extend or override with NEXT_PUBLIC_MODEL_CONTEXT_LIMITS='{"qwen2.5": 32768}'
+  MODEL_CONTEXT_LIMITS: [
+    ...Object.entries(parseJsonObject("NEXT_PUBLIC_MODEL_CONTEXT_LIMITS", process.env.NEXT_PUBLIC_MODEL_CONTEXT_LIMITS)),
+    ["@cf/deepseek-ai/deepseek-r1-distill-qwen-32b", 80000],
+    ["@cf/meta/llama-3.3-70b-instruct-fp8-fast", 24000],
+    ["@cf/mistral/mistral-7b-instruct-v0.1", 2824],
+    ["@cf/meta/llama-2-7b-chat-int8", 2048],
+    ["llama3.1", 131072],
+    ["llama3.2", 131072],
+    ["gpt-4o", 128000],
+  ],
+  // Used for models without an entry above; Ollama's default num_ctx
+  DEFAULT_MODEL_CONTEXT_LIMIT: 4096,
+  // Upper bound for the summary of trimmed turns
+  SUMMARY_MAX_TOKENS: 512,
+
+  // Models that accept images, matched as substrings of the model name
+  VISION_MODEL_PATTERNS: ["llava", "vision", "moondream", "minicpm-v", "qwen2.5vl", "gemma3", "llama4", "gpt-4o"],
+
+  // Attachments
+  MAX_IMAGE_BYTES: 5 * 1024 * 1024,
+  MAX_TEXT_ATTACHMENT_BYTES: 200 * 1024,
+
+  // Tool calling
+  // Tools offered to the model when "Use Tools" is on; fetch_url also needs FETCH_TOOL_ALLOWED_HOSTS
+  ENABLED_TOOLS: (process.env.ENABLED_TOOLS || "calculator,current_time,fetch_url,search_docs")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean),
+  // Maximum model calls per request, including the one that writes the final answer
+  MAX_TOOL_STEPS: Number(process.env.MAX_TOOL_STEPS) || 5,
+  // Hosts fetch_url may read (subdomains included), e.g. "docs.python.org,developer.mozilla.org"
+  FETCH_TOOL_ALLOWED_HOSTS: (process.env.FETCH_TOOL_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+  FETCH_TOOL_MAX_BYTES: 100 * 1024,
+
+  // Authentication, see lib/auth. Enabled as soon as a user or an API key is configured.
+  // "name:password" pairs for the login form, e.g. "alice:s3cret,bob:hunter2"
+  AUTH_USERS: (process.env.AUTH_USERS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean),
+  // "name:key" pairs; a key is a Bearer token for API clients and a login token in the UI
+  AUTH_API_KEYS: (process.env.AUTH_API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean),
+  // Signs session cookies; without it sessions end when the server restarts
+  AUTH_SECRET: process.env.AUTH_SECRET || "",
+  AUTH_SESSION_HOURS: Number(process.env.AUTH_SESSION_HOURS) || 24 * 7,
+  // Users allowed to manage the server (pull and delete models, ...); everybody while authentication is off
+  AUTH_ADMINS: (process.env.AUTH_ADMINS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean),
+  // Whether the runtime settings (credentials and provider URLs included) can be changed while
+  // authentication is off, when every visitor is an administrator
+  ALLOW_ANONYMOUS_SETTINGS: process.env.ALLOW_ANONYMOUS_SETTINGS === "true",
+
+  // Number of reverse proxies in front of the app whose X-Forwarded-For is trusted for the client IP,
+  // 0 to ignore the header
+  TRUST_PROXY: Number(process.env.TRUST_PROXY) || 0,
+
+  // Limits on /api/chat, 0 turns a limit off
+  // Requests per minute, counted separately for each user and each client IP
+  RATE_LIMIT_PER_MINUTE: Number(process.env.RATE_LIMIT_PER_MINUTE) || 0,
+  // Per user and UTC day; without authentication every client shares the "anonymous" quota
+  QUOTA_DAILY_REQUESTS: Number(process.env.QUOTA_DAILY_REQUESTS) || 0,
+  QUOTA_DAILY_TOKENS: Number(process.env.QUOTA_DAILY_TOKENS) || 0,
+  // Per-user overrides, e.g. QUOTA_OVERRIDES='{"alice": {"dailyTokens": 500000, "dailyRequests": 0}}'
+  QUOTA_OVERRIDES: parseJsonObject("QUOTA_OVERRIDES", process.env.QUOTA_OVERRIDES),
+
+  // Completion log for /admin/usage, see lib/logging: "jsonl" for one file per UTC day under DATA_DIR/logs, or "off"
+  REQUEST_LOG: process.env.REQUEST_LOG || "jsonl",
+  // Message bodies in the log: "none", "redacted" (emails, phone and card numbers, keys masked) or "full"
+  REQUEST_LOG_BODIES: process.env.REQUEST_LOG_BODIES || "none",
+  // Days of log files to keep, 0 to keep them all
+  REQUEST_LOG_RETENTION_DAYS: Number(process.env.REQUEST_LOG_RETENTION_DAYS ?? 30),
+
   // Default Settings
   DEFAULT_TEMPERATURE: 0.2,
-  DEFAULT_CONTEXT_WINDOW: 4096,
+  DEFAULT_MAX_TOKENS: 1024,
   DEFAULT_SYSTEM_PROMPT: "You are a helpful assistant.",
 
   // API Provider
-  DEFAULT_PROVIDER: process.env.NEXT_PUBLIC_DEFAULT_PROVIDER || "ollama", // 'ollama' or 'cloudflare'
+  DEFAULT_PROVIDER: process.env.DEFAULT_PROVIDER || process.env.NEXT_PUBLIC_DEFAULT_PROVIDER || "ollama", // 'ollama', 'cloudflare' or 'openai'
 }
 
@@ -0,0 +1,67 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { redirectToLogin, responseError } from "@/lib/http"
+
+/**
+ * @param {RequestInit} [init]
+ * @returns {Promise<Object>} - { settings, providers, editable } from /api/admin/settings
+ */
+async function request(init) {
+  const response = await fetch("/api/admin/settings", init)
+  if (response.status === 401) redirectToLogin()
+  if (!response.ok) throw await responseError(response)
+  return response.json()
+}
+
+/**
+ * Runtime settings for the admin settings page, see lib/settings.js
+ * @returns {Object} - { settings, providers, editable, loading, error, save }; settings has its secrets masked
+ *   and is null until loaded, providers are { id, label, configured, enabled }, editable is whether they can be
+ *   saved (not while authentication is off, unless the server allows it)
+ */
+export function useAdminSettings() {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        setData(await request())
+      } catch (error) {
+        console.error("Error loading settings:", error)
+        setError(error.message)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchSettings()
+  }, [])
+
+  /**
+   * @param {Object} settings - Secrets left out keep their stored values, unless their URL changed
+   * @returns {Promise<Object>} - The saved settings, secrets masked
+   * @throws {Error} With the server's message when the settings are invalid
+   */
+  const save = useCallback(async (settings) => {
+    const saved = await request({
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(settings),
+    })
+    setData(saved)
+    setError(null)
+    return saved.settings
+  }, [])
+
+  return {
+    settings: data?.settings ?? null,
+    providers: data?.providers ?? [],
+    editable: data?.editable ?? false,
+    loading,
+    error,
+    save,
+  }
+}
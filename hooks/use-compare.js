@@ -0,0 +1,112 @@
+"use client"
+
+import { useCallback, useRef, useState } from "react"
+import { readDataStream } from "@/lib/chat/data-stream"
+import { estimateTokens } from "@/lib/context-window"
+import { redirectToLogin } from "@/lib/http"
+
+/**
+ * Stream one prompt to several models at once and time each answer.
+ * A run is { model, content, status: "streaming" | "done" | "stopped" | "error", error?, stats },
+ * stats is { timeToFirstTokenMs, latencyMs, outputChars, outputTokens, tokensEstimated }; tokens are
+ * estimated unless the provider reports them.
+ * @returns {{runs: Object[], isRunning: boolean, run: Function, stop: Function}}
+ */
+export function useCompare() {
+  const [runs, setRuns] = useState([])
+  const controllersRef = useRef([])
+  // Incremented per prompt so a stopped round cannot update the columns of the next one
+  const roundRef = useRef(0)
+
+  const streamRun = useCallback(
+    async (index, body, signal) => {
+      const round = roundRef.current
+      const updateRun = (update) => {
+        if (roundRef.current !== round) return
+        setRuns((current) => current.map((run, i) => (i === index ? { ...run, ...update } : run)))
+      }
+      const startedAt = performance.now()
+      let content = ""
+      let timeToFirstTokenMs = null
+      let reportedTokens = null
+      const stats = () => ({
+        timeToFirstTokenMs,
+        latencyMs: Math.round(performance.now() - startedAt),
+        outputChars: content.length,
+        outputTokens: reportedTokens ?? estimateTokens(content),
+        tokensEstimated: reportedTokens === null,
+      })
+
+      try {
+        const response = await fetch("/api/chat", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+          signal,
+        })
+        if (response.status === 401) redirectToLogin()
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}))
+          throw new Error(data.error || `Request failed with status ${response.status}`)
+        }
+
+        for await (const part of readDataStream(response.body)) {
+          if (part.type === "text" && part.value) {
+            timeToFirstTokenMs ??= Math.round(performance.now() - startedAt)
+            content += part.value
+            updateRun({ content, stats: stats() })
+          } else if (part.type === "message_annotations") {
+            for (const annotation of part.value) {
+              if (annotation.type === "error") throw new Error(annotation.message)
+              // Prefer the token count the provider reports over the estimate
+              if (annotation.type === "usage" && !annotation.estimated) reportedTokens = annotation.completionTokens
+            }
+          }
+        }
+        updateRun({ status: "done", stats: stats() })
+      } catch (error) {
+        if (error.name === "AbortError") {
+          updateRun({ status: "stopped", stats: stats() })
+        } else {
+          console.error(`Error comparing ${body.model}:`, error)
+          updateRun({ status: "error", error: error.message, stats: stats() })
+        }
+      }
+    },
+    [],
+  )
+
+  const stop = useCallback(() => {
+    controllersRef.current.forEach((controller) => controller.abort())
+    controllersRef.current = []
+  }, [])
+
+  /**
+   * @param {Object} options
+   * @param {string[]} options.models - Qualified model ids, one column each
+   * @param {Object[]} options.messages - Chat messages sent to every model
+   * @param {Object} options.settings - Other /api/chat body fields (temperature, systemPrompt, ...)
+   */
+  const run = useCallback(
+    async ({ models, messages, settings }) => {
+      stop()
+      roundRef.current += 1
+      const controllers = models.map(() => new AbortController())
+      controllersRef.current = controllers
+      setRuns(models.map((model) => ({ model, content: "", status: "streaming", stats: null })))
+      await Promise.all(
+        models.map((model, index) =>
+          // A column answered by a fallback model would no longer compare the model it names
+          streamRun(
+            index,
+            { ...settings, messages, model, stream: true, allowFallback: false },
+            controllers[index].signal,
+          ),
+        ),
+      )
+    },
+    [stop, streamRun],
+  )
+
+  return { runs, isRunning: runs.some((run) => run.status === "streaming"), run, stop }
+}
@@ -0,0 +1,71 @@
+"use client"
+
+import { useState, useEffect, useCallback, useMemo } from "react"
+import { getConversationStore } from "@/lib/storage"
+
+/**
+ * Saved conversations from the configured store, filtered by a search query
+ * @returns {Object} - List state plus save, load, loadAll, rename, remove and importConversations actions
+ */
+export function useConversations() {
+  const store = useMemo(getConversationStore, [])
+  const [conversations, setConversations] = useState([])
+  const [query, setQuery] = useState("")
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      setConversations(await store.list(query))
+      setError(null)
+    } catch (error) {
+      console.error("Error listing conversations:", error)
+      setError(error.message)
+    }
+  }, [store, query])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const save = useCallback(
+    async (conversation) => {
+      await store.save(conversation)
+      await refresh()
+    },
+    [store, refresh],
+  )
+
+  const rename = useCallback(
+    async (id, title) => {
+      await store.rename(id, title)
+      await refresh()
+    },
+    [store, refresh],
+  )
+
+  const remove = useCallback(
+    async (id) => {
+      await store.remove(id)
+      await refresh()
+    },
+    [store, refresh],
+  )
+
+  const load = useCallback((id) => store.get(id), [store])
+
+  // Every saved conversation in full, regardless of the search query
+  const loadAll = useCallback(async () => {
+    const summaries = await store.list()
+    return (await Promise.all(summaries.map((summary) => store.get(summary.id)))).filter(Boolean)
+  }, [store])
+
+  const importConversations = useCallback(
+    async (imported) => {
+      for (const conversation of imported) await store.save(conversation)
+      await refresh()
+    },
+    [store, refresh],
+  )
+
+  return { conversations, query, setQuery, error, save, load, loadAll, rename, remove, importConversations }
+}
@@ -0,0 +1,31 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+
+/**
+ * Copy text to the clipboard, with a flag for showing a confirmation for a moment
+ * @param {number} [resetMs] - How long copied stays true
+ * @returns {{copied: boolean, copy: (text: string) => Promise<void>}}
+ */
+export function useCopyToClipboard(resetMs = 2000) {
+  const [copied, setCopied] = useState(false)
+  const timerRef = useRef(null)
+
+  useEffect(() => () => clearTimeout(timerRef.current), [])
+
+  const copy = useCallback(
+    async (text) => {
+      try {
+        await navigator.clipboard.writeText(text)
+        setCopied(true)
+        clearTimeout(timerRef.current)
+        timerRef.current = setTimeout(() => setCopied(false), resetMs)
+      } catch (error) {
+        console.error("Error copying to clipboard:", error)
+      }
+    },
+    [resetMs],
+  )
+
+  return { copied, copy }
+}
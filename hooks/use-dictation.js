@@ -0,0 +1,235 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+import { canRecord, recordingFileName, recordingType, speechRecognition } from "@/lib/speech"
+import { responseError } from "@/lib/http"
+
+// Hands-free listening ends after this much silence following speech
+const SILENCE_MS = 1500
+// ... or gives up when nobody speaks for this long
+const NO_SPEECH_MS = 10000
+// Longest recording, well under the server's size limit
+const MAX_RECORDING_MS = 120000
+// Microphone level (RMS of the samples, 0 to 1) that counts as speech
+const SPEECH_LEVEL = 0.02
+
+/**
+ * @param {Blob} recording
+ * @param {string} [language]
+ * @returns {Promise<string>} - Text of the recording, from /api/audio/transcriptions
+ */
+async function transcribe(recording, language) {
+  const form = new FormData()
+  form.append("file", recording, recordingFileName(recording.type))
+  if (language) form.append("language", language)
+  const response = await fetch("/api/audio/transcriptions", { method: "POST", body: form })
+  if (!response.ok) throw await responseError(response)
+  return (await response.json()).text
+}
+
+/**
+ * Watch the microphone level and call onSilence once speech has been followed by SILENCE_MS of
+ * silence, or when there was no speech for NO_SPEECH_MS
+ * @param {MediaStream} stream
+ * @param {() => void} onSilence
+ * @returns {() => void} - Stops watching
+ */
+function watchSilence(stream, onSilence) {
+  const context = new AudioContext()
+  const analyser = context.createAnalyser()
+  analyser.fftSize = 2048
+  context.createMediaStreamSource(stream).connect(analyser)
+  const samples = new Float32Array(analyser.fftSize)
+  const startedAt = Date.now()
+  let spokeAt = null
+
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples)
+    const level = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length)
+    const now = Date.now()
+    if (level >= SPEECH_LEVEL) spokeAt = now
+    if (spokeAt ? now - spokeAt >= SILENCE_MS : now - startedAt >= NO_SPEECH_MS) onSilence()
+  }, 100)
+
+  return () => {
+    clearInterval(timer)
+    context.close()
+  }
+}
+
+/**
+ * Speech to text for the composer, with the browser's speech recognition or by recording the
+ * microphone and sending it to the transcription server
+ * @param {Object} options
+ * @param {"browser" | "server"} options.engine
+ * @param {string} [options.language] - BCP 47 tag, e.g. "en-US"; the browser's language when unset
+ * @param {(text: string, options: {auto: boolean}) => void} options.onResult - Called once per
+ *   start() with the recognised text, which may be empty
+ * @returns {{supported: boolean, status: "idle" | "listening" | "transcribing", interim: string,
+ *   error: string | null, start: (options?: {auto?: boolean}) => void, stop: () => void,
+ *   cancel: () => void}} - auto ends listening by itself after a pause (hands-free mode) instead of at
+ *   stop(); cancel() ends it without a result
+ */
+export function useDictation({ engine, language, onResult }) {
+  const [supported, setSupported] = useState(false)
+  const [status, setStatus] = useState("idle")
+  const [interim, setInterim] = useState("")
+  const [error, setError] = useState(null)
+  // { stop, cancel } of the running session
+  const sessionRef = useRef(null)
+  const onResultRef = useRef(onResult)
+  onResultRef.current = onResult
+
+  useEffect(() => {
+    setSupported(engine === "server" ? canRecord() : Boolean(speechRecognition()))
+  }, [engine])
+
+  const finish = useCallback((text, auto) => {
+    sessionRef.current = null
+    setStatus("idle")
+    setInterim("")
+    onResultRef.current(text.trim(), { auto })
+  }, [])
+
+  const fail = useCallback((message) => {
+    sessionRef.current = null
+    setStatus("idle")
+    setInterim("")
+    setError(message)
+  }, [])
+
+  const startRecognition = useCallback(
+    (auto) => {
+      const Recognition = speechRecognition()
+      const recognition = new Recognition()
+      recognition.lang = language || navigator.language
+      recognition.interimResults = true
+      // Hands-free ends at the first pause, push-to-talk when the button is released
+      recognition.continuous = !auto
+      let text = ""
+      let cancelled = false
+
+      recognition.onresult = (event) => {
+        let pending = ""
+        for (let index = event.resultIndex; index < event.results.length; index++) {
+          const result = event.results[index]
+          if (result.isFinal) text += result[0].transcript
+          else pending += result[0].transcript
+        }
+        setInterim(text + pending)
+      }
+      recognition.onerror = (event) => {
+        // Silence and stopping early are not failures
+        if (event.error === "no-speech" || event.error === "aborted") return
+        cancelled = true
+        fail(
+          event.error === "not-allowed"
+            ? "Microphone access was denied"
+            : `Speech recognition failed: ${event.error}`,
+        )
+      }
+      recognition.onend = () => {
+        if (!cancelled) finish(text, auto)
+      }
+
+      sessionRef.current = {
+        stop: () => recognition.stop(),
+        cancel: () => {
+          cancelled = true
+          recognition.abort()
+          sessionRef.current = null
+          setStatus("idle")
+          setInterim("")
+        },
+      }
+      recognition.start()
+    },
+    [language, finish, fail],
+  )
+
+  const startRecording = useCallback(
+    async (auto) => {
+      // The button may be released while the browser still asks for the microphone
+      let stopEarly = false
+      let cancelled = false
+      sessionRef.current = {
+        stop: () => {
+          stopEarly = true
+        },
+        cancel: () => {
+          cancelled = true
+          sessionRef.current = null
+          setStatus("idle")
+        },
+      }
+      let stream
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+      } catch (error) {
+        if (!cancelled) fail(error.name === "NotAllowedError" ? "Microphone access was denied" : error.message)
+        return
+      }
+      if (cancelled) {
+        stream.getTracks().forEach((track) => track.stop())
+        return
+      }
+
+      const type = recordingType()
+      const recorder = new MediaRecorder(stream, type ? { mimeType: type } : undefined)
+      const chunks = []
+      let stopWatching = () => {}
+      const limit = setTimeout(() => recorder.state === "recording" && recorder.stop(), MAX_RECORDING_MS)
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data)
+      }
+      recorder.onstop = async () => {
+        clearTimeout(limit)
+        stopWatching()
+        stream.getTracks().forEach((track) => track.stop())
+        if (cancelled) return
+        setStatus("transcribing")
+        try {
+          const recording = new Blob(chunks, { type: recorder.mimeType })
+          finish(recording.size > 0 ? await transcribe(recording, language?.slice(0, 2)) : "", auto)
+        } catch (error) {
+          fail(error.message)
+        }
+      }
+
+      sessionRef.current = {
+        stop: () => recorder.state === "recording" && recorder.stop(),
+        cancel: () => {
+          cancelled = true
+          if (recorder.state === "recording") recorder.stop()
+          sessionRef.current = null
+          setStatus("idle")
+        },
+      }
+      if (auto) stopWatching = watchSilence(stream, () => sessionRef.current?.stop())
+      recorder.start()
+      if (stopEarly) recorder.stop()
+    },
+    [language, finish, fail],
+  )
+
+  const start = useCallback(
+    ({ auto = false } = {}) => {
+      if (sessionRef.current || !supported) return
+      setError(null)
+      setInterim("")
+      setStatus("listening")
+      if (engine === "server") startRecording(auto)
+      else startRecognition(auto)
+    },
+    [engine, supported, startRecognition, startRecording],
+  )
+
+  const stop = useCallback(() => sessionRef.current?.stop(), [])
+  const cancel = useCallback(() => sessionRef.current?.cancel(), [])
+
+  // Release the microphone when the chat goes away
+  useEffect(() => () => sessionRef.current?.cancel(), [])
+
+  return { supported, status, interim, error, start, stop, cancel }
+}
@@ -0,0 +1,56 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { profileStore } from "@/lib/storage/profiles-indexeddb"
+
+/**
+ * Saved generation profiles of every model
+ * @returns {Object} - { profiles, error, forModel, save, remove }
+ */
+export function useGenerationProfiles() {
+  const [profiles, setProfiles] = useState([])
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      setProfiles(await profileStore.list())
+      setError(null)
+    } catch (error) {
+      console.error("Error listing generation profiles:", error)
+      setError(error.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  /**
+   * @param {string} model - Qualified model id
+   * @returns {Object[]} - The model's profiles
+   */
+  const forModel = useCallback((model) => profiles.filter((profile) => profile.model === model), [profiles])
+
+  const save = useCallback(
+    async (profile) => {
+      const saved = await profileStore.save({
+        ...profile,
+        id: profile.id || crypto.randomUUID(),
+        updatedAt: new Date().toISOString(),
+      })
+      await refresh()
+      return saved
+    },
+    [refresh],
+  )
+
+  const remove = useCallback(
+    async (id) => {
+      await profileStore.remove(id)
+      await refresh()
+    },
+    [refresh],
+  )
+
+  return { profiles, error, forModel, save, remove }
+}
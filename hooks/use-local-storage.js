@@ -0,0 +1,37 @@
+"use client"
+
+import { useEffect, useState } from "react"
+
+/**
+ * State that survives a reload. The first render uses initialValue so server and client
+ * markup match; the stored value is read right after mounting.
+ * @param {string} key - localStorage key
+ * @param {*} initialValue - Used until the stored value is read, and when nothing is stored
+ * @returns {[*, Function]} - Same shape as useState
+ */
+export function useLocalStorage(key, initialValue) {
+  const [value, setValue] = useState(initialValue)
+  const [loaded, setLoaded] = useState(false)
+
+  useEffect(() => {
+    try {
+      const stored = localStorage.getItem(key)
+      if (stored !== null) setValue(JSON.parse(stored))
+    } catch (error) {
+      console.error(`Error reading ${key} from localStorage:`, error)
+    }
+    setLoaded(true)
+  }, [key])
+
+  useEffect(() => {
+    // Writing before the read would replace the stored value with initialValue
+    if (!loaded) return
+    try {
+      localStorage.setItem(key, JSON.stringify(value))
+    } catch (error) {
+      console.error(`Error writing ${key} to localStorage:`, error)
+    }
+  }, [key, value, loaded])
+
+  return [value, setValue]
+}
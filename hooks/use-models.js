@@ -0,0 +1,42 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { CONFIG } from "@/config/constants"
+import { qualifyModel } from "@/lib/models"
+import { responseError } from "@/lib/http"
+
+/**
+ * Models of every enabled provider. When /api/models fails, error says why and the list falls
+ * back to CONFIG.DEFAULT_MODELS so a configured fallback chain can still answer.
+ * @returns {{models: Object[], loading: boolean, error: string | null,
+ *   providerErrors: Array<{provider: string, error: string}>}} - providerErrors lists the providers
+ *   that failed while others answered
+ */
+export function useModels() {
+  const [models, setModels] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [providerErrors, setProviderErrors] = useState([])
+
+  useEffect(() => {
+    const fetchModels = async () => {
+      try {
+        const response = await fetch("/api/models")
+        if (!response.ok) throw await responseError(response)
+        const failed = response.headers.get("X-Provider-Errors")
+        if (failed) setProviderErrors(JSON.parse(decodeURIComponent(failed)))
+        setModels(await response.json())
+      } catch (error) {
+        console.error("Error fetching models:", error)
+        setError(error.message)
+        setModels(CONFIG.DEFAULT_MODELS.map(qualifyModel))
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchModels()
+  }, [])
+
+  return { models, loading, error, providerErrors }
+}
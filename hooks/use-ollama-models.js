@@ -0,0 +1,122 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+import { readJsonLines, redirectToLogin, responseError } from "@/lib/http"
+
+/**
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>} - Known to be ok
+ */
+async function request(url, init) {
+  const response = await fetch(url, init)
+  if (response.status === 401) redirectToLogin()
+  if (!response.ok) throw await responseError(response)
+  return response
+}
+
+/**
+ * Installed Ollama models with their load status, plus pulling, deleting and inspecting models
+ * through /api/ollama/models
+ * @returns {Object} - { models, loading, error, refresh, pull, pullModel, cancelPull, removeModel, showModel };
+ *   pull is null or { name, status, total, completed, error } for the running or failed download
+ */
+export function useOllamaModels() {
+  const [models, setModels] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [pull, setPull] = useState(null)
+  const pullControllerRef = useRef(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await request("/api/ollama/models")
+      const data = await response.json()
+      setModels(data.models)
+      setError(null)
+    } catch (error) {
+      console.error("Error loading Ollama models:", error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  /**
+   * Download a model, following its progress in pull
+   * @param {string} name - e.g. "llama3.2" or "qwen2.5:7b-instruct-q4_K_M"
+   */
+  const pullModel = useCallback(
+    async (name) => {
+      const controller = new AbortController()
+      pullControllerRef.current = controller
+      setPull({ name, status: "starting", total: null, completed: null, error: null })
+      try {
+        const response = await request("/api/ollama/models", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ name }),
+          signal: controller.signal,
+        })
+        for await (const progress of readJsonLines(response.body)) {
+          if (progress.error) throw new Error(progress.error)
+          setPull((current) => ({
+            ...current,
+            status: progress.status,
+            total: progress.total ?? null,
+            completed: progress.completed ?? null,
+          }))
+        }
+        setPull(null)
+        await refresh()
+      } catch (error) {
+        if (error.name === "AbortError") {
+          setPull(null)
+        } else {
+          console.error("Error pulling model:", error)
+          setPull((current) => ({ ...current, error: error.message }))
+        }
+      } finally {
+        pullControllerRef.current = null
+      }
+    },
+    [refresh],
+  )
+
+  const cancelPull = useCallback(() => {
+    pullControllerRef.current?.abort()
+    // Also dismisses the error of a failed pull
+    setPull(null)
+  }, [])
+
+  /**
+   * @param {string} name
+   */
+  const removeModel = useCallback(
+    async (name) => {
+      try {
+        await request(`/api/ollama/models?name=${encodeURIComponent(name)}`, { method: "DELETE" })
+        await refresh()
+      } catch (error) {
+        console.error("Error deleting model:", error)
+        setError(error.message)
+      }
+    },
+    [refresh],
+  )
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Object>} - /api/show data, see lib/providers/ollama-models.js
+   */
+  const showModel = useCallback(async (name) => {
+    const response = await request(`/api/ollama/models/show?name=${encodeURIComponent(name)}`)
+    return response.json()
+  }, [])
+
+  return { models, loading, error, refresh, pull, pullModel, cancelPull, removeModel, showModel }
+}
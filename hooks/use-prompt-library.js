@@ -0,0 +1,57 @@
+"use client"
+
+import { useCallback, useEffect, useMemo, useState } from "react"
+import { promptStore } from "@/lib/storage/prompts-indexeddb"
+
+/**
+ * Presets and snippets of the prompt library
+ * @returns {Object} - { items, presets, snippets, error, save, remove, importItems }
+ */
+export function usePromptLibrary() {
+  const [items, setItems] = useState([])
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      setItems(await promptStore.list())
+      setError(null)
+    } catch (error) {
+      console.error("Error listing prompts:", error)
+      setError(error.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const save = useCallback(
+    async (item) => {
+      const saved = await promptStore.save({ ...item, id: item.id || crypto.randomUUID() })
+      await refresh()
+      return saved
+    },
+    [refresh],
+  )
+
+  const remove = useCallback(
+    async (id) => {
+      await promptStore.remove(id)
+      await refresh()
+    },
+    [refresh],
+  )
+
+  const importItems = useCallback(
+    async (imported) => {
+      for (const item of imported) await promptStore.save(item)
+      await refresh()
+    },
+    [refresh],
+  )
+
+  const presets = useMemo(() => items.filter((item) => item.kind === "preset"), [items])
+  const snippets = useMemo(() => items.filter((item) => item.kind === "snippet"), [items])
+
+  return { items, presets, snippets, error, save, remove, importItems }
+}
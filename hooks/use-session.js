@@ -0,0 +1,43 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { redirectToLogin, responseError } from "@/lib/http"
+
+/**
+ * The signed in user and today's usage; sends the browser to the sign in page when
+ * authentication is on and nobody is signed in
+ * @returns {Object} - { session, refresh, signOut }; session is null while loading,
+ *   then { authEnabled, user, admin?, usage?, limits? } from /api/auth/session
+ */
+export function useSession() {
+  const [session, setSession] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch("/api/auth/session")
+      if (!response.ok) throw await responseError(response)
+      const data = await response.json()
+      if (data.authEnabled && !data.user) {
+        redirectToLogin()
+        return
+      }
+      setSession(data)
+    } catch (error) {
+      console.error("Error reading session:", error)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const signOut = useCallback(async () => {
+    try {
+      await fetch("/api/auth/logout", { method: "POST" })
+    } finally {
+      redirectToLogin()
+    }
+  }, [])
+
+  return { session, refresh, signOut }
+}
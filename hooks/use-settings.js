@@ -0,0 +1,41 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { CONFIG } from "@/config/constants"
+import { responseError } from "@/lib/http"
+
+// Used until /api/settings answers, and when it fails
+const FALLBACK = {
+  defaultModel: "",
+  defaultSystemPrompt: CONFIG.DEFAULT_SYSTEM_PROMPT,
+  contextInjection: false,
+  transcription: false,
+}
+
+/**
+ * Chat defaults an administrator set at /admin/settings, from /api/settings
+ * @returns {{settings: {defaultModel: string, defaultSystemPrompt: string, contextInjection: boolean,
+ *   transcription: boolean}, loaded: boolean}} - loaded is also true when the request failed and settings are the fallback
+ */
+export function useSettings() {
+  const [settings, setSettings] = useState(FALLBACK)
+  const [loaded, setLoaded] = useState(false)
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await fetch("/api/settings")
+        if (!response.ok) throw await responseError(response)
+        setSettings(await response.json())
+      } catch (error) {
+        console.error("Error loading settings:", error)
+      } finally {
+        setLoaded(true)
+      }
+    }
+
+    fetchSettings()
+  }, [])
+
+  return { settings, loaded }
+}
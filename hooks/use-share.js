@@ -0,0 +1,47 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { redirectToLogin, responseError } from "@/lib/http"
+
+/**
+ * A shared conversation snapshot from /api/shares/[id]
+ * @param {string} id - Share id
+ * @returns {Object} - { share, loading, error, revoke }; share is null until loaded and after revoking
+ */
+export function useShare(id) {
+  const [share, setShare] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchShare = async () => {
+      try {
+        const response = await fetch(`/api/shares/${id}`)
+        if (response.status === 401) redirectToLogin()
+        if (!response.ok) throw await responseError(response)
+        setShare(await response.json())
+      } catch (error) {
+        console.error("Error loading share:", error)
+        setError(error.message)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchShare()
+  }, [id])
+
+  const revoke = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/shares/${id}`, { method: "DELETE" })
+      if (!response.ok) throw await responseError(response)
+      setShare(null)
+      setError("This link was revoked")
+    } catch (error) {
+      console.error("Error revoking share:", error)
+      setError(error.message)
+    }
+  }, [id])
+
+  return { share, loading, error, revoke }
+}
@@ -0,0 +1,81 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { redirectToLogin, responseError } from "@/lib/http"
+
+/**
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>} - Known to be ok
+ */
+async function request(url, init) {
+  const response = await fetch(url, init)
+  if (response.status === 401) redirectToLogin()
+  if (!response.ok) throw await responseError(response)
+  return response
+}
+
+/**
+ * Share links of a conversation from /api/shares, see lib/shares.js
+ * @param {string | null} conversationId - null while the chat is not saved yet
+ * @param {boolean} active - Only fetch while the share dialog is open
+ * @returns {Object} - { shares, error, create, revoke }; shares are summaries, newest first
+ */
+export function useShares(conversationId, active) {
+  const [shares, setShares] = useState([])
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    if (!conversationId) {
+      setShares([])
+      return
+    }
+    try {
+      const response = await request(`/api/shares?conversationId=${encodeURIComponent(conversationId)}`)
+      setShares(await response.json())
+      setError(null)
+    } catch (error) {
+      console.error("Error loading shares:", error)
+      setError(error.message)
+    }
+  }, [conversationId])
+
+  useEffect(() => {
+    if (active) refresh()
+  }, [active, refresh])
+
+  /**
+   * @param {Object} conversation - The open chat as it would be saved
+   * @param {boolean} includeSystemPrompt
+   * @returns {Promise<Object>} - The new share's summary
+   * @throws {Error} With the server's message
+   */
+  const create = useCallback(
+    async (conversation, includeSystemPrompt) => {
+      const response = await request("/api/shares", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ conversation, includeSystemPrompt }),
+      })
+      const share = await response.json()
+      await refresh()
+      return share
+    },
+    [refresh],
+  )
+
+  const revoke = useCallback(
+    async (id) => {
+      try {
+        await request(`/api/shares/${id}`, { method: "DELETE" })
+        await refresh()
+      } catch (error) {
+        console.error("Error revoking share:", error)
+        setError(error.message)
+      }
+    },
+    [refresh],
+  )
+
+  return { shares, error, create, revoke }
+}
@@ -0,0 +1,55 @@
+"use client"
+
+import { useState } from "react"
+
+// The palette is open while the input is a single line starting with "/"
+const COMMAND_PATTERN = /^\/([^\n]*)$/
+
+/**
+ * Keyboard state of the "/" snippet palette in the message input
+ * @param {Object} options
+ * @param {string} options.input - Current input text
+ * @param {Object[]} options.snippets - Snippets from usePromptLibrary()
+ * @param {(snippet: Object) => void} options.onInsert - Called with the chosen snippet
+ * @returns {Object} - { open, matches, selectedId, setSelectedId, insert, onKeyDown }
+ */
+export function useSlashPalette({ input, snippets, onInsert }) {
+  const [selectedId, setSelectedId] = useState("")
+  // Input at the time Escape was pressed; typing reopens the palette
+  const [dismissedAt, setDismissedAt] = useState(null)
+
+  const command = input.match(COMMAND_PATTERN)
+  const query = command ? command[1].trim().toLowerCase() : ""
+  const matches = command ? snippets.filter((snippet) => snippet.name.toLowerCase().includes(query)) : []
+  const open = Boolean(command) && snippets.length > 0 && dismissedAt !== input
+  const selected = matches.find((snippet) => snippet.id === selectedId) ?? matches[0]
+
+  const insert = (snippet) => {
+    setSelectedId("")
+    onInsert(snippet)
+  }
+
+  /**
+   * Handle navigation keys while the palette is open
+   * @param {KeyboardEvent} e
+   * @returns {boolean} - Whether the key was used by the palette
+   */
+  const onKeyDown = (e) => {
+    if (!open) return false
+    if (e.key === "Escape") {
+      setDismissedAt(input)
+    } else if ((e.key === "ArrowDown" || e.key === "ArrowUp") && matches.length > 0) {
+      const offset = e.key === "ArrowDown" ? 1 : -1
+      const index = (matches.indexOf(selected) + offset + matches.length) % matches.length
+      setSelectedId(matches[index].id)
+    } else if ((e.key === "Enter" || e.key === "Tab") && selected) {
+      insert(selected)
+    } else {
+      return false
+    }
+    e.preventDefault()
+    return true
+  }
+
+  return { open, matches, selectedId: selected?.id ?? "", setSelectedId, insert, onKeyDown }
+}
@@ -0,0 +1,96 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+import { canSpeak, completeSentences, speakableText } from "@/lib/speech"
+
+/**
+ * Read answers aloud with the browser's speech synthesis, one utterance per sentence so a
+ * streaming answer starts playing after its first sentence
+ * @param {Object} options
+ * @param {string} [options.voiceName] - Name of one of voices, the browser's default when unset
+ * @param {number} [options.rate] - 0.5 to 2
+ * @returns {{supported: boolean, speaking: boolean, voices: SpeechSynthesisVoice[], speak: Function,
+ *   follow: Function, stop: Function}} - speak(text) reads a whole answer, follow(id, text, done) reads
+ *   what was added to a streaming answer since the last call
+ */
+export function useSpeechOutput({ voiceName, rate = 1 }) {
+  const [supported, setSupported] = useState(false)
+  const [voices, setVoices] = useState([])
+  const [speaking, setSpeaking] = useState(false)
+  // Answer being followed and how much of its speakable text has been queued
+  const followedRef = useRef({ id: null, length: 0 })
+  const pendingRef = useRef(0)
+  // Bumped by stop(); utterances it cancelled still end later and must not count
+  const generationRef = useRef(0)
+  const optionsRef = useRef({ voiceName, rate })
+  optionsRef.current = { voiceName, rate }
+
+  useEffect(() => {
+    if (!canSpeak()) return
+    setSupported(true)
+    // Chrome loads the voices after the page
+    const loadVoices = () => setVoices(window.speechSynthesis.getVoices())
+    loadVoices()
+    window.speechSynthesis.addEventListener("voiceschanged", loadVoices)
+    return () => {
+      window.speechSynthesis.removeEventListener("voiceschanged", loadVoices)
+      window.speechSynthesis.cancel()
+    }
+  }, [])
+
+  const queue = useCallback((sentences) => {
+    const { voiceName, rate } = optionsRef.current
+    const voice = window.speechSynthesis.getVoices().find((entry) => entry.name === voiceName)
+    const generation = generationRef.current
+    for (const sentence of sentences) {
+      const utterance = new SpeechSynthesisUtterance(sentence)
+      if (voice) utterance.voice = voice
+      utterance.rate = rate
+      const done = () => {
+        if (generation !== generationRef.current) return
+        pendingRef.current -= 1
+        if (pendingRef.current === 0) setSpeaking(false)
+      }
+      utterance.onend = done
+      utterance.onerror = done
+      pendingRef.current += 1
+      setSpeaking(true)
+      window.speechSynthesis.speak(utterance)
+    }
+  }, [])
+
+  const stop = useCallback(() => {
+    if (!canSpeak()) return
+    followedRef.current = { id: null, length: 0 }
+    generationRef.current += 1
+    pendingRef.current = 0
+    window.speechSynthesis.cancel()
+    setSpeaking(false)
+  }, [])
+
+  const speak = useCallback(
+    (text) => {
+      if (!canSpeak()) return
+      stop()
+      queue(completeSentences(speakableText(text), true).sentences)
+    },
+    [queue, stop],
+  )
+
+  const follow = useCallback(
+    (id, text, done) => {
+      if (!canSpeak()) return
+      if (followedRef.current.id !== id) {
+        stop()
+        followedRef.current = { id, length: 0 }
+      }
+      const followed = followedRef.current
+      const { sentences, length } = completeSentences(speakableText(text).slice(followed.length), done)
+      followed.length += length
+      queue(sentences)
+    },
+    [queue, stop],
+  )
+
+  return { supported, speaking, voices, speak, follow, stop }
+}
@@ -0,0 +1,37 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { redirectToLogin, responseError } from "@/lib/http"
+
+/**
+ * Usage summary of the last days from /api/admin/usage
+ * @param {number} days
+ * @returns {Object} - { report, loading, error, refresh }; report is null until loaded, see lib/logging/usage-report.js
+ */
+export function useUsageReport(days) {
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    setLoading(true)
+    try {
+      const response = await fetch(`/api/admin/usage?days=${days}`)
+      if (response.status === 401) redirectToLogin()
+      if (!response.ok) throw await responseError(response)
+      setReport(await response.json())
+      setError(null)
+    } catch (error) {
+      console.error("Error loading usage:", error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [days])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  return { report, loading, error, refresh }
+}
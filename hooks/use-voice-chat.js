@@ -0,0 +1,81 @@
+"use client"
+
+import { useEffect, useRef, useState } from "react"
+import { useDictation } from "@/hooks/use-dictation"
+import { useLocalStorage } from "@/hooks/use-local-storage"
+import { useSpeechOutput } from "@/hooks/use-speech-output"
+import { splitThinkTags } from "@/lib/reasoning"
+
+export const DEFAULT_VOICE = {
+  // "browser" speech recognition or the "server" transcription endpoint
+  engine: "browser",
+  // BCP 47 tag for dictation, "" for the browser's language
+  language: "",
+  readAloud: false,
+  voiceName: "",
+  rate: 1,
+}
+
+/**
+ * Voice input and spoken answers for the chat: the voice settings, dictation, reading new
+ * answers aloud while they stream, and the hands-free loop (listen, send, read the answer aloud,
+ * listen again). Hands-free mode is not remembered, so a reload never opens the microphone.
+ * @param {Object} options
+ * @param {Object[]} options.messages - useChat's messages
+ * @param {boolean} options.isLoading
+ * @param {boolean} options.transcriptionAvailable - A transcription server is configured
+ * @param {(text: string, options: {send: boolean}) => void} options.onTranscript - Dictated text; send is
+ *   true in hands-free mode, where it should be sent right away rather than put in the composer
+ * @returns {{voice: Object, setVoice: Function, handsFree: boolean, setHandsFree: Function, engine: string,
+ *   dictation: Object, speech: Object}} - engine is the one in use, "browser" when no server is configured
+ */
+export function useVoiceChat({ messages, isLoading, transcriptionAvailable, onTranscript }) {
+  const [voice, setVoice] = useLocalStorage("chat.voice", DEFAULT_VOICE)
+  const [handsFree, setHandsFree] = useState(false)
+  const engine = voice.engine === "server" && transcriptionAvailable ? "server" : "browser"
+  const speech = useSpeechOutput({ voiceName: voice.voiceName, rate: voice.rate })
+  const dictation = useDictation({
+    engine,
+    language: voice.language,
+    onResult: (text, { auto }) => {
+      if (text) onTranscript(text, { send: auto })
+    },
+  })
+  const readAloud = voice.readAloud || handsFree
+  // Id of the answer being read while it streams; answers opened from history are not read
+  const followingRef = useRef(null)
+  const last = messages[messages.length - 1]
+  const { follow, stop: stopSpeaking } = speech
+  const { start: startListening, cancel: cancelListening } = dictation
+
+  useEffect(() => {
+    if (!readAloud || last?.role !== "assistant") return
+    if (isLoading) followingRef.current = last.id
+    if (followingRef.current !== last.id) return
+    follow(last.id, splitThinkTags(last.content).content, !isLoading)
+    if (!isLoading) followingRef.current = null
+  }, [readAloud, last, isLoading, follow])
+
+  useEffect(() => {
+    if (!readAloud) stopSpeaking()
+  }, [readAloud, stopSpeaking])
+
+  // A microphone or transcription error ends hands-free mode instead of retrying forever
+  useEffect(() => {
+    if (dictation.error) setHandsFree(false)
+  }, [dictation.error])
+
+  // Turning hands-free on starts listening, which also clears an earlier error
+  useEffect(() => {
+    if (handsFree) startListening({ auto: true })
+    else cancelListening()
+  }, [handsFree, startListening, cancelListening])
+
+  // Listen again once the answer to the last message has been read
+  const idle = !isLoading && !speech.speaking && dictation.status === "idle" && last?.role !== "user"
+  useEffect(() => {
+    if (handsFree && idle && !dictation.error) startListening({ auto: true })
+  }, [handsFree, idle, dictation.error, startListening])
+
+  return { voice, setVoice, handsFree, setHandsFree, engine, dictation, speech }
+}
@@ -0,0 +1,42 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { voteStore } from "@/lib/storage/votes-indexeddb"
+
+/**
+ * Compare mode votes stored in the browser
+ * @returns {{votes: Object[], error: string | null, save: Function, clear: Function}}
+ */
+export function useVotes() {
+  const [votes, setVotes] = useState([])
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      setVotes(await voteStore.list())
+      setError(null)
+    } catch (error) {
+      console.error("Error listing votes:", error)
+      setError(error.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const save = useCallback(
+    async (vote) => {
+      await voteStore.save(vote)
+      await refresh()
+    },
+    [refresh],
+  )
+
+  const clear = useCallback(async () => {
+    await voteStore.clear()
+    await refresh()
+  }, [refresh])
+
+  return { votes, error, save, clear }
+}
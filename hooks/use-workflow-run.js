@@ -0,0 +1,82 @@
+"use client"
+
+import { useCallback, useRef, useState } from "react"
+import { readJsonLines, redirectToLogin, responseError } from "@/lib/http"
+
+/**
+ * Run a workflow pipeline through /api/workflows/run and follow its progress.
+ * run is null before the first run, then { name, status: "running" | "done" | "stopped" | "error", error,
+ * steps, output, usage, durationMs }; steps are { id, model, map, status: "pending" | "running" | "done" |
+ * "error", chunks, models, output, usage, durationMs }, chunks the streamed answer per map chunk (one
+ * without map).
+ * @returns {{run: Object | null, isRunning: boolean, start: Function, stop: Function}}
+ */
+export function useWorkflowRun() {
+  const [run, setRun] = useState(null)
+  const controllerRef = useRef(null)
+
+  const updateStep = (id, update) =>
+    setRun((current) => ({
+      ...current,
+      steps: current.steps.map((step) => (step.id === id ? { ...step, ...update(step) } : step)),
+    }))
+
+  /**
+   * @param {Object} options
+   * @param {string} [options.id] - Saved workflow to run
+   * @param {string} [options.source] - Definition to run instead, e.g. unsaved edits
+   * @param {string} options.input
+   */
+  const start = useCallback(async ({ id, source, input }) => {
+    const controller = new AbortController()
+    controllerRef.current?.abort()
+    controllerRef.current = controller
+    setRun({ name: "", status: "running", error: null, steps: [], output: null, usage: null, durationMs: null })
+
+    try {
+      const response = await fetch("/api/workflows/run", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(id ? { id, input } : { source, input }),
+        signal: controller.signal,
+      })
+      if (response.status === 401) redirectToLogin()
+      if (!response.ok) throw await responseError(response)
+
+      for await (const event of readJsonLines(response.body)) {
+        if (event.type === "start") {
+          const steps = event.steps.map((step) => ({ ...step, status: "pending", chunks: [], output: null }))
+          setRun((current) => ({ ...current, name: event.name, steps }))
+        } else if (event.type === "step_start") {
+          updateStep(event.step, () => ({ status: "running", chunks: Array(event.chunks).fill("") }))
+        } else if (event.type === "text") {
+          updateStep(event.step, (step) => ({
+            chunks: step.chunks.map((text, index) => (index === event.chunk ? text + event.text : text)),
+          }))
+        } else if (event.type === "step_end") {
+          const { type, step, ...result } = event
+          updateStep(step, () => ({ status: "done", ...result }))
+        } else if (event.type === "done") {
+          const { type, ...result } = event
+          setRun((current) => ({ ...current, status: "done", ...result }))
+        } else if (event.type === "error") {
+          if (event.step) updateStep(event.step, () => ({ status: "error" }))
+          throw new Error(event.message)
+        }
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        setRun((current) => ({ ...current, status: "stopped" }))
+      } else {
+        console.error("Error running workflow:", error)
+        setRun((current) => ({ ...current, status: "error", error: error.message }))
+      }
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null
+    }
+  }, [])
+
+  const stop = useCallback(() => controllerRef.current?.abort(), [])
+
+  return { run, isRunning: run?.status === "running", start, stop }
+}
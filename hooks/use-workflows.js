@@ -0,0 +1,79 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { redirectToLogin, responseError } from "@/lib/http"
+
+/**
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>} - Known to be ok
+ */
+async function request(url, init) {
+  const response = await fetch(url, init)
+  if (response.status === 401) redirectToLogin()
+  if (!response.ok) throw await responseError(response)
+  return response
+}
+
+/**
+ * Saved workflow pipelines from /api/workflows
+ * @returns {Object} - { workflows, loading, error, save, remove }; workflows are { id, name, source, ... }
+ */
+export function useWorkflows() {
+  const [workflows, setWorkflows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await request("/api/workflows")
+      setWorkflows(await response.json())
+      setError(null)
+    } catch (error) {
+      console.error("Error loading workflows:", error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  /**
+   * Create a workflow, or replace the definition of an existing one
+   * @param {string | null} id - null to create
+   * @param {string} source - YAML or JSON definition
+   * @returns {Promise<Object>} - The saved workflow
+   * @throws {Error} With the server's message when the definition is invalid
+   */
+  const save = useCallback(
+    async (id, source) => {
+      const response = await request(id ? `/api/workflows/${id}` : "/api/workflows", {
+        method: id ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ source }),
+      })
+      const saved = await response.json()
+      await refresh()
+      return saved
+    },
+    [refresh],
+  )
+
+  const remove = useCallback(
+    async (id) => {
+      try {
+        await request(`/api/workflows/${id}`, { method: "DELETE" })
+        await refresh()
+      } catch (error) {
+        console.error("Error deleting workflow:", error)
+        setError(error.message)
+      }
+    },
+    [refresh],
+  )
+
+  return { workflows, loading, error, save, remove }
+}
@@ -0,0 +1,86 @@
+/**
+ * @file attachments.js
+ * @description Chat attachments. Images travel as data URLs and are sent to vision models;
+ * text files are inlined into the message as fenced code blocks.
+ *
+ * An attachment is { id, name, type, size, kind: "image" | "text", dataUrl?, text? }.
+ */
+
+import { CONFIG } from "@/config/constants"
+
+const TEXT_EXTENSIONS = ["txt", "md", "markdown", "csv", "json", "yaml", "yml", "xml", "html", "css", "log", "sql"]
+// Source files are inlined as text too; the extension doubles as the fence language
+const CODE_EXTENSIONS = ["js", "jsx", "ts", "tsx", "py", "go", "rs", "java", "rb", "php", "sh", "c", "cpp", "h", "cs", "swift", "kt"]
+
+function extensionOf(name) {
+  return name.includes(".") ? name.split(".").pop().toLowerCase() : ""
+}
+
+function isTextFile(file) {
+  const extension = extensionOf(file.name)
+  return (
+    file.type.startsWith("text/") ||
+    file.type === "application/json" ||
+    TEXT_EXTENSIONS.includes(extension) ||
+    CODE_EXTENSIONS.includes(extension)
+  )
+}
+
+function readAs(file, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader[method](file)
+  })
+}
+
+/**
+ * Read a dropped, pasted or picked file into an attachment (browser only)
+ * @param {File} file
+ * @returns {Promise<Object>}
+ */
+export async function readAttachment(file) {
+  const base = { id: crypto.randomUUID(), name: file.name || "pasted-image", type: file.type, size: file.size }
+
+  if (file.type.startsWith("image/")) {
+    if (file.size > CONFIG.MAX_IMAGE_BYTES) {
+      throw new Error(`${base.name} is larger than ${CONFIG.MAX_IMAGE_BYTES / 1024 / 1024} MB`)
+    }
+    return { ...base, kind: "image", dataUrl: await readAs(file, "readAsDataURL") }
+  }
+
+  if (isTextFile(file)) {
+    if (file.size > CONFIG.MAX_TEXT_ATTACHMENT_BYTES) {
+      throw new Error(`${base.name} is larger than ${CONFIG.MAX_TEXT_ATTACHMENT_BYTES / 1024} KB`)
+    }
+    return { ...base, kind: "text", text: await readAs(file, "readAsText") }
+  }
+
+  throw new Error(`${base.name} is not an image or text file`)
+}
+
+/**
+ * Append text attachments to a message body as fenced blocks
+ * @param {string} content - Message text
+ * @param {Object[]} [attachments]
+ * @returns {string}
+ */
+export function inlineTextAttachments(content, attachments = []) {
+  const blocks = attachments
+    .filter((attachment) => attachment.kind === "text")
+    .map((attachment) => {
+      const fence = attachment.text.includes("```") ? "````" : "```"
+      return `${attachment.name}:\n${fence}${extensionOf(attachment.name)}\n${attachment.text}\n${fence}`
+    })
+  return [content, ...blocks].filter(Boolean).join("\n\n")
+}
+
+/**
+ * Image attachments of a message
+ * @param {Object[]} [attachments]
+ * @returns {Object[]}
+ */
+export function imageAttachments(attachments = []) {
+  return attachments.filter((attachment) => attachment.kind === "image")
+}
@@ -0,0 +1,152 @@
+/**
+ * @file index.js
+ * @description Access control for the API routes. Requests are authenticated by a session
+ * cookie (browser, see /api/auth/login) or an "Authorization: Bearer <api key>" header (API
+ * clients). Chat requests are also rate limited per user and per client IP and counted
+ * against the user's daily quotas (./quotas.js).
+ *
+ * Routes call authenticate(req), authorizeChat(req) or authorizeAdmin(req) first and answer an
+ * AccessError with accessDenied(error), a { error } JSON body with status 401, 403 or 429.
+ */
+
+import { NextResponse } from "next/server"
+import { CONFIG } from "@/config/constants"
+import { isAdmin, isAuthEnabled, userExists, userForApiKey } from "./users"
+import { readSession, SESSION_COOKIE } from "./session"
+import { hitRateLimit } from "./rate-limit"
+import { consumeRequest } from "./quotas"
+
+// User of every request while authentication is off
+const ANONYMOUS = { name: "anonymous" }
+
+/**
+ * Error for requests that are not allowed: 401 without valid credentials, 403 for admin
+ * routes, 429 over a limit
+ */
+export class AccessError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - 401, 403 or 429
+   * @param {number} [retryAfterSeconds] - Sent as the Retry-After header
+   */
+  constructor(message, status, retryAfterSeconds) {
+    super(message)
+    this.name = "AccessError"
+    this.status = status
+    this.retryAfterSeconds = retryAfterSeconds
+  }
+}
+
+/**
+ * Address of the client. X-Forwarded-For is only read behind CONFIG.TRUST_PROXY proxies, taking the
+ * address the outermost of them saw; any client can send the header, so earlier entries are not trusted.
+ * @param {Request} req
+ * @returns {string | null} - null when the address is unknown, which `next start` without a proxy
+ *   does not expose
+ */
+export function clientIp(req) {
+  if (CONFIG.TRUST_PROXY > 0) {
+    const forwarded = (req.headers.get("x-forwarded-for") || "")
+      .split(",")
+      .map((address) => address.trim())
+      .filter(Boolean)
+    if (forwarded.length > 0) return forwarded[Math.max(0, forwarded.length - CONFIG.TRUST_PROXY)]
+  }
+  return req.ip || null
+}
+
+/**
+ * User making the request, without checking any limits
+ * @param {Request} req
+ * @returns {{name: string} | null} - null when credentials are missing or invalid
+ */
+export function currentUser(req) {
+  if (!isAuthEnabled()) return ANONYMOUS
+
+  const authorization = req.headers.get("authorization") || ""
+  if (authorization.toLowerCase().startsWith("bearer ")) return userForApiKey(authorization.slice(7).trim())
+
+  const name = readSession(req.cookies?.get(SESSION_COOKIE)?.value)
+  return name && userExists(name) ? { name } : null
+}
+
+/**
+ * @param {Request} req
+ * @returns {{name: string}} - The signed in user, or the anonymous user when authentication is off
+ * @throws {AccessError} 401 when authentication is on and the request has no valid credentials
+ */
+export function authenticate(req) {
+  const user = currentUser(req)
+  if (!user) throw new AccessError("Sign in or send an API key as a Bearer token", 401)
+  return user
+}
+
+/**
+ * Authenticate a request to an admin route
+ * @param {Request} req
+ * @returns {{name: string}}
+ * @throws {AccessError} 401 without valid credentials, 403 when the user is not in CONFIG.AUTH_ADMINS
+ */
+export function authorizeAdmin(req) {
+  const user = authenticate(req)
+  if (!isAdmin(user)) throw new AccessError("Only administrators can do this", 403)
+  return user
+}
+
+/**
+ * Count a request against a per-minute limit
+ * @param {string} key - e.g. "user:alice" or "ip:10.0.0.1"
+ * @param {number} limit - Requests per minute, 0 for no limit
+ * @throws {AccessError} 429 when the key is over the limit
+ */
+export function enforceRateLimit(key, limit) {
+  const retryAfterMs = hitRateLimit(key, limit)
+  if (retryAfterMs > 0) {
+    const seconds = Math.ceil(retryAfterMs / 1000)
+    const message = `Rate limit of ${limit} requests per minute exceeded, try again in ${seconds} s`
+    throw new AccessError(message, 429, seconds)
+  }
+}
+
+/**
+ * Count a request against a per-minute limit for its user (unless anonymous) and for its client IP
+ * @param {Request} req
+ * @param {{name: string}} user
+ * @param {number} limit - Requests per minute, 0 for no limit
+ * @param {string} [scope] - Counts the requests of a route apart from the chat requests, e.g. "transcription"
+ * @throws {AccessError} 429 when the user or the IP is over the limit
+ */
+export function enforceClientRateLimit(req, user, limit, scope) {
+  const prefix = scope ? `${scope}:` : ""
+  if (user !== ANONYMOUS) enforceRateLimit(`${prefix}user:${user.name}`, limit)
+  const ip = clientIp(req)
+  if (ip) enforceRateLimit(`${prefix}ip:${ip}`, limit)
+}
+
+/**
+ * Authenticate a chat request and count it against the rate limits and the daily quota
+ * @param {Request} req
+ * @returns {Promise<{name: string}>} - The user, for recording token usage afterwards
+ * @throws {AccessError}
+ */
+export async function authorizeChat(req) {
+  const user = authenticate(req)
+  enforceClientRateLimit(req, user, CONFIG.RATE_LIMIT_PER_MINUTE)
+
+  const exceeded = await consumeRequest(user.name)
+  if (exceeded) {
+    const midnight = new Date().setUTCHours(24, 0, 0, 0)
+    throw new AccessError(`${exceeded}, it resets at midnight UTC`, 429, Math.ceil((midnight - Date.now()) / 1000))
+  }
+  return user
+}
+
+/**
+ * JSON response for an AccessError
+ * @param {AccessError} error
+ * @returns {NextResponse}
+ */
+export function accessDenied(error) {
+  const headers = error.retryAfterSeconds ? { "Retry-After": String(error.retryAfterSeconds) } : undefined
+  return NextResponse.json({ error: error.message }, { status: error.status, headers })
+}
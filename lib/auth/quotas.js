@@ -0,0 +1,82 @@
+/**
+ * @file quotas.js
+ * @description Daily request and token quotas per user, counted in usage.json under
+ * CONFIG.DATA_DIR as { day: "YYYY-MM-DD", users: { [name]: { requests, tokens } } }.
+ * Counts reset at midnight UTC.
+ */
+
+import { CONFIG } from "@/config/constants"
+import { readJsonFile, updateJsonFile } from "@/lib/storage/json-file"
+
+const USAGE_FILE = "usage.json"
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// Counts of the current day; a file from an earlier day starts over
+function currentDay(data) {
+  return data?.day === today() ? data : { day: today(), users: {} }
+}
+
+/**
+ * Limits for a user, 0 meaning unlimited
+ * @param {string} name
+ * @returns {{dailyRequests: number, dailyTokens: number}}
+ */
+export function quotaLimits(name) {
+  return {
+    dailyRequests: CONFIG.QUOTA_DAILY_REQUESTS,
+    dailyTokens: CONFIG.QUOTA_DAILY_TOKENS,
+    ...CONFIG.QUOTA_OVERRIDES[name],
+  }
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<{requests: number, tokens: number}>} - Today's usage
+ */
+export async function getUsage(name) {
+  const data = currentDay(await readJsonFile(USAGE_FILE, null))
+  return { requests: 0, tokens: 0, ...data.users[name] }
+}
+
+/**
+ * Count a request against today's quota. Checking and counting happen in one write,
+ * so concurrent requests cannot both take the last slot.
+ * @param {string} name
+ * @returns {Promise<string | null>} - Why the quota is exhausted, null when the request may go ahead
+ */
+export async function consumeRequest(name) {
+  const { dailyRequests, dailyTokens } = quotaLimits(name)
+  if (!dailyRequests && !dailyTokens) return null
+
+  let exceeded = null
+  await updateJsonFile(USAGE_FILE, null, (stored) => {
+    const data = currentDay(stored)
+    const usage = { requests: 0, tokens: 0, ...data.users[name] }
+    if (dailyRequests && usage.requests >= dailyRequests) {
+      exceeded = `Daily request quota of ${dailyRequests} reached`
+    } else if (dailyTokens && usage.tokens >= dailyTokens) {
+      exceeded = `Daily token quota of ${dailyTokens} reached`
+    } else {
+      data.users[name] = { ...usage, requests: usage.requests + 1 }
+    }
+    return data
+  })
+  return exceeded
+}
+
+/**
+ * Add the tokens of a finished request to today's usage
+ * @param {string} name
+ * @param {number} tokens - Prompt and completion tokens
+ */
+export async function recordTokens(name, tokens) {
+  const { dailyRequests, dailyTokens } = quotaLimits(name)
+  if ((!dailyRequests && !dailyTokens) || !tokens) return
+  await updateJsonFile(USAGE_FILE, null, (stored) => {
+    const data = currentDay(stored)
+    const usage = { requests: 0, tokens: 0, ...data.users[name] }
+    data.users[name] = { ...usage, tokens: usage.tokens + tokens }
+    return data
+  })
+}
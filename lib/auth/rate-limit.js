@@ -0,0 +1,37 @@
+/**
+ * @file rate-limit.js
+ * @description In-memory sliding window rate limiter. Counts are per server process, which
+ * is enough for a single `next start`; several instances each allow the full rate.
+ */
+
+// Keys are pruned once the map grows past this, so one-off clients do not pile up
+const PRUNE_THRESHOLD = 10000
+// Request times within the window, keyed by e.g. "user:alice" or "ip:10.0.0.1"
+const hits = new Map()
+
+/**
+ * Count a request against a key
+ * @param {string} key
+ * @param {number} limit - Requests allowed per window, 0 for no limit
+ * @param {number} [windowMs]
+ * @returns {number} - 0 when the request is allowed, otherwise milliseconds until it would be
+ */
+export function hitRateLimit(key, limit, windowMs = 60 * 1000) {
+  if (!limit) return 0
+  const now = Date.now()
+  const recent = (hits.get(key) || []).filter((time) => time > now - windowMs)
+
+  if (recent.length >= limit) {
+    hits.set(key, recent)
+    return recent[0] + windowMs - now
+  }
+  recent.push(now)
+  hits.set(key, recent)
+
+  if (hits.size > PRUNE_THRESHOLD) {
+    for (const [other, times] of hits) {
+      if (times[times.length - 1] <= now - windowMs) hits.delete(other)
+    }
+  }
+  return 0
+}
@@ -0,0 +1,47 @@
+/**
+ * @file session.js
+ * @description Signed session cookies. The cookie holds the user name and expiry time with an
+ * HMAC over both, so the server keeps no session state.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto"
+import { CONFIG } from "@/config/constants"
+
+export const SESSION_COOKIE = "chat_session"
+
+if (!CONFIG.AUTH_SECRET && (CONFIG.AUTH_USERS.length > 0 || CONFIG.AUTH_API_KEYS.length > 0)) {
+  console.warn("AUTH_SECRET is not set, sessions will end when the server restarts")
+}
+const secret = CONFIG.AUTH_SECRET || randomBytes(32).toString("hex")
+
+function sign(payload) {
+  return createHmac("sha256", secret).update(payload).digest("base64url")
+}
+
+/**
+ * @param {string} name - User name
+ * @returns {{value: string, expires: Date}} - Cookie value and expiry
+ */
+export function createSession(name) {
+  const expires = new Date(Date.now() + CONFIG.AUTH_SESSION_HOURS * 60 * 60 * 1000)
+  const payload = Buffer.from(JSON.stringify({ name, exp: expires.getTime() })).toString("base64url")
+  return { value: `${payload}.${sign(payload)}`, expires }
+}
+
+/**
+ * @param {string} [value] - Cookie value
+ * @returns {string | null} - User name of a valid, unexpired session
+ */
+export function readSession(value) {
+  const [payload, signature] = String(value || "").split(".")
+  if (!payload || !signature) return null
+  const expected = Buffer.from(sign(payload))
+  const actual = Buffer.from(signature)
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null
+  try {
+    const { name, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"))
+    return typeof name === "string" && exp > Date.now() ? name : null
+  } catch {
+    return null
+  }
+}
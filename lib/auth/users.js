@@ -0,0 +1,81 @@
+/**
+ * @file users.js
+ * @description Accounts from CONFIG.AUTH_USERS (password login) and CONFIG.AUTH_API_KEYS
+ * (token login and Bearer authentication). Both are "name:secret" pairs; the name is the
+ * user that quotas and rate limits are counted against.
+ */
+
+import { createHash, timingSafeEqual } from "crypto"
+import { CONFIG } from "@/config/constants"
+
+/**
+ * Split "name:secret" entries at the first colon, so secrets may contain colons
+ * @param {string[]} entries
+ * @returns {Array<{name: string, secret: string}>}
+ */
+function parseAccounts(entries) {
+  return entries
+    .map((entry) => {
+      const separator = entry.indexOf(":")
+      return { name: entry.slice(0, separator).trim(), secret: entry.slice(separator + 1) }
+    })
+    .filter((account) => account.name && account.secret)
+}
+
+const passwordAccounts = parseAccounts(CONFIG.AUTH_USERS)
+const apiKeyAccounts = parseAccounts(CONFIG.AUTH_API_KEYS)
+
+// Hashing first gives equal lengths, which timingSafeEqual requires
+function safeEqual(a, b) {
+  const digest = (value) => createHash("sha256").update(String(value)).digest()
+  return timingSafeEqual(digest(a), digest(b))
+}
+
+/**
+ * Whether any account is configured; without one the API stays open
+ * @returns {boolean}
+ */
+export function isAuthEnabled() {
+  return passwordAccounts.length > 0 || apiKeyAccounts.length > 0
+}
+
+/**
+ * @param {string} name
+ * @param {string} password
+ * @returns {{name: string} | null}
+ */
+export function verifyPassword(name, password) {
+  const account = passwordAccounts.find((candidate) => candidate.name === name)
+  // Compare against something even for unknown names so both cases take the same time
+  const matches = safeEqual(password, account?.secret ?? "")
+  return account && matches ? { name: account.name } : null
+}
+
+/**
+ * @param {string} key - API key from a Bearer header or the token login
+ * @returns {{name: string} | null}
+ */
+export function userForApiKey(key) {
+  if (!key) return null
+  // Every key is compared, the time taken does not depend on which one matches
+  const account = apiKeyAccounts.filter((candidate) => safeEqual(key, candidate.secret))[0]
+  return account ? { name: account.name } : null
+}
+
+/**
+ * Whether a name still has an account, so removing it from the configuration ends its sessions
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function userExists(name) {
+  return [...passwordAccounts, ...apiKeyAccounts].some((account) => account.name === name)
+}
+
+/**
+ * Whether a user may manage the server; everybody is while authentication is off
+ * @param {{name: string}} user
+ * @returns {boolean}
+ */
+export function isAdmin(user) {
+  return !isAuthEnabled() || CONFIG.AUTH_ADMINS.includes(user.name)
+}
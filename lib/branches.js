@@ -0,0 +1,87 @@
+/**
+ * @file branches.js
+ * @description Message tree that keeps every edited prompt and regenerated answer of a chat.
+ *
+ * The visible chat is one path through the tree. Each node remembers its parent, each parent
+ * its children in creation order and which child is currently active:
+ *
+ *   { nodes: { [id]: message & { parentId } }, children: { [parentId]: id[] }, active: { [parentId]: id } }
+ *
+ * The first message of a chat hangs off ROOT.
+ */
+
+export const ROOT = "root"
+
+/**
+ * @returns {Object} - An empty branch tree
+ */
+export function createBranchTree() {
+  return { nodes: {}, children: {}, active: {} }
+}
+
+/**
+ * Record the visible messages in the tree and mark their path as active.
+ * Messages already in the tree are updated in place; new ones become siblings
+ * of whatever was previously at their position.
+ * @param {Object} tree - Branch tree
+ * @param {Array<{id: string}>} messages - Visible messages
+ * @returns {Object} - Updated tree
+ */
+export function syncBranchTree(tree, messages) {
+  const next = {
+    nodes: { ...tree.nodes },
+    children: { ...tree.children },
+    active: { ...tree.active },
+  }
+
+  messages.forEach((message, index) => {
+    const parentId = index === 0 ? ROOT : messages[index - 1].id
+    next.nodes[message.id] = { ...message, parentId }
+    const siblings = next.children[parentId] || []
+    if (!siblings.includes(message.id)) next.children[parentId] = [...siblings, message.id]
+    next.active[parentId] = message.id
+  })
+
+  return next
+}
+
+/**
+ * Follow the active children from ROOT
+ * @param {Object} tree - Branch tree
+ * @returns {Object[]} - Visible messages without the parentId bookkeeping
+ */
+export function activePath(tree) {
+  const path = []
+  let parentId = ROOT
+  while (tree.children[parentId]?.length) {
+    const id = tree.active[parentId] || tree.children[parentId].at(-1)
+    const { parentId: _parentId, ...message } = tree.nodes[id]
+    path.push(message)
+    parentId = id
+  }
+  return path
+}
+
+/**
+ * Alternatives at a message's position, including the message itself
+ * @param {Object} tree - Branch tree
+ * @param {string} id - Message id
+ * @returns {string[]} - Sibling ids in creation order
+ */
+export function getSiblings(tree, id) {
+  const node = tree.nodes[id]
+  return node ? tree.children[node.parentId] || [id] : [id]
+}
+
+/**
+ * Make a message the active alternative at its position
+ * @param {Object} tree - Branch tree
+ * @param {string} id - Message id to switch to
+ * @returns {{tree: Object, messages: Object[]}} - Updated tree and the new visible path
+ */
+export function switchBranch(tree, id) {
+  const node = tree.nodes[id]
+  if (!node) return { tree, messages: activePath(tree) }
+  const next = { ...tree, active: { ...tree.active, [node.parentId]: id } }
+  return { tree: next, messages: activePath(next) }
+}
@@ -0,0 +1,334 @@
+/**
+ * @file completion.js
+ * @description Chat completion loop shared by the chat route. Runs the model, executes the
+ * tool calls it makes (lib/tools) and feeds the results back until it answers in text
+ * or CONFIG.MAX_TOOL_STEPS model calls have been made.
+ *
+ * Events passed to onEvent:
+ *
+ *   { type: "text", text }
+ *   { type: "reasoning", text }
+ *   { type: "tool_call", id, name, arguments }
+ *   { type: "tool_result", id, name, result?, error? }
+ *   { type: "metadata", responseModel }
+ *   { type: "guardrail", ... }   a notice of lib/guardrails.js
+ *
+ * Tool calls are checked against the request's guardrails policy as output before they run, and
+ * tool results as input before they are reported and sent back to the model; a blocking rule stops
+ * the completion with a GuardrailError after its notice.
+ *
+ * Usage and finish reasons are collected across steps and returned at the end.
+ *
+ * Every model call goes through openCompletion, which times out a provider that does not answer
+ * (CONFIG.UPSTREAM_CONNECT_TIMEOUT_MS, CONFIG.UPSTREAM_FIRST_TOKEN_TIMEOUT_MS) and retries 429s,
+ * 5xx errors, network errors and timeouts with exponential backoff. Errors after the first event
+ * are not retried, the answer has already started.
+ */
+
+import { CONFIG } from "@/config/constants"
+import { executeTool } from "@/lib/tools"
+import { GuardrailError, guardValue } from "@/lib/guardrails"
+import { parseUpstreamStream } from "@/lib/providers/stream"
+
+// Retries wait at most this long; a longer Retry-After fails the request instead (see lib/chat/fallback.js)
+const MAX_RETRY_DELAY_MS = 10000
+
+/**
+ * Error for a provider that failed or did not answer before the answer started
+ */
+export class UpstreamError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number | null} [options.status] - Upstream HTTP status, null for network errors and timeouts
+   * @param {boolean} [options.retryable] - Trying again may succeed
+   * @param {number | null} [options.retryAfterMs] - From the upstream Retry-After header
+   */
+  constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message)
+    this.name = "UpstreamError"
+    this.status = status
+    this.retryable = retryable
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+/**
+ * Milliseconds to wait according to a Retry-After header (seconds or an HTTP date)
+ * @param {string | null} value
+ * @returns {number | null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now()
+  return Number.isNaN(ms) ? null : Math.max(ms, 0)
+}
+
+/**
+ * Send one chat completion request to a provider
+ * @param {Object} options
+ * @param {Object} options.provider - Provider from the registry
+ * @param {string} options.model - Provider's model name
+ * @param {Object[]} options.messages - Messages already encoded for the provider
+ * @param {Object} [options.parameters] - Sampling parameters the provider supports, see lib/sampling.js
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Response>} - The upstream response, known to be ok
+ * @throws {UpstreamError} When the provider answers with an error status
+ */
+export async function requestCompletion({ provider, signal, ...params }) {
+  const { model, messages, stream, temperature, maxTokens, tools, parameters } = params
+  const { url, init } = provider.buildRequest({ model, messages, stream, temperature, maxTokens, tools, parameters })
+  const response = await fetch(url, { ...init, signal })
+  if (!response.ok) {
+    const errorData = await response.text()
+    throw new UpstreamError(`${provider.label} API error: ${errorData}`, {
+      status: response.status,
+      retryable: response.status === 429 || response.status >= 500,
+      retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+    })
+  }
+  return response
+}
+
+/**
+ * Parser events of an upstream response; non-streaming responses are turned into the same events
+ * @param {Object} provider
+ * @param {Response} response
+ * @param {boolean} stream - Whether the response is a stream
+ */
+async function* completionEvents(provider, response, stream) {
+  if (!stream) {
+    const { content, reasoning, toolCalls, finishReason, usage, responseModel } = provider.parseResponse(
+      await response.json(),
+    )
+    if (responseModel) yield { type: "metadata", responseModel }
+    if (reasoning) yield { type: "reasoning", text: reasoning }
+    if (content) yield { type: "text", text: content }
+    for (const [index, call] of toolCalls.entries()) {
+      yield { type: "tool_call_delta", index, ...call }
+    }
+    if (usage) yield { type: "usage", ...usage }
+    yield { type: "finish", reason: finishReason }
+    return
+  }
+
+  const reader = parseUpstreamStream(response.body, provider.createParser).getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) return
+      yield value
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+/**
+ * Settle with the promise, or fail with a retryable UpstreamError and abort the attempt after ms
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {AbortController} attempt - Aborts the request when the time is up
+ * @param {string} message
+ * @returns {Promise}
+ */
+async function withTimeout(promise, ms, attempt, message) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      // Rejected before aborting, so the race fails with the timeout rather than the AbortError
+      reject(new UpstreamError(message, { retryable: true }))
+      attempt.abort()
+    }, ms)
+  })
+  try {
+    return await Promise.race([promise, timeout])
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>} - Rejects with the abort reason when the signal aborts first
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      },
+      { once: true },
+    )
+  })
+}
+
+/**
+ * Wait before retry number attempt + 1: the Retry-After the provider asked for, otherwise
+ * exponential backoff with jitter so parallel requests do not retry in lockstep
+ * @param {number} attempt - 0 for the first retry
+ * @param {number | null} retryAfterMs
+ * @returns {number}
+ */
+function retryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null) return retryAfterMs
+  const backoff = Math.min(CONFIG.UPSTREAM_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS)
+  return backoff / 2 + Math.random() * (backoff / 2)
+}
+
+/**
+ * @param {{done: boolean, value?: Object}} first - Result of the first next()
+ * @param {AsyncGenerator} rest
+ */
+async function* prependEvent(first, rest) {
+  if (first.done) return
+  yield first.value
+  yield* rest
+}
+
+/**
+ * Send a completion request and wait for its first event, with timeouts and retries
+ * @param {Object} request - requestCompletion's options
+ * @returns {Promise<AsyncGenerator<Object>>} - Parser events of the response, first event included
+ * @throws {UpstreamError} When the provider fails every attempt; the client's AbortError when it aborts
+ */
+export async function openCompletion({ signal, ...request }) {
+  const { provider, model, stream } = request
+  // Non-streaming answers arrive with their headers, so they get both timeouts at once
+  const connectTimeoutMs = stream
+    ? CONFIG.UPSTREAM_CONNECT_TIMEOUT_MS
+    : CONFIG.UPSTREAM_CONNECT_TIMEOUT_MS + CONFIG.UPSTREAM_FIRST_TOKEN_TIMEOUT_MS
+
+  for (let attempt = 0; ; attempt++) {
+    const attemptController = new AbortController()
+    const attemptSignal = signal ? AbortSignal.any([signal, attemptController.signal]) : attemptController.signal
+    try {
+      const response = await withTimeout(
+        requestCompletion({ ...request, signal: attemptSignal }),
+        connectTimeoutMs,
+        attemptController,
+        `${provider.label} did not respond within ${connectTimeoutMs / 1000} s`,
+      )
+      const events = completionEvents(provider, response, stream)
+      const first = await withTimeout(
+        events.next(),
+        CONFIG.UPSTREAM_FIRST_TOKEN_TIMEOUT_MS,
+        attemptController,
+        `${provider.label} sent nothing within ${CONFIG.UPSTREAM_FIRST_TOKEN_TIMEOUT_MS / 1000} s`,
+      )
+      // Nothing has reached the client yet, so an error right away can still be retried
+      if (first.value?.type === "error") {
+        throw new UpstreamError(`${provider.label} error: ${first.value.message}`, { retryable: true })
+      }
+      return prependEvent(first, events)
+    } catch (error) {
+      attemptController.abort()
+      if (signal?.aborted) throw error
+      const failure =
+        error instanceof UpstreamError
+          ? error
+          : new UpstreamError(`${provider.label} request failed: ${error.message}`, { retryable: true })
+      const delayMs = retryDelay(attempt, failure.retryAfterMs)
+      if (!failure.retryable || attempt >= CONFIG.UPSTREAM_MAX_RETRIES || delayMs > MAX_RETRY_DELAY_MS) {
+        throw failure
+      }
+      console.error(`Retrying ${provider.id}/${model} in ${Math.round(delayMs)} ms:`, failure.message)
+      await sleep(delayMs, signal)
+    }
+  }
+}
+
+/**
+ * Check a tool call or result with the guardrails, reporting the notices
+ * @param {*} value
+ * @param {Object | null} policy
+ * @param {"input" | "output"} stage
+ * @param {(event: Object) => void} onEvent
+ * @returns {*} - The value with matches of "redact" rules masked
+ * @throws {GuardrailError} When a rule blocks it
+ */
+function guardTool(value, policy, stage, onEvent) {
+  const guarded = guardValue(value, policy, stage)
+  for (const notice of guarded.notices) onEvent(notice)
+  if (guarded.blocked) {
+    onEvent(guarded.blocked)
+    throw new GuardrailError(guarded.blocked)
+  }
+  return guarded.value
+}
+
+/**
+ * Run a chat completion to the end, including any tool calls
+ * @param {Object} options - requestCompletion's options, plus:
+ * @param {Object | null} [options.guardrails] - Policy the tool calls and results are checked against
+ * @param {AsyncGenerator<Object>} options.events - openCompletion's events for the first request,
+ *   opened by the caller
+ * @param {(event: Object) => void} options.onEvent
+ * @returns {Promise<{finishReason: string | null, usage: Object | null}>} - finishReason of the last step
+ *   (null when the upstream ended without one), usage summed over all steps (null when never reported)
+ */
+export async function runChatCompletion({ events, onEvent, ...request }) {
+  const messages = [...request.messages]
+  let { tools } = request
+  let current = events
+  let usage = null
+
+  for (let step = 1; ; step++) {
+    let content = ""
+    let finishReason = null
+    const calls = []
+    for await (const event of current) {
+      if (event.type === "text") {
+        content += event.text
+        onEvent(event)
+      } else if (event.type === "reasoning" || event.type === "metadata") {
+        onEvent(event)
+      } else if (event.type === "finish") {
+        finishReason = event.reason
+      } else if (event.type === "usage") {
+        usage = {
+          promptTokens: (usage?.promptTokens ?? 0) + event.promptTokens,
+          completionTokens: (usage?.completionTokens ?? 0) + event.completionTokens,
+          totalTokens: (usage?.totalTokens ?? 0) + event.totalTokens,
+        }
+      } else if (event.type === "error") {
+        throw new Error(event.message)
+      } else if (event.type === "tool_call_delta") {
+        // Streamed calls arrive in fragments: the id and name first, then pieces of the arguments
+        const call = (calls[event.index] ??= { id: `call_${step}_${event.index}`, name: "", arguments: "" })
+        if (event.id) call.id = event.id
+        if (event.name) call.name = event.name
+        call.arguments += event.arguments
+      }
+    }
+
+    const toolCalls = calls.filter(Boolean)
+    if (toolCalls.length === 0 || !tools?.length) return { finishReason, usage }
+
+    messages.push({
+      role: "assistant",
+      content: content || null,
+      tool_calls: toolCalls.map(({ id, name, arguments: args }) => ({
+        id,
+        type: "function",
+        function: { name, arguments: args },
+      })),
+    })
+    for (const call of toolCalls) {
+      const args = guardTool(call.arguments, request.guardrails, "output", onEvent)
+      onEvent({ type: "tool_call", ...call, arguments: args })
+      const outcome = guardTool(await executeTool(call.name, call.arguments), request.guardrails, "input", onEvent)
+      onEvent({ type: "tool_result", id: call.id, name: call.name, ...outcome })
+      messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(outcome.result ?? outcome) })
+    }
+
+    // The last allowed call is made without tools so the model has to answer with what it has
+    if (step + 1 >= CONFIG.MAX_TOOL_STEPS) tools = undefined
+    current = await openCompletion({ ...request, messages, tools })
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * @file data-stream.js
+ * @description Encoder and reader for the "ai" package's data stream protocol, which useChat reads when
+ * the response carries the COMPLEX_HEADER. Each part is one line: "<code>:<JSON>\n".
+ * The package does not export an encoder in the version we use, and its chunk decoder
+ * does not buffer lines split across chunks.
+ */
+
+const PART_CODES = {
+  text: "0",
+  data: "2",
+  error: "3",
+  message_annotations: "8",
+}
+
+const encoder = new TextEncoder()
+
+/**
+ * Encode one stream part
+ * @param {"text" | "data" | "error" | "message_annotations"} type
+ * @param {*} value - A string for text and error, an array for data and message_annotations
+ * @returns {Uint8Array}
+ */
+export function encodeStreamPart(type, value) {
+  return encoder.encode(`${PART_CODES[type]}:${JSON.stringify(value)}\n`)
+}
+
+const PART_TYPES = Object.fromEntries(Object.entries(PART_CODES).map(([type, code]) => [code, type]))
+
+/**
+ * Read a data stream response body part by part. Unknown part codes are skipped.
+ * @param {ReadableStream<Uint8Array>} body
+ * @returns {AsyncGenerator<{type: string, value: *}>}
+ */
+export async function* readDataStream(body) {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ""
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split("\n")
+      // Keep the last partial line in the buffer
+      buffer = lines.pop() || ""
+      for (const line of lines) {
+        const separator = line.indexOf(":")
+        const type = PART_TYPES[line.slice(0, separator)]
+        if (separator > 0 && type) yield { type, value: JSON.parse(line.slice(separator + 1)) }
+      }
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
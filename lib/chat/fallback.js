@@ -0,0 +1,98 @@
+/**
+ * @file fallback.js
+ * @description Open a chat completion with the requested model, falling back to the models in
+ * CONFIG.FALLBACK_MODELS, in order, when it fails before the answer starts. Each model gets its
+ * own retries first (see openCompletion). Shared by /api/chat and /v1/chat/completions, which
+ * report the model that actually answered.
+ */
+
+import { CONFIG } from "@/config/constants"
+import { supportsVision } from "@/lib/models"
+import { ModelUnavailableError, resolveChatModel } from "@/lib/providers"
+import { sanitizeParameters } from "@/lib/sampling"
+import { openCompletion, UpstreamError } from "@/lib/chat/completion"
+import { preparePrompt } from "@/lib/chat/prompt"
+
+/**
+ * @param {string} id - Qualified model id
+ * @returns {boolean} - Whether the model's provider is enabled and the model lists allow it
+ */
+function isServed(id) {
+  try {
+    resolveChatModel(id)
+    return true
+  } catch (error) {
+    if (error instanceof ModelUnavailableError) return false
+    throw error
+  }
+}
+
+/**
+ * Models to try for a request, the requested one first. Fallback models that are not served
+ * (see isServed) are skipped.
+ * @param {string} model - Qualified model id
+ * @param {boolean} [allowFallback] - false to only try the requested model
+ * @returns {string[]}
+ */
+export function fallbackChain(model, allowFallback = true) {
+  if (!allowFallback) return [model]
+  return [model, ...CONFIG.FALLBACK_MODELS.filter((id) => id !== model && isServed(id))]
+}
+
+/**
+ * Prepare the prompt for each model of the chain and open the first completion that answers
+ * @param {Object} options
+ * @param {string} options.model - Requested qualified model id
+ * @param {boolean} [options.allowFallback] - Defaults to true
+ * @param {Object} options.prompt - preparePrompt's options other than the model
+ * @param {Object} options.request - requestCompletion's options other than the provider, model and messages;
+ *   parameters are reduced to the ones each model's provider supports
+ * @returns {Promise<{model: string, provider: Object, request: Object, events: AsyncGenerator<Object>,
+ *   contextUsage: Object, sources: Object[], guardrails: Object, failures: Array<{model: string, error: string}>}>}
+ *   - model is the model that answered, request the full request for runChatCompletion, guardrails as from
+ *   preparePrompt, failures the models tried before it
+ * @throws {UpstreamError} When every model fails
+ * @throws {ModelUnavailableError} When the requested model is not served
+ * @throws {GuardrailError} When a model's guardrails block the prompt
+ */
+export async function openChatWithFallback({ model: requestedModel, allowFallback = true, prompt, request }) {
+  const failures = []
+  let retrieval
+  let lastError = null
+
+  for (const model of fallbackChain(requestedModel, allowFallback)) {
+    const parameters = sanitizeParameters(request.parameters, resolveChatModel(model).provider.id)
+    const prepared = await preparePrompt({
+      ...prompt,
+      model,
+      retrieval,
+      contextLimit: parameters.numCtx,
+      signal: request.signal,
+    })
+    retrieval = prepared.retrieval
+    const { provider, providerModel, messages, contextUsage, sources, guardrails } = prepared
+    const modelRequest = {
+      ...request,
+      parameters,
+      provider,
+      model: providerModel,
+      messages: provider.encodeMessages(messages, { vision: supportsVision(model) }),
+      // For the tool calls and results of runChatCompletion
+      guardrails: guardrails.policy,
+    }
+
+    try {
+      const events = await openCompletion(modelRequest)
+      return { model, provider, request: modelRequest, events, contextUsage, sources, guardrails, failures }
+    } catch (error) {
+      if (!(error instanceof UpstreamError)) throw error
+      console.error(`Error opening ${model}:`, error.message)
+      failures.push({ model, error: error.message })
+      lastError = error
+    }
+  }
+
+  if (failures.length === 1) throw lastError
+  const summary = failures.map(({ model, error }) => `${model}: ${error}`).join("; ")
+  throw new UpstreamError(`Every model failed. ${summary}`, { status: lastError.status })
+}
@@ -0,0 +1,34 @@
+/**
+ * @file message-stats.js
+ * @description Read the metadata, usage, finish and error annotations the chat route attaches
+ * to an answer (see app/api/chat/route.js) into one stats object
+ */
+
+/**
+ * @param {Object[]} [annotations] - message.annotations
+ * @returns {{metadata: Object, usage: Object | null, finish: Object | null, error: string | null,
+ *   tokensPerSecond: number | null}}
+ */
+export function messageStats(annotations = []) {
+  const stats = { metadata: {}, usage: null, finish: null, error: null, tokensPerSecond: null }
+  for (const annotation of annotations) {
+    if (annotation?.type === "metadata") {
+      const { type, ...metadata } = annotation
+      Object.assign(stats.metadata, metadata)
+    } else if (annotation?.type === "usage") {
+      stats.usage = annotation
+    } else if (annotation?.type === "finish") {
+      stats.finish = annotation
+    } else if (annotation?.type === "error") {
+      stats.error = annotation.message
+    }
+  }
+
+  // Generation speed, measured from the first token so queueing and prompt processing do not count
+  const { usage, finish } = stats
+  if (usage?.completionTokens && finish?.timeToFirstTokenMs !== null && finish?.durationMs) {
+    const generationMs = finish.durationMs - finish.timeToFirstTokenMs
+    if (generationMs > 0) stats.tokensPerSecond = usage.completionTokens / (generationMs / 1000)
+  }
+  return stats
+}
@@ -0,0 +1,118 @@
+/**
+ * @file openai-api.js
+ * @description Request and response shapes of the OpenAI-compatible /v1 routes: OpenAI
+ * messages in, chat.completion objects and chat.completion.chunk SSE events out.
+ */
+
+import { NextResponse } from "next/server"
+import { getSettings } from "@/lib/storage/settings-file"
+
+/**
+ * Error with the status and OpenAI error type to answer with
+ */
+export class OpenAIRequestError extends Error {
+  constructor(message, status = 400, type = "invalid_request_error") {
+    super(message)
+    this.name = "OpenAIRequestError"
+    this.status = status
+    this.type = type
+  }
+}
+
+/**
+ * OpenAI style error body, { error: { message, type, code } }
+ * @param {string} message
+ * @param {number} status
+ * @param {Object} [options]
+ * @param {string} [options.type]
+ * @param {string | null} [options.code]
+ * @param {Object} [options.headers]
+ * @returns {NextResponse}
+ */
+export function openAIError(message, status, { type = "invalid_request_error", code = null, headers } = {}) {
+  return NextResponse.json({ error: { message, type, code } }, { status, headers })
+}
+
+/**
+ * Text of an OpenAI message content, which is a string or an array of parts
+ * @param {string | Object[] | null} content
+ * @returns {string}
+ */
+function textContent(content) {
+  if (!Array.isArray(content)) return content ?? ""
+  return content
+    .filter((part) => part?.type === "text")
+    .map((part) => part.text)
+    .join("\n")
+}
+
+/**
+ * Convert OpenAI chat messages into the messages the web UI sends: system messages become the
+ * system prompt (the defaultSystemPrompt setting when there is none, as in the UI) and image parts
+ * become attachments.
+ * @param {Object[]} messages - OpenAI request messages
+ * @returns {{systemPrompt: string, messages: Object[]}}
+ * @throws {OpenAIRequestError} For roles and content the gateway cannot forward
+ */
+export function fromOpenAIMessages(messages) {
+  const system = []
+  const conversation = []
+
+  for (const message of messages) {
+    if (!message || typeof message !== "object") throw new OpenAIRequestError("Every message must be an object")
+    if (message.role === "system" || message.role === "developer") {
+      system.push(textContent(message.content))
+      continue
+    }
+    if (message.role !== "user" && message.role !== "assistant") {
+      throw new OpenAIRequestError(`Messages with role "${message.role}" are not supported, tools are not forwarded`)
+    }
+
+    const images = Array.isArray(message.content)
+      ? message.content.filter((part) => part?.type === "image_url").map((part) => part.image_url?.url ?? "")
+      : []
+    if (images.some((url) => !url.startsWith("data:"))) {
+      throw new OpenAIRequestError("Images must be sent as data: URLs")
+    }
+    conversation.push({
+      role: message.role,
+      content: textContent(message.content),
+      ...(message.name && { name: message.name }),
+      ...(images.length > 0 && {
+        attachments: images.map((dataUrl, index) => ({
+          id: `image-${index + 1}`,
+          name: `image-${index + 1}`,
+          kind: "image",
+          dataUrl,
+        })),
+      }),
+    })
+  }
+
+  if (conversation.length === 0) throw new OpenAIRequestError("messages needs at least one user message")
+  return {
+    systemPrompt: system.length > 0 ? system.join("\n\n") : getSettings().defaultSystemPrompt,
+    messages: conversation,
+  }
+}
+
+/**
+ * @param {{promptTokens: number, completionTokens: number, totalTokens: number}} usage
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}}
+ */
+export function toOpenAIUsage(usage) {
+  return {
+    prompt_tokens: usage.promptTokens,
+    completion_tokens: usage.completionTokens,
+    total_tokens: usage.totalTokens,
+  }
+}
+
+/**
+ * Encode an SSE event as the OpenAI streaming API sends it
+ * @param {Object | string} data - Chunk object, or "[DONE]"
+ * @returns {Uint8Array}
+ */
+export function encodeSseEvent(data) {
+  return new TextEncoder().encode(`data: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`)
+}
@@ -0,0 +1,144 @@
+/**
+ * @file prompt.js
+ * @description Turn a chat request into the messages sent to the provider: resolve the model,
+ * apply the reasoning policy, inject retrieval context, apply the provider's guardrails
+ * (lib/guardrails.js) and fit everything into the context window. Shared by /api/chat and the OpenAI-compatible /v1/chat/completions.
+ */
+
+import { CONFIG } from "@/config/constants"
+import { resolveChatModel } from "@/lib/providers"
+import { getSettings } from "@/lib/storage/settings-file"
+import { retrieveContext } from "@/lib/rag/retrievers"
+import { estimateMessagesTokens, fitMessagesToContext, getContextLimit, getPromptBudget } from "@/lib/context-window"
+import { summarizeMessages } from "@/lib/summarize"
+import { applyReasoningPolicy } from "@/lib/reasoning"
+import { GuardrailError, guardPrompt, guardrailPolicy, guardValue } from "@/lib/guardrails"
+
+/**
+ * Fit the prompt into the model's context window, keeping the system prompt, the
+ * retrieval context and the latest turns. Older turns are dropped, or replaced by
+ * a summary when summarizeHistory is set.
+ * @param {Object} options
+ * @returns {Promise<{messages: Object[], usage: Object}>}
+ */
+async function buildPromptMessages(options) {
+  const {
+    provider,
+    providerModel,
+    model,
+    head,
+    history,
+    tail,
+    maxTokens,
+    summarizeHistory,
+    contextLimit,
+    signal,
+  } = options
+  const limit = contextLimit ?? getContextLimit(model)
+  const budget = getPromptBudget(limit, maxTokens)
+  let fit = fitMessagesToContext({ head, history, tail, budget })
+
+  let summaryMessages = []
+  if (summarizeHistory && fit.dropped.length > 0) {
+    const summaryTokens = Math.min(CONFIG.SUMMARY_MAX_TOKENS, Math.floor(budget / 4))
+    fit = fitMessagesToContext({ head, history, tail, budget: budget - summaryTokens })
+    try {
+      const summary = await summarizeMessages(provider, providerModel, fit.dropped, summaryTokens, limit, signal)
+      summaryMessages = [{ role: "system", content: `Summary of the earlier conversation: ${summary}` }]
+    } catch (error) {
+      // A stopped request is not answered without the summary
+      if (signal?.aborted) throw error
+      console.error("Summarisation error:", error)
+    }
+  }
+
+  return {
+    messages: [...head, ...summaryMessages, ...fit.kept, ...tail],
+    usage: {
+      promptTokens: fit.tokens + estimateMessagesTokens(summaryMessages),
+      limit,
+      maxTokens: limit - budget,
+      dropped: fit.dropped.length,
+      summarized: summaryMessages.length > 0,
+    },
+  }
+}
+
+/**
+ * Build the provider prompt for a chat request
+ * @param {Object} options
+ * @param {string} options.model - Qualified model id
+ * @param {Object[]} options.messages - Conversation without the system prompt, latest user message last
+ * @param {string} [options.systemPrompt]
+ * @param {number} options.maxTokens - Output limit, reserved from the context window
+ * @param {boolean} [options.useRetrieval] - Defaults to the contextInjection setting
+ * @param {boolean} [options.summarizeHistory]
+ * @param {boolean} [options.keepReasoning] - Send earlier reasoning back to the model
+ * @param {number} [options.contextLimit] - Context window of the request (Ollama's num_ctx), instead of
+ *   the model's from CONFIG.MODEL_CONTEXT_LIMITS
+ * @param {{context: string, sources: Object[]}} [options.retrieval] - Context retrieved for an earlier
+ *   attempt of the same request, so a fallback model does not search again
+ * @param {AbortSignal} [options.signal] - Stops the summary request with the chat request
+ * @returns {Promise<{provider: Object, providerModel: string, messages: Object[], contextUsage: Object,
+ *   sources: Object[], retrieval: Object, guardrails: {policy: Object | null, notices: Object[]}}>} - messages
+ *   are not yet encoded for the provider; guardrails holds the provider's policy, for checking the answer,
+ *   and the notices of the rules that fired on the prompt
+ * @throws {GuardrailError} When the policy blocks the prompt
+ */
+export async function preparePrompt({
+  model,
+  messages: input,
+  systemPrompt,
+  maxTokens,
+  useRetrieval,
+  summarizeHistory,
+  keepReasoning,
+  contextLimit,
+  retrieval: earlierRetrieval,
+  signal,
+}) {
+  const { provider, model: providerModel } = resolveChatModel(model)
+  const messages = applyReasoningPolicy(input, Boolean(keepReasoning))
+
+  // Checked before anything leaves the server: the retrieval query, the summary and the prompt
+  const policy = guardrailPolicy(getSettings().guardrails, provider.id)
+  const guarded = guardPrompt({ systemPrompt, messages }, policy)
+
+  // Retrieve context if injection is enabled for this request (or globally)
+  let retrieval = earlierRetrieval ?? { context: "", sources: [] }
+  if (!earlierRetrieval && (useRetrieval ?? getSettings().contextInjection)) {
+    const lastUserMessage = guarded.messages[guarded.messages.length - 1].content
+    retrieval = await retrieveContext(lastUserMessage)
+  }
+  const { sources } = retrieval
+  const context = guardValue(retrieval.context, policy, "input")
+  if (context.blocked) throw new GuardrailError(context.blocked)
+  const additionalContext = context.value
+
+  // System prompt first, additional context right before the latest user message
+  const { messages: finalMessages, usage: contextUsage } = await buildPromptMessages({
+    provider,
+    providerModel,
+    model,
+    head: guarded.systemPrompt ? [{ role: "system", content: guarded.systemPrompt }] : [],
+    history: guarded.messages.slice(0, -1),
+    tail: [
+      ...(additionalContext ? [{ role: "system", content: `Additional context: ${additionalContext}` }] : []),
+      guarded.messages[guarded.messages.length - 1],
+    ],
+    maxTokens,
+    summarizeHistory,
+    contextLimit,
+    signal,
+  })
+
+  return {
+    provider,
+    providerModel,
+    messages: finalMessages,
+    contextUsage,
+    sources,
+    retrieval,
+    guardrails: { policy, notices: [...guarded.notices, ...context.notices] },
+  }
+}
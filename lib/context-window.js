@@ -0,0 +1,93 @@
+/**
+ * @file context-window.js
+ * @description Token estimation and context trimming, shared by the chat route and the UI meter.
+ * Estimates use ~4 characters per token, which is close enough for budgeting across
+ * tokenizers without shipping one per model.
+ */
+
+import { CONFIG } from "@/config/constants"
+import { parseModelId } from "@/lib/models"
+
+const CHARS_PER_TOKEN = 4
+// Role markers and separators every chat template adds around a message
+const TOKENS_PER_MESSAGE = 4
+// Rough cost of one image for vision models (a 512px tile in most encoders)
+const TOKENS_PER_IMAGE = 768
+
+/**
+ * Context window of a model in tokens
+ * @param {string} modelId - Qualified or bare model id
+ * @returns {number}
+ */
+export function getContextLimit(modelId) {
+  const { model } = parseModelId(modelId)
+  const match = CONFIG.MODEL_CONTEXT_LIMITS.find(([pattern]) => model.includes(pattern))
+  return match ? match[1] : CONFIG.DEFAULT_MODEL_CONTEXT_LIMIT
+}
+
+/**
+ * Tokens left for the prompt once the output is reserved. The reserve is capped at half the window,
+ * so a Max Output Tokens above the model's limit still leaves room for the conversation.
+ * @param {number} contextLimit - Context window in tokens
+ * @param {number} maxTokens - Requested output limit
+ * @returns {number}
+ */
+export function getPromptBudget(contextLimit, maxTokens) {
+  return contextLimit - Math.max(0, Math.min(maxTokens, Math.floor(contextLimit / 2)))
+}
+
+/**
+ * @param {string} text
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Shorten text to an estimated token count, keeping its end
+ * @param {string} text
+ * @param {number} tokens
+ * @returns {string}
+ */
+export function keepLastTokens(text, tokens) {
+  const value = String(text || "")
+  const length = Math.max(0, tokens) * CHARS_PER_TOKEN
+  return value.length > length ? value.slice(value.length - length) : value
+}
+
+/**
+ * @param {Array<{content: string, attachments?: Object[]}>} messages
+ * @returns {number} - Estimated token count including per-message overhead and attachments
+ */
+export function estimateMessagesTokens(messages) {
+  return messages.reduce((total, message) => {
+    const attachments = message.attachments || []
+    const images = attachments.filter((attachment) => attachment.kind === "image").length
+    const text = attachments.reduce((sum, attachment) => sum + estimateTokens(attachment.text), 0)
+    return total + TOKENS_PER_MESSAGE + estimateTokens(message.content) + text + images * TOKENS_PER_IMAGE
+  }, 0)
+}
+
+/**
+ * Drop the oldest history until the prompt fits the budget. The head (system prompt)
+ * and tail (retrieval context and latest user turn) are always kept; history is only
+ * dropped from the front so the kept turns stay contiguous.
+ * @param {Object} parts
+ * @param {Object[]} parts.head - Messages that always lead the prompt
+ * @param {Object[]} parts.history - Earlier turns, oldest first
+ * @param {Object[]} parts.tail - Messages that always end the prompt
+ * @param {number} parts.budget - Tokens available for the prompt
+ * @returns {{kept: Object[], dropped: Object[], tokens: number}}
+ */
+export function fitMessagesToContext({ head, history, tail, budget }) {
+  let tokens = estimateMessagesTokens(head) + estimateMessagesTokens(tail)
+  let start = history.length
+  while (start > 0) {
+    const cost = estimateMessagesTokens([history[start - 1]])
+    if (tokens + cost > budget) break
+    tokens += cost
+    start -= 1
+  }
+  return { kept: history.slice(start), dropped: history.slice(0, start), tokens }
+}
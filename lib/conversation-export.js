@@ -0,0 +1,165 @@
+/**
+ * @file conversation-export.js
+ * @description Conversations as files: Markdown for reading, lossless JSON that can be imported
+ * again, and OpenAI fine-tune JSONL ({"messages": [...]} per line).
+ *
+ * The JSON format is { format: "templrjs-chat", version: 1, exportedAt, conversations: [...] }
+ * with every conversation exactly as stored (settings, branches and per-message metadata included).
+ */
+
+import { inlineTextAttachments, imageAttachments } from "@/lib/attachments"
+import { messageReasoning, splitThinkTags } from "@/lib/reasoning"
+import { messageStats } from "@/lib/chat/message-stats"
+import { titleFromMessages } from "@/lib/storage/conversations"
+
+const EXPORT_FORMAT = "templrjs-chat"
+const EXPORT_VERSION = 1
+
+/**
+ * File name for an export, e.g. "release-notes-for-v2.md"
+ * @param {string} title - Conversation title, or a name for a bulk export
+ * @param {string} extension - Without the dot
+ * @returns {string}
+ */
+export function exportFileName(title, extension) {
+  const slug = String(title || "chat")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60)
+  return `${slug || "chat"}.${extension}`
+}
+
+/**
+ * Readable transcript with the settings on top; reasoning goes in a collapsed <details> block
+ * @param {Object} conversation - Full conversation
+ * @returns {string}
+ */
+export function conversationToMarkdown(conversation) {
+  const { title, model, temperature, systemPrompt, messages = [], messageMeta = {} } = conversation
+  const lines = [`# ${title || titleFromMessages(messages)}`, ""]
+
+  const settings = [
+    model && `- Model: ${model}`,
+    temperature !== undefined && `- Temperature: ${temperature}`,
+    conversation.createdAt && `- Created: ${conversation.createdAt}`,
+    conversation.updatedAt && `- Updated: ${conversation.updatedAt}`,
+  ].filter(Boolean)
+  if (settings.length > 0) lines.push(...settings, "")
+  if (systemPrompt) lines.push("## System", "", systemPrompt, "")
+
+  for (const message of messages) {
+    if (message.role === "user") {
+      lines.push("## You", "")
+      for (const image of imageAttachments(message.attachments)) lines.push(`_Image: ${image.name}_`, "")
+      lines.push(inlineTextAttachments(message.content, message.attachments), "")
+      continue
+    }
+
+    lines.push("## Assistant", "")
+    const reasoning = messageReasoning(message)
+    if (reasoning.text) {
+      lines.push("<details>", "<summary>Reasoning</summary>", "", reasoning.text, "", "</details>", "")
+    }
+    lines.push(splitThinkTags(message.content).content, "")
+    const { error } = messageStats(message.annotations)
+    if (error) lines.push(`> Error: ${error}`, "")
+    const sources = messageMeta[message.id]?.sources ?? []
+    if (sources.length > 0) {
+      lines.push("Sources:", "", ...sources.map((source) => `${source.index}. ${source.title}`), "")
+    }
+  }
+
+  return `${lines.join("\n").trim()}\n`
+}
+
+/**
+ * Lossless JSON export of one or more conversations
+ * @param {Object[]} conversations - Full conversations
+ * @returns {string}
+ */
+export function conversationsToJson(conversations) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), conversations },
+    null,
+    2,
+  )
+}
+
+/**
+ * One fine-tune example: the system prompt and the visible text of every turn. The example
+ * ends before the first failed or empty answer; images and reasoning are left out.
+ * @param {Object} conversation - Full conversation
+ * @returns {{messages: Object[]} | null} - null when the conversation has no usable answer
+ */
+export function conversationToFineTune(conversation) {
+  const turns = []
+  for (const message of conversation.messages || []) {
+    if (message.role === "user") {
+      turns.push({ role: "user", content: inlineTextAttachments(message.content, message.attachments) })
+      continue
+    }
+    const content = splitThinkTags(message.content).content.trim()
+    if (!content || messageStats(message.annotations).error) {
+      // Drop the prompt that did not get an answer
+      if (turns.at(-1)?.role === "user") turns.pop()
+      break
+    }
+    turns.push({ role: "assistant", content })
+  }
+
+  // Examples must end with the answer the model is trained on
+  while (turns.length > 0 && turns.at(-1).role !== "assistant") turns.pop()
+  if (turns.length === 0) return null
+  const system = conversation.systemPrompt ? [{ role: "system", content: conversation.systemPrompt }] : []
+  return { messages: [...system, ...turns] }
+}
+
+/**
+ * Fine-tune JSONL, one line per conversation that has a usable answer
+ * @param {Object[]} conversations - Full conversations
+ * @returns {string}
+ */
+export function conversationsToJsonl(conversations) {
+  return conversations
+    .map(conversationToFineTune)
+    .filter(Boolean)
+    .map((example) => `${JSON.stringify(example)}\n`)
+    .join("")
+}
+
+/**
+ * Parse and validate a JSON export. Conversations keep their ids, so importing a chat
+ * again replaces the earlier copy instead of duplicating it.
+ * @param {string} json
+ * @returns {Object[]} - Conversations ready for the store
+ * @throws {Error} When the file is not a conversation export
+ */
+export function parseConversationExport(json) {
+  let data
+  try {
+    data = JSON.parse(json)
+  } catch {
+    throw new Error("The file is not valid JSON")
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.conversations)) {
+    throw new Error("The file is not a conversation export")
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`Export version ${data.version} is newer than this app supports`)
+  }
+
+  const now = new Date().toISOString()
+  return data.conversations.map((conversation) => {
+    if (!Array.isArray(conversation?.messages)) {
+      throw new Error("Every conversation needs a messages array")
+    }
+    return {
+      ...conversation,
+      id: conversation.id || crypto.randomUUID(),
+      title: conversation.title || titleFromMessages(conversation.messages),
+      createdAt: conversation.createdAt || now,
+      updatedAt: conversation.updatedAt || now,
+    }
+  })
+}
@@ -0,0 +1,19 @@
+/**
+ * @file download.js
+ * @description Save generated content as a file from the browser
+ */
+
+/**
+ * Download text content under the given file name
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} [type] - MIME type
+ */
+export function downloadFile(fileName, content, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,395 @@
+/**
+ * @file guardrails.js
+ * @description Content policies applied to what is sent to a provider and to what it answers.
+ * An administrator edits them at /admin/settings (the guardrails runtime setting):
+ *
+ *   {
+ *     providerProfiles: { ollama: "permissive", cloudflare: "standard", openai: "standard" },   or "off"
+ *     profiles: {
+ *       standard: {
+ *         pii: { secret, email, card, phone, ip },   each "off" | "warn" | "redact" | "block"
+ *         terms: [...], termAction,                  dictionary of names, codenames, ... matched as words
+ *         blockedTopics: [...],                      phrases that stop a request or an answer
+ *         maxInputLength, maxOutputLength,           characters, 0 for no limit
+ *         checkOutput,                               whether answers are checked too
+ *       },
+ *       permissive: { ... },
+ *     },
+ *   }
+ *
+ * PII is detected with the patterns of lib/redact.js; a redacted match is replaced with its kind
+ * in brackets ("[email]"). Input checks cover the system prompt, the conversation with its text
+ * attachments, retrieved context and tool results; topics and the length limit apply to the latest
+ * user message. Output checks cover the answer, the reasoning and tool calls; the length limit
+ * applies to the answer only. Every rule that fires produces a notice, sent to the client as a
+ * message annotation:
+ *
+ *   { type: "guardrail", stage: "input" | "output", action, rule, count?, topic?, limit? }
+ *
+ * Shared by the chat routes, the settings page and the chat, which shows the notices.
+ */
+
+import { REDACTIONS } from "@/lib/redact"
+
+export const PII_KINDS = [...new Set(REDACTIONS.map(({ kind }) => kind))]
+export const GUARDRAIL_ACTIONS = ["off", "warn", "redact", "block"]
+export const PROFILE_IDS = ["standard", "permissive"]
+// Streamed answer text held back so a match split across chunks is still caught
+const OUTPUT_HOLDBACK = 80
+
+// Singular and plural names of what a rule matched, for the notices
+const RULE_LABELS = {
+  secret: ["key or token", "keys or tokens"],
+  email: ["email address", "email addresses"],
+  card: ["card number", "card numbers"],
+  phone: ["phone number", "phone numbers"],
+  ip: ["IP address", "IP addresses"],
+  term: ["dictionary term", "dictionary terms"],
+}
+
+/**
+ * A request or answer stopped by a "block" rule
+ */
+export class GuardrailError extends Error {
+  /**
+   * @param {Object} notice - The guardrail annotation of the rule
+   */
+  constructor(notice) {
+    super(describeNotice(notice))
+    this.name = "GuardrailError"
+    this.notice = notice
+  }
+}
+
+/**
+ * @returns {Object} - Guardrails before an administrator changes them: keys and card numbers are
+ *   masked and other personal data reported for hosted providers, local Ollama only reports keys
+ */
+export function defaultGuardrails() {
+  const profile = { terms: [], blockedTopics: [], maxInputLength: 0, maxOutputLength: 0 }
+  return {
+    providerProfiles: { ollama: "permissive", cloudflare: "standard", openai: "standard" },
+    profiles: {
+      standard: {
+        ...profile,
+        pii: { secret: "redact", email: "warn", card: "redact", phone: "warn", ip: "off" },
+        termAction: "redact",
+        checkOutput: true,
+      },
+      permissive: {
+        ...profile,
+        pii: { secret: "warn", email: "off", card: "off", phone: "off", ip: "off" },
+        termAction: "warn",
+        checkOutput: false,
+      },
+    },
+  }
+}
+
+/**
+ * @param {Object} guardrails - The guardrails setting
+ * @param {string} providerId
+ * @returns {Object | null} - The provider's profile, null when its guardrails are off
+ */
+export function guardrailPolicy(guardrails, providerId) {
+  return guardrails?.profiles?.[guardrails.providerProfiles?.[providerId]] ?? null
+}
+
+/**
+ * @param {string[]} phrases
+ * @returns {RegExp} - Matches any of the phrases as whole words, ignoring case
+ */
+function phrasePattern(phrases) {
+  const escaped = phrases.map((phrase) => phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+"))
+  return new RegExp(`(?<![\\w])(?:${escaped.join("|")})(?![\\w])`, "gi")
+}
+
+/**
+ * Detection rules of a profile in the order they are applied
+ * @param {Object} policy
+ * @returns {Array<{kind: string, pattern: RegExp, action: string}>}
+ */
+function policyRules(policy) {
+  const rules = REDACTIONS.filter(({ kind }) => (policy.pii[kind] ?? "off") !== "off").map(({ kind, pattern }) => ({
+    kind,
+    pattern,
+    action: policy.pii[kind],
+  }))
+  if (policy.terms.length > 0 && policy.termAction !== "off") {
+    rules.push({ kind: "term", pattern: phrasePattern(policy.terms), action: policy.termAction })
+  }
+  return rules
+}
+
+/**
+ * @param {string} text
+ * @param {Object} policy
+ * @returns {string | null} - The first blocked topic the text mentions
+ */
+function findTopic(text, policy) {
+  return policy.blockedTopics.find((topic) => phrasePattern([topic]).test(text)) ?? null
+}
+
+/**
+ * Apply the detection rules to a text, counting matches into counts by "kind:action"
+ * @param {string} text
+ * @param {Object[]} rules - From policyRules
+ * @param {Map<string, number>} counts
+ * @returns {string} - text with the matches of "redact" rules masked
+ */
+function scanText(text, rules, counts) {
+  // Matches are swapped for placeholders until the end so later rules do not find them again
+  const replacements = []
+  const scanned = rules.reduce(
+    (result, { kind, pattern, action }) =>
+      result.replace(pattern, (match) => {
+        const key = `${kind}:${action}`
+        counts.set(key, (counts.get(key) ?? 0) + 1)
+        replacements.push(action === "redact" ? `[${kind}]` : match)
+        return `\u0000${replacements.length - 1}\u0000`
+      }),
+    text,
+  )
+  return scanned.replace(/\u0000(\d+)\u0000/g, (_, index) => replacements[index])
+}
+
+/**
+ * @param {Map<string, number>} counts - From scanText
+ * @param {"input" | "output"} stage
+ * @returns {Object[]} - One notice per rule and action, blocking ones first
+ */
+function countNotices(counts, stage) {
+  return [...counts]
+    .map(([key, count]) => {
+      const [rule, action] = key.split(":")
+      return { type: "guardrail", stage, action, rule, count }
+    })
+    .sort((a, b) => (b.action === "block") - (a.action === "block"))
+}
+
+/**
+ * @param {Object} message
+ * @returns {string[]} - The texts of the message's text attachments
+ */
+function attachmentTexts(message) {
+  return (message?.attachments ?? []).filter((attachment) => attachment.kind === "text").map(({ text }) => text)
+}
+
+/**
+ * Check the conversation a request sends upstream, before anything else is done with it
+ * @param {Object} prompt
+ * @param {string} [prompt.systemPrompt]
+ * @param {Object[]} prompt.messages - Latest user message last; text attachments are checked too
+ * @param {Object | null} policy - From guardrailPolicy
+ * @returns {{systemPrompt: string, messages: Object[], notices: Object[]}} - The prompt with matches of
+ *   "redact" rules masked, and notices of the "warn" and "redact" rules that fired
+ * @throws {GuardrailError} When a "block" rule, a blocked topic or the length limit fires
+ */
+export function guardPrompt({ systemPrompt, messages }, policy) {
+  if (!policy) return { systemPrompt, messages, notices: [] }
+
+  const latestMessage = messages[messages.length - 1]
+  const latest = latestMessage?.content ?? ""
+  if (policy.maxInputLength > 0 && latest.length > policy.maxInputLength) {
+    throw new GuardrailError({
+      type: "guardrail",
+      stage: "input",
+      action: "block",
+      rule: "length",
+      limit: policy.maxInputLength,
+    })
+  }
+  const topic = findTopic([latest, ...attachmentTexts(latestMessage)].join("\n"), policy)
+  if (topic) throw new GuardrailError({ type: "guardrail", stage: "input", action: "block", rule: "topic", topic })
+
+  const rules = policyRules(policy)
+  const counts = new Map()
+  const scan = (text) => (typeof text === "string" && text ? scanText(text, rules, counts) : text)
+  const scanAttachment = (attachment) =>
+    attachment.kind === "text" ? { ...attachment, text: scan(attachment.text) } : attachment
+  const guarded = {
+    systemPrompt: scan(systemPrompt),
+    messages: messages.map((message) => ({
+      ...message,
+      content: scan(message.content),
+      ...(message.attachments && { attachments: message.attachments.map(scanAttachment) }),
+    })),
+  }
+
+  const notices = countNotices(counts, "input")
+  if (notices[0]?.action === "block") throw new GuardrailError(notices[0])
+  return { ...guarded, notices }
+}
+
+/**
+ * Check a value that joins the conversation outside its messages: retrieved context and tool results
+ * on their way to the provider ("input"), tool calls on their way to the client ("output"). Every
+ * string in the value is checked; blocked topics only stop output.
+ * @param {*} value - A string, or an object or array holding strings
+ * @param {Object | null} policy - From guardrailPolicy
+ * @param {"input" | "output"} stage
+ * @returns {{value: *, notices: Object[], blocked: Object | null}} - value with matches of "redact" rules
+ *   masked, blocked the notice of the rule that stopped the request or the answer
+ */
+export function guardValue(value, policy, stage) {
+  if (!policy || (stage === "output" && !policy.checkOutput)) return { value, notices: [], blocked: null }
+
+  const rules = policyRules(policy)
+  const counts = new Map()
+  let topic = null
+  const scan = (item) => {
+    if (typeof item === "string") {
+      if (stage === "output") topic ??= findTopic(item, policy)
+      return scanText(item, rules, counts)
+    }
+    if (Array.isArray(item)) return item.map(scan)
+    if (item && typeof item === "object") {
+      return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, scan(entry)]))
+    }
+    return item
+  }
+  const scanned = scan(value)
+
+  if (topic) return { value, notices: [], blocked: { type: "guardrail", stage, action: "block", rule: "topic", topic } }
+  const notices = countNotices(counts, stage)
+  if (notices[0]?.action === "block") return { value, notices: [], blocked: notices[0] }
+  return { value: scanned, notices, blocked: null }
+}
+
+/**
+ * Check an answer, or its reasoning, as it streams. Text is held back by OUTPUT_HOLDBACK characters,
+ * and never released part way through a match, so what is released has already been checked.
+ * end() releases the rest; more text may be pushed after it, for reasoning that resumes later.
+ * @param {Object | null} policy - From guardrailPolicy
+ * @param {Object} [options]
+ * @param {number} [options.maxLength] - Characters allowed, 0 for no limit; the policy's maxOutputLength
+ *   by default
+ * @returns {{push: (text: string) => Object, end: () => Object} | null} - null when the policy does
+ *   not check answers. Both return { text, notices, blocked }: text is what may be shown, blocked the
+ *   notice of the rule that stopped the answer; nothing more should be pushed after it.
+ */
+export function createOutputGuard(policy, { maxLength = policy?.maxOutputLength ?? 0 } = {}) {
+  if (!policy?.checkOutput) return null
+  const rules = policyRules(policy)
+  let buffer = ""
+  // The end of the released text, so a topic split across a release is still found
+  let releasedTail = ""
+  let releasedLength = 0
+
+  const notice = (fields) => ({ type: "guardrail", stage: "output", action: "block", ...fields })
+
+  // Longest prefix of the buffer that can be checked now
+  const safeLength = (final) => {
+    if (final) return buffer.length
+    let cut = buffer.length - OUTPUT_HOLDBACK
+    for (let moved = true; moved && cut > 0; ) {
+      moved = false
+      for (const { pattern } of rules) {
+        for (const match of buffer.matchAll(pattern)) {
+          if (match.index < cut && match.index + match[0].length > cut) {
+            cut = match.index
+            moved = true
+          }
+        }
+      }
+    }
+    return Math.max(cut, 0)
+  }
+
+  const release = (final) => {
+    const topic = findTopic(releasedTail + buffer, policy)
+    if (topic) {
+      buffer = ""
+      return { text: "", notices: [], blocked: notice({ rule: "topic", topic }) }
+    }
+
+    let length = safeLength(final)
+    let blocked = null
+    const limit = maxLength
+    if (limit > 0 && releasedLength + length > limit) {
+      length = Math.max(limit - releasedLength, 0)
+      blocked = notice({ rule: "length", limit })
+    }
+
+    const counts = new Map()
+    const released = buffer.slice(0, length)
+    const text = scanText(released, rules, counts)
+    buffer = blocked ? "" : buffer.slice(length)
+    releasedTail = (releasedTail + released).slice(-OUTPUT_HOLDBACK)
+    releasedLength += length
+
+    const notices = countNotices(counts, "output")
+    if (notices[0]?.action === "block") return { text: "", notices: [], blocked: notices[0] }
+    return { text, notices, blocked }
+  }
+
+  return {
+    push(text) {
+      buffer += text
+      return release(false)
+    },
+    end() {
+      return release(true)
+    },
+  }
+}
+
+/**
+ * @param {Object} notice - A guardrail annotation
+ * @returns {string}
+ */
+export function describeNotice({ stage, action, rule, count = 1, topic, limit }) {
+  const subject = stage === "input" ? "The message" : "The answer"
+  if (rule === "length") {
+    return stage === "input"
+      ? `The message was not sent: it is longer than the limit of ${limit} characters`
+      : `The answer was stopped at the limit of ${limit} characters`
+  }
+  if (rule === "topic") {
+    return stage === "input"
+      ? `The message was not sent: it mentions the blocked topic "${topic}"`
+      : `The answer was stopped: it mentions the blocked topic "${topic}"`
+  }
+
+  const [singular, plural] = RULE_LABELS[rule] ?? [rule, rule]
+  const what = `${count} ${count === 1 ? singular : plural}`
+  if (action === "block") {
+    return stage === "input"
+      ? `The message was not sent: it contains ${what}`
+      : `The answer was stopped: it contains ${what}`
+  }
+  if (action === "redact") {
+    const masked = `${what} ${count === 1 ? "was" : "were"} masked`
+    return stage === "input" ? `${masked} before sending` : `${masked} in the answer`
+  }
+  return `${subject} contains ${what}`
+}
+
+/**
+ * Guardrail notices of a message, with the counts of repeated output notices added up
+ * @param {Object[]} [annotations] - message.annotations
+ * @param {"input" | "output"} stage
+ * @returns {Object[]}
+ */
+export function messageGuardrails(annotations = [], stage) {
+  const notices = new Map()
+  for (const annotation of annotations) {
+    if (annotation?.type !== "guardrail" || annotation.stage !== stage) continue
+    const key = `${annotation.rule}:${annotation.action}`
+    const seen = notices.get(key)
+    notices.set(key, seen ? { ...seen, count: (seen.count ?? 1) + (annotation.count ?? 1) } : annotation)
+  }
+  return [...notices.values()]
+}
+
+/**
+ * @param {string} text - Body of a failed chat request, which useChat throws as the error message
+ * @returns {Object | null} - Notice of the guardrail that refused the prompt
+ */
+export function errorGuardrail(text) {
+  try {
+    return JSON.parse(text)?.guardrail ?? null
+  } catch {
+    return null
+  }
+}
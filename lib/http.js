@@ -0,0 +1,69 @@
+/**
+ * @file http.js
+ * @description Browser helpers for the { error } JSON the API routes answer with, including
+ * the 401 and 429 responses of lib/auth, and for reading streamed JSON lines
+ */
+
+export const LOGIN_PATH = "/login"
+
+/**
+ * Message of an error body. useChat throws the raw response text, so this also accepts plain text.
+ * @param {string} text - Response body
+ * @returns {string}
+ */
+export function errorMessage(text) {
+  try {
+    const data = JSON.parse(text)
+    if (typeof data?.error === "string") return data.error
+  } catch {
+    // Not JSON, use the text as it is
+  }
+  return text
+}
+
+/**
+ * Error for a failed response, with its status
+ * @param {Response} response
+ * @returns {Promise<Error>}
+ */
+export async function responseError(response) {
+  const text = await response.text().catch(() => "")
+  const error = new Error(errorMessage(text) || `Request failed with status ${response.status}`)
+  error.status = response.status
+  return error
+}
+
+/**
+ * Go to the sign in page, coming back to the current page afterwards
+ */
+export function redirectToLogin() {
+  const next = `${window.location.pathname}${window.location.search}`
+  window.location.assign(`${LOGIN_PATH}?next=${encodeURIComponent(next)}`)
+}
+
+/**
+ * Read a newline delimited JSON response body (e.g. Ollama's pull progress) object by object
+ * @param {ReadableStream<Uint8Array>} body
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* readJsonLines(body) {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ""
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split("\n")
+      // Keep the last partial line in the buffer
+      buffer = lines.pop() || ""
+      for (const line of lines) {
+        if (line.trim()) yield JSON.parse(line)
+      }
+    }
+    if (buffer.trim()) yield JSON.parse(buffer)
+  } finally {
+    reader.releaseLock()
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * @file completion-log.js
+ * @description Record of every chat completion served by /api/chat and /v1/chat/completions,
+ * written as JSON lines to logs/completions-YYYY-MM-DD.jsonl (UTC days) under CONFIG.DATA_DIR
+ * unless CONFIG.REQUEST_LOG is "off". One entry per request:
+ *
+ *   { id, timestamp, route, user, requestedModel, model, provider, stream, status, error,
+ *     promptTokens, completionTokens, tokensEstimated, latencyMs, timeToFirstTokenMs,
+ *     finishReason, fallbacks, guardrails, messages?, output? }
+ *
+ * status is "ok", "error" (the provider failed before or during the answer), "aborted" (the
+ * client went away) or "blocked" (a guardrail refused the prompt or stopped the answer). model is
+ * the model that answered, fallbacks the models that failed before it, guardrails the notices of
+ * the guardrail rules that fired (see lib/guardrails.js), which never include the matched text.
+ * messages and output are only written when CONFIG.REQUEST_LOG_BODIES is "redacted" or "full".
+ * Files older than CONFIG.REQUEST_LOG_RETENTION_DAYS are deleted when a new day's file starts.
+ */
+
+import { promises as fs } from "fs"
+import path from "path"
+import { CONFIG } from "@/config/constants"
+import { parseModelId } from "@/lib/models"
+import { redactText } from "@/lib/redact"
+import { dataPath } from "@/lib/storage/json-file"
+
+const LOG_DIR = "logs"
+const LOG_FILE = /^completions-(\d{4}-\d{2}-\d{2})\.jsonl$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Appends are chained so lines of concurrent requests never interleave
+let writeQueue = Promise.resolve()
+// UTC day the old files were last pruned for
+let prunedDay = null
+
+const logFile = (day) => `${LOG_DIR}/completions-${day}.jsonl`
+
+/**
+ * @param {number} count
+ * @returns {string[]} - The last count UTC days as "YYYY-MM-DD", oldest first, ending today
+ */
+export function lastDays(count) {
+  const now = Date.now()
+  return Array.from({ length: count }, (_, index) =>
+    new Date(now - (count - 1 - index) * DAY_MS).toISOString().slice(0, 10),
+  )
+}
+
+/**
+ * @param {string | Object[] | null} content - Message content, possibly OpenAI content parts
+ * @returns {string} - Its text; images are left out
+ */
+function messageText(content) {
+  if (typeof content === "string") return content
+  if (!Array.isArray(content)) return ""
+  return content
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join("\n")
+}
+
+/**
+ * @param {Object[]} messages
+ * @param {string} output
+ * @returns {Object} - { messages, output } as CONFIG.REQUEST_LOG_BODIES allows, empty for "none"
+ */
+function logBodies(messages, output) {
+  if (CONFIG.REQUEST_LOG_BODIES !== "redacted" && CONFIG.REQUEST_LOG_BODIES !== "full") return {}
+  const redact = CONFIG.REQUEST_LOG_BODIES === "redacted" ? redactText : (text) => text
+  return {
+    messages: messages.map((message) => ({ role: message.role, content: redact(messageText(message.content)) })),
+    output: redact(output),
+  }
+}
+
+async function pruneLogs() {
+  if (!CONFIG.REQUEST_LOG_RETENTION_DAYS) return
+  const oldestKept = lastDays(CONFIG.REQUEST_LOG_RETENTION_DAYS)[0]
+  const files = await fs.readdir(dataPath(LOG_DIR))
+  for (const file of files) {
+    const day = LOG_FILE.exec(file)?.[1]
+    if (day && day < oldestKept) await fs.unlink(dataPath(`${LOG_DIR}/${file}`))
+  }
+}
+
+async function appendEntry(entry) {
+  const day = entry.timestamp.slice(0, 10)
+  const file = dataPath(logFile(day))
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.appendFile(file, `${JSON.stringify(entry)}\n`)
+  if (prunedDay !== day) {
+    prunedDay = day
+    await pruneLogs()
+  }
+}
+
+/**
+ * Start the log entry of a completion request; the entry is written once, by write()
+ * @param {Object} options
+ * @param {string} options.route - e.g. "/api/chat"
+ * @param {string} options.user - Name of the authenticated user
+ * @param {string} options.model - Requested qualified model id
+ * @param {boolean} options.stream
+ * @param {Object[]} options.messages - Request messages, only logged with CONFIG.REQUEST_LOG_BODIES
+ * @returns {{opened: Function, firstToken: Function, write: Function}}
+ */
+export function createCompletionLog({ route, user, model, stream, messages }) {
+  const startedAt = Date.now()
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date(startedAt).toISOString(),
+    route,
+    user,
+    requestedModel: model,
+    model,
+    provider: parseModelId(model).provider,
+    stream: Boolean(stream),
+    fallbacks: [],
+    guardrails: [],
+  }
+  let firstTokenAt = null
+  let written = false
+
+  return {
+    /**
+     * @param {Object} opened - Result of openChatWithFallback
+     */
+    opened({ model, provider, failures, guardrails }) {
+      entry.model = model
+      entry.provider = provider.id
+      entry.fallbacks = failures.map((failure) => failure.model)
+      entry.guardrails = guardrails.notices
+    },
+
+    // The first answer or reasoning text arrived
+    firstToken() {
+      firstTokenAt ??= Date.now()
+    },
+
+    /**
+     * Finish the entry and append it to the log; later calls are ignored. Never throws.
+     * @param {Object} result
+     * @param {"ok" | "error" | "aborted" | "blocked"} result.status
+     * @param {string} [result.error]
+     * @param {{promptTokens: number, completionTokens: number}} [result.usage]
+     * @param {boolean} [result.estimated] - The usage was estimated rather than reported
+     * @param {string} [result.finishReason]
+     * @param {string} [result.output] - Answer text, only logged with CONFIG.REQUEST_LOG_BODIES
+     * @param {Object[]} [result.guardrails] - Guardrail notices of the answer, or of the blocked prompt
+     */
+    write({ status, error = null, usage = null, estimated = false, finishReason = null, output = "", guardrails = [] }) {
+      if (written || CONFIG.REQUEST_LOG === "off") return
+      written = true
+      const record = {
+        ...entry,
+        status,
+        error,
+        promptTokens: usage?.promptTokens ?? null,
+        completionTokens: usage?.completionTokens ?? null,
+        tokensEstimated: Boolean(usage) && estimated,
+        latencyMs: Date.now() - startedAt,
+        timeToFirstTokenMs: firstTokenAt ? firstTokenAt - startedAt : null,
+        finishReason,
+        guardrails: [...entry.guardrails, ...guardrails],
+        ...logBodies(messages ?? [], output),
+      }
+      writeQueue = writeQueue
+        .then(() => appendEntry(record))
+        .catch((error) => console.error("Error writing completion log:", error))
+    },
+  }
+}
+
+/**
+ * Read the log entries of the last days
+ * @param {number} days
+ * @returns {Promise<Object[]>} - Oldest first
+ */
+export async function readCompletionLog(days) {
+  const entries = []
+  for (const day of lastDays(days)) {
+    let text
+    try {
+      text = await fs.readFile(dataPath(logFile(day)), "utf8")
+    } catch (error) {
+      if (error.code === "ENOENT") continue
+      throw error
+    }
+    for (const line of text.split("\n")) {
+      if (!line) continue
+      try {
+        entries.push(JSON.parse(line))
+      } catch {
+        // A line cut short when the server stopped mid-write
+      }
+    }
+  }
+  return entries
+}
@@ -0,0 +1,82 @@
+/**
+ * @file usage-report.js
+ * @description Usage and error rates per day and per model, summarised from completion log
+ * entries (see completion-log.js) for the /admin/usage dashboard
+ */
+
+import { lastDays } from "@/lib/logging/completion-log"
+
+// Failed requests listed with their error
+const RECENT_ERRORS = 20
+
+const emptyStats = () => ({
+  requests: 0,
+  errors: 0,
+  aborted: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  latencyMs: 0,
+  timeToFirstTokenMs: 0,
+  firstTokens: 0,
+})
+
+function addEntry(stats, entry) {
+  stats.requests += 1
+  if (entry.status === "error") stats.errors += 1
+  if (entry.status === "aborted") stats.aborted += 1
+  stats.promptTokens += entry.promptTokens ?? 0
+  stats.completionTokens += entry.completionTokens ?? 0
+  stats.latencyMs += entry.latencyMs ?? 0
+  if (entry.timeToFirstTokenMs !== null && entry.timeToFirstTokenMs !== undefined) {
+    stats.timeToFirstTokenMs += entry.timeToFirstTokenMs
+    stats.firstTokens += 1
+  }
+}
+
+/**
+ * @param {Object} stats - Sums from addEntry
+ * @returns {{requests: number, errors: number, aborted: number, errorRate: number, promptTokens: number,
+ *   completionTokens: number, avgLatencyMs: number | null, avgTimeToFirstTokenMs: number | null}}
+ */
+function finalizeStats({ latencyMs, timeToFirstTokenMs, firstTokens, ...stats }) {
+  return {
+    ...stats,
+    errorRate: stats.requests ? stats.errors / stats.requests : 0,
+    avgLatencyMs: stats.requests ? Math.round(latencyMs / stats.requests) : null,
+    avgTimeToFirstTokenMs: firstTokens ? Math.round(timeToFirstTokenMs / firstTokens) : null,
+  }
+}
+
+/**
+ * @param {Object[]} entries - Completion log entries, oldest first
+ * @param {number} days - Days the entries cover, ending today; days without requests are included
+ * @returns {{totals: Object, days: Object[], models: Object[], recentErrors: Object[]}} - totals and each
+ *   day ({ day, ... }) and model ({ model, provider, ... }) have the fields of finalizeStats; models
+ *   are sorted by requests
+ */
+export function summarizeUsage(entries, days) {
+  const totals = emptyStats()
+  const byDay = new Map(lastDays(days).map((day) => [day, emptyStats()]))
+  const byModel = new Map()
+
+  for (const entry of entries) {
+    addEntry(totals, entry)
+    const day = byDay.get(entry.timestamp.slice(0, 10))
+    if (day) addEntry(day, entry)
+    if (!byModel.has(entry.model)) byModel.set(entry.model, { provider: entry.provider, stats: emptyStats() })
+    addEntry(byModel.get(entry.model).stats, entry)
+  }
+
+  return {
+    totals: finalizeStats(totals),
+    days: [...byDay].map(([day, stats]) => ({ day, ...finalizeStats(stats) })),
+    models: [...byModel]
+      .map(([model, { provider, stats }]) => ({ model, provider, ...finalizeStats(stats) }))
+      .sort((a, b) => b.requests - a.requests),
+    recentErrors: entries
+      .filter((entry) => entry.status === "error")
+      .slice(-RECENT_ERRORS)
+      .reverse()
+      .map(({ id, timestamp, route, user, model, error }) => ({ id, timestamp, route, user, model, error })),
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * @file markdown.js
+ * @description Preparation of message Markdown for rendering. Messages are split into top-level
+ * blocks (paragraphs, lists, code blocks, ...) so that while an answer streams only its last,
+ * growing block is parsed and rendered again; the blocks before it are memoized. Splitting keeps
+ * what the whole message would render: reference link definitions are repeated in every block,
+ * display math stays in one block across blank lines, and messages with footnotes are not split.
+ */
+
+import { Lexer } from "marked"
+
+// Fenced code blocks (also unterminated ones while streaming) and inline code, left untouched
+const CODE = /(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]*`)/
+// A GFM footnote definition; footnotes are numbered and listed once, after the whole message
+const FOOTNOTE_DEFINITION = /^ {0,3}\[\^[^\]\s]+\]:/m
+
+/**
+ * Rewrite LaTeX's \[ \] and \( \) delimiters, which many models use, to the $$ $$ and $ $ that
+ * remark-math understands
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeMathDelimiters(text) {
+  return text
+    .split(CODE)
+    .map((part, index) => {
+      // Odd parts are the code matched by the split
+      if (index % 2 === 1) return part
+      return part
+        .replace(/\\\[([\s\S]*?)\\\]/g, (match, tex) => `\n$$\n${tex.trim()}\n$$\n`)
+        .replace(/\\\(([\s\S]*?)\\\)/g, (match, tex) => `$${tex.trim()}$`)
+    })
+    .join("")
+}
+
+/**
+ * @param {string} text
+ * @returns {string} - The text outside code
+ */
+function withoutCode(text) {
+  return text
+    .split(CODE)
+    .filter((part, index) => index % 2 === 0)
+    .join("")
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} - Whether the text opens a $$ display math block it does not close
+ */
+function opensMath(text) {
+  return (withoutCode(text).match(/\$\$/g) ?? []).length % 2 === 1
+}
+
+/**
+ * Split Markdown into its top-level blocks
+ * @param {string} content
+ * @returns {string[]} - Source of each block, blank lines between blocks dropped. Blocks start with
+ *   the message's reference link definitions, so "[text][1]" resolves wherever "[1]: url" is; they
+ *   come first so that an unterminated code fence streaming in does not swallow them.
+ */
+export function splitMarkdownBlocks(content) {
+  const source = normalizeMathDelimiters(content)
+  if (FOOTNOTE_DEFINITION.test(withoutCode(source))) return [source]
+
+  const tokens = Lexer.lex(source, { gfm: true })
+  const blocks = []
+  const definitions = []
+  let mathOpen = false
+  for (const token of tokens) {
+    if (mathOpen) {
+      // Blank lines inside $$ ... $$ split it into paragraphs for marked, not for remark-math
+      blocks[blocks.length - 1] += token.raw
+      mathOpen = opensMath(blocks[blocks.length - 1])
+    } else if (token.type === "def") {
+      definitions.push(token.raw.trim())
+    } else if (token.type !== "space") {
+      blocks.push(token.raw)
+      mathOpen = token.type !== "code" && opensMath(token.raw)
+    }
+  }
+  if (definitions.length === 0) return blocks
+  return blocks.map((block) => `${definitions.join("\n")}\n\n${block}`)
+}
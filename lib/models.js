@@ -0,0 +1,98 @@
+/**
+ * @file models.js
+ * @description Helpers for provider qualified model ids ("ollama/mistral:latest"), shared by the UI and API routes
+ */
+
+import { CONFIG } from "@/config/constants"
+
+// Ids of the providers in the server side registry (lib/providers)
+export const PROVIDER_IDS = ["ollama", "cloudflare", "openai"]
+
+/**
+ * Build a model entry as returned by GET /api/models
+ * @param {string} provider - Provider id
+ * @param {string} name - Model name as the provider knows it
+ * @param {{size?: number, family?: string, parameterSize?: string, quantization?: string}} [details] - Metadata
+ *   of providers that report it (Ollama)
+ * @returns {{id: string, provider: string, name: string, details?: Object}}
+ */
+export function toModelEntry(provider, name, details) {
+  return { id: `${provider}/${name}`, provider, name, ...(details && { details }) }
+}
+
+/**
+ * Human readable size, e.g. "4.1 GB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (!bytes) return "0 B"
+  const units = ["B", "KB", "MB", "GB", "TB"]
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1)
+  const value = bytes / 1024 ** exponent
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`
+}
+
+/**
+ * Short metadata for the model picker, e.g. "4.1 GB · Q4_K_M"
+ * @param {Object} model - Model entry
+ * @returns {string}
+ */
+export function modelSummary(model) {
+  const { size, quantization } = model.details ?? {}
+  return [size && formatBytes(size), quantization].filter(Boolean).join(" · ")
+}
+
+/**
+ * Split a qualified model id into provider and model name.
+ * Unqualified ids (from older clients or CONFIG.DEFAULT_MODELS) are routed to
+ * Cloudflare when they use the "@cf/" namespace, otherwise to the default provider.
+ * @param {string} id - Qualified or bare model id
+ * @param {string} [defaultProvider] - The server passes its defaultProvider setting (lib/settings.js)
+ * @returns {{provider: string, model: string}}
+ */
+export function parseModelId(id = "", defaultProvider = CONFIG.DEFAULT_PROVIDER) {
+  const separator = id.indexOf("/")
+  const prefix = separator > 0 ? id.slice(0, separator) : ""
+  if (PROVIDER_IDS.includes(prefix)) {
+    return { provider: prefix, model: id.slice(separator + 1) }
+  }
+  if (id.startsWith("@cf/")) {
+    return { provider: "cloudflare", model: id }
+  }
+  return { provider: defaultProvider, model: id }
+}
+
+/**
+ * Turn a bare model id into a model entry
+ * @param {string} id - Qualified or bare model id
+ * @returns {{id: string, provider: string, name: string}}
+ */
+export function qualifyModel(id) {
+  const { provider, model } = parseModelId(id)
+  return toModelEntry(provider, model)
+}
+
+/**
+ * Group model entries by provider, preserving the order providers first appear in
+ * @param {Array<{provider: string}>} models - Model entries
+ * @returns {Array<{provider: string, models: Array}>}
+ */
+export function groupModelsByProvider(models) {
+  const groups = new Map()
+  for (const model of models) {
+    if (!groups.has(model.provider)) groups.set(model.provider, [])
+    groups.get(model.provider).push(model)
+  }
+  return Array.from(groups, ([provider, models]) => ({ provider, models }))
+}
+
+/**
+ * Whether a model accepts image input, judged by CONFIG.VISION_MODEL_PATTERNS
+ * @param {string} id - Qualified or bare model id
+ * @returns {boolean}
+ */
+export function supportsVision(id) {
+  const { model } = parseModelId(id)
+  return CONFIG.VISION_MODEL_PATTERNS.some((pattern) => model.toLowerCase().includes(pattern))
+}
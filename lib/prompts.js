@@ -0,0 +1,88 @@
+/**
+ * @file prompts.js
+ * @description Prompt library: presets and snippets with {{variables}}. Items are
+ *
+ *   preset:  { id, kind: "preset", name, systemPrompt, model?, temperature? }
+ *   snippet: { id, kind: "snippet", name, content }      inserted into the input with the "/" palette
+ *
+ * The export format is { version: 1, presets: [...], snippets: [...] }.
+ */
+
+const EXPORT_VERSION = 1
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g
+
+/**
+ * Names of the {{variables}} in a template, in order of first use
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractVariables(text) {
+  return [...new Set([...String(text || "").matchAll(VARIABLE_PATTERN)].map((match) => match[1]))]
+}
+
+/**
+ * Replace {{variables}} with their values; variables without a value are left as they are
+ * @param {string} text
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+export function fillTemplate(text, values) {
+  return String(text || "").replace(VARIABLE_PATTERN, (placeholder, name) => values[name] ?? placeholder)
+}
+
+/**
+ * @param {Object[]} items - Library items from the store
+ * @returns {string} - JSON in the export format
+ */
+export function exportPromptLibrary(items) {
+  const strip = ({ kind, ...item }) => item
+  return JSON.stringify(
+    {
+      version: EXPORT_VERSION,
+      presets: items.filter((item) => item.kind === "preset").map(strip),
+      snippets: items.filter((item) => item.kind === "snippet").map(strip),
+    },
+    null,
+    2,
+  )
+}
+
+/**
+ * Parse and validate an exported library. Items keep their ids so importing the same
+ * file twice updates instead of duplicating.
+ * @param {string} json
+ * @returns {Object[]} - Library items ready for the store
+ * @throws {Error} When the file is not a prompt library
+ */
+export function parsePromptLibrary(json) {
+  let data
+  try {
+    data = JSON.parse(json)
+  } catch {
+    throw new Error("The file is not valid JSON")
+  }
+  if (!data || (!Array.isArray(data.presets) && !Array.isArray(data.snippets))) {
+    throw new Error("The file has no presets or snippets")
+  }
+
+  const presets = (data.presets || []).map((preset) => {
+    if (!preset?.name || typeof preset.systemPrompt !== "string") {
+      throw new Error("Every preset needs a name and a systemPrompt")
+    }
+    return {
+      id: preset.id || crypto.randomUUID(),
+      kind: "preset",
+      name: String(preset.name),
+      systemPrompt: preset.systemPrompt,
+      ...(preset.model && { model: String(preset.model) }),
+      ...(typeof preset.temperature === "number" && { temperature: preset.temperature }),
+    }
+  })
+  const snippets = (data.snippets || []).map((snippet) => {
+    if (!snippet?.name || typeof snippet.content !== "string") {
+      throw new Error("Every snippet needs a name and content")
+    }
+    return { id: snippet.id || crypto.randomUUID(), kind: "snippet", name: String(snippet.name), content: snippet.content }
+  })
+  return [...presets, ...snippets]
+}
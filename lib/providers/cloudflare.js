@@ -0,0 +1,44 @@
+/**
+ * @file cloudflare.js
+ * @description Cloudflare Workers AI provider, reached through the AI Gateway's OpenAI-compatible endpoint
+ */
+
+import { getSettings } from "@/lib/storage/settings-file"
+import { createParser } from "./stream"
+import { chatCompletionRequest, encodeChatMessages, parseChatCompletion, requestEmbeddings } from "./openai"
+
+// Gateway URL, account and token are runtime settings, see lib/settings.js
+const settings = () => getSettings().providers.cloudflare
+
+function gatewayUrl(path) {
+  const { apiUrl, accountId } = settings()
+  return `${apiUrl}/${accountId}/openai-compatability/workers-ai/v1${path}`
+}
+
+export const cloudflare = {
+  id: "cloudflare",
+  label: "Cloudflare Workers AI",
+
+  isConfigured() {
+    const { apiUrl, accountId, apiToken } = settings()
+    return Boolean(apiUrl && accountId && apiToken)
+  },
+
+  // Cloudflare has no list models endpoint, so serve the configured catalogue
+  async listModels() {
+    return settings().models
+  },
+
+  buildRequest(params) {
+    return chatCompletionRequest(gatewayUrl("/chat/completions"), settings().apiToken, params)
+  },
+
+  embed(texts, model) {
+    return requestEmbeddings(gatewayUrl("/embeddings"), settings().apiToken, model, texts)
+  },
+
+  // Workers AI vision models take image_url data URLs through the OpenAI-compatible endpoint
+  encodeMessages: encodeChatMessages,
+  createParser,
+  parseResponse: parseChatCompletion,
+}
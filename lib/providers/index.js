@@ -0,0 +1,138 @@
+/**
+ * @file index.js
+ * @description Provider registry. Each provider declares how it lists models, builds its
+ * chat request and parses its stream:
+ *
+ *   {
+ *     id, label,
+ *     isConfigured(): boolean,
+ *     listModels(): Promise<Array<string | {name, details}>>,   details as in toModelEntry (lib/models.js)
+ *     buildRequest({ model, messages, stream, temperature, maxTokens, tools }): { url, init },
+ *     embed(texts, model): Promise<number[][]>,
+ *     encodeMessages(messages, { vision }): Object[],   attachments in the provider's format
+ *     createParser(textDecoder, controller): (chunk) => void,     emits the events in ./stream.js
+ *     parseResponse(data): { content, reasoning, toolCalls, finishReason, usage, responseModel },
+ *   }
+ */
+
+import { CONFIG } from "@/config/constants"
+import { parseModelId, toModelEntry } from "@/lib/models"
+import { isModelAllowed } from "@/lib/settings"
+import { getSettings } from "@/lib/storage/settings-file"
+import { ollama } from "./ollama"
+import { cloudflare } from "./cloudflare"
+import { openai } from "./openai"
+
+const PROVIDERS = { ollama, cloudflare, openai }
+
+/**
+ * A model that is not served: its provider is not enabled or the model lists exclude it
+ */
+export class ModelUnavailableError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "ModelUnavailableError"
+    this.status = 404
+  }
+}
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Provider id
+ * @returns {Object|undefined}
+ */
+export function getProvider(id) {
+  return PROVIDERS[id]
+}
+
+/**
+ * Providers this deployment serves: the enabledProviders setting when set, otherwise every configured provider
+ * @returns {Object[]}
+ */
+export function getEnabledProviders() {
+  const { enabledProviders } = getSettings()
+  if (enabledProviders.length > 0) {
+    return enabledProviders.map(getProvider).filter(Boolean)
+  }
+  return Object.values(PROVIDERS).filter((provider) => provider.isConfigured())
+}
+
+/**
+ * @param {string} id - Provider id
+ * @returns {boolean}
+ */
+export function isProviderEnabled(id) {
+  return getEnabledProviders().some((provider) => provider.id === id)
+}
+
+/**
+ * Resolve a qualified model id to its provider and the provider's own model name
+ * @param {string} id - Qualified ("cloudflare/@cf/meta/...") or bare model id; bare ids go to the defaultProvider setting
+ * @returns {{provider: Object, model: string}}
+ * @throws {ModelUnavailableError} When the provider is not enabled
+ */
+export function resolveModel(id) {
+  const { provider: providerId, model } = parseModelId(id, getSettings().defaultProvider)
+  const provider = getEnabledProviders().find((p) => p.id === providerId)
+  if (!provider) {
+    throw new ModelUnavailableError(`Provider "${providerId}" is not enabled`)
+  }
+  return { provider, model }
+}
+
+/**
+ * resolveModel for a model users chat with, which must also pass the model allow and deny lists.
+ * Embedding models are configured by the administrator and only go through resolveModel.
+ * @param {string} id - Qualified or bare model id
+ * @returns {{provider: Object, model: string}}
+ * @throws {ModelUnavailableError}
+ */
+export function resolveChatModel(id) {
+  const resolved = resolveModel(id)
+  if (!isModelAllowed(`${resolved.provider.id}/${resolved.model}`, getSettings())) {
+    throw new ModelUnavailableError(`Model "${id}" is not available on this server`)
+  }
+  return resolved
+}
+
+/**
+ * @param {Object} provider
+ * @returns {Promise<string[]>} - Rejects when the provider does not answer within CONFIG.UPSTREAM_CONNECT_TIMEOUT_MS
+ */
+function listModelsWithTimeout(provider) {
+  const ms = CONFIG.UPSTREAM_CONNECT_TIMEOUT_MS
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${provider.label} did not respond within ${ms / 1000} s`)), ms)
+  })
+  return Promise.race([provider.listModels(), timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * List the models of every enabled provider that the model lists allow. A failing provider is
+ * logged and reported in errors so one unreachable backend does not hide the others.
+ * @returns {Promise<{models: Array<{id: string, provider: string, name: string, details?: Object}>,
+ *   errors: Array<{provider: string, error: string}>}>}
+ */
+export async function listAllModels() {
+  const providers = getEnabledProviders()
+  const settings = getSettings()
+  const results = await Promise.allSettled(providers.map(listModelsWithTimeout))
+
+  const models = []
+  const errors = []
+  results.forEach((result, index) => {
+    const provider = providers[index]
+    if (result.status === "rejected") {
+      console.error(`Error fetching models from ${provider.id}:`, result.reason)
+      errors.push({ provider: provider.id, error: result.reason?.message || String(result.reason) })
+      return
+    }
+    for (const model of result.value) {
+      const { name, details } = typeof model === "string" ? { name: model } : model
+      const entry = toModelEntry(provider.id, name, details)
+      if (isModelAllowed(entry.id, settings)) models.push(entry)
+    }
+  })
+  return { models, errors }
+}
@@ -0,0 +1,145 @@
+/**
+ * @file ollama-models.js
+ * @description Model management through Ollama's native API: installed models with their
+ * metadata (/api/tags), loaded models (/api/ps), Modelfile and template (/api/show),
+ * pulling with progress (/api/pull) and deleting (/api/delete). Used by the /api/ollama routes
+ * and by the Ollama provider's model list.
+ */
+
+import { getSettings } from "@/lib/storage/settings-file"
+
+/**
+ * Error answered by the Ollama server, e.g. a 404 for an unknown model
+ */
+export class OllamaError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - Status to answer the client with
+   */
+  constructor(message, status) {
+    super(message)
+    this.name = "OllamaError"
+    this.status = status
+  }
+}
+
+/**
+ * Ollama server URL from the runtime settings, see lib/settings.js
+ * @returns {string}
+ */
+export function ollamaBaseUrl() {
+  return getSettings().providers.ollama.baseUrl
+}
+
+/**
+ * Call the Ollama API
+ * @param {string} path - e.g. "/api/tags"
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {Object} [options.body] - Sent as JSON
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Response>} - Known to be ok
+ * @throws {OllamaError} With Ollama's { error } message when the request fails
+ */
+async function ollamaRequest(path, { method = "GET", body, signal } = {}) {
+  const response = await fetch(`${ollamaBaseUrl()}${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+    signal,
+  })
+  if (!response.ok) {
+    const text = await response.text()
+    let message = text
+    try {
+      message = JSON.parse(text).error || text
+    } catch {
+      // Not JSON, use the text as it is
+    }
+    throw new OllamaError(`Ollama: ${message || response.statusText}`, response.status === 404 ? 404 : 502)
+  }
+  return response
+}
+
+/**
+ * Metadata of an installed model, flattened from an /api/tags entry
+ * @param {Object} model - Entry of /api/tags
+ * @returns {{name: string, size: number, modifiedAt: string, digest: string, format: string, family: string,
+ *   parameterSize: string, quantization: string}}
+ */
+function toLocalModel(model) {
+  const details = model.details ?? {}
+  return {
+    name: model.name,
+    size: model.size,
+    modifiedAt: model.modified_at,
+    digest: model.digest,
+    format: details.format,
+    family: details.family,
+    parameterSize: details.parameter_size,
+    quantization: details.quantization_level,
+  }
+}
+
+/**
+ * @returns {Promise<Object[]>} - Installed models, see toLocalModel
+ */
+export async function listLocalModels() {
+  const response = await ollamaRequest("/api/tags")
+  const data = await response.json()
+  return (data.models ?? []).map(toLocalModel)
+}
+
+/**
+ * @returns {Promise<Array<{name: string, size: number, sizeVram: number, expiresAt: string}>>} - Models
+ *   loaded in memory; expiresAt is when Ollama unloads an idle model
+ */
+export async function listRunningModels() {
+  const response = await ollamaRequest("/api/ps")
+  const data = await response.json()
+  return (data.models ?? []).map((model) => ({
+    name: model.name,
+    size: model.size,
+    sizeVram: model.size_vram,
+    expiresAt: model.expires_at,
+  }))
+}
+
+/**
+ * @param {string} name - Model name, e.g. "llama3.2:latest"
+ * @returns {Promise<{modelfile: string, template: string, parameters: string, system: string, license: string,
+ *   details: Object, capabilities: string[]}>}
+ */
+export async function showModel(name) {
+  const response = await ollamaRequest("/api/show", { method: "POST", body: { model: name } })
+  const data = await response.json()
+  return {
+    modelfile: data.modelfile ?? "",
+    template: data.template ?? "",
+    parameters: data.parameters ?? "",
+    system: data.system ?? "",
+    license: data.license ?? "",
+    details: data.details ?? {},
+    capabilities: data.capabilities ?? [],
+  }
+}
+
+/**
+ * @param {string} name
+ */
+export async function deleteModel(name) {
+  // Older servers read "name", newer ones "model"
+  await ollamaRequest("/api/delete", { method: "DELETE", body: { model: name, name } })
+}
+
+/**
+ * Start pulling a model
+ * @param {string} name
+ * @param {AbortSignal} [signal] - Aborting stops the download; Ollama resumes it on the next pull
+ * @returns {Promise<ReadableStream<Uint8Array>>} - Ollama's NDJSON progress,
+ *   { status, digest?, total?, completed? } per line, { status: "success" } or { error } at the end
+ */
+export async function pullModel(name, signal) {
+  const response = await ollamaRequest("/api/pull", { method: "POST", body: { model: name, stream: true }, signal })
+  return response.body
+}
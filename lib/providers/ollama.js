@@ -0,0 +1,142 @@
+/**
+ * @file ollama.js
+ * @description Ollama provider, talking to a local server through its native /api/chat API. The
+ * OpenAI-compatible /v1 API ignores Ollama's own options (num_ctx, top_k, repeat_penalty).
+ */
+
+import { getSettings } from "@/lib/storage/settings-file"
+import { splitThinkTags } from "@/lib/reasoning"
+import { createOllamaParser, toUsage } from "./stream"
+import { encodeChatMessages } from "./openai"
+import { listLocalModels, ollamaBaseUrl } from "./ollama-models"
+
+/**
+ * @param {string | Object} args - Tool call arguments, JSON encoded or already parsed
+ * @returns {Object}
+ */
+function parseArguments(args) {
+  if (typeof args !== "string") return args ?? {}
+  try {
+    return JSON.parse(args)
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Convert a message from the OpenAI format (encodeMessages, or the assistant and tool messages
+ * of the tool loop in lib/chat/completion.js) to Ollama's: images as bare base64 in images,
+ * tool call arguments as objects
+ * @param {Object} message
+ * @returns {Object}
+ */
+function toOllamaMessage({ role, content, tool_calls: toolCalls }) {
+  const message = { role, content: content ?? "" }
+  if (Array.isArray(content)) {
+    message.content = content.find((part) => part.type === "text")?.text ?? ""
+    message.images = content
+      .filter((part) => part.type === "image_url")
+      .map((part) => part.image_url.url.slice(part.image_url.url.indexOf(",") + 1))
+  }
+  if (toolCalls) {
+    message.tool_calls = toolCalls.map((call) => ({
+      function: { name: call.function.name, arguments: parseArguments(call.function.arguments) },
+    }))
+  }
+  return message
+}
+
+/**
+ * Extract the assistant message from a non-streaming /api/chat response
+ * @param {Object} data - Parsed response body
+ * @returns {Object} - Same shape as parseChatCompletion in ./openai.js
+ */
+function parseChatResponse(data) {
+  const message = data.message ?? {}
+  const { content, reasoning } = splitThinkTags(message.content ?? "")
+  return {
+    content,
+    reasoning: message.thinking || reasoning,
+    toolCalls: (message.tool_calls || []).map((call, index) => ({
+      id: `call_${index}`,
+      name: call.function?.name,
+      arguments: JSON.stringify(call.function?.arguments ?? {}),
+    })),
+    finishReason: data.done_reason || "stop",
+    usage: data.eval_count !== undefined ? toUsage(data) : null,
+    responseModel: data.model,
+  }
+}
+
+export const ollama = {
+  id: "ollama",
+  label: "Ollama",
+
+  isConfigured() {
+    return Boolean(getSettings().providers.ollama.baseUrl)
+  },
+
+  // With the metadata the model picker shows next to the name
+  async listModels() {
+    const models = await listLocalModels()
+    return models.map(({ name, size, family, parameterSize, quantization }) => ({
+      name,
+      details: { size, family, parameterSize, quantization },
+    }))
+  },
+
+  buildRequest({ model, messages, stream, temperature, maxTokens, tools, parameters = {} }) {
+    const { topP, topK, repeatPenalty, frequencyPenalty, presencePenalty, seed, numCtx, stop } = parameters
+    return {
+      url: `${ollamaBaseUrl()}/api/chat`,
+      init: {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model,
+          messages: messages.map(toOllamaMessage),
+          stream,
+          // Undefined options are left out, so Ollama uses the model's defaults
+          options: {
+            temperature,
+            num_predict: maxTokens,
+            top_p: topP,
+            top_k: topK,
+            repeat_penalty: repeatPenalty,
+            frequency_penalty: frequencyPenalty,
+            presence_penalty: presencePenalty,
+            seed,
+            num_ctx: numCtx,
+            stop,
+          },
+          // "json" or a JSON schema
+          ...(parameters.responseFormat && { format: parameters.responseFormat }),
+          ...(tools?.length > 0 && { tools }),
+        }),
+      },
+    }
+  },
+
+  // /api/embeddings takes one prompt per request
+  async embed(texts, model) {
+    const embeddings = []
+    for (const prompt of texts) {
+      const response = await fetch(`${ollamaBaseUrl()}/api/embeddings`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model, prompt }),
+      })
+      if (!response.ok) {
+        throw new Error(`Ollama embedding error: ${await response.text()}`)
+      }
+      const data = await response.json()
+      embeddings.push(data.embedding)
+    }
+    return embeddings
+  },
+
+  // Encoded like OpenAI messages; buildRequest moves the images into Ollama's images field
+  encodeMessages: encodeChatMessages,
+  createParser: createOllamaParser,
+  parseResponse: parseChatResponse,
+}
@@ -0,0 +1,157 @@
+/**
+ * @file openai.js
+ * @description Generic OpenAI-compatible provider plus the chat completion helpers the other providers reuse
+ */
+
+import { getSettings } from "@/lib/storage/settings-file"
+import { imageAttachments, inlineTextAttachments } from "@/lib/attachments"
+import { splitThinkTags } from "@/lib/reasoning"
+import { toOpenAIParameters } from "@/lib/sampling"
+import { createParser, toUsage } from "./stream"
+
+/**
+ * Build a POST request for an OpenAI style /chat/completions endpoint
+ * @param {string} url - Full chat completions URL
+ * @param {string} [apiKey] - Bearer token, omitted from the headers when empty
+ * @param {Object} params - Generation parameters; parameters are the sanitized ones of lib/sampling.js
+ * @returns {{url: string, init: RequestInit}}
+ */
+export function chatCompletionRequest(url, apiKey, params) {
+  const { model, messages, stream, temperature, maxTokens, tools, parameters } = params
+  const headers = { "Content-Type": "application/json" }
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`
+
+  return {
+    url,
+    init: {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        stream,
+        temperature,
+        max_tokens: maxTokens,
+        ...toOpenAIParameters(parameters ?? {}),
+        // Ask for token usage in the last chunk; servers that do not know the option ignore it
+        ...(stream && { stream_options: { include_usage: true } }),
+        ...(tools?.length > 0 && { tools, tool_choice: "auto" }),
+      }),
+    },
+  }
+}
+
+/**
+ * Encode chat messages in the OpenAI format: text attachments inlined, images as
+ * image_url content parts for vision models and replaced by a note otherwise.
+ * Only the fields the API knows are kept, the UI's ids and metadata are dropped.
+ * @param {Object[]} messages - Messages as sent by the UI
+ * @param {Object} options
+ * @param {boolean} options.vision - Whether the target model accepts images
+ * @returns {Object[]}
+ */
+export function encodeChatMessages(messages, { vision }) {
+  return messages.map(({ role, content, name, attachments }) => {
+    const images = imageAttachments(attachments)
+    let text = inlineTextAttachments(content, attachments)
+    if (images.length > 0 && !vision) {
+      const names = images.map((image) => image.name).join(", ")
+      text += `\n\n[Image attachments omitted (${names}): the selected model cannot read images.]`
+    }
+
+    const message = { role, content: text }
+    if (name !== undefined) message.name = name
+    if (images.length > 0 && vision) {
+      message.content = [
+        { type: "text", text },
+        ...images.map((image) => ({ type: "image_url", image_url: { url: image.dataUrl } })),
+      ]
+    }
+    return message
+  })
+}
+
+/**
+ * Extract the assistant message from a non-streaming chat completion
+ * @param {Object} data - Parsed response body
+ * @returns {{content: string, reasoning: string, toolCalls: Object[], finishReason: string, usage: Object | null,
+ *   responseModel?: string}} - toolCalls are { id, name, arguments } with the arguments JSON encoded
+ */
+export function parseChatCompletion(data) {
+  const choice = data.choices?.[0]
+  const message = choice?.message ?? data.message ?? {}
+  const { content, reasoning } = splitThinkTags(message.content ?? "")
+  return {
+    content,
+    reasoning: message.reasoning_content || message.reasoning || reasoning,
+    toolCalls: (message.tool_calls || []).map(({ id, function: fn }) => ({
+      id,
+      name: fn.name,
+      // Some servers return the arguments already parsed
+      arguments: typeof fn.arguments === "string" ? fn.arguments : JSON.stringify(fn.arguments),
+    })),
+    finishReason: choice?.finish_reason ?? "stop",
+    usage: data.usage ? toUsage(data.usage) : null,
+    responseModel: data.model,
+  }
+}
+
+/**
+ * Request embeddings from an OpenAI style /embeddings endpoint
+ * @param {string} url - Full embeddings URL
+ * @param {string} [apiKey] - Bearer token
+ * @param {string} model - Embedding model name
+ * @param {string[]} texts - Texts to embed
+ * @returns {Promise<number[][]>} - One vector per text, in order
+ */
+export async function requestEmbeddings(url, apiKey, model, texts) {
+  const headers = { "Content-Type": "application/json" }
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ model, input: texts }),
+  })
+  if (!response.ok) {
+    throw new Error(`Embedding API error: ${await response.text()}`)
+  }
+  const data = await response.json()
+  return data.data.map((item) => item.embedding)
+}
+
+// Base URL and API key are runtime settings, see lib/settings.js
+const settings = () => getSettings().providers.openai
+
+export const openai = {
+  id: "openai",
+  label: "OpenAI-compatible",
+
+  isConfigured() {
+    return Boolean(settings().baseUrl)
+  },
+
+  async listModels() {
+    const { baseUrl, apiKey } = settings()
+    const response = await fetch(`${baseUrl}/models`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    })
+    if (!response.ok) throw new Error("Failed to fetch models from OpenAI-compatible endpoint")
+    const data = await response.json()
+    return data.data.map((model) => model.id)
+  },
+
+  buildRequest(params) {
+    const { baseUrl, apiKey } = settings()
+    return chatCompletionRequest(`${baseUrl}/chat/completions`, apiKey, params)
+  },
+
+  embed(texts, model) {
+    const { baseUrl, apiKey } = settings()
+    return requestEmbeddings(`${baseUrl}/embeddings`, apiKey, model, texts)
+  },
+
+  encodeMessages: encodeChatMessages,
+  createParser,
+  parseResponse: parseChatCompletion,
+}
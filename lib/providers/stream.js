@@ -0,0 +1,225 @@
+/**
+ * @file stream.js
+ * @description Stream parsers shared by the chat providers: createParser for OpenAI style SSE and
+ * createOllamaParser for Ollama's native NDJSON. Parsers turn upstream bytes into events:
+ *
+ *   { type: "text", text }
+ *   { type: "reasoning", text }                                  reasoning_content deltas and <think> blocks
+ *   { type: "tool_call_delta", index, id?, name?, arguments }   fragments, accumulated by index
+ *   { type: "finish", reason }
+ *   { type: "usage", promptTokens, completionTokens, totalTokens }
+ *   { type: "metadata", responseModel }                          model name the upstream reports, once
+ *   { type: "error", message }                                   error object sent inside the stream
+ *
+ * - Buffer Management: Accumulates partial chunks, ensures complete JSON objects
+ * - Robust Error Handling: Logs parsing errors without breaking the stream
+ * - Flexible Content Extraction: Accommodates various response formats
+ * - Server-Sent Events (SSE) Handling: Processes SSE format correctly
+ */
+
+import { createThinkTagSplitter } from "@/lib/reasoning"
+
+/**
+ * Normalise token usage from OpenAI style (prompt_tokens, ...) or Ollama style (prompt_eval_count, ...) fields
+ * @param {Object} usage
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number}}
+ */
+export function toUsage(usage) {
+  const promptTokens = usage.prompt_tokens ?? usage.prompt_eval_count ?? 0
+  const completionTokens = usage.completion_tokens ?? usage.eval_count ?? 0
+  return { promptTokens, completionTokens, totalTokens: usage.total_tokens ?? promptTokens + completionTokens }
+}
+
+/**
+ * Create a parser for OpenAI style SSE streams ("data: {...}" lines ending with "data: [DONE]")
+ * @param {TextDecoder} textDecoder - Decoder for the raw upstream bytes
+ * @param {TransformStreamDefaultController} controller - Controller receiving the parsed events
+ * @returns {(chunk: Uint8Array) => void} - Also has flush(), called once the upstream ends
+ */
+export function createParser(textDecoder, controller) {
+  let buffer = ""
+  let modelReported = false
+  const thinkTags = createThinkTagSplitter()
+  const enqueueAll = (events) => events.forEach((event) => controller.enqueue(event))
+
+  function parse(chunk) {
+    buffer += textDecoder.decode(chunk, { stream: true })
+    const lines = buffer.split("\n")
+
+    // Keep the last partial line in the buffer
+    buffer = lines.pop() || ""
+
+    for (const line of lines) {
+      const trimmedLine = line.trim()
+      if (!trimmedLine) continue
+      if (trimmedLine === "data: [DONE]") {
+        parse.flush()
+        return
+      }
+
+      if (trimmedLine.startsWith("data: ")) {
+        try {
+          const data = JSON.parse(trimmedLine.slice(6))
+          if (data.error) {
+            controller.enqueue({ type: "error", message: data.error.message || JSON.stringify(data.error) })
+            continue
+          }
+          if (data.model && !modelReported) {
+            modelReported = true
+            controller.enqueue({ type: "metadata", responseModel: data.model })
+          }
+          const choice = data.choices?.[0]
+          // Handle both Cloudflare and Ollama response formats
+          const content = choice?.delta?.content || data.message?.content || data.response || ""
+          // reasoning_content (DeepSeek, vLLM) or reasoning (Ollama, OpenRouter)
+          const reasoning = choice?.delta?.reasoning_content || choice?.delta?.reasoning || ""
+          if (reasoning) {
+            controller.enqueue({ type: "reasoning", text: reasoning })
+          }
+          if (content) {
+            enqueueAll(thinkTags.push(content))
+          }
+          for (const call of choice?.delta?.tool_calls || []) {
+            controller.enqueue({
+              type: "tool_call_delta",
+              index: call.index ?? 0,
+              id: call.id,
+              name: call.function?.name,
+              arguments: call.function?.arguments || "",
+            })
+          }
+          if (choice?.finish_reason) {
+            controller.enqueue({ type: "finish", reason: choice.finish_reason })
+          }
+          // Sent in a final chunk without choices when stream_options.include_usage is set
+          if (data.usage) {
+            controller.enqueue({ type: "usage", ...toUsage(data.usage) })
+          }
+        } catch (error) {
+          console.error("Error parsing SSE message:", trimmedLine)
+          console.error("Parse error:", error)
+        }
+      }
+    }
+  }
+
+  parse.flush = () => enqueueAll(thinkTags.flush())
+  return parse
+}
+
+/**
+ * Create a parser for Ollama's native NDJSON streams (/api/chat): one JSON object per line with
+ * message.content, message.thinking and whole tool calls, and counts and done_reason on the
+ * last line ("done": true)
+ * @param {TextDecoder} textDecoder - Decoder for the raw upstream bytes
+ * @param {TransformStreamDefaultController} controller - Controller receiving the parsed events
+ * @returns {(chunk: Uint8Array) => void} - Also has flush(), called once the upstream ends
+ */
+export function createOllamaParser(textDecoder, controller) {
+  let buffer = ""
+  let modelReported = false
+  let toolCallIndex = 0
+  const thinkTags = createThinkTagSplitter()
+  const enqueueAll = (events) => events.forEach((event) => controller.enqueue(event))
+
+  function parseLine(line) {
+    let data
+    try {
+      data = JSON.parse(line)
+    } catch (error) {
+      console.error("Error parsing NDJSON message:", line)
+      console.error("Parse error:", error)
+      return
+    }
+
+    if (data.error) {
+      const message = typeof data.error === "string" ? data.error : JSON.stringify(data.error)
+      controller.enqueue({ type: "error", message })
+      return
+    }
+    if (data.model && !modelReported) {
+      modelReported = true
+      controller.enqueue({ type: "metadata", responseModel: data.model })
+    }
+    const message = data.message ?? {}
+    if (message.thinking) {
+      controller.enqueue({ type: "reasoning", text: message.thinking })
+    }
+    if (message.content) {
+      enqueueAll(thinkTags.push(message.content))
+    }
+    // Tool calls arrive whole, with the arguments as an object
+    for (const call of message.tool_calls || []) {
+      controller.enqueue({
+        type: "tool_call_delta",
+        index: toolCallIndex++,
+        name: call.function?.name,
+        arguments: JSON.stringify(call.function?.arguments ?? {}),
+      })
+    }
+    if (data.done) {
+      enqueueAll(thinkTags.flush())
+      controller.enqueue({ type: "finish", reason: data.done_reason || "stop" })
+      controller.enqueue({ type: "usage", ...toUsage(data) })
+    }
+  }
+
+  function parse(chunk) {
+    buffer += textDecoder.decode(chunk, { stream: true })
+    const lines = buffer.split("\n")
+
+    // Keep the last partial line in the buffer
+    buffer = lines.pop() || ""
+
+    for (const line of lines) {
+      if (line.trim()) parseLine(line.trim())
+    }
+  }
+
+  parse.flush = () => {
+    if (buffer.trim()) parseLine(buffer.trim())
+    buffer = ""
+    enqueueAll(thinkTags.flush())
+  }
+  return parse
+}
+
+/**
+ * Pipe an upstream response body through a provider's parser
+ * @param {ReadableStream} body - The upstream response stream
+ * @param {Function} parserFactory - Provider parser factory, e.g. createParser
+ * @returns {ReadableStream} - Stream of parser events
+ */
+export function parseUpstreamStream(body, parserFactory) {
+  const transformStream = new TransformStream({
+    start(controller) {
+      this.parser = parserFactory(new TextDecoder(), controller)
+    },
+    transform(chunk, controller) {
+      this.parser(chunk)
+    },
+    flush() {
+      this.parser.flush?.()
+    },
+  })
+
+  return body.pipeThrough(transformStream)
+}
+
+/**
+ * Transform Cloudflare's SSE stream into plain answer text. Parsed with createParser, so events
+ * split across chunks are reassembled; reasoning and other events are dropped.
+ * @param {ReadableStream} stream - The original response stream
+ * @returns {ReadableStream<Uint8Array>} - The answer text, UTF-8 encoded
+ */
+export function transformCloudflareStream(stream) {
+  const textEncoder = new TextEncoder()
+
+  return parseUpstreamStream(stream, createParser).pipeThrough(
+    new TransformStream({
+      transform(event, controller) {
+        if (event.type === "text") controller.enqueue(textEncoder.encode(event.text))
+      },
+    }),
+  )
+}
@@ -0,0 +1,64 @@
+/**
+ * @file chunking.js
+ * @description Split documents into overlapping chunks for embedding
+ */
+
+import { CONFIG } from "@/config/constants"
+
+/**
+ * Split text that is longer than the chunk size at sentence, then word boundaries
+ * @param {string} text - A single oversized paragraph
+ * @param {number} size - Maximum chunk length in characters
+ * @returns {string[]}
+ */
+function splitLongText(text, size) {
+  const pieces = []
+  let rest = text
+  while (rest.length > size) {
+    const window = rest.slice(0, size)
+    const sentenceEnd = Math.max(window.lastIndexOf(". "), window.lastIndexOf("\n"))
+    const wordEnd = window.lastIndexOf(" ")
+    let cut = size
+    if (sentenceEnd > size / 2) {
+      cut = sentenceEnd + 1
+    } else if (wordEnd > size / 2) {
+      cut = wordEnd
+    }
+    pieces.push(rest.slice(0, cut).trim())
+    rest = rest.slice(cut)
+  }
+  if (rest.trim()) pieces.push(rest.trim())
+  return pieces
+}
+
+/**
+ * Chunk text along paragraph boundaries. Each chunk after the first starts with
+ * the tail of the previous one so answers spanning a boundary stay retrievable.
+ * @param {string} text - Document text
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Target chunk length in characters
+ * @param {number} [options.overlap] - Characters carried over from the previous chunk
+ * @returns {string[]}
+ */
+export function chunkText(text, { chunkSize = CONFIG.RAG_CHUNK_SIZE, overlap = CONFIG.RAG_CHUNK_OVERLAP } = {}) {
+  const paragraphs = text
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .flatMap((paragraph) => splitLongText(paragraph, chunkSize))
+
+  const chunks = []
+  let current = ""
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 2 > chunkSize) {
+      chunks.push(current)
+      const tail = current.slice(-overlap)
+      // Start the overlap on a word boundary
+      current = overlap > 0 ? tail.slice(tail.indexOf(" ") + 1) : ""
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph
+  }
+  if (current) chunks.push(current)
+  return chunks
+}
@@ -0,0 +1,27 @@
+/**
+ * @file embeddings.js
+ * @description Embed texts through the provider of a qualified embedding model id
+ */
+
+import { CONFIG } from "@/config/constants"
+import { resolveModel } from "@/lib/providers"
+
+const BATCH_SIZE = 16
+
+/**
+ * @param {string[]} texts - Texts to embed
+ * @param {string} [embeddingModel] - Qualified model id, e.g. "ollama/nomic-embed-text"
+ * @returns {Promise<number[][]>} - One vector per text, in order
+ */
+export async function embedTexts(texts, embeddingModel = CONFIG.RAG_EMBEDDING_MODEL) {
+  const { provider, model } = resolveModel(embeddingModel)
+  if (!provider.embed) {
+    throw new Error(`${provider.label} does not support embeddings`)
+  }
+
+  const embeddings = []
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    embeddings.push(...(await provider.embed(texts.slice(i, i + BATCH_SIZE), model)))
+  }
+  return embeddings
+}
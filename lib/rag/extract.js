@@ -0,0 +1,39 @@
+/**
+ * @file extract.js
+ * @description Extract plain text from uploaded Markdown, text and PDF files
+ */
+
+const TEXT_EXTENSIONS = ["md", "markdown", "mdx", "txt", "text", "csv", "json", "log"]
+
+/**
+ * File extensions accepted by the upload route
+ */
+export const SUPPORTED_EXTENSIONS = [...TEXT_EXTENSIONS, "pdf"]
+
+function extensionOf(name) {
+  return name.split(".").pop().toLowerCase()
+}
+
+/**
+ * @param {string} name - File name
+ * @returns {boolean}
+ */
+export function isSupportedFile(name) {
+  return SUPPORTED_EXTENSIONS.includes(extensionOf(name))
+}
+
+/**
+ * Extract the text of an uploaded file
+ * @param {File} file - Uploaded file from a multipart form
+ * @returns {Promise<string>}
+ */
+export async function extractText(file) {
+  if (extensionOf(file.name) === "pdf") {
+    // unpdf bundles pdf.js, load it only when a PDF is uploaded
+    const { extractText: extractPdfText, getDocumentProxy } = await import("unpdf")
+    const pdf = await getDocumentProxy(new Uint8Array(await file.arrayBuffer()))
+    const { text } = await extractPdfText(pdf, { mergePages: false })
+    return text.join("\n\n")
+  }
+  return file.text()
+}
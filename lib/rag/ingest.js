@@ -0,0 +1,52 @@
+/**
+ * @file ingest.js
+ * @description Turn an uploaded file into embedded chunks in the local vector index
+ */
+
+import { CONFIG } from "@/config/constants"
+import { chunkText } from "./chunking"
+import { embedTexts } from "./embeddings"
+import { extractText, isSupportedFile, SUPPORTED_EXTENSIONS } from "./extract"
+import { addDocument } from "./vector-index"
+
+/**
+ * Error for uploads that are rejected before any work is done
+ */
+export class IngestError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "IngestError"
+  }
+}
+
+/**
+ * Extract, chunk, embed and index a file
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Object>} - The indexed document
+ */
+export async function ingestFile(file) {
+  if (!isSupportedFile(file.name)) {
+    throw new IngestError(`Unsupported file type "${file.name}". Supported: ${SUPPORTED_EXTENSIONS.join(", ")}`)
+  }
+  if (file.size > CONFIG.RAG_MAX_UPLOAD_BYTES) {
+    throw new IngestError(`"${file.name}" is larger than ${CONFIG.RAG_MAX_UPLOAD_BYTES} bytes`)
+  }
+
+  const chunks = chunkText(await extractText(file))
+  if (chunks.length === 0) {
+    throw new IngestError(`No text could be extracted from "${file.name}"`)
+  }
+
+  const embeddings = await embedTexts(chunks)
+  return addDocument(
+    {
+      id: crypto.randomUUID(),
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      embeddingModel: CONFIG.RAG_EMBEDDING_MODEL,
+      createdAt: new Date().toISOString(),
+    },
+    chunks.map((text, i) => ({ text, embedding: embeddings[i] })),
+  )
+}
@@ -0,0 +1,98 @@
+/**
+ * @file retrievers.js
+ * @description Retrievers that find context for the latest user message. Each one returns
+ * the context text injected into the prompt and the sources shown to the user:
+ *
+ *   retrieve(query): Promise<{ context: string, sources: Array<{ index, title, snippet, score? }> }>
+ */
+
+import { CONFIG } from "@/config/constants"
+import { embedTexts } from "./embeddings"
+import { search } from "./vector-index"
+
+const SNIPPET_LENGTH = 300
+
+const EMPTY_RESULT = { context: "", sources: [] }
+
+/**
+ * Documents uploaded through /api/documents, searched in the local vector index
+ */
+const local = {
+  id: "local",
+
+  async retrieve(query) {
+    const [embedding] = await embedTexts([query])
+    const results = await search(embedding, {
+      embeddingModel: CONFIG.RAG_EMBEDDING_MODEL,
+      topK: CONFIG.RAG_TOP_K,
+      minScore: CONFIG.RAG_MIN_SCORE,
+    })
+    if (results.length === 0) return EMPTY_RESULT
+
+    const sources = results.map(({ chunk, document, score }, i) => ({
+      index: i + 1,
+      id: chunk.id,
+      title: document.name,
+      snippet: chunk.text.slice(0, SNIPPET_LENGTH),
+      score: Number(score.toFixed(3)),
+    }))
+    const passages = results.map(({ chunk, document }, i) => `[${i + 1}] ${document.name}\n${chunk.text}`)
+
+    return {
+      context: `Answer using the numbered sources below and cite them inline as [1], [2], ...\n\n${passages.join("\n\n")}`,
+      sources,
+    }
+  },
+}
+
+/**
+ * The external semantic search service at CONFIG.SEMANTIC_SEARCH_API.
+ * It answers { context, sources? }; without sources the whole context is shown as one source.
+ */
+const external = {
+  id: "external",
+
+  async retrieve(query) {
+    const response = await fetch(CONFIG.SEMANTIC_SEARCH_API, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ query }),
+    })
+
+    if (!response.ok) {
+      throw new Error("Semantic search failed")
+    }
+
+    const data = await response.json()
+    const context = data.context || ""
+    if (Array.isArray(data.sources)) {
+      return { context, sources: data.sources.map((source, i) => ({ index: i + 1, ...source })) }
+    }
+    return {
+      context,
+      sources: context ? [{ index: 1, title: "Semantic search", snippet: context.slice(0, SNIPPET_LENGTH) }] : [],
+    }
+  },
+}
+
+const RETRIEVERS = { local, external }
+
+/**
+ * Run the configured retriever. Failures are logged and yield no context,
+ * so a broken index never blocks the chat.
+ * @param {string} query - The user's input query
+ * @returns {Promise<{context: string, sources: Object[]}>}
+ */
+export async function retrieveContext(query) {
+  const retriever = RETRIEVERS[CONFIG.RETRIEVER]
+  if (!retriever) {
+    console.error(`Unknown retriever "${CONFIG.RETRIEVER}"`)
+    return EMPTY_RESULT
+  }
+  try {
+    return await retriever.retrieve(query)
+  } catch (error) {
+    console.error(`Retrieval error (${retriever.id}):`, error)
+    return EMPTY_RESULT
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * @file vector-index.js
+ * @description Local on-disk vector index (CONFIG.DATA_DIR/rag-index.json) with brute-force cosine search.
+ * Good for a few thousand chunks; every document records the embedding model it was indexed with
+ * so queries are always embedded with the same model.
+ */
+
+import { readJsonFile, updateJsonFile } from "@/lib/storage/json-file"
+
+const FILE = "rag-index.json"
+// A new object for every read: readJsonFile hands back the fallback itself when the file is missing,
+// and updates change the index in place
+const emptyIndex = () => ({ documents: {}, chunks: [] })
+
+function cosineSimilarity(a, b) {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+/**
+ * Documents in the index, newest first
+ * @returns {Promise<Object[]>}
+ */
+export async function listDocuments() {
+  const index = await readJsonFile(FILE, emptyIndex())
+  return Object.values(index.documents).sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+/**
+ * Add a document and its embedded chunks
+ * @param {Object} document - { id, name, type, size, embeddingModel, createdAt }
+ * @param {Array<{text: string, embedding: number[]}>} chunks - Chunks in document order
+ * @returns {Promise<Object>} - The stored document
+ */
+export async function addDocument(document, chunks) {
+  const stored = { ...document, chunkCount: chunks.length }
+  await updateJsonFile(FILE, emptyIndex(), (index) => {
+    index.documents[document.id] = stored
+    index.chunks.push(
+      ...chunks.map((chunk, position) => ({
+        id: `${document.id}:${position}`,
+        documentId: document.id,
+        position,
+        text: chunk.text,
+        embedding: chunk.embedding,
+      })),
+    )
+    return index
+  })
+  return stored
+}
+
+/**
+ * Remove a document and its chunks
+ * @param {string} id - Document id
+ * @returns {Promise<boolean>} - False when the document did not exist
+ */
+export async function removeDocument(id) {
+  let removed = false
+  await updateJsonFile(FILE, emptyIndex(), (index) => {
+    removed = id in index.documents
+    delete index.documents[id]
+    index.chunks = index.chunks.filter((chunk) => chunk.documentId !== id)
+    return index
+  })
+  return removed
+}
+
+/**
+ * Find the chunks most similar to a query vector
+ * @param {number[]} embedding - Query vector
+ * @param {Object} options
+ * @param {string} options.embeddingModel - Only chunks indexed with this model are compared
+ * @param {number} options.topK - Maximum number of results
+ * @param {number} options.minScore - Minimum cosine similarity
+ * @returns {Promise<Array<{chunk: Object, document: Object, score: number}>>}
+ */
+export async function search(embedding, { embeddingModel, topK, minScore }) {
+  const index = await readJsonFile(FILE, emptyIndex())
+  return index.chunks
+    .filter((chunk) => index.documents[chunk.documentId]?.embeddingModel === embeddingModel)
+    .map((chunk) => ({
+      chunk,
+      document: index.documents[chunk.documentId],
+      score: cosineSimilarity(embedding, chunk.embedding),
+    }))
+    .filter((result) => result.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+}
@@ -0,0 +1,114 @@
+/**
+ * @file reasoning.js
+ * @description Reasoning ("thinking") output of models such as deepseek-r1. Models either wrap it
+ * in <think>…</think> inside the answer or stream it separately as reasoning_content; both are
+ * turned into "reasoning" events by the stream parser and reach the client as message annotations:
+ *
+ *   { type: "reasoning", text }          consecutive fragments, concatenated in order
+ *   { type: "reasoning_end", durationMs } once the answer starts; durationMs is null when not streamed
+ */
+
+const THINK_OPEN = "<think>"
+const THINK_CLOSE = "</think>"
+
+// Length of the longest end of text that could be the start of tag
+function partialTagLength(text, tag) {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) return length
+  }
+  return 0
+}
+
+/**
+ * Split streamed answer text into text and reasoning at <think> tags, which may be cut across chunks
+ * @returns {{push: (text: string) => Object[], flush: () => Object[]}} - Both return { type, text } events
+ */
+export function createThinkTagSplitter() {
+  let inside = false
+  let buffer = ""
+
+  function split(final) {
+    const events = []
+    const emit = (text) => {
+      if (text) events.push({ type: inside ? "reasoning" : "text", text })
+    }
+
+    while (buffer) {
+      const tag = inside ? THINK_CLOSE : THINK_OPEN
+      const at = buffer.indexOf(tag)
+      if (at >= 0) {
+        emit(buffer.slice(0, at))
+        buffer = buffer.slice(at + tag.length)
+        inside = !inside
+        continue
+      }
+      // Hold back what may be the start of a tag until the next chunk shows
+      const held = final ? 0 : partialTagLength(buffer, tag)
+      emit(buffer.slice(0, buffer.length - held))
+      buffer = buffer.slice(buffer.length - held)
+      break
+    }
+    return events
+  }
+
+  return {
+    push(text) {
+      buffer += text
+      return split(false)
+    },
+    flush() {
+      return split(true)
+    },
+  }
+}
+
+/**
+ * Separate <think> blocks from a complete answer
+ * @param {string} content
+ * @returns {{content: string, reasoning: string}}
+ */
+export function splitThinkTags(content) {
+  const splitter = createThinkTagSplitter()
+  const events = [...splitter.push(content || ""), ...splitter.flush()]
+  const join = (type) =>
+    events
+      .filter((event) => event.type === type)
+      .map((event) => event.text)
+      .join("")
+  return { content: join("text").replace(/^\s+/, ""), reasoning: join("reasoning").trim() }
+}
+
+/**
+ * Reasoning of an assistant message, from its annotations or from <think> tags saved in older answers
+ * @param {Object} message - { content, annotations? }
+ * @returns {{text: string, durationMs: number | null, done: boolean}}
+ */
+export function messageReasoning(message) {
+  const annotations = message.annotations || []
+  let text = ""
+  let end = null
+  for (const annotation of annotations) {
+    if (annotation?.type === "reasoning") text += annotation.text
+    else if (annotation?.type === "reasoning_end") end = annotation
+  }
+  if (!text && message.content?.includes(THINK_OPEN)) {
+    return { text: splitThinkTags(message.content).reasoning, durationMs: null, done: true }
+  }
+  return { text: text.trim(), durationMs: end?.durationMs ?? null, done: Boolean(end) }
+}
+
+/**
+ * Prepare the assistant turns of a history for the model: reasoning is either dropped
+ * or put back in front of the answer as a <think> block
+ * @param {Object[]} messages - Messages as sent by the UI
+ * @param {boolean} keep - Keep the reasoning
+ * @returns {Object[]}
+ */
+export function applyReasoningPolicy(messages, keep) {
+  return messages.map((message) => {
+    if (message.role !== "assistant") return message
+    const { text } = messageReasoning(message)
+    const { content } = splitThinkTags(message.content)
+    return { ...message, content: keep && text ? `${THINK_OPEN}${text}${THINK_CLOSE}\n\n${content}` : content }
+  })
+}
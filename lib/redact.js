@@ -0,0 +1,26 @@
+/**
+ * @file redact.js
+ * @description Masking of personal data and credentials in free text, e.g. message bodies
+ * written to the completion log. Each match is replaced with its kind in brackets ("[email]").
+ * Patterns err on the side of masking: any long digit sequence counts as a card number.
+ */
+
+// Applied in order, so keys and card numbers are masked before the phone pattern sees their digits
+export const REDACTIONS = [
+  { kind: "secret", pattern: /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}/g },
+  { kind: "secret", pattern: /\bBearer\s+[A-Za-z0-9._~+/-]{16,}=*/gi },
+  { kind: "secret", pattern: /\b(?:AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abpr]-[A-Za-z0-9-]{10,})\b/g },
+  { kind: "email", pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { kind: "card", pattern: /\b(?:\d[ -]?){12,18}\d\b/g },
+  { kind: "phone", pattern: /(?:\+\d{1,3}[ .-]?)?\(?\b\d{3}\)?[ .-]?\d{3}[ .-]?\d{4}\b/g },
+  { kind: "phone", pattern: /\+\d{1,3}(?:[ .-]?\d{2,4}){2,5}\b/g },
+  { kind: "ip", pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g },
+]
+
+/**
+ * @param {string} text
+ * @returns {string} - text with every match of REDACTIONS masked
+ */
+export function redactText(text) {
+  return REDACTIONS.reduce((result, { kind, pattern }) => result.replace(pattern, `[${kind}]`), text)
+}
@@ -0,0 +1,139 @@
+/**
+ * @file sampling.js
+ * @description Advanced generation parameters beyond temperature and max tokens, shared by the
+ * settings panel and the providers. Requests carry them as { parameters: { topP, seed, ... } };
+ * unset parameters are left to the provider's defaults.
+ *
+ *   responseFormat: "json" for any JSON object, or a JSON schema object the answer must follow
+ *   stop:           up to MAX_STOP_SEQUENCES strings
+ *
+ * Each provider supports a different subset (PROVIDER_PARAMETERS); the rest are dropped before
+ * the request is built, so switching models never sends a parameter the provider rejects.
+ */
+
+// Stop sequences per request; OpenAI rejects more than four
+const MAX_STOP_SEQUENCES = 4
+
+/**
+ * Parameters in the order the settings panel shows them. Number parameters have their valid
+ * range; integer ones are rounded.
+ */
+export const SAMPLING_PARAMETERS = [
+  { key: "topP", label: "Top P", type: "number", min: 0, max: 1, step: 0.05 },
+  { key: "topK", label: "Top K", type: "number", min: 1, max: 1000, step: 1, integer: true },
+  { key: "repeatPenalty", label: "Repeat Penalty", type: "number", min: 0, max: 2, step: 0.05 },
+  { key: "frequencyPenalty", label: "Frequency Penalty", type: "number", min: -2, max: 2, step: 0.1 },
+  { key: "presencePenalty", label: "Presence Penalty", type: "number", min: -2, max: 2, step: 0.1 },
+  { key: "seed", label: "Seed", type: "number", min: 0, max: Number.MAX_SAFE_INTEGER, step: 1, integer: true },
+  { key: "numCtx", label: "Context Length", type: "number", min: 256, max: 1048576, step: 256, integer: true },
+  { key: "stop", label: "Stop Sequences", type: "stop" },
+  { key: "responseFormat", label: "Output Format", type: "format" },
+]
+
+// Parameter keys each provider understands, see the providers' buildRequest
+export const PROVIDER_PARAMETERS = {
+  ollama: [
+    "topP",
+    "topK",
+    "repeatPenalty",
+    "frequencyPenalty",
+    "presencePenalty",
+    "seed",
+    "numCtx",
+    "stop",
+    "responseFormat",
+  ],
+  cloudflare: ["topP", "topK", "repeatPenalty", "frequencyPenalty", "presencePenalty", "seed", "responseFormat"],
+  openai: ["topP", "frequencyPenalty", "presencePenalty", "seed", "stop", "responseFormat"],
+}
+
+/**
+ * Parameter definitions a provider supports
+ * @param {string} providerId
+ * @returns {Object[]}
+ */
+export function supportedParameters(providerId) {
+  const keys = PROVIDER_PARAMETERS[providerId] ?? []
+  return SAMPLING_PARAMETERS.filter((parameter) => keys.includes(parameter.key))
+}
+
+/**
+ * @param {Object} parameter - Definition from SAMPLING_PARAMETERS
+ * @param {*} value
+ * @returns {*} - The value to send, undefined when it is unset or invalid
+ */
+function sanitizeValue(parameter, value) {
+  if (value === undefined || value === null || value === "") return undefined
+  if (parameter.type === "number") {
+    const number = parameter.integer ? Math.round(Number(value)) : Number(value)
+    return Number.isFinite(number) && number >= parameter.min && number <= parameter.max ? number : undefined
+  }
+  if (parameter.type === "stop") {
+    const sequences = (Array.isArray(value) ? value : [value]).filter((item) => typeof item === "string" && item)
+    return sequences.length > 0 ? sequences.slice(0, MAX_STOP_SEQUENCES) : undefined
+  }
+  if (parameter.type === "format") {
+    if (value === "json") return "json"
+    return typeof value === "object" && !Array.isArray(value) ? value : undefined
+  }
+  return undefined
+}
+
+/**
+ * Keep the parameters a provider supports, with valid values
+ * @param {Object} [parameters] - From the request body, possibly from an older client
+ * @param {string} providerId
+ * @returns {Object}
+ */
+export function sanitizeParameters(parameters, providerId) {
+  const sanitized = {}
+  for (const parameter of supportedParameters(providerId)) {
+    const value = sanitizeValue(parameter, parameters?.[parameter.key])
+    if (value !== undefined) sanitized[parameter.key] = value
+  }
+  return sanitized
+}
+
+/**
+ * The parameters in OpenAI request fields, for OpenAI-compatible endpoints
+ * @param {Object} parameters - Sanitized parameters
+ * @returns {Object}
+ */
+export function toOpenAIParameters(parameters) {
+  const { topP, topK, repeatPenalty, frequencyPenalty, presencePenalty, seed, stop, responseFormat } = parameters
+  let format
+  if (responseFormat === "json") format = { type: "json_object" }
+  else if (responseFormat) format = { type: "json_schema", json_schema: { name: "response", schema: responseFormat } }
+
+  // Undefined fields are left out by JSON.stringify
+  return {
+    top_p: topP,
+    top_k: topK,
+    repetition_penalty: repeatPenalty,
+    frequency_penalty: frequencyPenalty,
+    presence_penalty: presencePenalty,
+    seed,
+    stop,
+    response_format: format,
+  }
+}
+
+/**
+ * Parameters of an OpenAI style request body; top_k, repeat_penalty and num_ctx are accepted as extensions
+ * @param {Object} body - /v1/chat/completions request body
+ * @returns {Object} - Not yet sanitized
+ */
+export function fromOpenAIParameters(body) {
+  const format = body.response_format
+  return {
+    topP: body.top_p,
+    topK: body.top_k,
+    repeatPenalty: body.repeat_penalty ?? body.repetition_penalty,
+    frequencyPenalty: body.frequency_penalty,
+    presencePenalty: body.presence_penalty,
+    seed: body.seed,
+    numCtx: body.num_ctx,
+    stop: body.stop,
+    responseFormat: format?.type === "json_object" ? "json" : format?.json_schema?.schema,
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * @file settings.js
+ * @description Runtime settings an administrator changes at /admin/settings without a rebuild or
+ * restart: providers and their credentials, which models are offered, and the defaults of new
+ * chats. Shared by the settings page and the server store (lib/storage/settings-file.js):
+ *
+ *   {
+ *     enabledProviders: ["ollama", ...],      empty serves every provider with credentials
+ *     defaultProvider: "ollama",              for model ids without a provider prefix
+ *     providers: {
+ *       ollama:     { baseUrl },
+ *       cloudflare: { apiUrl, accountId, apiToken, models: [...] },
+ *       openai:     { baseUrl, apiKey },
+ *       transcription: { baseUrl, model, apiKey },   Whisper-compatible speech to text for voice input
+ *     },
+ *     modelAllowList: [...], modelDenyList: [...],   qualified ids, "*" matches anything
+ *     defaultModel, defaultSystemPrompt, contextInjection,
+ *     guardrails,                             content policies per provider, see lib/guardrails.js
+ *     updatedAt, updatedBy,
+ *   }
+ *
+ * Secrets (SECRET_FIELDS) never leave the server: the admin API answers with maskSecrets(), and
+ * a secret left out of an update keeps its stored value, unless the URL it is sent to changed.
+ */
+
+import { PROVIDER_IDS } from "@/lib/models"
+import { defaultGuardrails, GUARDRAIL_ACTIONS, PII_KINDS, PROFILE_IDS } from "@/lib/guardrails"
+
+// [provider, field, URL field] of the credentials and the URL each is sent to
+export const SECRET_FIELDS = [
+  ["cloudflare", "apiToken", "apiUrl"],
+  ["openai", "apiKey", "baseUrl"],
+  ["transcription", "apiKey", "baseUrl"],
+]
+
+const MAX_SYSTEM_PROMPT_LENGTH = 20000
+const MAX_LIST_LENGTH = 200
+const ACCOUNT_ID = /^[\w-]*$/
+const MAX_GUARDRAIL_LENGTH = 1000000
+
+/**
+ * Settings that cannot be saved
+ */
+export class SettingsError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "SettingsError"
+  }
+}
+
+/**
+ * @param {*} value
+ * @param {string} field - For the error message
+ * @returns {string}
+ */
+function url(value, field) {
+  const text = typeof value === "string" ? value.trim().replace(/\/+$/, "") : ""
+  if (!text) return ""
+  let parsed
+  try {
+    parsed = new URL(text)
+  } catch {
+    throw new SettingsError(`${field} is not a valid URL`)
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new SettingsError(`${field} must be an http or https URL`)
+  }
+  return text
+}
+
+/**
+ * @param {*} value
+ * @param {string} field
+ * @returns {string[]} - Trimmed, without empty and duplicate entries
+ */
+function stringList(value, field) {
+  if (value === undefined || value === null) return []
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+    throw new SettingsError(`${field} must be a list of strings`)
+  }
+  const items = [...new Set(value.map((item) => item.trim()).filter(Boolean))]
+  if (items.length > MAX_LIST_LENGTH) throw new SettingsError(`${field} has more than ${MAX_LIST_LENGTH} entries`)
+  return items
+}
+
+/**
+ * @param {*} value
+ * @param {string} field
+ * @returns {string | undefined} - undefined when the secret was left out, so the stored one is kept
+ */
+function secret(value, field) {
+  if (value === undefined || value === null) return undefined
+  if (typeof value !== "string") throw new SettingsError(`${field} must be a string`)
+  return value.trim()
+}
+
+/**
+ * @param {*} value
+ * @param {string} field
+ * @returns {number} - A whole number of characters, 0 for no limit
+ */
+function lengthLimit(value, field) {
+  const limit = Number(value ?? 0)
+  if (!Number.isInteger(limit) || limit < 0 || limit > MAX_GUARDRAIL_LENGTH) {
+    throw new SettingsError(`${field} must be a whole number from 0 to ${MAX_GUARDRAIL_LENGTH}`)
+  }
+  return limit
+}
+
+/**
+ * @param {*} value
+ * @param {string} field
+ * @returns {string} - One of GUARDRAIL_ACTIONS
+ */
+function guardrailAction(value, field) {
+  if (!GUARDRAIL_ACTIONS.includes(value)) {
+    throw new SettingsError(`${field} must be one of ${GUARDRAIL_ACTIONS.join(", ")}`)
+  }
+  return value
+}
+
+/**
+ * @param {*} input - The guardrails setting, see lib/guardrails.js; left out keeps the defaults
+ * @returns {Object}
+ */
+function guardrailSettings(input) {
+  if (input === undefined || input === null) return defaultGuardrails()
+  const providerProfiles = {}
+  for (const id of PROVIDER_IDS) {
+    const profile = input.providerProfiles?.[id] ?? "off"
+    if (profile !== "off" && !PROFILE_IDS.includes(profile)) {
+      throw new SettingsError(`Guardrail profile of ${id} must be one of off, ${PROFILE_IDS.join(", ")}`)
+    }
+    providerProfiles[id] = profile
+  }
+
+  const profiles = {}
+  for (const id of PROFILE_IDS) {
+    const profile = input.profiles?.[id] ?? {}
+    profiles[id] = {
+      pii: Object.fromEntries(
+        PII_KINDS.map((kind) => [kind, guardrailAction(profile.pii?.[kind] ?? "off", `${id} ${kind} action`)]),
+      ),
+      terms: stringList(profile.terms, `${id} dictionary terms`),
+      termAction: guardrailAction(profile.termAction ?? "off", `${id} dictionary action`),
+      blockedTopics: stringList(profile.blockedTopics, `${id} blocked topics`),
+      maxInputLength: lengthLimit(profile.maxInputLength, `${id} maximum message length`),
+      maxOutputLength: lengthLimit(profile.maxOutputLength, `${id} maximum answer length`),
+      checkOutput: Boolean(profile.checkOutput),
+    }
+  }
+  return { providerProfiles, profiles }
+}
+
+/**
+ * Check and normalize settings sent by the settings page
+ * @param {Object} input
+ * @returns {Object} - Settings without updatedAt; secrets that were left out are undefined
+ * @throws {SettingsError}
+ */
+export function validateSettings(input) {
+  if (!input || typeof input !== "object") throw new SettingsError("Settings must be an object")
+  const providers = input.providers ?? {}
+
+  const enabledProviders = stringList(input.enabledProviders, "Enabled providers")
+  const unknown = enabledProviders.find((id) => !PROVIDER_IDS.includes(id))
+  if (unknown) throw new SettingsError(`Unknown provider "${unknown}"`)
+  if (!PROVIDER_IDS.includes(input.defaultProvider)) {
+    throw new SettingsError(`Default provider must be one of ${PROVIDER_IDS.join(", ")}`)
+  }
+
+  const accountId = typeof providers.cloudflare?.accountId === "string" ? providers.cloudflare.accountId.trim() : ""
+  if (!ACCOUNT_ID.test(accountId)) throw new SettingsError("Cloudflare account ID may only contain letters, digits and -")
+
+  const settings = {
+    enabledProviders,
+    defaultProvider: input.defaultProvider,
+    providers: {
+      ollama: { baseUrl: url(providers.ollama?.baseUrl, "Ollama URL") },
+      cloudflare: {
+        apiUrl: url(providers.cloudflare?.apiUrl, "Cloudflare gateway URL"),
+        accountId,
+        apiToken: secret(providers.cloudflare?.apiToken, "Cloudflare API token"),
+        models: stringList(providers.cloudflare?.models, "Cloudflare models"),
+      },
+      openai: {
+        baseUrl: url(providers.openai?.baseUrl, "OpenAI-compatible URL"),
+        apiKey: secret(providers.openai?.apiKey, "OpenAI-compatible API key"),
+      },
+      transcription: {
+        baseUrl: url(providers.transcription?.baseUrl, "Transcription URL"),
+        model: typeof providers.transcription?.model === "string" ? providers.transcription.model.trim() : "",
+        apiKey: secret(providers.transcription?.apiKey, "Transcription API key"),
+      },
+    },
+    modelAllowList: stringList(input.modelAllowList, "Allowed models"),
+    modelDenyList: stringList(input.modelDenyList, "Blocked models"),
+    defaultModel: typeof input.defaultModel === "string" ? input.defaultModel.trim() : "",
+    defaultSystemPrompt: typeof input.defaultSystemPrompt === "string" ? input.defaultSystemPrompt : "",
+    contextInjection: Boolean(input.contextInjection),
+    guardrails: guardrailSettings(input.guardrails),
+  }
+
+  if (settings.defaultSystemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+    throw new SettingsError(`Default system prompt is longer than ${MAX_SYSTEM_PROMPT_LENGTH} characters`)
+  }
+  if (settings.defaultModel && !isModelAllowed(settings.defaultModel, settings)) {
+    throw new SettingsError(`Default model "${settings.defaultModel}" is not allowed by the model lists`)
+  }
+  return settings
+}
+
+/**
+ * Whether a qualified model id matches a list pattern; "*" matches any text, e.g. "ollama/*" or "*:70b*"
+ * @param {string} id
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesModelPattern(id, pattern) {
+  const escaped = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+  return new RegExp(`^${escaped.join(".*")}$`, "i").test(id)
+}
+
+/**
+ * Whether a model may be used: on the allow list (or the allow list is empty) and not on the deny list
+ * @param {string} id - Qualified model id
+ * @param {{modelAllowList: string[], modelDenyList: string[]}} settings
+ * @returns {boolean}
+ */
+export function isModelAllowed(id, { modelAllowList, modelDenyList }) {
+  if (modelDenyList.some((pattern) => matchesModelPattern(id, pattern))) return false
+  return modelAllowList.length === 0 || modelAllowList.some((pattern) => matchesModelPattern(id, pattern))
+}
+
+/**
+ * Settings as the admin API answers with them: each secret replaced by whether it is set,
+ * e.g. providers.openai.apiKeySet
+ * @param {Object} settings
+ * @returns {Object}
+ */
+export function maskSecrets(settings) {
+  const providers = { ...settings.providers }
+  for (const [provider, field] of SECRET_FIELDS) {
+    const { [field]: value, ...rest } = providers[provider]
+    providers[provider] = { ...rest, [`${field}Set`]: Boolean(value) }
+  }
+  return { ...settings, providers }
+}
+
+/**
+ * The part of the settings every signed in user's browser needs
+ * @param {Object} settings
+ * @returns {{defaultModel: string, defaultSystemPrompt: string, contextInjection: boolean,
+ *   transcription: boolean}} - transcription is whether voice input can be sent to the server
+ */
+export function publicSettings({ defaultModel, defaultSystemPrompt, contextInjection, providers }) {
+  const transcription = Boolean(providers.transcription.baseUrl)
+  return { defaultModel, defaultSystemPrompt, contextInjection, transcription }
+}
@@ -0,0 +1,103 @@
+/**
+ * @file shares.js
+ * @description Read-only snapshots of a conversation served at /share/[id]. A share is
+ *
+ *   { id, conversationId, title, model, systemPrompt, messages, messageMeta, createdBy, createdAt }
+ *
+ * messages is the branch that was open when sharing (no other branches, no generation settings),
+ * messageMeta keeps only each answer's sources, and systemPrompt is null when it was hidden.
+ * Shared by the share dialog, the share page and /api/shares.
+ */
+
+import { titleFromMessages } from "@/lib/storage/conversations"
+
+// Images are inlined as data URLs; this keeps one share from filling the server's disk
+export const MAX_SHARE_BYTES = 10 * 1024 * 1024
+const ROLES = ["user", "assistant"]
+
+/**
+ * A share request that cannot be stored
+ */
+export class ShareError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "ShareError"
+  }
+}
+
+/**
+ * Check a conversation sent for sharing and reduce it to what the share page shows
+ * @param {Object} conversation - { id?, title?, model?, systemPrompt?, messages, messageMeta? }
+ * @param {Object} options
+ * @param {boolean} options.includeSystemPrompt
+ * @returns {Object} - A share without id, createdBy and createdAt
+ * @throws {ShareError}
+ */
+export function toShareSnapshot(conversation, { includeSystemPrompt }) {
+  const messages = conversation?.messages
+  if (!Array.isArray(messages) || messages.length === 0) throw new ShareError("There are no messages to share")
+  if (messages.some((message) => !ROLES.includes(message?.role) || typeof message.content !== "string")) {
+    throw new ShareError("Messages must have a user or assistant role and text content")
+  }
+
+  const meta = conversation.messageMeta ?? {}
+  const messageMeta = {}
+  for (const message of messages) {
+    const sources = meta[message.id]?.sources
+    if (Array.isArray(sources) && sources.length > 0) messageMeta[message.id] = { sources }
+  }
+
+  const systemPrompt = typeof conversation.systemPrompt === "string" ? conversation.systemPrompt : ""
+  return {
+    conversationId: typeof conversation.id === "string" ? conversation.id : null,
+    title: String(conversation.title || titleFromMessages(messages)).slice(0, 200),
+    model: typeof conversation.model === "string" ? conversation.model : null,
+    systemPrompt: includeSystemPrompt && systemPrompt ? systemPrompt : null,
+    messages: messages.map(({ id, role, content, attachments, annotations }) => ({
+      id: id ?? crypto.randomUUID(),
+      role,
+      content,
+      ...(attachments?.length > 0 && { attachments }),
+      ...(annotations?.length > 0 && { annotations }),
+    })),
+    messageMeta,
+  }
+}
+
+/**
+ * A share without its messages, as lists show it
+ * @param {Object} share
+ * @returns {Object} - { id, conversationId, title, model, createdBy, createdAt, messageCount, includesSystemPrompt }
+ */
+export function toShareSummary({ messages, messageMeta, systemPrompt, ...summary }) {
+  return { ...summary, messageCount: messages.length, includesSystemPrompt: systemPrompt !== null }
+}
+
+/**
+ * A new conversation to continue a shared chat in, for the viewer's own history
+ * @param {Object} share
+ * @returns {Object} - Full conversation as the conversation stores save it
+ */
+export function forkConversation(share) {
+  const now = new Date().toISOString()
+  return {
+    id: crypto.randomUUID(),
+    title: share.title,
+    createdAt: now,
+    updatedAt: now,
+    ...(share.model && { model: share.model }),
+    // A hidden system prompt is not forked either; the viewer's own then applies
+    ...(share.systemPrompt !== null && { systemPrompt: share.systemPrompt }),
+    messages: share.messages,
+    messageMeta: share.messageMeta,
+    forkedFrom: share.id,
+  }
+}
+
+/**
+ * @param {string} id - Share id
+ * @returns {string} - Path of the share page
+ */
+export function sharePath(id) {
+  return `/share/${id}`
+}
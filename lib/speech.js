@@ -0,0 +1,96 @@
+/**
+ * @file speech.js
+ * @description Browser helpers for voice input and spoken answers: the speech recognition
+ * constructor, a recording format the transcription server accepts, and turning streamed
+ * Markdown into sentences worth reading aloud. Used by hooks/use-dictation.js and
+ * hooks/use-speech-output.js.
+ */
+
+// In order of preference; Whisper servers decode all of them with ffmpeg
+const RECORDING_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"]
+
+// End of a sentence: terminal punctuation (plus closing quotes or brackets) before whitespace, or a line break
+const SENTENCE_END = /[.!?…]+["'”’)\]]*\s+|\n+/g
+
+/**
+ * @returns {Function | null} - SpeechRecognition, null when the browser has none (e.g. Firefox)
+ */
+export function speechRecognition() {
+  if (typeof window === "undefined") return null
+  return window.SpeechRecognition ?? window.webkitSpeechRecognition ?? null
+}
+
+/**
+ * @returns {boolean} - Whether the browser can record audio for the transcription server
+ */
+export function canRecord() {
+  return typeof window !== "undefined" && Boolean(window.MediaRecorder && navigator.mediaDevices?.getUserMedia)
+}
+
+/**
+ * @returns {boolean} - Whether the browser can speak
+ */
+export function canSpeak() {
+  return typeof window !== "undefined" && "speechSynthesis" in window
+}
+
+/**
+ * @returns {string} - First of RECORDING_TYPES the browser records, "" for its default
+ */
+export function recordingType() {
+  return RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? ""
+}
+
+/**
+ * @param {string} type - MIME type of a recording
+ * @returns {string} - File name with the extension the transcription server goes by
+ */
+export function recordingFileName(type) {
+  if (type.includes("ogg")) return "recording.ogg"
+  if (type.includes("mp4")) return "recording.m4a"
+  return "recording.webm"
+}
+
+/**
+ * The text of an answer as it should sound: code blocks, images, link targets and Markdown
+ * markup are left out. A code block that is still streaming is left out up to the end.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function speakableText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?(```|$)/g, "\n")
+    .replace(/\$\$[\s\S]*?(\$\$|$)/g, "\n")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/https?:\/\/\S+/g, "")
+    .replace(/`([^`]*)`/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, "")
+    .replace(/^\s*\|?\s*:?-{3,}.*$/gm, "")
+    .replace(/[*_~]+/g, "")
+    .replace(/\|/g, " ")
+    .replace(/\[(\d+)\]/g, "")
+}
+
+/**
+ * Split off the complete sentences at the start of a text
+ * @param {string} text
+ * @param {boolean} final - The text is complete, so the rest is a sentence too
+ * @returns {{sentences: string[], length: number}} - length is how much of text the sentences cover
+ */
+export function completeSentences(text, final) {
+  const sentences = []
+  let start = 0
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length
+    sentences.push(text.slice(start, end))
+    start = end
+  }
+  if (final && start < text.length) {
+    sentences.push(text.slice(start))
+    start = text.length
+  }
+  // Leftover punctuation and markup is not worth an utterance
+  const spoken = sentences.map((sentence) => sentence.trim()).filter((sentence) => /[\p{L}\p{N}]/u.test(sentence))
+  return { sentences: spoken, length: start }
+}
@@ -0,0 +1,78 @@
+/**
+ * @file conversations-file.js
+ * @description Server side conversation store, a single JSON document in CONFIG.DATA_DIR. Every
+ * conversation records the user who saved it first in createdBy, and is only found for that user;
+ * another user's conversation looks like one that does not exist.
+ */
+
+import { readJsonFile, updateJsonFile } from "./json-file"
+import { matchesQuery, sortByUpdated, toSummary } from "./conversations"
+
+const FILE = "conversations.json"
+// Owner of conversations saved before they had one: the user while authentication is off
+const UNOWNED = "anonymous"
+
+const isOwner = (conversation, owner) => Boolean(conversation) && (conversation.createdBy ?? UNOWNED) === owner
+
+export const fileConversationStore = {
+  /**
+   * @param {string} owner - Name of the user
+   * @param {string} [query] - Search text
+   * @returns {Promise<Object[]>} - Summaries of the user's conversations, most recently updated first
+   */
+  async list(owner, query) {
+    const conversations = Object.values(await readJsonFile(FILE, {}))
+    return sortByUpdated(
+      conversations.filter((conversation) => isOwner(conversation, owner) && matchesQuery(conversation, query)),
+    ).map(toSummary)
+  },
+
+  async get(owner, id) {
+    const conversations = await readJsonFile(FILE, {})
+    return isOwner(conversations[id], owner) ? conversations[id] : null
+  },
+
+  /**
+   * Create or replace a conversation
+   * @param {string} owner
+   * @param {Object} conversation
+   * @returns {Promise<Object | null>} - The saved conversation, null when its id belongs to another user
+   */
+  async save(owner, conversation) {
+    let saved = null
+    await updateJsonFile(FILE, {}, (conversations) => {
+      const existing = conversations[conversation.id]
+      if (existing && !isOwner(existing, owner)) return conversations
+      saved = { ...conversation, createdBy: owner }
+      conversations[conversation.id] = saved
+      return conversations
+    })
+    return saved
+  },
+
+  async update(owner, id, changes) {
+    let updated = null
+    await updateJsonFile(FILE, {}, (conversations) => {
+      if (isOwner(conversations[id], owner)) {
+        updated = { ...conversations[id], ...changes, id, createdBy: owner }
+        conversations[id] = updated
+      }
+      return conversations
+    })
+    return updated
+  },
+
+  async rename(owner, id, title) {
+    await this.update(owner, id, { title })
+  },
+
+  async remove(owner, id) {
+    let removed = false
+    await updateJsonFile(FILE, {}, (conversations) => {
+      removed = isOwner(conversations[id], owner)
+      if (removed) delete conversations[id]
+      return conversations
+    })
+    return removed
+  },
+}
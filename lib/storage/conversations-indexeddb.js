@@ -0,0 +1,34 @@
+/**
+ * @file conversations-indexeddb.js
+ * @description Conversation store backed by the browser's IndexedDB
+ */
+
+import { idbRequest } from "./indexeddb"
+import { matchesQuery, sortByUpdated, toSummary } from "./conversations"
+
+const STORE = "conversations"
+
+export const indexedDbConversationStore = {
+  async list(query) {
+    const conversations = await idbRequest(STORE, "readonly", (store) => store.getAll())
+    return sortByUpdated(conversations.filter((conversation) => matchesQuery(conversation, query))).map(toSummary)
+  },
+
+  async get(id) {
+    return (await idbRequest(STORE, "readonly", (store) => store.get(id))) || null
+  },
+
+  async save(conversation) {
+    await idbRequest(STORE, "readwrite", (store) => store.put(conversation))
+    return conversation
+  },
+
+  async rename(id, title) {
+    const conversation = await this.get(id)
+    if (conversation) await this.save({ ...conversation, title })
+  },
+
+  async remove(id) {
+    await idbRequest(STORE, "readwrite", (store) => store.delete(id))
+  },
+}
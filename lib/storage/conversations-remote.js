@@ -0,0 +1,46 @@
+/**
+ * @file conversations-remote.js
+ * @description Conversation store backed by the server side /api/conversations routes
+ */
+
+async function request(url, options) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  })
+  if (response.status === 404) return null
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    throw new Error(data.error || `Conversation request failed (${response.status})`)
+  }
+  return response.json()
+}
+
+export const remoteConversationStore = {
+  list(query) {
+    const params = query ? `?${new URLSearchParams({ q: query })}` : ""
+    return request(`/api/conversations${params}`)
+  },
+
+  get(id) {
+    return request(`/api/conversations/${encodeURIComponent(id)}`)
+  },
+
+  save(conversation) {
+    return request(`/api/conversations/${encodeURIComponent(conversation.id)}`, {
+      method: "PUT",
+      body: JSON.stringify(conversation),
+    })
+  },
+
+  async rename(id, title) {
+    await request(`/api/conversations/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      body: JSON.stringify({ title }),
+    })
+  },
+
+  async remove(id) {
+    await request(`/api/conversations/${encodeURIComponent(id)}`, { method: "DELETE" })
+  },
+}
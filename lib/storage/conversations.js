@@ -0,0 +1,84 @@
+/**
+ * @file conversations.js
+ * @description Conversation helpers shared by the browser and server side stores.
+ * A conversation is { id, title, model, temperature, systemPrompt, messages, createdAt, updatedAt }.
+ */
+
+const TITLE_LENGTH = 60
+
+/**
+ * Derive a title from the first user message
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {string}
+ */
+export function titleFromMessages(messages) {
+  const first = messages.find((message) => message.role === "user")
+  const text = (first?.content || "New chat").replace(/\s+/g, " ").trim()
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text
+}
+
+/**
+ * Strip the messages from a conversation for list views
+ * @param {Object} conversation - Full conversation
+ * @returns {Object}
+ */
+export function toSummary({ messages = [], ...conversation }) {
+  return { ...conversation, messageCount: messages.length }
+}
+
+/**
+ * Case-insensitive match of a search query against a conversation's title and messages
+ * @param {Object} conversation - Full conversation
+ * @param {string} [query] - Search text, an empty query matches everything
+ * @returns {boolean}
+ */
+export function matchesQuery(conversation, query) {
+  const needle = (query || "").trim().toLowerCase()
+  if (!needle) return true
+  if (conversation.title?.toLowerCase().includes(needle)) return true
+  return (conversation.messages || []).some((message) => String(message.content).toLowerCase().includes(needle))
+}
+
+/**
+ * Sort conversations with the most recently updated first
+ * @param {Object[]} conversations - Conversations or summaries
+ * @returns {Object[]}
+ */
+export function sortByUpdated(conversations) {
+  return [...conversations].sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""))
+}
+
+/**
+ * A conversation sent to the server that cannot be stored
+ */
+export class ConversationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "ConversationError"
+  }
+}
+
+/**
+ * Check a conversation sent to the server side store and fill in what it leaves out
+ * @param {*} body - Parsed request body
+ * @param {string} id - Id to store it under
+ * @returns {Object} - Full conversation
+ * @throws {ConversationError}
+ */
+export function toStoredConversation(body, id) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ConversationError("The conversation must be a JSON object")
+  }
+  const messages = body.messages ?? []
+  if (!Array.isArray(messages) || messages.some((message) => !message || typeof message !== "object")) {
+    throw new ConversationError("messages must be a list of message objects")
+  }
+  const now = new Date().toISOString()
+  return {
+    ...body,
+    id,
+    messages,
+    createdAt: body.createdAt || now,
+    updatedAt: body.updatedAt || now,
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * @file index.js
+ * @description Browser storage layer. Picks the conversation backend from CONFIG.CONVERSATION_STORE;
+ * every backend implements the same interface:
+ *
+ *   list(query?): Promise<ConversationSummary[]>   newest first
+ *   get(id): Promise<Conversation|null>
+ *   save(conversation): Promise<Conversation>      create or replace
+ *   rename(id, title): Promise<void>
+ *   remove(id): Promise<void>
+ */
+
+import { CONFIG } from "@/config/constants"
+import { indexedDbConversationStore } from "./conversations-indexeddb"
+import { remoteConversationStore } from "./conversations-remote"
+
+/**
+ * The configured conversation store
+ * @returns {Object}
+ */
+export function getConversationStore() {
+  return CONFIG.CONVERSATION_STORE === "server" ? remoteConversationStore : indexedDbConversationStore
+}
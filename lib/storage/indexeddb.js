@@ -0,0 +1,50 @@
+/**
+ * @file indexeddb.js
+ * @description Minimal promise wrapper around the browser's IndexedDB
+ */
+
+const DB_NAME = "templrjs-llm-chat"
+const DB_VERSION = 4
+
+// Object stores keyed by "id"; bump DB_VERSION when adding one
+const STORES = ["conversations", "votes", "prompts", "profiles"]
+
+let databasePromise = null
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        for (const name of STORES) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        databasePromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return databasePromise
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {(store: IDBObjectStore) => IDBRequest} operation - Issues the request
+ * @returns {Promise<*>} - The request result once the transaction completes
+ */
+export async function idbRequest(storeName, mode, operation) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = operation(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
@@ -0,0 +1,81 @@
+/**
+ * @file json-file.js
+ * @description Server side helpers for small JSON documents kept in CONFIG.DATA_DIR
+ */
+
+import { promises as fs } from "fs"
+import path from "path"
+import { CONFIG } from "@/config/constants"
+
+// Writes per file are chained so concurrent requests never interleave
+const writeQueues = new Map()
+
+/**
+ * Absolute path of a file inside the data directory
+ * @param {string} name - File name relative to CONFIG.DATA_DIR
+ * @returns {string}
+ */
+export function dataPath(name) {
+  return path.resolve(process.cwd(), CONFIG.DATA_DIR, name)
+}
+
+/**
+ * Read a JSON document, returning the fallback when it does not exist yet
+ * @param {string} name - File name relative to CONFIG.DATA_DIR
+ * @param {*} fallback - Value returned for a missing file
+ * @returns {Promise<*>}
+ */
+export async function readJsonFile(name, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(dataPath(name), "utf8"))
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback
+    throw error
+  }
+}
+
+/**
+ * Read, modify and write back a JSON document. The write goes to a temporary
+ * file first and is renamed into place, so readers never see a partial file.
+ * @param {string} name - File name relative to CONFIG.DATA_DIR
+ * @param {*} fallback - Initial value for a missing file
+ * @param {(data: *) => *} update - Returns the new document (may mutate and return its argument)
+ * @returns {Promise<*>} - The written document
+ */
+export function updateJsonFile(name, fallback, update) {
+  const previous = writeQueues.get(name) || Promise.resolve()
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const file = dataPath(name)
+      const data = await update(await readJsonFile(name, fallback))
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2))
+      await fs.rename(`${file}.tmp`, file)
+      return data
+    })
+  writeQueues.set(name, next)
+  return next
+}
+
+/**
+ * Delete a JSON document, after the writes queued for it
+ * @param {string} name - File name relative to CONFIG.DATA_DIR
+ * @returns {Promise<boolean>} - False when it did not exist
+ */
+export function removeJsonFile(name) {
+  const previous = writeQueues.get(name) || Promise.resolve()
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      try {
+        await fs.unlink(dataPath(name))
+        return true
+      } catch (error) {
+        if (error.code === "ENOENT") return false
+        throw error
+      }
+    })
+  writeQueues.set(name, next)
+  return next
+}
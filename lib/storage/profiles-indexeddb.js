@@ -0,0 +1,26 @@
+/**
+ * @file profiles-indexeddb.js
+ * @description Generation profiles kept in the browser's IndexedDB. A profile belongs to one model:
+ *
+ *   { id, name, model, temperature, maxTokens, parameters, updatedAt }   parameters as in lib/sampling.js
+ */
+
+import { idbRequest } from "./indexeddb"
+
+const STORE = "profiles"
+
+export const profileStore = {
+  async list() {
+    const profiles = await idbRequest(STORE, "readonly", (store) => store.getAll())
+    return profiles.sort((a, b) => a.name.localeCompare(b.name))
+  },
+
+  async save(profile) {
+    await idbRequest(STORE, "readwrite", (store) => store.put(profile))
+    return profile
+  },
+
+  async remove(id) {
+    await idbRequest(STORE, "readwrite", (store) => store.delete(id))
+  },
+}
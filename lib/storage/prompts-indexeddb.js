@@ -0,0 +1,24 @@
+/**
+ * @file prompts-indexeddb.js
+ * @description Prompt library (presets and snippets, see lib/prompts.js) kept in the browser's IndexedDB
+ */
+
+import { idbRequest } from "./indexeddb"
+
+const STORE = "prompts"
+
+export const promptStore = {
+  async list() {
+    const items = await idbRequest(STORE, "readonly", (store) => store.getAll())
+    return items.sort((a, b) => a.name.localeCompare(b.name))
+  },
+
+  async save(item) {
+    await idbRequest(STORE, "readwrite", (store) => store.put(item))
+    return item
+  },
+
+  async remove(id) {
+    await idbRequest(STORE, "readwrite", (store) => store.delete(id))
+  },
+}
@@ -0,0 +1,108 @@
+/**
+ * @file settings-file.js
+ * @description Server side store of the runtime settings (lib/settings.js), a single JSON document
+ * in CONFIG.DATA_DIR seeded from the environment. Reads are synchronous because the providers'
+ * isConfigured() and buildRequest() are; the file is only parsed again when it changed, so a save
+ * (from any server process) applies to the next request without a restart.
+ */
+
+import { readFileSync, statSync } from "fs"
+import { CONFIG } from "@/config/constants"
+import { defaultGuardrails } from "@/lib/guardrails"
+import { SECRET_FIELDS, validateSettings } from "@/lib/settings"
+import { dataPath, updateJsonFile } from "./json-file"
+
+const FILE = "settings.json"
+
+// { version, settings } of the last read; version is the file's modification time and size
+let cache = null
+
+/**
+ * Settings from the environment, used until an administrator saves the settings page
+ * @returns {Object}
+ */
+export function defaultSettings() {
+  return {
+    enabledProviders: CONFIG.ENABLED_PROVIDERS,
+    defaultProvider: CONFIG.DEFAULT_PROVIDER,
+    providers: {
+      ollama: { baseUrl: CONFIG.API_BASE_URL },
+      cloudflare: {
+        apiUrl: CONFIG.CLOUDFLARE_API_URL,
+        accountId: CONFIG.CLOUDFLARE_ACCOUNT_ID || "",
+        apiToken: CONFIG.CLOUDFLARE_BEARER_TOKEN || "",
+        models: CONFIG.CLOUDFLARE_MODELS,
+      },
+      openai: { baseUrl: CONFIG.OPENAI_COMPATIBLE_BASE_URL, apiKey: CONFIG.OPENAI_COMPATIBLE_API_KEY || "" },
+      transcription: {
+        baseUrl: CONFIG.TRANSCRIPTION_BASE_URL,
+        model: CONFIG.TRANSCRIPTION_MODEL,
+        apiKey: CONFIG.TRANSCRIPTION_API_KEY || "",
+      },
+    },
+    modelAllowList: CONFIG.MODEL_ALLOW_LIST,
+    modelDenyList: CONFIG.MODEL_DENY_LIST,
+    defaultModel: CONFIG.DEFAULT_MODEL,
+    defaultSystemPrompt: CONFIG.DEFAULT_SYSTEM_PROMPT,
+    contextInjection: CONFIG.CONTEXT_INJECTION,
+    guardrails: defaultGuardrails(),
+    updatedAt: null,
+    updatedBy: null,
+  }
+}
+
+/**
+ * Stored settings over the defaults, provider by provider, so settings saved by an older
+ * version still get fields added since
+ * @param {Object} stored
+ * @returns {Object}
+ */
+function withDefaults(stored) {
+  const defaults = defaultSettings()
+  const providers = Object.fromEntries(
+    Object.entries(defaults.providers).map(([id, fields]) => [id, { ...fields, ...stored.providers?.[id] }]),
+  )
+  return { ...defaults, ...stored, providers }
+}
+
+/**
+ * Current settings, secrets included; never send them to a browser as they are
+ * @returns {Object}
+ */
+export function getSettings() {
+  let version
+  try {
+    const { mtimeMs, size } = statSync(dataPath(FILE))
+    version = `${mtimeMs}:${size}`
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error
+    cache = null
+    return defaultSettings()
+  }
+  if (cache?.version !== version) {
+    cache = { version, settings: withDefaults(JSON.parse(readFileSync(dataPath(FILE), "utf8"))) }
+  }
+  return cache.settings
+}
+
+/**
+ * Validate and store new settings; secrets left out keep their current values, unless their
+ * provider's URL changed, so a stored credential is never sent to a host it was not entered for
+ * @param {Object} input - Settings as edited on the settings page
+ * @param {string} user - Name of the administrator saving them
+ * @returns {Promise<Object>} - The stored settings, secrets included
+ * @throws {SettingsError}
+ */
+export async function saveSettings(input, user) {
+  const settings = validateSettings(input)
+  const saved = await updateJsonFile(FILE, null, (stored) => {
+    const current = stored ? withDefaults(stored) : defaultSettings()
+    for (const [provider, field, urlField] of SECRET_FIELDS) {
+      const sameUrl = settings.providers[provider][urlField] === current.providers[provider][urlField]
+      settings.providers[provider][field] ??= sameUrl ? current.providers[provider][field] : ""
+    }
+    return { ...settings, updatedAt: new Date().toISOString(), updatedBy: user }
+  })
+  cache = null
+  return withDefaults(saved)
+}
@@ -0,0 +1,88 @@
+/**
+ * @file shares-file.js
+ * @description Server side store of shared conversation snapshots (lib/shares.js) in CONFIG.DATA_DIR:
+ * one JSON document per snapshot under shares/, since each can be megabytes of inlined images, and
+ * an index of their summaries for listing in shares-index.json. Revoking a link removes its snapshot.
+ */
+
+import { toShareSummary } from "@/lib/shares"
+import { readJsonFile, removeJsonFile, updateJsonFile } from "./json-file"
+
+// Outside shares/, so no share id can name it
+const INDEX_FILE = "shares-index.json"
+// Every snapshot in one document, as stored before shares/ existed
+const LEGACY_FILE = "shares.json"
+// Share ids are the UUIDs the shares route creates; anything else names no snapshot
+const SHARE_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const snapshotFile = (id) => `shares/${id}.json`
+
+let migration = null
+
+/**
+ * Move the snapshots of shares.json into their own documents, once per process
+ * @returns {Promise<void>}
+ */
+function migrateLegacyFile() {
+  migration ??= (async () => {
+    const legacy = await readJsonFile(LEGACY_FILE, null)
+    if (!legacy) return
+    for (const share of Object.values(legacy)) {
+      await updateJsonFile(snapshotFile(share.id), null, () => share)
+    }
+    await updateJsonFile(INDEX_FILE, {}, (index) => {
+      for (const share of Object.values(legacy)) index[share.id] = toShareSummary(share)
+      return index
+    })
+    await removeJsonFile(LEGACY_FILE)
+  })().catch((error) => {
+    migration = null
+    throw error
+  })
+  return migration
+}
+
+export const fileShareStore = {
+  /**
+   * Summaries, newest first, without the messages
+   * @param {Object} [filter]
+   * @param {string} [filter.createdBy] - Only the shares of this user
+   * @param {string} [filter.conversationId] - Only the shares of this conversation
+   * @returns {Promise<Object[]>}
+   */
+  async list({ createdBy, conversationId } = {}) {
+    await migrateLegacyFile()
+    const summaries = Object.values(await readJsonFile(INDEX_FILE, {}))
+    return summaries
+      .filter((share) => createdBy === undefined || share.createdBy === createdBy)
+      .filter((share) => conversationId === undefined || share.conversationId === conversationId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  },
+
+  async get(id) {
+    if (!SHARE_ID.test(id)) return null
+    await migrateLegacyFile()
+    return readJsonFile(snapshotFile(id), null)
+  },
+
+  async save(share) {
+    await migrateLegacyFile()
+    await updateJsonFile(snapshotFile(share.id), null, () => share)
+    await updateJsonFile(INDEX_FILE, {}, (index) => {
+      index[share.id] = toShareSummary(share)
+      return index
+    })
+    return share
+  },
+
+  async remove(id) {
+    if (!SHARE_ID.test(id)) return false
+    await migrateLegacyFile()
+    // Out of the index first, so the link is never listed without its snapshot
+    await updateJsonFile(INDEX_FILE, {}, (index) => {
+      delete index[id]
+      return index
+    })
+    return removeJsonFile(snapshotFile(id))
+  },
+}
@@ -0,0 +1,28 @@
+/**
+ * @file votes-indexeddb.js
+ * @description Compare mode votes, kept in the browser's IndexedDB. A vote is
+ *
+ *   { id, createdAt, prompt, systemPrompt, temperature, winner, responses: [{ model, content, stats }] }
+ *
+ * where winner is the winning model id, "tie" or "all_bad".
+ */
+
+import { idbRequest } from "./indexeddb"
+
+const STORE = "votes"
+
+export const voteStore = {
+  async list() {
+    const votes = await idbRequest(STORE, "readonly", (store) => store.getAll())
+    return votes.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  },
+
+  async save(vote) {
+    await idbRequest(STORE, "readwrite", (store) => store.put(vote))
+    return vote
+  },
+
+  async clear() {
+    await idbRequest(STORE, "readwrite", (store) => store.clear())
+  },
+}
@@ -0,0 +1,59 @@
+/**
+ * @file workflows-file.js
+ * @description Server side store of saved workflow pipelines, a single JSON document in
+ * CONFIG.DATA_DIR. A workflow is { id, name, source, createdBy, createdAt, updatedAt }; source is
+ * the YAML or JSON definition as written, see lib/workflows/pipeline.js. Workflows are only found
+ * for the user who created them (createdBy).
+ */
+
+import { readJsonFile, updateJsonFile } from "./json-file"
+
+const FILE = "workflows.json"
+// Owner of workflows saved before they had one: the user while authentication is off
+const UNOWNED = "anonymous"
+
+const isOwner = (workflow, owner) => Boolean(workflow) && (workflow.createdBy ?? UNOWNED) === owner
+
+export const fileWorkflowStore = {
+  /**
+   * @param {string} owner - Name of the user
+   * @returns {Promise<Object[]>} - The user's workflows by name
+   */
+  async list(owner) {
+    const workflows = Object.values(await readJsonFile(FILE, {}))
+    return workflows.filter((workflow) => isOwner(workflow, owner)).sort((a, b) => a.name.localeCompare(b.name))
+  },
+
+  async get(owner, id) {
+    const workflows = await readJsonFile(FILE, {})
+    return isOwner(workflows[id], owner) ? workflows[id] : null
+  },
+
+  /**
+   * Create or replace a workflow
+   * @param {string} owner
+   * @param {Object} workflow
+   * @returns {Promise<Object | null>} - The saved workflow, null when its id belongs to another user
+   */
+  async save(owner, workflow) {
+    let saved = null
+    await updateJsonFile(FILE, {}, (workflows) => {
+      const existing = workflows[workflow.id]
+      if (existing && !isOwner(existing, owner)) return workflows
+      saved = { ...workflow, createdBy: owner }
+      workflows[workflow.id] = saved
+      return workflows
+    })
+    return saved
+  },
+
+  async remove(owner, id) {
+    let removed = false
+    await updateJsonFile(FILE, {}, (workflows) => {
+      removed = isOwner(workflows[id], owner)
+      if (removed) delete workflows[id]
+      return workflows
+    })
+    return removed
+  },
+}
@@ -0,0 +1,85 @@
+/**
+ * @file summarize.js
+ * @description Summarise conversation turns that no longer fit the context window
+ */
+
+import { createHash } from "crypto"
+import { estimateMessagesTokens, estimateTokens, keepLastTokens } from "@/lib/context-window"
+import { openCompletion } from "@/lib/chat/completion"
+
+const CACHE_SIZE = 100
+// Summaries keyed by a hash of the summarised turns; trimmed prefixes repeat on every request
+const cache = new Map()
+
+const SUMMARY_PROMPT =
+  "Summarise the conversation below in a few sentences. Keep names, facts, decisions and open questions; " +
+  "omit pleasantries. Reply with the summary only."
+// The system prompt and an empty user message, the overhead of a summary request
+const PROMPT_MESSAGES = [
+  { role: "system", content: SUMMARY_PROMPT },
+  { role: "user", content: "" },
+]
+
+/**
+ * Join turns into a transcript of at most budget tokens, keeping the newest turns; when not even
+ * the latest one fits, its start is cut
+ * @param {Object[]} messages - Turns, oldest first
+ * @param {number} budget - Tokens available for the transcript
+ * @returns {string}
+ */
+function buildTranscript(messages, budget) {
+  const entries = []
+  let tokens = 0
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const entry = `${messages[i].role}: ${messages[i].content}`
+    const cost = estimateTokens(entry) + 1
+    if (tokens + cost > budget) {
+      if (entries.length === 0) entries.push(keepLastTokens(entry, budget))
+      break
+    }
+    entries.unshift(entry)
+    tokens += cost
+  }
+  return entries.join("\n\n")
+}
+
+/**
+ * Summarise messages with the model that serves the chat
+ * @param {Object} provider - Provider from the registry
+ * @param {string} model - Provider's model name
+ * @param {Object[]} messages - Turns to summarise, oldest first
+ * @param {number} maxTokens - Length limit for the summary
+ * @param {number} contextLimit - Context window of the model; the oldest turns that do not fit beside
+ *   the instructions and the summary are left out
+ * @param {AbortSignal} [signal] - The chat request's; the summary request also gets openCompletion's
+ *   timeouts and retries
+ * @returns {Promise<string>}
+ * @throws {UpstreamError} When the provider fails; the AbortError when the signal aborts
+ */
+export async function summarizeMessages(provider, model, messages, maxTokens, contextLimit, signal) {
+  const transcript = buildTranscript(messages, contextLimit - maxTokens - estimateMessagesTokens(PROMPT_MESSAGES))
+  const key = createHash("sha256").update(`${provider.id}/${model}\n${transcript}`).digest("hex")
+  if (cache.has(key)) return cache.get(key)
+
+  const events = await openCompletion({
+    provider,
+    model,
+    messages: [
+      { role: "system", content: SUMMARY_PROMPT },
+      { role: "user", content: transcript },
+    ],
+    stream: false,
+    temperature: 0,
+    maxTokens,
+    signal,
+  })
+  let summary = ""
+  for await (const event of events) {
+    if (event.type === "text") summary += event.text
+  }
+  summary = summary.trim()
+
+  cache.set(key, summary)
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value)
+  return summary
+}
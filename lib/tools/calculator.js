@@ -0,0 +1,158 @@
+/**
+ * @file calculator.js
+ * @description Arithmetic tool. Expressions are parsed by a small recursive-descent
+ * parser, never eval'd, so model output cannot run code.
+ */
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+}
+
+const CONSTANTS = { pi: Math.PI, e: Math.E }
+
+function tokenize(expression) {
+  const tokens = []
+  const pattern = /\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),])/giy
+  let match
+  let position = 0
+  while (position < expression.length) {
+    pattern.lastIndex = position
+    match = pattern.exec(expression)
+    if (!match) {
+      if (!expression.slice(position).trim()) break
+      throw new Error(`Unexpected character "${expression[position]}" at position ${position}`)
+    }
+    tokens.push(match[1] === "**" ? "^" : match[1])
+    position = pattern.lastIndex
+  }
+  return tokens
+}
+
+/**
+ * Evaluate an arithmetic expression
+ * @param {string} expression - e.g. "2 * (3 + sqrt(16)) ^ 2 % 7"
+ * @returns {number}
+ */
+export function evaluate(expression) {
+  const tokens = tokenize(expression)
+  let index = 0
+
+  const peek = () => tokens[index]
+  const next = () => tokens[index++]
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`)
+  }
+
+  // expression := term (("+" | "-") term)*
+  function parseExpression() {
+    let value = parseTerm()
+    while (peek() === "+" || peek() === "-") {
+      value = next() === "+" ? value + parseTerm() : value - parseTerm()
+    }
+    return value
+  }
+
+  // term := unary (("*" | "/" | "%") unary)*
+  function parseTerm() {
+    let value = parseUnary()
+    while (peek() === "*" || peek() === "/" || peek() === "%") {
+      const operator = next()
+      const right = parseUnary()
+      if (operator === "*") value *= right
+      else if (operator === "/") value /= right
+      else value %= right
+    }
+    return value
+  }
+
+  // unary := ("-" | "+") unary | power
+  function parseUnary() {
+    if (peek() === "-") {
+      next()
+      return -parseUnary()
+    }
+    if (peek() === "+") {
+      next()
+      return parseUnary()
+    }
+    return parsePower()
+  }
+
+  // power := primary ("^" unary)?   (right associative)
+  function parsePower() {
+    const base = parsePrimary()
+    if (peek() === "^") {
+      next()
+      return base ** parseUnary()
+    }
+    return base
+  }
+
+  // primary := number | constant | function "(" args ")" | "(" expression ")"
+  function parsePrimary() {
+    const token = next()
+    if (token === undefined) throw new Error("Unexpected end of expression")
+    if (token === "(") {
+      const value = parseExpression()
+      expect(")")
+      return value
+    }
+    if (/^[\d.]/.test(token)) return Number(token)
+
+    const name = token.toLowerCase()
+    if (Object.hasOwn(CONSTANTS, name)) return CONSTANTS[name]
+    if (Object.hasOwn(FUNCTIONS, name)) {
+      expect("(")
+      const args = [parseExpression()]
+      while (peek() === ",") {
+        next()
+        args.push(parseExpression())
+      }
+      expect(")")
+      return FUNCTIONS[name](...args)
+    }
+    throw new Error(`Unknown token "${token}"`)
+  }
+
+  const result = parseExpression()
+  if (index < tokens.length) throw new Error(`Unexpected "${tokens[index]}"`)
+  return result
+}
+
+export const calculator = {
+  name: "calculator",
+  description:
+    "Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and " +
+    "functions such as sqrt, abs, ln, log, sin, cos, tan, round, floor, ceil, min, max, pow.",
+  parameters: {
+    type: "object",
+    properties: {
+      expression: { type: "string", description: 'The expression, e.g. "(17.5 * 3) / sqrt(2)"' },
+    },
+    required: ["expression"],
+  },
+
+  async execute({ expression }) {
+    const result = evaluate(String(expression))
+    if (!Number.isFinite(result)) throw new Error("Result is not a finite number")
+    return { expression, result }
+  },
+}
@@ -0,0 +1,26 @@
+/**
+ * @file current-time.js
+ * @description Current date and time, optionally in a given IANA time zone
+ */
+
+export const currentTime = {
+  name: "current_time",
+  description: "Get the current date and time. Use it for questions about today, now, or relative dates.",
+  parameters: {
+    type: "object",
+    properties: {
+      timezone: { type: "string", description: 'IANA time zone, e.g. "Europe/Berlin". Defaults to UTC.' },
+    },
+  },
+
+  async execute({ timezone = "UTC" } = {}) {
+    const now = new Date()
+    // Throws a RangeError for unknown zones, which is reported back to the model
+    const formatted = new Intl.DateTimeFormat("en-US", {
+      dateStyle: "full",
+      timeStyle: "long",
+      timeZone: timezone,
+    }).format(now)
+    return { iso: now.toISOString(), timezone, formatted }
+  },
+}
@@ -0,0 +1,88 @@
+/**
+ * @file fetch-url.js
+ * @description Read a web page from an allow-listed host. Only http(s) URLs on
+ * CONFIG.FETCH_TOOL_ALLOWED_HOSTS (or their subdomains) are fetched; redirects are
+ * followed by hand so they cannot leave the allow-list.
+ */
+
+import { CONFIG } from "@/config/constants"
+
+const TIMEOUT_MS = 10000
+const MAX_REDIRECTS = 3
+
+function isAllowedUrl(url) {
+  if (url.protocol !== "http:" && url.protocol !== "https:") return false
+  const host = url.hostname.toLowerCase()
+  return CONFIG.FETCH_TOOL_ALLOWED_HOSTS.some((allowed) => host === allowed || host.endsWith(`.${allowed}`))
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|noscript|svg)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<\/(p|div|li|h[1-6]|tr|br)>|<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n+/g, "\n\n")
+    .trim()
+}
+
+async function readLimited(response, maxBytes) {
+  const reader = response.body.getReader()
+  const chunks = []
+  let size = 0
+  while (size < maxBytes) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    size += value.length
+  }
+  await reader.cancel()
+  return { text: new TextDecoder().decode(Buffer.concat(chunks).subarray(0, maxBytes)), truncated: size >= maxBytes }
+}
+
+export const fetchUrl = {
+  name: "fetch_url",
+  description: "Fetch a web page and return its text. Only some hosts are allowed; errors say so.",
+  parameters: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "Absolute http(s) URL" },
+    },
+    required: ["url"],
+  },
+
+  isAvailable() {
+    return CONFIG.FETCH_TOOL_ALLOWED_HOSTS.length > 0
+  },
+
+  async execute({ url }) {
+    let target = new URL(String(url))
+    let response
+    for (let redirects = 0; ; redirects++) {
+      if (!isAllowedUrl(target)) {
+        throw new Error(`${target.hostname} is not an allowed host (${CONFIG.FETCH_TOOL_ALLOWED_HOSTS.join(", ")})`)
+      }
+      response = await fetch(target, { redirect: "manual", signal: AbortSignal.timeout(TIMEOUT_MS) })
+      const location = response.headers.get("location")
+      if (response.status < 300 || response.status >= 400 || !location) break
+      if (redirects >= MAX_REDIRECTS) throw new Error("Too many redirects")
+      target = new URL(location, target)
+    }
+    if (!response.ok) throw new Error(`Request failed with status ${response.status}`)
+
+    const contentType = response.headers.get("content-type") || ""
+    const { text, truncated } = await readLimited(response, CONFIG.FETCH_TOOL_MAX_BYTES)
+    return {
+      url: target.toString(),
+      status: response.status,
+      content: contentType.includes("html") ? htmlToText(text) : text,
+      truncated,
+    }
+  },
+}
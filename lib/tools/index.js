@@ -0,0 +1,61 @@
+/**
+ * @file index.js
+ * @description Server-side tool registry. A tool is
+ *
+ *   {
+ *     name, description,
+ *     parameters: Object,                JSON schema of the arguments
+ *     isAvailable?(): boolean,           false hides the tool, e.g. when it is not configured
+ *     execute(args): Promise<Object>,    JSON-serialisable result; throw to report an error
+ *   }
+ *
+ * Tools only run on the server; the model sees their definitions and results.
+ */
+
+import { CONFIG } from "@/config/constants"
+import { calculator } from "./calculator"
+import { currentTime } from "./current-time"
+import { fetchUrl } from "./fetch-url"
+import { searchDocs } from "./search-docs"
+
+const TOOLS = Object.fromEntries([calculator, currentTime, fetchUrl, searchDocs].map((tool) => [tool.name, tool]))
+
+function getEnabledTools() {
+  return CONFIG.ENABLED_TOOLS.map((name) => TOOLS[name]).filter((tool) => tool && (tool.isAvailable?.() ?? true))
+}
+
+/**
+ * Definitions of the enabled tools in the OpenAI "tools" format
+ * @returns {Object[]}
+ */
+export function getToolDefinitions() {
+  return getEnabledTools().map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }))
+}
+
+/**
+ * Run a tool call from the model. Failures are returned, not thrown, so the model can react to them.
+ * @param {string} name - Tool name
+ * @param {string} args - JSON encoded arguments as produced by the model
+ * @returns {Promise<{result: Object} | {error: string}>}
+ */
+export async function executeTool(name, args) {
+  const tool = getEnabledTools().find((candidate) => candidate.name === name)
+  if (!tool) return { error: `Unknown tool "${name}"` }
+
+  let parsedArgs
+  try {
+    parsedArgs = args ? JSON.parse(args) : {}
+  } catch {
+    return { error: "Arguments are not valid JSON" }
+  }
+
+  try {
+    return { result: await tool.execute(parsedArgs) }
+  } catch (error) {
+    console.error(`Error running tool ${name}:`, error)
+    return { error: error.message || String(error) }
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * @file search-docs.js
+ * @description Search the documents uploaded to the knowledge base (lib/rag)
+ */
+
+import { CONFIG } from "@/config/constants"
+import { embedTexts } from "@/lib/rag/embeddings"
+import { search } from "@/lib/rag/vector-index"
+
+export const searchDocs = {
+  name: "search_docs",
+  description:
+    "Search the user's uploaded documents for passages relevant to a query. " +
+    "Use it when the question may be answered by the user's own files.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: { type: "string", description: "What to look for" },
+      limit: { type: "integer", description: `Number of passages to return, default ${CONFIG.RAG_TOP_K}` },
+    },
+    required: ["query"],
+  },
+
+  async execute({ query, limit = CONFIG.RAG_TOP_K }) {
+    const [embedding] = await embedTexts([String(query)])
+    const results = await search(embedding, {
+      embeddingModel: CONFIG.RAG_EMBEDDING_MODEL,
+      topK: Math.min(Math.max(Number(limit) || CONFIG.RAG_TOP_K, 1), 10),
+      minScore: CONFIG.RAG_MIN_SCORE,
+    })
+    return {
+      results: results.map(({ chunk, document, score }) => ({
+        document: document.name,
+        score: Number(score.toFixed(3)),
+        text: chunk.text,
+      })),
+    }
+  },
+}
@@ -0,0 +1,73 @@
+/**
+ * @file examples.js
+ * @description Example pipelines to start a new workflow from, see pipeline.js for the format
+ */
+
+import YAML from "yaml"
+
+export const PIPELINE_EXAMPLES = [
+  {
+    id: "draft-critique-revise",
+    name: "Draft, critique, revise",
+    /**
+     * @param {string} writer - Qualified model id drafting and revising
+     * @param {string} critic - Qualified model id critiquing, ideally a different model
+     * @returns {Object}
+     */
+    build: (writer, critic) => ({
+      name: "Draft, critique, revise",
+      description: "One model drafts, a second one critiques the draft and the first revises it.",
+      steps: [
+        { id: "draft", model: writer, temperature: 0.7, prompt: "Write a short article about:\n\n{{input}}" },
+        {
+          id: "critique",
+          model: critic,
+          system: "You are a demanding editor. Be specific and brief.",
+          prompt: "List the five biggest weaknesses of this draft:\n\n{{draft}}",
+        },
+        {
+          id: "revise",
+          model: writer,
+          prompt:
+            "Rewrite the draft so it fixes the weaknesses. Answer with the new text only.\n\n" +
+            "Draft:\n{{draft}}\n\nWeaknesses:\n{{critique}}",
+        },
+      ],
+    }),
+  },
+  {
+    id: "map-reduce-summary",
+    name: "Map-reduce summary",
+    build: (writer) => ({
+      name: "Map-reduce summary",
+      description: "Summarises each part of a long document, then combines the part summaries.",
+      steps: [
+        {
+          id: "parts",
+          model: writer,
+          map: "input",
+          chunkSize: 4000,
+          prompt: "Summarise this part of a longer document in a few bullet points:\n\n{{chunk}}",
+        },
+        {
+          id: "summary",
+          model: writer,
+          prompt:
+            "These are summaries of consecutive parts of one document. Combine them into a single summary " +
+            "of at most 200 words.\n\n{{parts}}",
+        },
+      ],
+    }),
+  },
+]
+
+/**
+ * @param {string} id - Id of a PIPELINE_EXAMPLES entry
+ * @param {string[]} models - Qualified ids of available models; the first two are used
+ * @returns {string} - The example as YAML
+ */
+export function exampleSource(id, models) {
+  const example = PIPELINE_EXAMPLES.find((item) => item.id === id) ?? PIPELINE_EXAMPLES[0]
+  const writer = models[0] ?? "ollama/llama3.2"
+  return YAML.stringify(example.build(writer, models[1] ?? writer), { lineWidth: 0 })
+}
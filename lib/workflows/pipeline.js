@@ -0,0 +1,148 @@
+/**
+ * @file pipeline.js
+ * @description Workflow pipelines: a list of steps, each sending a prompt template to a model,
+ * run in order so later steps can use the answers of earlier ones. Definitions are written in
+ * YAML or JSON (JSON is valid YAML):
+ *
+ *   name: Draft, critique, revise
+ *   steps:
+ *     - id: draft
+ *       model: ollama/llama3.2
+ *       prompt: "Write a short article about {{input}}"
+ *     - id: critique
+ *       model: openai/gpt-4o-mini
+ *       system: You are a demanding editor.
+ *       prompt: "List the weaknesses of this draft:\n\n{{draft}}"
+ *     - id: revise
+ *       model: ollama/llama3.2
+ *       prompt: "Rewrite the draft, fixing the weaknesses.\n\nDraft:\n{{draft}}\n\nWeaknesses:\n{{critique}}"
+ *   output: revise            # optional, defaults to the last step
+ *
+ * {{input}} is the text the pipeline is run with and {{<step id>}} the answer of an earlier step.
+ * A step with map: <input or step id> splits that text into chunks of chunkSize characters and
+ * runs its prompt once per {{chunk}}; its answer is the chunk answers joined, e.g. the map half
+ * of a map-reduce summary whose next step combines them. Steps may also set temperature and
+ * maxTokens. Shared by the workflow editor and the server, which runs pipelines (see run.js).
+ */
+
+import YAML from "yaml"
+import { extractVariables } from "@/lib/prompts"
+
+export const INPUT_VARIABLE = "input"
+export const CHUNK_VARIABLE = "chunk"
+export const DEFAULT_CHUNK_SIZE = 4000
+// Keeps a pasted book from turning into hundreds of model calls
+export const MAX_MAP_CHUNKS = 50
+const MAX_STEPS = 20
+const STEP_ID = /^[A-Za-z_][\w-]*$/
+
+/**
+ * A pipeline definition that cannot be parsed or is invalid
+ */
+export class PipelineError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "PipelineError"
+  }
+}
+
+/**
+ * @param {*} value
+ * @param {string} field - For the error message, e.g. 'Step "draft" temperature'
+ * @param {number} min
+ * @param {number} max
+ * @returns {number | undefined}
+ */
+function optionalNumber(value, field, min, max) {
+  if (value === undefined || value === null) return undefined
+  if (typeof value !== "number" || value < min || value > max) {
+    throw new PipelineError(`${field} must be a number from ${min} to ${max}`)
+  }
+  return value
+}
+
+/**
+ * @param {Object} step - As written in the definition
+ * @param {number} index
+ * @param {Set<string>} known - Variables available to the step
+ * @returns {Object} - Normalised step
+ */
+function validateStep(step, index, known) {
+  if (!step || typeof step !== "object" || Array.isArray(step)) {
+    throw new PipelineError(`Step ${index + 1} must be an object`)
+  }
+  const id = step.id ?? `step${index + 1}`
+  if (typeof id !== "string" || !STEP_ID.test(id)) {
+    throw new PipelineError(`Step ${index + 1} has an invalid id; use letters, digits, "_" and "-"`)
+  }
+  if (id === INPUT_VARIABLE || id === CHUNK_VARIABLE || known.has(id)) {
+    throw new PipelineError(`Step id "${id}" is reserved or used twice`)
+  }
+  const label = `Step "${id}"`
+  if (typeof step.model !== "string" || !step.model.trim()) throw new PipelineError(`${label} needs a model`)
+  if (typeof step.prompt !== "string" || !step.prompt.trim()) throw new PipelineError(`${label} needs a prompt`)
+  if (step.system !== undefined && typeof step.system !== "string") {
+    throw new PipelineError(`${label} system must be text`)
+  }
+  if (step.map !== undefined && !known.has(step.map)) {
+    throw new PipelineError(`${label} maps over "${step.map}", which is not the input or an earlier step`)
+  }
+
+  const available = step.map === undefined ? known : new Set([...known, CHUNK_VARIABLE])
+  for (const variable of extractVariables(`${step.system ?? ""}\n${step.prompt}`)) {
+    if (!available.has(variable)) {
+      throw new PipelineError(`${label} uses {{${variable}}}, which is not the input or an earlier step`)
+    }
+  }
+
+  return {
+    id,
+    model: step.model.trim(),
+    prompt: step.prompt,
+    system: step.system ?? "",
+    temperature: optionalNumber(step.temperature, `${label} temperature`, 0, 2),
+    maxTokens: optionalNumber(step.maxTokens, `${label} maxTokens`, 1, 1048576),
+    map: step.map,
+    chunkSize: optionalNumber(step.chunkSize, `${label} chunkSize`, 200, 1000000) ?? DEFAULT_CHUNK_SIZE,
+  }
+}
+
+/**
+ * Parse and validate a pipeline definition
+ * @param {string} source - YAML or JSON
+ * @returns {{name: string, description: string, steps: Object[], output: string}} - Steps have id, model,
+ *   prompt, system, temperature, maxTokens, map and chunkSize; output is the id of the step whose answer
+ *   is the result
+ * @throws {PipelineError}
+ */
+export function parsePipeline(source) {
+  let data
+  try {
+    data = YAML.parse(String(source || ""))
+  } catch (error) {
+    throw new PipelineError(`Not valid YAML or JSON: ${error.message}`)
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new PipelineError("The pipeline must be an object with name and steps")
+  }
+  if (typeof data.name !== "string" || !data.name.trim()) throw new PipelineError("The pipeline needs a name")
+  if (!Array.isArray(data.steps) || data.steps.length === 0) throw new PipelineError("The pipeline needs steps")
+  if (data.steps.length > MAX_STEPS) throw new PipelineError(`A pipeline has at most ${MAX_STEPS} steps`)
+
+  const known = new Set([INPUT_VARIABLE])
+  const steps = data.steps.map((step, index) => {
+    const validated = validateStep(step, index, known)
+    known.add(validated.id)
+    return validated
+  })
+
+  const output = data.output ?? steps[steps.length - 1].id
+  if (!steps.some((step) => step.id === output)) throw new PipelineError(`The output "${output}" is not a step`)
+
+  return {
+    name: data.name.trim(),
+    description: typeof data.description === "string" ? data.description : "",
+    steps,
+    output,
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * @file run.js
+ * @description Run a workflow pipeline (see pipeline.js) step by step on the server. Each model
+ * call goes through the same fallback, retries and completion log as /api/chat. Progress is
+ * reported to onEvent:
+ *
+ *   { type: "step_start", step, model, chunks }       chunks is the number of map calls, 1 otherwise
+ *   { type: "text", step, chunk, text }                streamed answer text of chunk (0 without map)
+ *   { type: "step_end", step, models, output, usage, durationMs }   models that answered
+ *   { type: "done", output, usage, durationMs }
+ *
+ * A failing step stops the run; the error is thrown to the caller. The guardrails of each step's
+ * provider (lib/guardrails.js) apply to its prompt and answer, a blocking rule fails the step.
+ * beforeCall and afterCall see every model call, so the caller can count each against its limits.
+ */
+
+import { CONFIG } from "@/config/constants"
+import { estimateTokens } from "@/lib/context-window"
+import { fillTemplate } from "@/lib/prompts"
+import { chunkText } from "@/lib/rag/chunking"
+import { runChatCompletion } from "@/lib/chat/completion"
+import { openChatWithFallback } from "@/lib/chat/fallback"
+import { createOutputGuard, GuardrailError } from "@/lib/guardrails"
+import { createCompletionLog } from "@/lib/logging/completion-log"
+import { INPUT_VARIABLE, MAX_MAP_CHUNKS, PipelineError } from "@/lib/workflows/pipeline"
+
+// Route the model calls are logged under
+export const WORKFLOW_ROUTE = "/api/workflows/run"
+
+const addUsage = (total, usage) => ({
+  promptTokens: total.promptTokens + usage.promptTokens,
+  completionTokens: total.completionTokens + usage.completionTokens,
+  totalTokens: total.totalTokens + usage.totalTokens,
+})
+
+const emptyUsage = () => ({ promptTokens: 0, completionTokens: 0, totalTokens: 0 })
+
+/**
+ * Send one prompt to a model and collect the answer
+ * @param {Object} options
+ * @param {Object} options.step - Validated step
+ * @param {string} options.prompt - Filled prompt template
+ * @param {string} options.system - Filled system prompt, may be empty
+ * @param {string} options.user - For the completion log
+ * @param {AbortSignal} options.signal
+ * @param {(text: string) => void} options.onText
+ * @returns {Promise<{text: string, model: string, usage: Object}>} - model is the model that answered
+ */
+async function runPrompt({ step, prompt, system, user, signal, onText }) {
+  const messages = [{ role: "user", content: prompt }]
+  const maxTokens = step.maxTokens ?? CONFIG.DEFAULT_MAX_TOKENS
+  const log = createCompletionLog({ route: WORKFLOW_ROUTE, user, model: step.model, stream: true, messages })
+  // Aborts the request when a guardrail stops the answer
+  const stopped = new AbortController()
+  const outputNotices = []
+  try {
+    const opened = await openChatWithFallback({
+      model: step.model,
+      // Steps see only their own prompt, no retrieved documents
+      prompt: { messages, systemPrompt: system, maxTokens, useRetrieval: false },
+      request: {
+        stream: true,
+        temperature: step.temperature ?? CONFIG.DEFAULT_TEMPERATURE,
+        maxTokens,
+        signal: signal ? AbortSignal.any([signal, stopped.signal]) : stopped.signal,
+      },
+    })
+    log.opened(opened)
+
+    let text = ""
+    const outputGuard = createOutputGuard(opened.guardrails.policy)
+    const emit = (released) => {
+      if (!released.text) return
+      text += released.text
+      onText(released.text)
+    }
+    const guard = (released) => {
+      emit(released)
+      outputNotices.push(...released.notices)
+      if (released.blocked) {
+        outputNotices.push(released.blocked)
+        stopped.abort()
+        throw new GuardrailError(released.blocked)
+      }
+    }
+    const result = await runChatCompletion({
+      ...opened.request,
+      events: opened.events,
+      onEvent(event) {
+        if (event.type !== "text") return
+        log.firstToken()
+        if (outputGuard) guard(outputGuard.push(event.text))
+        else emit({ text: event.text })
+      },
+    })
+    if (outputGuard) guard(outputGuard.end())
+    // Not every server reports usage; fall back to estimates as /api/chat does
+    const completionTokens = estimateTokens(text)
+    const usage = result.usage ?? {
+      promptTokens: opened.contextUsage.promptTokens,
+      completionTokens,
+      totalTokens: opened.contextUsage.promptTokens + completionTokens,
+    }
+    log.write({
+      status: "ok",
+      usage,
+      estimated: !result.usage,
+      finishReason: result.finishReason,
+      output: text,
+      guardrails: outputNotices,
+    })
+    return { text, model: opened.model, usage }
+  } catch (error) {
+    const status = error instanceof GuardrailError ? "blocked" : signal?.aborted ? "aborted" : "error"
+    // A prompt the guardrails refused never got an answer to check
+    const refused = error instanceof GuardrailError && !outputNotices.includes(error.notice)
+    log.write({ status, error: error.message || String(error), guardrails: refused ? [error.notice] : outputNotices })
+    throw error
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.pipeline - Result of parsePipeline
+ * @param {string} options.input - Value of {{input}}
+ * @param {string} options.user - Name of the user running it, for the completion log
+ * @param {AbortSignal} [options.signal] - Stops the run
+ * @param {(event: Object) => void} [options.onEvent]
+ * @param {() => Promise<void>} [options.beforeCall] - Awaited before each model call; throwing stops the run
+ * @param {(usage: Object) => Promise<void>} [options.afterCall] - Awaited with the usage of each answered call
+ * @returns {Promise<{output: string, steps: Object[], usage: Object, durationMs: number}>} - output is the
+ *   answer of the pipeline's output step, steps are { id, models, output, usage, durationMs }
+ * @throws {PipelineError} When a map step has nothing or too much to map over
+ * @throws {UpstreamError} When a model fails
+ * @throws {GuardrailError} When a guardrail blocks a prompt or an answer
+ */
+export async function runPipeline({
+  pipeline,
+  input,
+  user,
+  signal,
+  onEvent = () => {},
+  beforeCall = async () => {},
+  afterCall = async () => {},
+}) {
+  const startedAt = Date.now()
+  const values = { [INPUT_VARIABLE]: input }
+  const steps = []
+  let usage = emptyUsage()
+
+  for (const step of pipeline.steps) {
+    const stepStartedAt = Date.now()
+    let chunks = [null]
+    if (step.map) {
+      chunks = chunkText(values[step.map], { chunkSize: step.chunkSize, overlap: 0 })
+      if (chunks.length === 0) throw new PipelineError(`Step "${step.id}" has no text to map over in "${step.map}"`)
+      if (chunks.length > MAX_MAP_CHUNKS) {
+        throw new PipelineError(
+          `Step "${step.id}" would make ${chunks.length} calls, at most ${MAX_MAP_CHUNKS} are allowed; ` +
+            "raise its chunkSize",
+        )
+      }
+    }
+    onEvent({ type: "step_start", step: step.id, model: step.model, chunks: chunks.length })
+
+    const answers = []
+    const models = new Set()
+    let stepUsage = emptyUsage()
+    for (const [index, chunk] of chunks.entries()) {
+      const stepValues = chunk === null ? values : { ...values, chunk }
+      await beforeCall()
+      const answer = await runPrompt({
+        step,
+        prompt: fillTemplate(step.prompt, stepValues),
+        system: fillTemplate(step.system, stepValues),
+        user,
+        signal,
+        onText: (text) => onEvent({ type: "text", step: step.id, chunk: index, text }),
+      })
+      await afterCall(answer.usage)
+      answers.push(answer.text)
+      models.add(answer.model)
+      stepUsage = addUsage(stepUsage, answer.usage)
+    }
+
+    values[step.id] = answers.join("\n\n")
+    usage = addUsage(usage, stepUsage)
+    const result = {
+      id: step.id,
+      models: [...models],
+      output: values[step.id],
+      usage: stepUsage,
+      durationMs: Date.now() - stepStartedAt,
+    }
+    steps.push(result)
+    const { id, ...fields } = result
+    onEvent({ type: "step_end", step: id, ...fields })
+  }
+
+  const durationMs = Date.now() - startedAt
+  onEvent({ type: "done", output: values[pipeline.output], usage, durationMs })
+  return { output: values[pipeline.output], steps, usage, durationMs }
+}
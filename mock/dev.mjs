@@ -0,0 +1,36 @@
+/**
+ * @file dev.mjs
+ * @description npm run dev:mock: the mock LLM server plus `next dev` pointed at it, so the UI can be
+ * worked on without a model. Settings and chats go to .data-mock, away from the real .data.
+ * Arguments are passed to `next dev`, e.g. npm run dev:mock -- -p 3001
+ *
+ *   MOCK_LLM_PORT     Port of the mock server (11435)
+ *   MOCK_CHUNK_SIZE   Bytes per write for every model, see scenarios.mjs
+ *   MOCK_DELAY_MS     Wait before each write for every model; 30 by default so streaming is visible
+ */
+
+import { spawn } from "node:child_process"
+import { join } from "node:path"
+import { fileURLToPath } from "node:url"
+import { DEFAULT_PORT, mockProviderEnv, startMockLlmServer } from "./llm-server.mjs"
+
+const root = fileURLToPath(new URL("..", import.meta.url))
+const defaults = { delayMs: Number(process.env.MOCK_DELAY_MS ?? 30) }
+if (process.env.MOCK_CHUNK_SIZE) defaults.chunkSize = Number(process.env.MOCK_CHUNK_SIZE)
+
+const mock = await startMockLlmServer({ port: Number(process.env.MOCK_LLM_PORT) || DEFAULT_PORT, defaults })
+console.log(`Mock LLM server listening on ${mock.url}, models: ${Object.keys(mock.scenarios).join(", ")}`)
+
+const next = spawn(process.execPath, [join(root, "node_modules/next/dist/bin/next"), "dev", ...process.argv.slice(2)], {
+  cwd: root,
+  stdio: "inherit",
+  env: { ...process.env, ...mockProviderEnv(mock.url), DATA_DIR: process.env.DATA_DIR || ".data-mock" },
+})
+
+// Ctrl+C reaches both processes; close the mock once Next is gone
+next.on("exit", async (code) => {
+  await mock.close()
+  process.exit(code ?? 0)
+})
+process.on("SIGINT", () => {})
+process.on("SIGTERM", () => next.kill("SIGTERM"))
@@ -0,0 +1,247 @@
+/**
+ * @file llm-server.mjs
+ * @description Mock LLM server that replays recorded transcripts (see transcripts.mjs) in place of
+ * real providers, for the test suite and for running the UI without a model:
+ *
+ *   Ollama        GET /api/tags, GET /api/ps, POST /api/show, POST /api/chat, POST /api/embeddings
+ *   Cloudflare    POST /cloudflare/<account>/openai-compatability/workers-ai/v1/chat/completions, .../embeddings
+ *   OpenAI-style  GET /v1/models, POST /v1/chat/completions, POST /v1/embeddings, POST /v1/audio/transcriptions
+ *
+ * How each model answers (chunking, delays, errors) is set by its scenario, see scenarios.mjs.
+ *
+ *   node mock/llm-server.mjs [--port 11435] [--chunk-size 0] [--delay 0]
+ *
+ * prints the environment that points the app at it; npm run dev:mock starts both (mock/dev.mjs).
+ */
+
+import { createServer } from "node:http"
+import { pathToFileURL } from "node:url"
+import { parseArgs } from "node:util"
+import { SCENARIOS } from "./scenarios.mjs"
+import { FORMATS, completeResponse, hasTranscript, loadTranscript, transcriptChunks } from "./transcripts.mjs"
+
+export const DEFAULT_PORT = 11435
+
+// Ollama /api/tags details of every listed model
+const MODEL_DETAILS = { format: "gguf", family: "mock", parameter_size: "1B", quantization_level: "Q4_0" }
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Environment that points every provider of the app at a mock server
+ * @param {string} url - Base URL of the mock server
+ * @returns {Object<string, string>}
+ */
+export function mockProviderEnv(url) {
+  return {
+    OLLAMA_BASE_URL: url,
+    CLOUDFLARE_API_URL: `${url}/cloudflare`,
+    CLOUDFLARE_ACCOUNT_ID: "mock-account",
+    CLOUDFLARE_BEARER_TOKEN: "mock-token",
+    OPENAI_COMPATIBLE_BASE_URL: `${url}/v1`,
+    OPENAI_COMPATIBLE_API_KEY: "mock-key",
+    TRANSCRIPTION_BASE_URL: `${url}/v1`,
+  }
+}
+
+/**
+ * @param {string} model - Model name as the provider receives it
+ * @returns {string} - Scenario name: the part after the last "/", without an Ollama tag
+ */
+function scenarioName(model = "") {
+  return model.split("/").pop().replace(/:[^:]*$/, "")
+}
+
+/**
+ * Deterministic unit vector for a text, so retrieval finds identical text again
+ * @param {string} text
+ * @returns {number[]}
+ */
+function embedding(text) {
+  const vector = new Array(16).fill(0)
+  for (let index = 0; index < text.length; index++) vector[index % 16] += text.charCodeAt(index) / 1000
+  const norm = Math.hypot(...vector) || 1
+  return vector.map((value) => value / norm)
+}
+
+async function readJson(req) {
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  const text = Buffer.concat(chunks).toString("utf8")
+  try {
+    return text ? JSON.parse(text) : {}
+  } catch {
+    return { raw: text }
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Start a mock server
+ * @param {Object} [options]
+ * @param {number} [options.port] - 0 for any free port
+ * @param {string} [options.host]
+ * @param {Object} [options.scenarios] - Replaces SCENARIOS
+ * @param {Object} [options.defaults] - Scenario fields used where a scenario does not set them, e.g. { delayMs: 50 }
+ * @returns {Promise<{url: string, scenarios: Object, requests: Object[], reset: () => void,
+ *   close: () => Promise<void>}>} - scenarios can be changed while the server runs. requests records every request as
+ *   { provider, path, model, scenario, body, closed }; closed is set when the client went away
+ *   before the answer ended.
+ */
+export async function startMockLlmServer({ port = DEFAULT_PORT, host = "127.0.0.1", scenarios, defaults = {} } = {}) {
+  const mock = { scenarios: structuredClone(scenarios ?? SCENARIOS), requests: [] }
+  // Requests per scenario, for failTimes
+  const attempts = new Map()
+
+  const scenarioFor = (model) => ({
+    ...defaults,
+    ...(mock.scenarios[model] ?? mock.scenarios[scenarioName(model)] ?? mock.scenarios.chat),
+  })
+
+  const sendError = (res, format, scenario) => {
+    const message = scenario.message ?? `Mock error ${scenario.status}`
+    const body = format === "ollama" ? { error: message } : { error: { message, type: "server_error" } }
+    sendJson(res, scenario.status, body, scenario.headers)
+  }
+
+  async function replay(res, record, format, scenario, stream) {
+    const count = (attempts.get(record.scenario) ?? 0) + 1
+    attempts.set(record.scenario, count)
+    if (scenario.firstByteDelayMs) await sleep(scenario.firstByteDelayMs)
+    if (scenario.status && (!scenario.failTimes || count <= scenario.failTimes)) return sendError(res, format, scenario)
+
+    const toolResult = record.body.messages?.at(-1)?.role === "tool"
+    const transcript = toolResult && scenario.afterTool ? scenario.afterTool : scenario.transcript
+    if (!hasTranscript(format, transcript)) {
+      return sendError(res, format, { status: 404, message: `No ${format} transcript "${transcript}"` })
+    }
+    const frames = loadTranscript(format, transcript)
+
+    if (!stream) {
+      const { error, body } = completeResponse(format, frames)
+      return sendJson(res, error ? 500 : 200, body)
+    }
+
+    res.writeHead(200, { "Content-Type": FORMATS[format].contentType, "Cache-Control": "no-cache" })
+    const chunks = transcriptChunks(frames, scenario.chunkSize)
+    for (const [index, chunk] of chunks.entries()) {
+      if (scenario.failAfter !== undefined && index >= scenario.failAfter) {
+        // Let what was written reach the client first, or the failure looks like a refused connection
+        await new Promise((resolve) => res.write("", resolve))
+        await sleep(50)
+        res.destroy()
+        return
+      }
+      if (scenario.delayMs) await sleep(scenario.delayMs)
+      if (record.closed) return
+      res.write(chunk)
+    }
+    res.end()
+  }
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, "http://mock")
+    const body = req.method === "POST" ? await readJson(req) : {}
+    let provider = "openai"
+    if (pathname.startsWith("/api/")) provider = "ollama"
+    else if (pathname.startsWith("/cloudflare/")) provider = "cloudflare"
+    const record = { provider, path: pathname, model: body.model, scenario: scenarioName(body.model), body }
+    record.closed = false
+    mock.requests.push(record)
+    res.on("close", () => {
+      if (!res.writableFinished) record.closed = true
+    })
+
+    // Ollama
+    if (req.method === "GET" && pathname === "/api/tags") {
+      const models = Object.entries(mock.scenarios)
+        .filter(([, scenario]) => scenario.status || hasTranscript("ollama", scenario.transcript))
+        .map(([name]) => ({
+          name: `${name}:latest`,
+          model: `${name}:latest`,
+          modified_at: "2025-02-11T09:00:00.000000Z",
+          size: 1321098329,
+          digest: `mock-${name}`,
+          details: MODEL_DETAILS,
+        }))
+      return sendJson(res, 200, { models })
+    }
+    if (req.method === "GET" && pathname === "/api/ps") return sendJson(res, 200, { models: [] })
+    if (req.method === "POST" && pathname === "/api/show") {
+      return sendJson(res, 200, { modelfile: `FROM ${body.model}`, template: "{{ .Prompt }}", details: MODEL_DETAILS })
+    }
+    if (req.method === "POST" && pathname === "/api/chat") {
+      return replay(res, record, "ollama", scenarioFor(body.model), body.stream !== false)
+    }
+    if (req.method === "POST" && pathname === "/api/embeddings") {
+      return sendJson(res, 200, { embedding: embedding(body.prompt ?? "") })
+    }
+
+    // Cloudflare AI Gateway and OpenAI-compatible servers
+    if (req.method === "GET" && pathname.endsWith("/models")) {
+      const data = Object.keys(mock.scenarios).map((id) => ({ id, object: "model", owned_by: "mock" }))
+      return sendJson(res, 200, { object: "list", data })
+    }
+    if (req.method === "POST" && pathname.endsWith("/chat/completions")) {
+      return replay(res, record, "cloudflare", scenarioFor(body.model), body.stream === true)
+    }
+    if (req.method === "POST" && pathname.endsWith("/embeddings")) {
+      const input = Array.isArray(body.input) ? body.input : [body.input ?? ""]
+      const data = input.map((text, index) => ({ object: "embedding", index, embedding: embedding(text) }))
+      return sendJson(res, 200, { object: "list", data, model: body.model })
+    }
+    if (req.method === "POST" && pathname.endsWith("/audio/transcriptions")) {
+      return sendJson(res, 200, { text: "This is what the mock server heard." })
+    }
+
+    sendJson(res, 404, { error: `Mock LLM server has no ${req.method} ${pathname}` })
+  }
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      console.error("Mock LLM server error:", error)
+      if (!res.headersSent) sendJson(res, 500, { error: error.message })
+      else res.destroy()
+    })
+  })
+  await new Promise((resolve, reject) => {
+    server.once("error", reject)
+    server.listen(port, host, resolve)
+  })
+
+  return Object.assign(mock, {
+    url: `http://${host}:${server.address().port}`,
+    reset() {
+      mock.scenarios = structuredClone(scenarios ?? SCENARIOS)
+      mock.requests.length = 0
+      attempts.clear()
+    },
+    close() {
+      server.closeAllConnections()
+      return new Promise((resolve) => server.close(() => resolve()))
+    },
+  })
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: String(DEFAULT_PORT) },
+      "chunk-size": { type: "string" },
+      delay: { type: "string" },
+    },
+  })
+  const defaults = {}
+  if (values["chunk-size"]) defaults.chunkSize = Number(values["chunk-size"])
+  if (values.delay) defaults.delayMs = Number(values.delay)
+
+  const mock = await startMockLlmServer({ port: Number(values.port), defaults })
+  console.log(`Mock LLM server listening on ${mock.url}`)
+  console.log("Point the app at it with:\n")
+  for (const [name, value] of Object.entries(mockProviderEnv(mock.url))) console.log(`${name}=${value}`)
+  console.log(`\nModels: ${Object.keys(mock.scenarios).join(", ")}`)
+}
@@ -0,0 +1,31 @@
+/**
+ * @file scenarios.mjs
+ * @description What the mock LLM server does for each model. A request picks the scenario named
+ * like its model, ignoring the Ollama tag and anything up to the last "/": "ollama/slow:latest" and
+ * "cloudflare/@cf/mock/slow" both get "slow". Unknown models get "chat".
+ *
+ *   transcript        Name of the recording to replay, see transcripts.mjs
+ *   chunkSize         Bytes per write, cutting through JSON and UTF-8 sequences; 0 for one write per line or event
+ *   delayMs           Wait before each write
+ *   firstByteDelayMs  Wait before answering at all
+ *   status, message   Answer with this HTTP error instead, in the provider's error format
+ *   headers           Extra headers of the error response, e.g. Retry-After
+ *   failTimes         Only the first failTimes requests get the error, later ones the transcript
+ *   failAfter         Drop the connection after this many writes
+ *   afterTool         Transcript replayed when the request ends with a tool result, so tool loops finish
+ */
+
+export const SCENARIOS = {
+  chat: { transcript: "chat" },
+  reasoning: { transcript: "reasoning" },
+  "think-tags": { transcript: "think-tags" },
+  tools: { transcript: "tools", afterTool: "chat" },
+  "workers-ai": { transcript: "workers-ai" },
+  slow: { transcript: "chat", delayMs: 400 },
+  bytewise: { transcript: "chat", chunkSize: 1 },
+  "stream-error": { transcript: "error" },
+  disconnect: { transcript: "chat", failAfter: 2 },
+  unavailable: { status: 503, message: "model is loading, try again later" },
+  "rate-limited": { status: 429, message: "Too many requests", headers: { "Retry-After": "1" } },
+  flaky: { transcript: "chat", status: 502, message: "bad gateway", failTimes: 1 },
+}
@@ -0,0 +1,131 @@
+/**
+ * @file transcripts.mjs
+ * @description Recorded upstream responses replayed by the mock LLM server and the parser tests.
+ * A transcript is the raw body of one streamed answer:
+ *
+ *   transcripts/ollama/<name>.ndjson        Ollama's native /api/chat, one JSON object per line
+ *   transcripts/cloudflare/<name>.sse       OpenAI style SSE ("data: {...}" events, "data: [DONE]"),
+ *                                           as sent by the Cloudflare AI Gateway and OpenAI-compatible servers
+ *
+ * A transcript is split into frames (lines or events) and the frames into the chunks the server
+ * writes, so tests can put chunk boundaries anywhere, including inside JSON and UTF-8 sequences.
+ */
+
+import { existsSync, readFileSync } from "node:fs"
+import { dirname, join } from "node:path"
+import { fileURLToPath } from "node:url"
+
+const TRANSCRIPTS_DIR = join(dirname(fileURLToPath(import.meta.url)), "transcripts")
+
+// Wire format of each transcript directory
+export const FORMATS = {
+  ollama: { extension: "ndjson", contentType: "application/x-ndjson" },
+  cloudflare: { extension: "sse", contentType: "text/event-stream" },
+}
+
+/**
+ * @param {"ollama" | "cloudflare"} format
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasTranscript(format, name) {
+  return existsSync(join(TRANSCRIPTS_DIR, format, `${name}.${FORMATS[format].extension}`))
+}
+
+/**
+ * @param {"ollama" | "cloudflare"} format
+ * @param {string} name - File name without the extension
+ * @returns {string[]} - Frames with their line endings: one line of NDJSON, or one SSE event
+ */
+export function loadTranscript(format, name) {
+  const text = readFileSync(join(TRANSCRIPTS_DIR, format, `${name}.${FORMATS[format].extension}`), "utf8")
+  const separator = format === "ollama" ? /(?<=\n)/ : /(?<=\n\n)/
+  return text.split(separator).filter((frame) => frame.trim())
+}
+
+/**
+ * Cut frames into the chunks a server writes
+ * @param {string[]} frames - From loadTranscript
+ * @param {number} [chunkSize] - Bytes per chunk; 0 or unset for one chunk per frame
+ * @returns {Buffer[]}
+ */
+export function transcriptChunks(frames, chunkSize = 0) {
+  if (!chunkSize) return frames.map((frame) => Buffer.from(frame))
+  const bytes = Buffer.from(frames.join(""))
+  const chunks = []
+  for (let start = 0; start < bytes.length; start += chunkSize) chunks.push(bytes.subarray(start, start + chunkSize))
+  return chunks
+}
+
+/**
+ * JSON objects of a transcript's frames; the SSE "[DONE]" marker is left out
+ * @param {"ollama" | "cloudflare"} format
+ * @param {string[]} frames
+ * @returns {Object[]}
+ */
+export function transcriptMessages(format, frames) {
+  return frames
+    .map((frame) => (format === "ollama" ? frame.trim() : frame.trim().replace(/^data: /, "")))
+    .filter((data) => data !== "[DONE]")
+    .map((data) => JSON.parse(data))
+}
+
+/**
+ * The answer of a streamed transcript as a non-streaming response body, for requests with stream: false
+ * @param {"ollama" | "cloudflare"} format
+ * @param {string[]} frames
+ * @returns {{error: string | null, body: Object}} - error is the message of an error in the stream
+ */
+export function completeResponse(format, frames) {
+  const messages = transcriptMessages(format, frames)
+  const failed = messages.find((message) => message.error)
+  if (failed) {
+    const error = typeof failed.error === "string" ? failed.error : failed.error.message
+    return { error, body: format === "ollama" ? { error } : { error: failed.error } }
+  }
+  return { error: null, body: format === "ollama" ? completeOllama(messages) : completeOpenAI(messages) }
+}
+
+// Ollama's /api/chat body: the last line with the message parts joined
+function completeOllama(messages) {
+  const last = messages[messages.length - 1]
+  const message = { role: "assistant", content: "" }
+  for (const { message: part = {} } of messages) {
+    message.content += part.content ?? ""
+    if (part.thinking) message.thinking = (message.thinking ?? "") + part.thinking
+    if (part.tool_calls) message.tool_calls = [...(message.tool_calls ?? []), ...part.tool_calls]
+  }
+  return { ...last, message }
+}
+
+// A chat.completion with the deltas joined, tool call fragments by index
+function completeOpenAI(messages) {
+  const message = { role: "assistant", content: "" }
+  const toolCalls = []
+  let finishReason = "stop"
+  let usage
+  for (const data of messages) {
+    const choice = data.choices?.[0]
+    const delta = choice?.delta ?? {}
+    message.content += delta.content ?? data.response ?? ""
+    if (delta.reasoning_content) message.reasoning_content = (message.reasoning_content ?? "") + delta.reasoning_content
+    for (const call of delta.tool_calls ?? []) {
+      const entry = (toolCalls[call.index ?? 0] ??= { type: "function", function: { name: "", arguments: "" } })
+      entry.id ??= call.id
+      entry.function.name += call.function?.name ?? ""
+      entry.function.arguments += call.function?.arguments ?? ""
+    }
+    if (choice?.finish_reason) finishReason = choice.finish_reason
+    if (data.usage) usage = data.usage
+  }
+  if (toolCalls.length > 0) message.tool_calls = toolCalls
+  const first = messages[0]
+  return {
+    id: first.id ?? "mock-completion",
+    object: "chat.completion",
+    created: first.created ?? Math.floor(Date.now() / 1000),
+    model: first.model ?? "mock",
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    ...(usage && { usage }),
+  }
+}
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict"
+import { after, before, describe, it } from "node:test"
+import { startMockLlmServer } from "../mock/llm-server.mjs"
+import { startApp } from "./support/app.mjs"
+
+async function login(url, body) {
+  const response = await fetch(`${url}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+describe("/api/auth/login", () => {
+  let mock
+  let app
+
+  before(async () => {
+    mock = await startMockLlmServer({ port: 0 })
+    app = await startApp({
+      mockUrl: mock.url,
+      env: { AUTH_USERS: "alice:correct-horse", AUTH_API_KEYS: "bob:bob-key" },
+    })
+  })
+  after(async () => {
+    await app?.stop()
+    await mock?.close()
+  })
+
+  it("signs in with a password or a token", async () => {
+    assert.deepEqual((await login(app.url, { username: "alice", password: "correct-horse" })).body, { user: "alice" })
+    assert.deepEqual((await login(app.url, { token: "bob-key" })).body, { user: "bob" })
+  })
+
+  it("limits token attempts without knowing the client's address", async () => {
+    const statuses = []
+    for (let attempt = 0; attempt < 5; attempt++) statuses.push((await login(app.url, { token: "guess" })).status)
+    // The token sign in of the test before counts too
+    assert.deepEqual(statuses, [401, 401, 401, 401, 429])
+    assert.equal((await login(app.url, { token: "bob-key" })).status, 429)
+  })
+})
@@ -0,0 +1,246 @@
+import assert from "node:assert/strict"
+import { after, before, beforeEach, describe, it } from "node:test"
+import { startMockLlmServer } from "../mock/llm-server.mjs"
+import { defaultGuardrails } from "@/lib/guardrails"
+import { annotationsOf, chat, startApp } from "./support/app.mjs"
+
+const ANSWER = "Hello! I'm a mock model at the café ☕, replaying a transcript."
+
+/**
+ * Guardrails with the standard profile, answers checked, for every provider
+ * @param {Object} profile - Fields of the standard profile to change
+ * @returns {Object}
+ */
+function standardGuardrails(profile) {
+  const guardrails = defaultGuardrails()
+  guardrails.providerProfiles = { ollama: "standard", cloudflare: "standard", openai: "standard" }
+  Object.assign(guardrails.profiles.standard, profile)
+  return guardrails
+}
+
+describe("/api/chat", () => {
+  let mock
+  let app
+
+  before(async () => {
+    mock = await startMockLlmServer({ port: 0 })
+    app = await startApp({ mockUrl: mock.url })
+  })
+  after(async () => {
+    await app?.stop()
+    await mock?.close()
+  })
+  beforeEach(async () => {
+    mock.reset()
+    await app.writeSettings({})
+  })
+
+  it("streams an Ollama answer with its model, usage and finish reason", async () => {
+    const { status, text, annotations } = await chat(app.url, { model: "ollama/chat:latest" })
+    assert.equal(status, 200)
+    assert.equal(text, ANSWER)
+    assert.deepEqual(annotationsOf(annotations, "metadata")[0], {
+      type: "metadata",
+      model: "ollama/chat:latest",
+      provider: "ollama",
+    })
+    assert.equal(annotationsOf(annotations, "metadata")[1].responseModel, "llama3.2:latest")
+    assert.deepEqual(annotationsOf(annotations, "usage"), [
+      { type: "usage", promptTokens: 26, completionTokens: 12, totalTokens: 38, estimated: false },
+    ])
+    assert.equal(annotationsOf(annotations, "finish")[0].reason, "stop")
+
+    const [request] = mock.requests.filter((entry) => entry.path === "/api/chat")
+    assert.equal(request.model, "chat:latest")
+    assert.equal(request.body.messages.at(-1).content, "Hello")
+  })
+
+  it("streams through the Cloudflare gateway", async () => {
+    const { text, annotations } = await chat(app.url, { model: "cloudflare/@cf/meta/llama-3.3-70b-instruct-fp8-fast" })
+    assert.equal(text, ANSWER)
+    assert.equal(annotationsOf(annotations, "metadata")[0].provider, "cloudflare")
+
+    const [request] = mock.requests.filter((entry) => entry.provider === "cloudflare")
+    assert.equal(request.path, "/cloudflare/mock-account/openai-compatability/workers-ai/v1/chat/completions")
+    assert.equal(request.body.stream, true)
+    assert.deepEqual(request.body.stream_options, { include_usage: true })
+  })
+
+  it("reassembles an SSE stream written one byte at a time", async () => {
+    const { text, annotations } = await chat(app.url, { model: "openai/bytewise" })
+    assert.equal(text, ANSWER)
+    assert.equal(annotationsOf(annotations, "usage")[0].totalTokens, 38)
+  })
+
+  it("reads Workers AI's native response shape", async () => {
+    const { text } = await chat(app.url, { model: "cloudflare/@cf/mock/workers-ai" })
+    assert.equal(text, ANSWER)
+  })
+
+  it("sends reasoning as annotations, apart from the answer", async () => {
+    for (const model of ["ollama/reasoning:latest", "openai/reasoning"]) {
+      const { text, annotations } = await chat(app.url, { model })
+      assert.equal(text, "Hi there!", model)
+      const reasoning = annotationsOf(annotations, "reasoning").map((annotation) => annotation.text)
+      assert.equal(reasoning.join(""), "The user wants a greeting, so keep it short.", model)
+      assert.equal(annotationsOf(annotations, "reasoning_end").length, 1, model)
+    }
+  })
+
+  it("takes <think> blocks out of the answer", async () => {
+    const { text, annotations } = await chat(app.url, { model: "ollama/think-tags:latest" })
+    assert.equal(text.trim(), "There are three.")
+    const reasoning = annotationsOf(annotations, "reasoning").map((annotation) => annotation.text)
+    assert.match(reasoning.join(""), /Count the letters/)
+  })
+
+  it("answers without streaming from the provider", async () => {
+    const { text, annotations } = await chat(app.url, { model: "ollama/chat:latest", stream: false })
+    assert.equal(text, ANSWER)
+    assert.equal(annotationsOf(annotations, "usage")[0].totalTokens, 38)
+    assert.equal(mock.requests.find((entry) => entry.path === "/api/chat").body.stream, false)
+  })
+
+  it("runs tool calls and streams the answer that follows", async () => {
+    const { text, annotations } = await chat(app.url, { model: "ollama/tools:latest", useTools: true })
+    assert.deepEqual(annotationsOf(annotations, "tool_result")[0].result, { expression: "6 * 7", result: 42 })
+    assert.equal(text, ANSWER)
+
+    const requests = mock.requests.filter((entry) => entry.path === "/api/chat")
+    assert.equal(requests.length, 2)
+    assert.equal(requests[1].body.messages.at(-1).role, "tool")
+  })
+
+  it("keeps the text streamed before an error inside the stream", async () => {
+    const { status, text, annotations } = await chat(app.url, { model: "ollama/stream-error:latest" })
+    assert.equal(status, 200)
+    assert.equal(text, "Let me think about")
+    assert.match(annotationsOf(annotations, "error")[0].message, /unexpected EOF/)
+  })
+
+  it("reports a connection dropped mid-answer", async () => {
+    const { text, annotations } = await chat(app.url, { model: "ollama/disconnect:latest" })
+    assert.equal(text, "Hello! I'm")
+    assert.equal(annotationsOf(annotations, "error").length, 1)
+  })
+
+  it("answers 502 with the provider's message when the request fails", async () => {
+    const { status, json } = await chat(app.url, { model: "ollama/unavailable:latest" })
+    assert.equal(status, 502)
+    assert.match(json.error, /model is loading/)
+  })
+
+  it("answers 400 for bodies that are not chat requests", async () => {
+    for (const path of ["/api/chat", "/v1/chat/completions"]) {
+      for (const body of ["null", "{", '{"model": "ollama/chat:latest", "messages": [null]}']) {
+        const response = await fetch(`${app.url}${path}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body,
+        })
+        assert.equal(response.status, 400, `${path} ${body}`)
+      }
+    }
+    assert.equal(mock.requests.length, 0)
+  })
+
+  it("answers 404 for a model the deny list excludes", async () => {
+    await app.writeSettings({ modelDenyList: ["ollama/chat:*"] })
+    const { status } = await chat(app.url, { model: "ollama/chat:latest" })
+    assert.equal(status, 404)
+    assert.equal(mock.requests.filter((entry) => entry.path === "/api/chat").length, 0)
+  })
+
+  it("checks reasoning with the guardrails", async () => {
+    await app.writeSettings({ guardrails: standardGuardrails({ terms: ["greeting"], termAction: "redact" }) })
+    for (const model of ["ollama/reasoning:latest", "openai/reasoning"]) {
+      const { text, annotations } = await chat(app.url, { model })
+      assert.equal(text, "Hi there!", model)
+      const reasoning = annotationsOf(annotations, "reasoning").map((annotation) => annotation.text)
+      assert.equal(reasoning.join(""), "The user wants a [term], so keep it short.", model)
+      assert.equal(annotationsOf(annotations, "guardrail")[0].rule, "term", model)
+    }
+  })
+
+  it("stops the answer when its reasoning turns to a blocked topic", async () => {
+    await app.writeSettings({ guardrails: standardGuardrails({ blockedTopics: ["greeting"] }) })
+    const { text, annotations } = await chat(app.url, { model: "ollama/reasoning:latest" })
+    assert.equal(text, "")
+    assert.ok(!annotationsOf(annotations, "reasoning").some((annotation) => annotation.text.includes("greeting")))
+    assert.equal(annotationsOf(annotations, "guardrail").at(-1).topic, "greeting")
+    assert.equal(annotationsOf(annotations, "finish")[0].reason, "content_filter")
+  })
+
+  it("checks tool calls and results before they are shown or sent back", async () => {
+    await app.writeSettings({ guardrails: standardGuardrails({ terms: ["6 * 7"], termAction: "redact" }) })
+    const { annotations } = await chat(app.url, { model: "ollama/tools:latest", useTools: true })
+    assert.deepEqual(annotationsOf(annotations, "tool_result")[0].result, { expression: "[term]", result: 42 })
+    assert.ok(annotationsOf(annotations, "guardrail").some((notice) => notice.stage === "input"))
+
+    const requests = mock.requests.filter((entry) => entry.path === "/api/chat")
+    assert.match(requests[1].body.messages.at(-1).content, /\[term\]/)
+    assert.doesNotMatch(requests[1].body.messages.at(-1).content, /6 \* 7/)
+  })
+
+  it("refuses a prompt whose text attachment a rule blocks", async () => {
+    await app.writeSettings({ guardrails: standardGuardrails({ terms: ["project x"], termAction: "block" }) })
+    const { status, json } = await chat(app.url, {
+      model: "ollama/chat:latest",
+      messages: [
+        { role: "user", content: "Summarize this", attachments: [{ kind: "text", name: "a.txt", text: "Project X" }] },
+      ],
+    })
+    assert.equal(status, 400)
+    assert.equal(json.guardrail.rule, "term")
+    assert.equal(mock.requests.filter((entry) => entry.path === "/api/chat").length, 0)
+  })
+
+  it("stops the summary of earlier turns when the client goes away", async () => {
+    mock.scenarios.stalled = { transcript: "chat", firstByteDelayMs: 3000 }
+    const turn = (role, index) => ({ role, content: `Turn ${index}: ${"lorem ipsum ".repeat(40)}` })
+    const history = Array.from({ length: 8 }, (_, index) => turn(index % 2 ? "assistant" : "user", index))
+    const controller = new AbortController()
+    const answer = chat(
+      app.url,
+      {
+        model: "ollama/stalled:latest",
+        messages: [...history, { role: "user", content: "Hello" }],
+        summarizeHistory: true,
+        maxTokens: 64,
+        parameters: { numCtx: 512 },
+      },
+      { signal: controller.signal },
+    ).catch((error) => error)
+
+    let summary
+    for (let waited = 0; !summary && waited < 5000; waited += 50) {
+      await new Promise((resolve) => setTimeout(resolve, 50))
+      summary = mock.requests.find((entry) => entry.path === "/api/chat" && entry.body.stream === false)
+    }
+    assert.match(summary.body.messages[0].content, /^Summarise the conversation/)
+    controller.abort()
+    assert.equal((await answer).name, "AbortError")
+    for (let waited = 0; !summary.closed && waited < 2000; waited += 50) {
+      await new Promise((resolve) => setTimeout(resolve, 50))
+    }
+    assert.equal(summary.closed, true)
+  })
+
+  it("stops the provider request when the client goes away", async () => {
+    const controller = new AbortController()
+    const response = await fetch(`${app.url}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model: "ollama/slow:latest", messages: [{ role: "user", content: "Hi" }], stream: true }),
+      signal: controller.signal,
+    })
+    await response.body.getReader().read()
+    controller.abort()
+
+    const request = mock.requests.find((entry) => entry.path === "/api/chat")
+    for (let waited = 0; !request.closed && waited < 5000; waited += 100) {
+      await new Promise((resolve) => setTimeout(resolve, 100))
+    }
+    assert.equal(request.closed, true)
+  })
+})
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict"
+import { after, before, describe, it } from "node:test"
+import { startMockLlmServer } from "../mock/llm-server.mjs"
+import { startApp } from "./support/app.mjs"
+
+const USERS = { alice: "alice-key", bob: "bob-key" }
+
+const WORKFLOW = "name: Echo\nsteps:\n  - id: answer\n    model: ollama/chat:latest\n    prompt: '{{input}}'\n"
+
+describe("server side conversations and workflows", () => {
+  let mock
+  let app
+
+  // fetch as one of USERS, with a JSON body when one is given; a string body is sent as it is
+  const request = async (user, path, method = "GET", body) => {
+    const response = await fetch(`${app.url}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${USERS[user]}`,
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+      },
+      body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+    })
+    return { status: response.status, body: await response.json().catch(() => null) }
+  }
+
+  before(async () => {
+    mock = await startMockLlmServer({ port: 0 })
+    const keys = Object.entries(USERS).map(([name, key]) => `${name}:${key}`)
+    app = await startApp({ mockUrl: mock.url, env: { AUTH_API_KEYS: keys.join(",") } })
+  })
+  after(async () => {
+    await app?.stop()
+    await mock?.close()
+  })
+
+  it("keeps each user's conversations to that user", async () => {
+    const conversation = { id: crypto.randomUUID(), title: "Alice's chat", messages: [{ role: "user", content: "Hi" }] }
+    assert.equal((await request("alice", "/api/conversations", "POST", conversation)).status, 201)
+    const path = `/api/conversations/${conversation.id}`
+
+    const ids = (await request("alice", "/api/conversations")).body.map((summary) => summary.id)
+    assert.deepEqual(ids, [conversation.id])
+    assert.deepEqual((await request("bob", "/api/conversations")).body, [])
+    assert.equal((await request("bob", path)).status, 404)
+    assert.equal((await request("bob", path, "PUT", { ...conversation, title: "Bob's now" })).status, 404)
+    assert.equal((await request("bob", path, "PATCH", { title: "Bob's now" })).status, 404)
+    assert.equal((await request("bob", path, "DELETE")).status, 404)
+    assert.equal((await request("bob", "/api/conversations", "POST", conversation)).status, 409)
+
+    const stored = await request("alice", path)
+    assert.equal(stored.status, 200)
+    assert.equal(stored.body.title, "Alice's chat")
+    assert.equal(stored.body.createdBy, "alice")
+    assert.equal((await request("alice", path, "DELETE")).status, 200)
+  })
+
+  it("keeps each user's workflows to that user", async () => {
+    const created = await request("alice", "/api/workflows", "POST", { source: WORKFLOW })
+    assert.equal(created.status, 201)
+    const path = `/api/workflows/${created.body.id}`
+
+    assert.equal((await request("alice", "/api/workflows")).body.length, 1)
+    assert.deepEqual((await request("bob", "/api/workflows")).body, [])
+    assert.equal((await request("bob", path)).status, 404)
+    assert.equal((await request("bob", path, "PUT", { source: WORKFLOW })).status, 404)
+    assert.equal((await request("bob", path, "DELETE")).status, 404)
+    const run = await request("bob", "/api/workflows/run", "POST", { id: created.body.id, input: "Hi", stream: false })
+    assert.equal(run.status, 404)
+
+    assert.equal((await request("alice", path)).status, 200)
+    assert.equal((await request("alice", path, "DELETE")).status, 200)
+  })
+
+  it("answers 400 for bodies that are not a conversation or a workflow", async () => {
+    const path = `/api/conversations/${crypto.randomUUID()}`
+    for (const body of ["null", "{", '{"messages": [null]}', '{"messages": "Hi"}']) {
+      assert.equal((await request("alice", "/api/conversations", "POST", body)).status, 400, body)
+      assert.equal((await request("alice", path, "PUT", body)).status, 400, body)
+    }
+    assert.equal((await request("alice", path, "PATCH", "null")).status, 400)
+    for (const body of ["null", "{"]) {
+      assert.equal((await request("alice", "/api/workflows", "POST", body)).status, 400, body)
+      assert.equal((await request("alice", "/api/workflows/run", "POST", body)).status, 400, body)
+    }
+    assert.deepEqual((await request("alice", "/api/conversations")).body, [])
+  })
+})
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict"
+import { after, before, beforeEach, describe, it } from "node:test"
+import { startMockLlmServer } from "../mock/llm-server.mjs"
+import { startApp } from "./support/app.mjs"
+
+// Nothing listens on port 1, so requests to it are refused
+const UNREACHABLE_URL = "http://127.0.0.1:1"
+
+async function listModels(url) {
+  const response = await fetch(`${url}/api/models`)
+  return { status: response.status, headers: response.headers, body: await response.json() }
+}
+
+describe("/api/models", () => {
+  let mock
+  let app
+
+  before(async () => {
+    mock = await startMockLlmServer({ port: 0 })
+    app = await startApp({ mockUrl: mock.url })
+  })
+  after(async () => {
+    await app?.stop()
+    await mock?.close()
+  })
+  beforeEach(async () => {
+    mock.reset()
+    await app.writeSettings({})
+  })
+
+  it("lists the models of every provider", async () => {
+    const { status, headers, body } = await listModels(app.url)
+    assert.equal(status, 200)
+    assert.equal(headers.get("X-Provider-Errors"), null)
+    const ids = body.map((model) => model.id)
+    assert.ok(ids.includes("ollama/chat:latest"))
+    assert.ok(ids.includes("openai/chat"))
+    assert.ok(ids.includes("cloudflare/@cf/meta/llama-3.3-70b-instruct-fp8-fast"))
+    // Ollama only lists models it has a transcript for
+    assert.ok(!ids.includes("ollama/workers-ai:latest"))
+
+    const local = body.find((model) => model.id === "ollama/chat:latest")
+    assert.deepEqual(local, {
+      id: "ollama/chat:latest",
+      provider: "ollama",
+      name: "chat:latest",
+      details: { size: 1321098329, family: "mock", parameterSize: "1B", quantization: "Q4_0" },
+    })
+  })
+
+  it("applies the model allow list", async () => {
+    await app.writeSettings({ modelAllowList: ["ollama/*"] })
+    const { body } = await listModels(app.url)
+    assert.ok(body.length > 0)
+    assert.ok(body.every((model) => model.provider === "ollama"))
+  })
+
+  it("still lists the other providers when one is unreachable", async () => {
+    await app.writeSettings({ providers: { openai: { baseUrl: UNREACHABLE_URL } } })
+    const { status, headers, body } = await listModels(app.url)
+    assert.equal(status, 200)
+    assert.ok(body.some((model) => model.provider === "ollama"))
+    assert.ok(!body.some((model) => model.provider === "openai"))
+    const errors = JSON.parse(decodeURIComponent(headers.get("X-Provider-Errors")))
+    assert.deepEqual(
+      errors.map((error) => error.provider),
+      ["openai"],
+    )
+  })
+
+  it("answers 502 when no provider is reachable", async () => {
+    await app.writeSettings({
+      enabledProviders: ["ollama", "openai"],
+      providers: { ollama: { baseUrl: UNREACHABLE_URL }, openai: { baseUrl: UNREACHABLE_URL } },
+    })
+    const { status, body } = await listModels(app.url)
+    assert.equal(status, 502)
+    assert.match(body.error, /No provider is reachable/)
+    assert.deepEqual(body.providers.map((error) => error.provider).sort(), ["ollama", "openai"])
+  })
+})
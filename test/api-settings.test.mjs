@@ -0,0 +1,107 @@
+import assert from "node:assert/strict"
+import { readFile } from "node:fs/promises"
+import { join } from "node:path"
+import { after, before, describe, it } from "node:test"
+import { startMockLlmServer } from "../mock/llm-server.mjs"
+import { startApp } from "./support/app.mjs"
+
+async function getSettings(url) {
+  const response = await fetch(`${url}/api/admin/settings`)
+  return { status: response.status, body: await response.json() }
+}
+
+async function putSettings(url, settings) {
+  const response = await fetch(`${url}/api/admin/settings`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(settings),
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+/**
+ * The masked settings of GET as a PUT body that leaves every secret out
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function withoutSecretFlags(settings) {
+  const providers = Object.fromEntries(
+    Object.entries(settings.providers).map(([id, fields]) => [
+      id,
+      Object.fromEntries(Object.entries(fields).filter(([field]) => !field.endsWith("Set"))),
+    ]),
+  )
+  return { ...settings, providers }
+}
+
+describe("/api/admin/settings", () => {
+  let mock
+
+  before(async () => {
+    mock = await startMockLlmServer({ port: 0 })
+  })
+  after(async () => {
+    await mock?.close()
+  })
+
+  describe("while authentication is off", () => {
+    let app
+
+    before(async () => {
+      app = await startApp({ mockUrl: mock.url })
+    })
+    after(async () => {
+      await app?.stop()
+    })
+
+    it("shows the settings but refuses to save them", async () => {
+      const { status, body } = await getSettings(app.url)
+      assert.equal(status, 200)
+      assert.equal(body.editable, false)
+      assert.equal(body.settings.providers.openai.apiKeySet, true)
+
+      const saved = await putSettings(app.url, withoutSecretFlags(body.settings))
+      assert.equal(saved.status, 403)
+      assert.match(saved.body.error, /ALLOW_ANONYMOUS_SETTINGS/)
+    })
+  })
+
+  describe("with ALLOW_ANONYMOUS_SETTINGS", () => {
+    let app
+
+    before(async () => {
+      app = await startApp({ mockUrl: mock.url, env: { ALLOW_ANONYMOUS_SETTINGS: "true" } })
+    })
+    after(async () => {
+      await app?.stop()
+    })
+
+    const storedProviders = async () =>
+      JSON.parse(await readFile(join(app.dataDir, "settings.json"), "utf8")).providers
+
+    it("keeps a secret that was left out while its URL stays the same", async () => {
+      const { body } = await getSettings(app.url)
+      assert.equal(body.editable, true)
+      const saved = await putSettings(app.url, withoutSecretFlags(body.settings))
+      assert.equal(saved.status, 200)
+      assert.equal((await storedProviders()).openai.apiKey, "mock-key")
+    })
+
+    it("clears a secret that was left out when its URL changes", async () => {
+      const { body } = await getSettings(app.url)
+      const settings = withoutSecretFlags(body.settings)
+      settings.providers.openai.baseUrl = "https://attacker.example/v1"
+      const saved = await putSettings(app.url, settings)
+      assert.equal(saved.status, 200)
+      assert.equal(saved.body.settings.providers.openai.apiKeySet, false)
+
+      const providers = await storedProviders()
+      assert.equal(providers.openai.apiKey, "")
+      assert.equal(providers.cloudflare.apiToken, "mock-token")
+    })
+
+    it("answers 400 for a body that is not settings", async () => {
+      assert.equal((await putSettings(app.url, null)).status, 400)
+    })
+  })
+})
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict"
+import { after, before, describe, it } from "node:test"
+import { startMockLlmServer } from "../mock/llm-server.mjs"
+import { startApp } from "./support/app.mjs"
+
+const CONVERSATION = {
+  id: "conversation-1",
+  title: "Greetings",
+  messages: [
+    { id: "m1", role: "user", content: "Hello" },
+    { id: "m2", role: "assistant", content: "Hi there!" },
+  ],
+}
+
+async function share(url, conversation) {
+  const response = await fetch(`${url}/api/shares`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ conversation }),
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+describe("/api/shares", () => {
+  let mock
+  let app
+
+  before(async () => {
+    mock = await startMockLlmServer({ port: 0 })
+    app = await startApp({ mockUrl: mock.url })
+  })
+  after(async () => {
+    await app?.stop()
+    await mock?.close()
+  })
+
+  it("shares a snapshot and reads it by its link", async () => {
+    const { status, body } = await share(app.url, CONVERSATION)
+    assert.equal(status, 201)
+    assert.equal(body.messageCount, 2)
+
+    const response = await fetch(`${app.url}/api/shares/${body.id}`)
+    assert.equal(response.status, 200)
+    assert.deepEqual((await response.json()).messages.map((message) => message.content), ["Hello", "Hi there!"])
+  })
+
+  it("answers 400 for bodies that are not a conversation to share", async () => {
+    for (const body of ["null", "{", '{"conversation": {"messages": [null]}}']) {
+      const response = await fetch(`${app.url}/api/shares`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+      })
+      assert.equal(response.status, 400, body)
+    }
+  })
+
+  it("answers 404 for ids that are not share links", async () => {
+    await share(app.url, CONVERSATION)
+    for (const id of ["index", "shares-index", "..%2Fshares-index"]) {
+      assert.equal((await fetch(`${app.url}/api/shares/${id}`)).status, 404, id)
+      assert.equal((await fetch(`${app.url}/api/shares/${id}`, { method: "DELETE" })).status, 404, id)
+    }
+    const list = await (await fetch(`${app.url}/api/shares`)).json()
+    assert.ok(list.length > 0)
+  })
+})
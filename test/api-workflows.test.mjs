@@ -0,0 +1,55 @@
+import assert from "node:assert/strict"
+import { after, before, describe, it } from "node:test"
+import { startMockLlmServer } from "../mock/llm-server.mjs"
+import { readJsonLines } from "../lib/http.js"
+import { startApp } from "./support/app.mjs"
+
+// One call per 200 character chunk of the input
+const MAP_WORKFLOW = [
+  "name: Map",
+  "steps:",
+  "  - id: each",
+  "    model: ollama/chat:latest",
+  "    map: input",
+  "    chunkSize: 200",
+  "    prompt: 'Summarise {{chunk}}'",
+].join("\n")
+
+async function run(url, body) {
+  const response = await fetch(`${url}/api/workflows/run`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ source: MAP_WORKFLOW, ...body }),
+  })
+  if (!response.ok) return { status: response.status, body: await response.json() }
+  const events = []
+  for await (const event of readJsonLines(response.body)) events.push(event)
+  return { status: response.status, events }
+}
+
+describe("/api/workflows/run", () => {
+  let mock
+  let app
+
+  before(async () => {
+    mock = await startMockLlmServer({ port: 0 })
+    app = await startApp({ mockUrl: mock.url, env: { QUOTA_DAILY_REQUESTS: "3" } })
+  })
+  after(async () => {
+    await app?.stop()
+    await mock?.close()
+  })
+
+  it("counts every model call of a run against the request quota", async () => {
+    const input = Array.from({ length: 5 }, (_, index) => `Sentence ${index}: ${"word ".repeat(30)}`).join("\n\n")
+    const { status, events } = await run(app.url, { input })
+    assert.equal(status, 200)
+    assert.equal(events.find((event) => event.type === "step_start").chunks, 5)
+    const error = events.find((event) => event.type === "error")
+    assert.match(error.message, /Daily request quota of 3 reached/)
+    assert.equal(mock.requests.filter((entry) => entry.path === "/api/chat").length, 3)
+
+    const refused = await run(app.url, { input: "Hi", stream: false })
+    assert.equal(refused.status, 429)
+  })
+})
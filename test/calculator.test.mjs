@@ -0,0 +1,20 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { evaluate } from "@/lib/tools/calculator"
+
+describe("evaluate", () => {
+  it("follows operator precedence and associativity", () => {
+    assert.equal(evaluate("2 + 3 * 4"), 14)
+    assert.equal(evaluate("2 ^ 3 ^ 2"), 512)
+    assert.equal(evaluate("-2 ** 2"), -4)
+    assert.equal(evaluate("max(1, sqrt(16), 3) % 3"), 1)
+    assert.equal(evaluate("2 * PI"), 2 * Math.PI)
+  })
+
+  it("rejects names the tables only inherit", () => {
+    for (const name of ["constructor", "__proto__"]) {
+      assert.throws(() => evaluate(name), { message: `Unknown token "${name}"` })
+      assert.throws(() => evaluate(`${name}(1)`), { message: `Unknown token "${name}"` })
+    }
+  })
+})
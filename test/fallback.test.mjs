@@ -0,0 +1,98 @@
+import assert from "node:assert/strict"
+import { after, before, beforeEach, describe, it } from "node:test"
+import { startMockLlmServer } from "../mock/llm-server.mjs"
+import { annotationsOf, chat, startApp } from "./support/app.mjs"
+
+const ANSWER = "Hello! I'm a mock model at the café ☕, replaying a transcript."
+
+describe("model fallback", () => {
+  let mock
+  let app
+
+  // Requests the mock received for a scenario
+  const requestsFor = (scenario) => mock.requests.filter((entry) => entry.scenario === scenario)
+
+  before(async () => {
+    mock = await startMockLlmServer({ port: 0 })
+    app = await startApp({
+      mockUrl: mock.url,
+      env: { FALLBACK_MODELS: "openai/chat,ollama/chat:latest", UPSTREAM_MAX_RETRIES: "1" },
+    })
+  })
+  after(async () => {
+    await app?.stop()
+    await mock?.close()
+  })
+  beforeEach(async () => {
+    mock.reset()
+    await app.writeSettings({})
+  })
+
+  it("answers with the first fallback model when the requested one fails", async () => {
+    const { status, text, annotations } = await chat(app.url, { model: "ollama/unavailable:latest" })
+    assert.equal(status, 200)
+    assert.equal(text, ANSWER)
+
+    const [metadata] = annotationsOf(annotations, "metadata")
+    assert.equal(metadata.model, "openai/chat")
+    assert.equal(metadata.requestedModel, "ollama/unavailable:latest")
+    assert.equal(metadata.fallbacks.length, 1)
+    assert.equal(metadata.fallbacks[0].model, "ollama/unavailable:latest")
+    assert.match(metadata.fallbacks[0].error, /model is loading/)
+    // Tried once more before falling back
+    assert.equal(requestsFor("unavailable").length, 2)
+  })
+
+  it("retries a passing failure without falling back", async () => {
+    const { text, annotations } = await chat(app.url, { model: "ollama/flaky:latest" })
+    assert.equal(text, ANSWER)
+    const [metadata] = annotationsOf(annotations, "metadata")
+    assert.equal(metadata.model, "ollama/flaky:latest")
+    assert.equal(metadata.fallbacks, undefined)
+    assert.equal(requestsFor("flaky").length, 2)
+  })
+
+  it("skips fallback models that are not served", async () => {
+    await app.writeSettings({ modelDenyList: ["openai/*"] })
+    const { text, annotations } = await chat(app.url, { model: "ollama/unavailable:latest" })
+    assert.equal(text, ANSWER)
+    assert.equal(annotationsOf(annotations, "metadata")[0].model, "ollama/chat:latest")
+    assert.equal(mock.requests.filter((entry) => entry.provider === "openai").length, 0)
+  })
+
+  it("does not fall back when the request asks not to", async () => {
+    const { status, json } = await chat(app.url, { model: "ollama/unavailable:latest", allowFallback: false })
+    assert.equal(status, 502)
+    assert.match(json.error, /model is loading/)
+    assert.equal(requestsFor("chat").length, 0)
+  })
+
+  it("does not fall back once the answer has started", async () => {
+    const { text, annotations } = await chat(app.url, { model: "ollama/stream-error:latest" })
+    assert.equal(text, "Let me think about")
+    assert.equal(annotationsOf(annotations, "error").length, 1)
+    assert.equal(requestsFor("chat").length, 0)
+  })
+
+  it("answers 502 when every model fails", async () => {
+    mock.scenarios.chat = { status: 500, message: "out of memory" }
+    const { status, json } = await chat(app.url, { model: "ollama/unavailable:latest" })
+    assert.equal(status, 502)
+    assert.match(json.error, /out of memory/)
+    // The requested model and both fallbacks, each with one retry
+    assert.equal(requestsFor("unavailable").length, 2)
+    assert.equal(requestsFor("chat").length, 4)
+  })
+
+  it("falls back on the OpenAI-compatible API too", async () => {
+    const response = await fetch(`${app.url}/v1/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model: "ollama/unavailable:latest", messages: [{ role: "user", content: "Hello" }] }),
+    })
+    assert.equal(response.status, 200)
+    const body = await response.json()
+    assert.equal(body.choices[0].message.content, ANSWER)
+    assert.equal(body.model, "openai/chat")
+  })
+})
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { createElement } from "react"
+import { renderToStaticMarkup } from "react-dom/server"
+import ReactMarkdown from "react-markdown"
+import remarkGfm from "remark-gfm"
+import remarkMath from "remark-math"
+import rehypeKatex from "rehype-katex"
+import { normalizeMathDelimiters, splitMarkdownBlocks } from "@/lib/markdown"
+
+// The plugins of components/chat/markdown.js
+const render = (markdown) =>
+  renderToStaticMarkup(
+    createElement(ReactMarkdown, { remarkPlugins: [remarkGfm, remarkMath], rehypePlugins: [rehypeKatex] }, markdown),
+  )
+
+// What the chat renders: every block on its own
+const renderBlocks = (content) => splitMarkdownBlocks(content).map(render).join("\n")
+
+describe("splitMarkdownBlocks", () => {
+  it("splits top-level blocks", () => {
+    const blocks = splitMarkdownBlocks("# Title\n\nA paragraph.\n\n- one\n- two\n\n```js\nlet a\n\nlet b\n```\n")
+    assert.deepEqual(blocks, ["# Title", "A paragraph.", "- one\n- two", "```js\nlet a\n\nlet b\n```\n"])
+  })
+
+  it("resolves reference links defined in another block", () => {
+    const content =
+      "See [the docs][docs] and [this][1].\n\nMore text.\n\n" +
+      '[docs]: https://example.com/docs\n[1]: <https://example.com/one> "One"'
+    const html = renderBlocks(content)
+    assert.match(html, /<a href="https:\/\/example.com\/docs">the docs<\/a>/)
+    assert.match(html, /<a href="https:\/\/example.com\/one" title="One">this<\/a>/)
+    assert.equal(html, render(content))
+    assert.ok(!html.includes("[1]"))
+  })
+
+  it("keeps the definitions out of a code block that is still streaming", () => {
+    const blocks = splitMarkdownBlocks("[x][1]\n\n[1]: https://example.com\n\n```js\nconst a = 1")
+    assert.equal(render(blocks.at(-1)), render("```js\nconst a = 1"))
+  })
+
+  it("leaves a message with footnotes in one piece", () => {
+    const content = "A claim[^1] and another[^note].\n\nMore text.\n\n[^1]: First source.\n[^note]: Second source."
+    assert.deepEqual(splitMarkdownBlocks(content), [content])
+    const html = renderBlocks(content)
+    assert.match(html, /<section data-footnotes="true"/)
+    assert.equal((html.match(/data-footnote-ref="true"/g) ?? []).length, 2)
+  })
+
+  it("does not treat a footnote definition inside code as one", () => {
+    assert.equal(splitMarkdownBlocks("Text\n\n```\n[^1]: not a footnote\n```\n").length, 2)
+  })
+
+  it("keeps display math across blank lines in one block", () => {
+    const content = "Before\n\n$$\na = 1\n\nb = 2\n$$\n\nAfter"
+    const blocks = splitMarkdownBlocks(content)
+    assert.deepEqual(blocks, ["Before", "$$\na = 1\n\nb = 2\n$$", "After"])
+    assert.equal(renderBlocks(content), render(content))
+    assert.equal((renderBlocks(content).match(/class="katex-display"/g) ?? []).length, 1)
+  })
+
+  it("keeps unclosed display math in the last block while it streams", () => {
+    assert.deepEqual(splitMarkdownBlocks("Intro\n\n$$\na = 1\n\nb"), ["Intro", "$$\na = 1\n\nb"])
+  })
+
+  it("does not count $$ inside code", () => {
+    assert.equal(splitMarkdownBlocks("Use `$$` for display math.\n\nNext paragraph.").length, 2)
+  })
+})
+
+describe("normalizeMathDelimiters", () => {
+  it("rewrites \\[ \\] and \\( \\) outside code", () => {
+    assert.equal(normalizeMathDelimiters("\\(x\\) and `\\(y\\)`"), "$x$ and `\\(y\\)`")
+    assert.equal(normalizeMathDelimiters("\\[ x^2 \\]"), "\n$$\nx^2\n$$\n")
+  })
+})
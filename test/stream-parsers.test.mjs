@@ -0,0 +1,186 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import {
+  createOllamaParser,
+  createParser,
+  parseUpstreamStream,
+  transformCloudflareStream,
+} from "@/lib/providers/stream"
+import { loadTranscript, transcriptChunks } from "../mock/transcripts.mjs"
+
+// Chunk sizes in bytes; 0 is one chunk per line or event. 1 and 2 also split "☕" and "é".
+const CHUNK_SIZES = [0, 1, 2, 7, 64, 100000]
+
+/**
+ * Feed chunks to a parser the way parseUpstreamStream does
+ * @returns {Object[]} - The events
+ */
+function parse(parserFactory, chunks) {
+  const events = []
+  const parser = parserFactory(new TextDecoder(), { enqueue: (event) => events.push(event) })
+  for (const chunk of chunks) parser(new Uint8Array(chunk))
+  parser.flush()
+  return events
+}
+
+function parseTranscript(parserFactory, format, name, chunkSize = 0) {
+  return parse(parserFactory, transcriptChunks(loadTranscript(format, name), chunkSize))
+}
+
+function bodyOf(chunks) {
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(new Uint8Array(chunk))
+      controller.close()
+    },
+  })
+}
+
+const textOf = (events, type = "text") =>
+  events
+    .filter((event) => event.type === type)
+    .map((event) => event.text)
+    .join("")
+const ofType = (events, type) => events.filter((event) => event.type === type)
+
+const ANSWER = "Hello! I'm a mock model at the café ☕, replaying a transcript."
+const USAGE = { type: "usage", promptTokens: 26, completionTokens: 12, totalTokens: 38 }
+
+describe("createParser (OpenAI style SSE)", () => {
+  for (const name of ["chat", "workers-ai", "reasoning", "tools", "error"]) {
+    it(`parses the ${name} transcript the same at any chunk boundary`, () => {
+      const expected = parseTranscript(createParser, "cloudflare", name)
+      for (const size of CHUNK_SIZES) {
+        const events = parseTranscript(createParser, "cloudflare", name, size)
+        assert.deepEqual(events, expected, `chunks of ${size} bytes`)
+      }
+    })
+  }
+
+  it("reads content deltas, the model, the finish reason and usage", () => {
+    const events = parseTranscript(createParser, "cloudflare", "chat", 1)
+    assert.equal(textOf(events), ANSWER)
+    assert.deepEqual(ofType(events, "metadata"), [
+      { type: "metadata", responseModel: "@cf/meta/llama-3.3-70b-instruct-fp8-fast" },
+    ])
+    assert.deepEqual(ofType(events, "finish"), [{ type: "finish", reason: "stop" }])
+    assert.deepEqual(ofType(events, "usage"), [USAGE])
+  })
+
+  it("reads Workers AI's native response shape", () => {
+    const events = parseTranscript(createParser, "cloudflare", "workers-ai", 7)
+    assert.equal(textOf(events), ANSWER)
+    assert.deepEqual(ofType(events, "usage"), [USAGE])
+  })
+
+  it("keeps reasoning_content apart from the answer", () => {
+    const events = parseTranscript(createParser, "cloudflare", "reasoning", 2)
+    assert.equal(textOf(events, "reasoning"), "The user wants a greeting, so keep it short.")
+    assert.equal(textOf(events), "Hi there!")
+  })
+
+  it("emits tool call fragments that join into the arguments", () => {
+    const events = parseTranscript(createParser, "cloudflare", "tools", 1)
+    const deltas = ofType(events, "tool_call_delta")
+    assert.equal(deltas[0].id, "call_8f2a")
+    assert.equal(deltas[0].name, "calculator")
+    assert.ok(deltas.every((delta) => delta.index === 0))
+    assert.deepEqual(JSON.parse(deltas.map((delta) => delta.arguments).join("")), { expression: "6 * 7" })
+    assert.deepEqual(ofType(events, "finish"), [{ type: "finish", reason: "tool_calls" }])
+  })
+
+  it("reports an error sent inside the stream after the text before it", () => {
+    const events = parseTranscript(createParser, "cloudflare", "error", 3)
+    assert.equal(textOf(events), "Let me think about")
+    assert.deepEqual(ofType(events, "error"), [
+      { type: "error", message: "AiError: Inference request failed: upstream model crashed (3040)" },
+    ])
+  })
+
+  it("stops at [DONE]", () => {
+    const late = 'data: {"choices":[{"index":0,"delta":{"content":" too late"}}]}\n\n'
+    const chunk = Buffer.from(loadTranscript("cloudflare", "chat").join("") + late)
+    assert.equal(textOf(parse(createParser, [chunk])), ANSWER)
+  })
+
+  it("skips a malformed event and keeps parsing", (t) => {
+    const logged = t.mock.method(console, "error", () => {})
+    const frames = loadTranscript("cloudflare", "chat")
+    frames.splice(2, 0, 'data: {"choices":[{"delta":\n\n')
+    assert.equal(textOf(parse(createParser, transcriptChunks(frames, 5))), ANSWER)
+    assert.ok(logged.mock.callCount() > 0)
+  })
+})
+
+describe("createOllamaParser (NDJSON)", () => {
+  for (const name of ["chat", "reasoning", "think-tags", "tools", "error"]) {
+    it(`parses the ${name} transcript the same at any chunk boundary`, () => {
+      const expected = parseTranscript(createOllamaParser, "ollama", name)
+      for (const size of CHUNK_SIZES) {
+        const events = parseTranscript(createOllamaParser, "ollama", name, size)
+        assert.deepEqual(events, expected, `chunks of ${size} bytes`)
+      }
+    })
+  }
+
+  it("reads content, the model, done_reason and the token counts", () => {
+    const events = parseTranscript(createOllamaParser, "ollama", "chat", 1)
+    assert.equal(textOf(events), ANSWER)
+    assert.deepEqual(ofType(events, "metadata"), [{ type: "metadata", responseModel: "llama3.2:latest" }])
+    assert.deepEqual(ofType(events, "finish"), [{ type: "finish", reason: "stop" }])
+    assert.deepEqual(ofType(events, "usage"), [USAGE])
+  })
+
+  it("keeps message.thinking apart from the answer", () => {
+    const events = parseTranscript(createOllamaParser, "ollama", "reasoning", 2)
+    assert.equal(textOf(events, "reasoning"), "The user wants a greeting, so keep it short.")
+    assert.equal(textOf(events), "Hi there!")
+  })
+
+  it("splits <think> blocks whose tags are cut across lines", () => {
+    const events = parseTranscript(createOllamaParser, "ollama", "think-tags")
+    assert.equal(textOf(events, "reasoning").trim(), "Count the letters first.")
+    assert.equal(textOf(events).trim(), "There are three.")
+    assert.ok(!textOf(events).includes("<"))
+  })
+
+  it("numbers whole tool calls and encodes their arguments", () => {
+    const events = parseTranscript(createOllamaParser, "ollama", "tools", 3)
+    assert.deepEqual(ofType(events, "tool_call_delta"), [
+      { type: "tool_call_delta", index: 0, name: "calculator", arguments: '{"expression":"6 * 7"}' },
+    ])
+  })
+
+  it("reports an error line", () => {
+    const events = parseTranscript(createOllamaParser, "ollama", "error", 4)
+    assert.equal(textOf(events), "Let me think about")
+    assert.deepEqual(ofType(events, "error"), [
+      { type: "error", message: "an error was encountered while running the model: unexpected EOF" },
+    ])
+  })
+
+  it("parses a last line without a line break when the stream ends", () => {
+    const frames = loadTranscript("ollama", "chat")
+    frames[frames.length - 1] = frames[frames.length - 1].trimEnd()
+    const events = parse(createOllamaParser, transcriptChunks(frames, 9))
+    assert.deepEqual(ofType(events, "finish"), [{ type: "finish", reason: "stop" }])
+  })
+})
+
+describe("parseUpstreamStream", () => {
+  it("pipes a response body through a parser", async () => {
+    const chunks = transcriptChunks(loadTranscript("ollama", "chat"), 3)
+    const events = []
+    for await (const event of parseUpstreamStream(bodyOf(chunks), createOllamaParser)) events.push(event)
+    assert.deepEqual(events, parseTranscript(createOllamaParser, "ollama", "chat"))
+  })
+})
+
+describe("transformCloudflareStream", () => {
+  for (const size of CHUNK_SIZES) {
+    it(`passes only the answer text through, in chunks of ${size} bytes`, async () => {
+      const chunks = transcriptChunks(loadTranscript("cloudflare", "chat"), size)
+      assert.equal(await new Response(transformCloudflareStream(bodyOf(chunks))).text(), ANSWER)
+    })
+  }
+})
@@ -0,0 +1,45 @@
+/**
+ * @file alias-loader.mjs
+ * @description Module resolution hooks that let Node load the app's modules as Next.js does:
+ * "@/" imports from the repository root (tsconfig.json paths), imports without an extension, and
+ * the app's .js files as ES modules.
+ * Registered by register.mjs (node --import).
+ */
+
+import { existsSync, statSync } from "node:fs"
+import { extname } from "node:path"
+import { fileURLToPath } from "node:url"
+
+const ROOT = new URL("../../", import.meta.url)
+
+// The app's own files, not its dependencies
+const isLocal = (url) => url.startsWith(ROOT.href) && !url.includes("/node_modules/")
+
+/**
+ * @param {URL} url
+ * @returns {string} - url with ".js" or "/index.js" added when it names no file
+ */
+function withExtension(url) {
+  const path = fileURLToPath(url)
+  if (extname(path) && existsSync(path) && statSync(path).isFile()) return url.href
+  for (const suffix of [".js", "/index.js"]) {
+    if (existsSync(`${path}${suffix}`)) return `${url.href}${suffix}`
+  }
+  return url.href
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("@/")) return nextResolve(withExtension(new URL(specifier.slice(2), ROOT)), context)
+  const parent = context.parentURL ?? ""
+  if (isLocal(parent) && (specifier.startsWith("./") || specifier.startsWith("../"))) {
+    return nextResolve(withExtension(new URL(specifier, parent)), context)
+  }
+  return nextResolve(specifier, context)
+}
+
+export async function load(url, context, nextLoad) {
+  if (isLocal(url) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" })
+  }
+  return nextLoad(url, context)
+}
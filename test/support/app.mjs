@@ -0,0 +1,151 @@
+/**
+ * @file app.mjs
+ * @description Runs the built app (next start) against a mock LLM server for the end-to-end tests,
+ * with its own data directory and an environment that ignores the developer's .env.local.
+ */
+
+import { spawn } from "node:child_process"
+import { existsSync } from "node:fs"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import { createServer } from "node:net"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { fileURLToPath } from "node:url"
+import { mockProviderEnv } from "../../mock/llm-server.mjs"
+import { readDataStream } from "../../lib/chat/data-stream.js"
+
+const ROOT = fileURLToPath(new URL("../../", import.meta.url))
+const STARTUP_TIMEOUT_MS = 60000
+
+// Settings that would make results depend on the developer's .env.local; variables set in the
+// environment take precedence over the file
+const NEUTRAL_ENV = {
+  ENABLED_PROVIDERS: "",
+  DEFAULT_MODEL: "",
+  MODEL_ALLOW_LIST: "",
+  MODEL_DENY_LIST: "",
+  FALLBACK_MODELS: "",
+  AUTH_USERS: "",
+  AUTH_API_KEYS: "",
+  AUTH_SECRET: "",
+  AUTH_ADMINS: "",
+  RATE_LIMIT_PER_MINUTE: "0",
+  QUOTA_DAILY_REQUESTS: "0",
+  QUOTA_DAILY_TOKENS: "0",
+  CONTEXT_INJECTION: "false",
+  RETRIEVER: "local",
+  UPSTREAM_MAX_RETRIES: "0",
+  UPSTREAM_RETRY_DELAY_MS: "10",
+}
+
+async function freePort() {
+  const server = createServer()
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  const { port } = server.address()
+  await new Promise((resolve) => server.close(resolve))
+  return port
+}
+
+/**
+ * Start the app
+ * @param {Object} options
+ * @param {string} options.mockUrl - Base URL of the mock LLM server
+ * @param {Object<string, string>} [options.env] - Added to the environment
+ * @param {Object} [options.settings] - Runtime settings stored before the start, see lib/storage/settings-file.js
+ * @returns {Promise<{url: string, dataDir: string, writeSettings: (settings: Object) => Promise<void>,
+ *   stop: () => Promise<void>}>}
+ */
+export async function startApp({ mockUrl, env = {}, settings }) {
+  if (!existsSync(join(ROOT, ".next", "BUILD_ID"))) {
+    throw new Error("The app is not built, run `npm run build` before a single suite")
+  }
+  const dataDir = await mkdtemp(join(tmpdir(), "llm-chat-test-"))
+  // The settings file is read again whenever it changes, so tests can update it while the app runs
+  const writeSettings = (stored) => writeFile(join(dataDir, "settings.json"), JSON.stringify(stored))
+  if (settings) await writeSettings(settings)
+
+  const port = await freePort()
+  const child = spawn(process.execPath, [join(ROOT, "node_modules/next/dist/bin/next"), "start", "-p", String(port)], {
+    cwd: ROOT,
+    env: { ...process.env, ...NEUTRAL_ENV, ...mockProviderEnv(mockUrl), DATA_DIR: dataDir, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  })
+  let output = ""
+  child.stdout.on("data", (data) => (output += data))
+  child.stderr.on("data", (data) => (output += data))
+  const exited = new Promise((resolve) => child.once("exit", resolve))
+
+  const url = `http://127.0.0.1:${port}`
+  const stop = async () => {
+    if (child.exitCode === null) child.kill()
+    await exited
+    await rm(dataDir, { recursive: true, force: true })
+  }
+
+  const startedAt = Date.now()
+  while (true) {
+    if (child.exitCode !== null) {
+      await stop()
+      throw new Error(`The app exited during startup:\n${output}`)
+    }
+    try {
+      // 401 once authentication is configured
+      const { ok, status } = await fetch(`${url}/api/settings`)
+      if (ok || status === 401) break
+    } catch {
+      // Not listening yet
+    }
+    if (Date.now() - startedAt > STARTUP_TIMEOUT_MS) {
+      await stop()
+      throw new Error(`The app did not start within ${STARTUP_TIMEOUT_MS / 1000} s:\n${output}`)
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250))
+  }
+  return { url, dataDir, writeSettings, stop }
+}
+
+/**
+ * Send a chat request the way the chat page does and read the whole data stream
+ * @param {string} url - Base URL of the app
+ * @param {Object} body - /api/chat request body; messages can be given as a single prompt
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{status: number, headers: Headers, json: Object | null, text: string, annotations: Object[],
+ *   errors: string[]}>} - json is the body of an error response; text, annotations and errors are read
+ *   from a streamed answer
+ */
+export async function chat(url, { prompt, ...body }, { signal } = {}) {
+  const response = await fetch(`${url}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      messages: [{ role: "user", content: prompt ?? "Hello" }],
+      stream: true,
+      temperature: 0.7,
+      maxTokens: 256,
+      ...body,
+    }),
+    signal,
+  })
+  const { status, headers } = response
+  const result = { status, headers, json: null, text: "", annotations: [], errors: [] }
+  if (!response.ok) {
+    result.json = await response.json().catch(() => null)
+    return result
+  }
+  for await (const { type, value } of readDataStream(response.body)) {
+    if (type === "text") result.text += value
+    else if (type === "message_annotations") result.annotations.push(...value)
+    else if (type === "error") result.errors.push(value)
+  }
+  return result
+}
+
+/**
+ * @param {Object[]} annotations
+ * @param {string} type
+ * @returns {Object[]} - The annotations of a type
+ */
+export function annotationsOf(annotations, type) {
+  return annotations.filter((annotation) => annotation.type === type)
+}